@@ -1,91 +1,50 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { keystoneContext } from '@/features/keystone/context';
-import { handleShopCancelWebhook } from '@/features/integrations/shop/lib/executor';
+import { processWebhookDelivery, recordWebhookDelivery } from '@/features/keystone/lib/webhookDeliveries';
+import { verifyWebhookRequest } from '@/features/integrations/lib/webhook-requests';
 
 export async function POST(
   request: NextRequest,
   { params }: { params: Promise<{ shopId: string }> }
 ) {
   try {
-    // Respond immediately to acknowledge receipt
-    const response = NextResponse.json({ received: true });
-
-    // Get the webhook payload
-    const body = await request.json();
+    // Signatures are computed over the exact bytes that were sent
+    const rawBody = await request.text();
     const headers = Object.fromEntries(request.headers.entries());
     const { shopId } = await params;
 
-    // Process webhook asynchronously
-    processWebhook(shopId, body, headers);
-
-    return response;
-  } catch (error) {
-    console.error('Error processing cancel order webhook:', error);
-    return NextResponse.json({ error: 'Webhook processing failed' }, { status: 500 });
-  }
-}
-
-async function processWebhook(shopId: string, body: any, headers: any) {
-  try {
-    // Find the shop and its platform
-    const shop = await keystoneContext.sudo().query.Shop.findOne({
-      where: { id: shopId },
-      query: `
-        id
-        domain
-        accessToken
-        platform {
-          id
-          name
-          cancelOrderWebhookHandler
-          appKey
-          appSecret
-        }
-      `,
+    const verification = await verifyWebhookRequest({
+      source: 'shop',
+      id: shopId,
+      route: 'cancel-order',
+      rawBody,
+      headers,
     });
 
-    if (!shop) {
-      console.error(`Shop not found: ${shopId}`);
-      return;
+    if (!verification.valid) {
+      return NextResponse.json({ error: 'Invalid webhook signature' }, { status: 401 });
     }
 
-    console.log('Processing cancel webhook for shop:', shop.domain);
+    const context = keystoneContext.sudo();
 
-    // Use the shop provider adapter to handle the webhook
-    const orderId = await handleShopCancelWebhook({
-      platform: {
-        ...shop.platform,
-        domain: shop.domain,
-        accessToken: shop.accessToken,
-      },
-      event: body,
+    // Stored first so the payload survives a processing failure
+    const delivery = await recordWebhookDelivery({
+      context,
+      source: 'shop',
+      id: shopId,
+      route: 'cancel-order',
+      rawBody,
       headers,
     });
 
-    console.log('Order ID to cancel:', orderId);
-
-    // Find the order in our database
-    const [foundOrder] = await keystoneContext.sudo().query.Order.findMany({
-      where: {
-        orderId: { equals: orderId },
-        shop: { id: { equals: shopId } },
-      },
-      query: 'id status orderId orderName',
+    // Process asynchronously, failures are kept on the delivery to replay
+    processWebhookDelivery({ context, deliveryId: delivery.id }).catch((error) => {
+      console.error('Error processing cancel order webhook:', error);
     });
 
-    if (foundOrder) {
-      // Update the order status to cancelled
-      const updatedOrder = await keystoneContext.sudo().query.Order.updateOne({
-        where: { id: foundOrder.id },
-        data: { status: 'CANCELLED' },
-        query: 'id status orderId orderName',
-      });
-
-      console.log('Order cancelled successfully:', updatedOrder);
-    } else {
-      console.warn(`Order not found for orderId: ${orderId} in shop: ${shopId}`);
-    }
+    return NextResponse.json({ received: true });
   } catch (error) {
-    console.error('Error processing cancel webhook:', error);
+    console.error('Error receiving cancel order webhook:', error);
+    return NextResponse.json({ error: 'Webhook processing failed' }, { status: 500 });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,50 @@
+import { NextRequest, NextResponse } from 'next/server';
+import { keystoneContext } from '@/features/keystone/context';
+import { processWebhookDelivery, recordWebhookDelivery } from '@/features/keystone/lib/webhookDeliveries';
+import { verifyWebhookRequest } from '@/features/integrations/lib/webhook-requests';
+
+export async function POST(
+  request: NextRequest,
+  { params }: { params: Promise<{ shopId: string }> }
+) {
+  try {
+    // Signatures are computed over the exact bytes that were sent
+    const rawBody = await request.text();
+    const headers = Object.fromEntries(request.headers.entries());
+    const { shopId } = await params;
+
+    const verification = await verifyWebhookRequest({
+      source: 'shop',
+      id: shopId,
+      route: 'update-order',
+      rawBody,
+      headers,
+    });
+
+    if (!verification.valid) {
+      return NextResponse.json({ error: 'Invalid webhook signature' }, { status: 401 });
+    }
+
+    const context = keystoneContext.sudo();
+
+    // Stored first so the payload survives a processing failure
+    const delivery = await recordWebhookDelivery({
+      context,
+      source: 'shop',
+      id: shopId,
+      route: 'update-order',
+      rawBody,
+      headers,
+    });
+
+    // Process asynchronously, failures are kept on the delivery to replay
+    processWebhookDelivery({ context, deliveryId: delivery.id }).catch((error) => {
+      console.error('Error processing update order webhook:', error);
+    });
+
+    return NextResponse.json({ received: true });
+  } catch (error) {
+    console.error('Error receiving update order webhook:', error);
+    return NextResponse.json({ error: 'Webhook processing failed' }, { status: 500 });
+  }
+}
@@ -0,0 +1,3 @@
+import { AuditLogListPage } from "@/features/platform/audit-logs/screens/AuditLogListPage";
+
+export default AuditLogListPage;
@@ -0,0 +1,3 @@
+import { OrderApprovalsPage } from "@/features/platform/orders/screens/OrderApprovalsPage";
+
+export default OrderApprovalsPage;
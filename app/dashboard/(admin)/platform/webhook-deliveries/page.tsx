@@ -0,0 +1,3 @@
+import { WebhookDeliveryListPage } from "@/features/platform/webhook-deliveries/screens/WebhookDeliveryListPage";
+
+export default WebhookDeliveryListPage;
@@ -0,0 +1,188 @@
+/**
+ * Encrypted text field view - credentials are never shown, only whether one is set
+ */
+
+import React, { useRef, useState } from 'react'
+import { Input } from '@/components/ui/input'
+import { Button } from '@/components/ui/button'
+import { FieldContainer } from '@/components/ui/field-container'
+import { FieldLabel } from '@/components/ui/field-label'
+import { FieldDescription } from '@/components/ui/field-description'
+import { Eye, EyeOff } from 'lucide-react'
+import type {
+  FieldController,
+  FieldControllerConfig,
+} from '../../types'
+
+const MASK = '••••••••••••'
+
+type Value =
+  | {
+      kind: 'initial'
+      isSet: boolean | null
+    }
+  | {
+      kind: 'editing'
+      isSet: boolean | null
+      value: string
+    }
+
+interface EncryptedTextFieldProps {
+  field: {
+    path: string
+    label: string
+    description?: string
+  }
+  value: Value
+  onChange?: (value: Value) => void
+  autoFocus?: boolean
+  forceValidation?: boolean
+  isRequired?: boolean
+}
+
+interface CellProps {
+  item: Record<string, any>
+  field: any
+}
+
+function MaskedValue({ isSet }: { isSet: boolean | null }) {
+  if (isSet === null) {
+    return <span className="text-sm text-muted-foreground">Access denied</span>
+  }
+  return isSet ? (
+    <span className="font-mono text-sm tracking-widest" aria-label="is set">{MASK}</span>
+  ) : (
+    <span className="text-sm text-muted-foreground">Not set</span>
+  )
+}
+
+export function Field({
+  field,
+  value,
+  onChange,
+  autoFocus,
+  forceValidation,
+  isRequired = false,
+}: EncryptedTextFieldProps) {
+  const [secureTextEntry, setSecureTextEntry] = useState(true)
+  const triggerRef = useRef<HTMLButtonElement>(null)
+
+  const isReadOnly = onChange == null
+  const showRequired =
+    forceValidation && isRequired && value.kind === 'editing' && !value.value && !value.isSet
+
+  const cancelEditing = () => {
+    onChange?.({ kind: 'initial', isSet: value.isSet })
+    setSecureTextEntry(true)
+    setTimeout(() => {
+      triggerRef.current?.focus()
+    }, 0)
+  }
+
+  if (isReadOnly || value.kind === 'initial') {
+    return (
+      <FieldContainer>
+        <FieldLabel>{field.label}</FieldLabel>
+        {field.description && (
+          <FieldDescription>{field.description}</FieldDescription>
+        )}
+        <div className="flex items-center gap-3">
+          <MaskedValue isSet={value.isSet} />
+          {!isReadOnly && (
+            <Button
+              ref={triggerRef}
+              size="sm"
+              variant="outline"
+              autoFocus={autoFocus}
+              onClick={() => onChange?.({ kind: 'editing', isSet: value.isSet, value: '' })}
+            >
+              {value.isSet ? 'Change' : 'Set'}
+            </Button>
+          )}
+        </div>
+      </FieldContainer>
+    )
+  }
+
+  return (
+    <FieldContainer>
+      <FieldLabel>{field.label}</FieldLabel>
+      {field.description && (
+        <FieldDescription>{field.description}</FieldDescription>
+      )}
+      <div className="flex gap-2">
+        <Input
+          autoFocus={autoFocus}
+          autoComplete="off"
+          placeholder={value.isSet ? 'Enter a new value to replace the current one' : ''}
+          type={secureTextEntry ? 'password' : 'text'}
+          value={value.value}
+          className={showRequired ? 'border-red-500 shadow-xs' : 'shadow-xs'}
+          onChange={(e) => onChange?.({ ...value, value: e.target.value })}
+        />
+        <Button
+          type="button"
+          variant="outline"
+          size="icon"
+          onClick={() => setSecureTextEntry(bool => !bool)}
+          title={secureTextEntry ? 'Show value' : 'Hide value'}
+        >
+          {secureTextEntry ? <Eye className="h-4 w-4" /> : <EyeOff className="h-4 w-4" />}
+        </Button>
+        {value.isSet !== false && (
+          <Button type="button" variant="outline" onClick={cancelEditing}>
+            Cancel
+          </Button>
+        )}
+      </div>
+      {showRequired && (
+        <p className="text-sm text-red-600" role="alert">{field.label} is required</p>
+      )}
+    </FieldContainer>
+  )
+}
+
+export function Cell({ item, field }: CellProps) {
+  return <MaskedValue isSet={item[field.path] == null ? null : !!item[field.path]} />
+}
+
+export function CardValue({ item, field }: CellProps) {
+  return (
+    <div>
+      <div className="text-sm font-medium">{field.label}</div>
+      <MaskedValue isSet={item[field.path] == null ? null : !!item[field.path]} />
+    </div>
+  )
+}
+
+export function controller(
+  config: FieldControllerConfig<Record<string, never>>
+): FieldController<Value> {
+  return {
+    path: config.path,
+    label: config.label,
+    description: config.description,
+    graphqlSelection: config.path,
+    // New items start with the input open
+    defaultValue: {
+      kind: 'editing',
+      isSet: false,
+      value: '',
+    },
+    validate: (value, opts) => {
+      if (!opts.isRequired) return true
+      return value.kind === 'initial' ? value.isSet !== false : !!value.value || !!value.isSet
+    },
+    // The stored ciphertext only tells the form whether a value is set
+    deserialize: data => ({
+      kind: 'initial',
+      isSet: data[config.path] == null ? null : !!data[config.path],
+    }),
+    serialize: value => {
+      if (value.kind === 'initial' || (value.isSet && !value.value)) return {}
+      return { [config.path]: value.value }
+    },
+  }
+}
+
+Cell.supportsLinkTo = false
@@ -20,6 +20,7 @@ import * as checkbox from "./checkbox"
 import * as bigInt from "./bigInt"
 import * as decimal from "./decimal"
 import * as multiselect from "./multiselect"
+import * as encryptedText from "./encryptedText"
 
 // Define interfaces for field implementations
 export interface Field {
@@ -143,7 +144,8 @@ export const fieldTypes: FieldTypesRegistry = {
   document,
   checkbox,
   decimal,
-  multiselect
+  multiselect,
+  encryptedText
 }
 
 // Type definition matching Keystone exactly
@@ -1,4 +1,7 @@
-export async function executeChannelAdapterFunction({ platform, functionName, args }: { platform: any; functionName: string; args: any }) {
+import { decryptPlatformCredentials, decryptSecret } from "../../../keystone/lib/secrets";
+import { callWithTokenRefresh } from "../../../keystone/lib/tokenRefresh";
+
+async function callChannelAdapterFunction({ platform, functionName, args }: { platform: any; functionName: string; args: any }) {
   const functionPath = platform[functionName];
 
   if (functionPath.startsWith("http")) {
@@ -9,7 +12,9 @@ export async function executeChannelAdapterFunction({ platform, functionName, ar
     });
 
     if (!response.ok) {
-      throw new Error(`HTTP request failed: ${response.statusText}`);
+      throw Object.assign(new Error(`HTTP request failed: ${response.statusText}`), {
+        status: response.status,
+      });
     }
     return response.json();
   }
@@ -29,11 +34,23 @@ export async function executeChannelAdapterFunction({ platform, functionName, ar
     return await fn({ platform, ...args });
   } catch (error) {
     throw new Error(
-      `Error executing ${functionName} for platform ${functionPath}: ${(error as Error).message}`
+      `Error executing ${functionName} for platform ${functionPath}: ${(error as Error).message}`,
+      { cause: error }
     );
   }
 }
 
+export async function executeChannelAdapterFunction({ platform, functionName, args }: { platform: any; functionName: string; args: any }) {
+  return callWithTokenRefresh({
+    listKey: "Channel",
+    // Credentials are stored encrypted and only decrypted for the adapter call
+    platform: decryptPlatformCredentials(platform),
+    functionName,
+    args,
+    call: callChannelAdapterFunction,
+  });
+}
+
 // Helper functions for common channel operations
 export async function searchChannelProducts({ platform, searchEntry, after }: { platform: any; searchEntry: string; after?: string }) {
   return executeChannelAdapterFunction({
@@ -51,11 +68,27 @@ export async function getChannelProduct({ platform, productId }: { platform: any
   });
 }
 
-export async function createChannelPurchase({ platform, cartItems, shipping, notes }: { platform: any; cartItems: any; shipping: any; notes?: string }) {
+export async function createChannelPurchase({ platform, cartItems, shipping, notes, idempotencyKey }: { platform: any; cartItems: any; shipping: any; notes?: string; idempotencyKey?: string }) {
   return executeChannelAdapterFunction({
     platform,
     functionName: "createPurchaseFunction",
-    args: { cartItems, shipping, notes },
+    args: { cartItems, shipping, notes, idempotencyKey },
+  });
+}
+
+export async function findChannelPurchase({ platform, idempotencyKey, since }: { platform: any; idempotencyKey: string; since?: string }) {
+  return executeChannelAdapterFunction({
+    platform,
+    functionName: "findPurchaseFunction",
+    args: { idempotencyKey, since },
+  });
+}
+
+export async function cancelChannelPurchase({ platform, purchaseId, reason }: { platform: any; purchaseId: string; reason?: string }) {
+  return executeChannelAdapterFunction({
+    platform,
+    functionName: "cancelPurchaseFunction",
+    args: { purchaseId, reason },
   });
 }
 
@@ -95,8 +128,18 @@ export async function handleChannelOAuthCallback({ platform, code, shop, state,
   return executeChannelAdapterFunction({
     platform,
     functionName: "oAuthCallbackFunction",
-    args: { code, shop, state, appKey, appSecret, redirectUri },
+    args: { code, shop, state, appKey, appSecret: appSecret && decryptSecret(appSecret), redirectUri },
+  });
+}
+
+// Resolves to true only when the adapter confirms the delivery's signature
+export async function verifyChannelWebhook({ platform, rawBody, headers }: { platform: any; rawBody: string; headers: Record<string, string> }) {
+  const result = await executeChannelAdapterFunction({
+    platform,
+    functionName: "verifyWebhookFunction",
+    args: { rawBody, headers },
   });
+  return result === true || result?.valid === true;
 }
 
 export async function handleChannelTrackingWebhook({ platform, event, headers }: { platform: any; event: any; headers: any }) {
@@ -1,5 +1,5 @@
 import { GraphQLClient, gql } from "graphql-request";
-import { keystoneContext } from '@/features/keystone/context';
+import { verifyOpenFrontWebhook } from '../lib/webhook-verification';
 
 interface OpenFrontPlatform {
   domain: string;
@@ -8,6 +8,7 @@ interface OpenFrontPlatform {
   tokenExpiresAt?: Date | string;
   appKey?: string;
   appSecret?: string;
+  webhookSecret?: string;
 }
 
 interface SearchProductsArgs {
@@ -24,6 +25,22 @@ interface CreatePurchaseArgs {
   cartItems: any[];
   shipping: any;
   notes?: string;
+  idempotencyKey?: string;
+}
+
+interface FindPurchaseArgs {
+  idempotencyKey: string;
+  // When the first purchase attempt with this key could have been made
+  since?: string;
+}
+
+// How far back to look for a purchase when the caller doesn't say
+const FIND_PURCHASE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const FIND_PURCHASE_PAGE_SIZE = 50;
+
+interface CancelPurchaseArgs {
+  purchaseId: string;
+  reason?: string;
 }
 
 interface CreateWebhookArgs {
@@ -35,143 +52,13 @@ interface DeleteWebhookArgs {
   webhookId: string;
 }
 
-// Helper function to get fresh access token with proper OAuth 2.0 flow
-const getFreshAccessToken = async (platform: OpenFrontPlatform) => {
-  console.log('🔄 [OpenFront Channel] getFreshAccessToken called');
-  console.log('🔄 [OpenFront Channel] Platform domain:', platform.domain);
-  
-  // Get channel with OAuth credentials from database
-  const channels = await keystoneContext.sudo().query.Channel.findMany({
-    where: { 
-      domain: { equals: platform.domain },
-      accessToken: { equals: platform.accessToken }
-    },
-    query: 'id refreshToken tokenExpiresAt platform { appKey appSecret }'
-  });
-  
-  if (!channels || channels.length === 0) {
-    console.log('⚠️ [OpenFront Channel] No matching channel found in database');
-    return platform.accessToken;
-  }
-  
-  const channel = channels[0];
-  console.log('🔄 [OpenFront Channel] Found channel:', channel.id);
-  console.log('🔄 [OpenFront Channel] Has refresh token:', !!channel.refreshToken);
-  console.log('🔄 [OpenFront Channel] Token expires at:', channel.tokenExpiresAt);
-  console.log('🔄 [OpenFront Channel] Has OAuth credentials:', !!(channel.platform?.appKey && channel.platform?.appSecret));
-  console.log('🔄 [OpenFront Channel] Has refresh token:', !!channel.refreshToken);
-  
-  // If we have a refresh token, check if we need to refresh
-  if (channel.refreshToken) {
-    console.log('🔄 [OpenFront Channel] Refresh token found, checking if refresh needed');
-    
-    // Check if access token has expired (if we have expiry info)
-    let shouldRefresh = false;
-    
-    if (channel.tokenExpiresAt) {
-      const expiresAt = typeof channel.tokenExpiresAt === 'string' 
-        ? new Date(channel.tokenExpiresAt) 
-        : channel.tokenExpiresAt;
-      
-      const now = new Date();
-      shouldRefresh = expiresAt <= now;
-      
-      console.log('🔄 [OpenFront Channel] Token expiry check:');
-      console.log('🔄 [OpenFront Channel] - Expires at:', expiresAt.toISOString());
-      console.log('🔄 [OpenFront Channel] - Current time:', now.toISOString());
-      console.log('🔄 [OpenFront Channel] - Should refresh:', shouldRefresh);
-    } else {
-      // If no expiry info, assume token needs refresh
-      shouldRefresh = true;
-      console.log('🔄 [OpenFront Channel] No expiry info found, assuming refresh needed');
-    }
-    
-    if (shouldRefresh) {
-      console.log('🔄 [OpenFront Channel] Starting token refresh process...');
-      
-      // Use refresh token to get new access token
-    const tokenUrl = `${platform.domain}/api/oauth/token`;
-    console.log('🔄 [OpenFront Channel] Token URL:', tokenUrl);
-    
-    const formData = new URLSearchParams({
-      grant_type: "refresh_token",
-      refresh_token: channel.refreshToken,
-      client_id: channel.platform?.appKey || "",
-      client_secret: channel.platform?.appSecret || "",
-    });
-
-    console.log('🔄 [OpenFront Channel] Refresh request params:');
-    console.log('🔄 [OpenFront Channel] - grant_type: refresh_token');
-    console.log('🔄 [OpenFront Channel] Making token refresh request');
-    console.log('🔄 [OpenFront Channel] - refresh_token:', channel.refreshToken ? "SET" : "NOT_SET");
-
-    console.log('🔄 [OpenFront Channel] Making refresh token request...');
-    const response = await fetch(tokenUrl, {
-      method: "POST",
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      body: formData,
-    });
-
-    console.log('🔄 [OpenFront Channel] Refresh response status:', response.status);
-    console.log('🔄 [OpenFront Channel] Refresh response ok:', response.ok);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('🚨 [OpenFront Channel] Token refresh failed:', errorText);
-      console.error('🚨 [OpenFront Channel] Response status:', response.status);
-      console.error('🚨 [OpenFront Channel] Response statusText:', response.statusText);
-      throw new Error(`Failed to refresh access token: ${response.statusText} - ${errorText}`);
-    }
-
-    const tokenData = await response.json();
-    console.log('🔄 [OpenFront Channel] Token refresh response received');
-    console.log('🔄 [OpenFront Channel] - Has access_token:', !!tokenData.access_token);
-    console.log('🔄 [OpenFront Channel] - Has refresh_token:', !!tokenData.refresh_token);
-    console.log('🔄 [OpenFront Channel] - Expires in:', tokenData.expires_in, 'seconds');
-    
-    const { access_token, refresh_token, expires_in } = tokenData;
-    
-    // Update stored access token and expiry in database
-    console.log('🔄 [OpenFront Channel] Updating tokens in database...');
-    try {
-      console.log('🔄 [OpenFront Channel] Updating channel:', channel.id);
-      await keystoneContext.sudo().query.Channel.updateOne({
-        where: { id: channel.id },
-        data: {
-          accessToken: access_token,
-          ...(refresh_token && { refreshToken: refresh_token }),
-          ...(expires_in && { tokenExpiresAt: new Date(Date.now() + (expires_in * 1000)) })
-        }
-      });
-      console.log('✅ [OpenFront Channel] Channel updated with new tokens:', channel.id);
-    } catch (error) {
-      console.error('🚨 [OpenFront Channel] Failed to update channel tokens in database:', error);
-      // Continue with the request even if database update fails
-    }
-    
-    console.log('✅ [OpenFront Channel] Returning fresh access token');
-    return access_token;
-    } else {
-      // Token hasn't expired yet, use existing one
-      console.log('✅ [OpenFront Channel] Token still valid, using existing access token');
-      return platform.accessToken;
-    }
-  }
-  
-  // If no refresh token, just use the access token as-is
-  console.log('⚠️ [OpenFront Channel] No refresh token available, using existing access token');
-  return platform.accessToken;
-};
-
-// Helper function to create OpenFront GraphQL client with fresh token
+// Expiring tokens are refreshed by callWithTokenRefresh before any adapter function runs
 const createOpenFrontClient = async (platform: OpenFrontPlatform) => {
-  const freshAccessToken = await getFreshAccessToken(platform);
-
   return new GraphQLClient(
     `${platform.domain}/api/graphql`,
     {
       headers: {
-        "Authorization": `Bearer ${freshAccessToken}`,
+        "Authorization": `Bearer ${platform.accessToken}`,
         "Content-Type": "application/json",
       },
     }
@@ -377,17 +264,98 @@ export async function getProductFunction({
   return { product: transformedProduct };
 }
 
+// Function to find a purchase previously placed with the given idempotency key
+export async function findPurchaseFunction({
+  platform,
+  idempotencyKey,
+  since,
+}: {
+  platform: OpenFrontPlatform;
+} & FindPurchaseArgs) {
+  const openFrontClient = await createOpenFrontClient(platform);
+  const createdAfter = since || new Date(Date.now() - FIND_PURCHASE_WINDOW_MS).toISOString();
+
+  // Metadata isn't filterable, so page through every order placed since the
+  // first attempt could have been made and check each one for our key
+  let order: any = null;
+  for (let skip = 0; !order; skip += FIND_PURCHASE_PAGE_SIZE) {
+    const { orders } = await openFrontClient.request(gql`
+      query FindOrderByIdempotencyKey($since: DateTime!, $take: Int!, $skip: Int!) {
+        orders(
+          where: { createdAt: { gte: $since } }
+          take: $take
+          skip: $skip
+          orderBy: { createdAt: asc }
+        ) {
+          id
+          displayId
+          total
+          metadata
+        }
+      }
+    `, { since: createdAfter, take: FIND_PURCHASE_PAGE_SIZE, skip }) as any;
+
+    order = orders.find(
+      (order: any) => order.metadata?.idempotencyKey === idempotencyKey
+    );
+    if (orders.length < FIND_PURCHASE_PAGE_SIZE) break;
+  }
+
+  if (!order) {
+    return { purchase: null };
+  }
+
+  return {
+    purchase: {
+      purchaseId: order.id,
+      orderNumber: `#${order.displayId}`,
+      totalPrice: order.total,
+      url: `https://${platform.domain}/account/orders/details/${order.id}`,
+      status: "pending",
+    },
+  };
+}
+
+// Function to cancel a purchase placed through createPurchaseFunction
+export async function cancelPurchaseFunction({
+  platform,
+  purchaseId,
+}: {
+  platform: OpenFrontPlatform;
+} & CancelPurchaseArgs) {
+  const openFrontClient = await createOpenFrontClient(platform);
+
+  const { updateOrder } = await openFrontClient.request(gql`
+    mutation CancelOrder($id: ID!, $data: OrderUpdateInput!) {
+      updateOrder(where: { id: $id }, data: $data) {
+        id
+        status
+      }
+    }
+  `, {
+    id: purchaseId,
+    data: {
+      status: "canceled",
+      canceledAt: new Date().toISOString(),
+    },
+  }) as any;
+
+  if (!updateOrder?.id) {
+    throw new Error(`OpenFront order ${purchaseId} could not be cancelled`);
+  }
+
+  return { success: true, purchaseId };
+}
+
 // Function to create a purchase order (fulfillment order)
 export async function createPurchaseFunction({
   platform,
   cartItems,
   shipping,
+  idempotencyKey,
 }: {
   platform: OpenFrontPlatform;
-  cartItems: any[];
-  shipping: any;
-  notes?: string;
-}) {
+} & CreatePurchaseArgs) {
   console.log(`🛒 OpenFront Channel: Creating purchase with ${cartItems.length} items`);
   console.log(`🚚 OpenFront Channel: Ship to: ${shipping?.firstName} ${shipping?.lastName}`);
   console.log(`📦 OpenFront Channel: Full shipping data:`, JSON.stringify(shipping, null, 2));
@@ -440,7 +408,11 @@ export async function createPurchaseFunction({
     `, {
       data: {
         region: { connect: { id: region.id } },
-        email: shipping?.email || `order-${Date.now()}@openship.generated`
+        email: shipping?.email || `order-${Date.now()}@openship.generated`,
+        // Copied onto the order when the cart completes
+        ...(idempotencyKey && {
+          metadata: { source: "openship", idempotencyKey },
+        }),
       }
     }) as any;
 
@@ -936,6 +908,24 @@ export async function fulfillmentUpdateWebhookHandler({
   };
 }
 
+// Function to verify a webhook from OpenFront was signed with the endpoint's secret
+export async function verifyWebhookFunction({
+  platform,
+  rawBody,
+  headers,
+}: {
+  platform: OpenFrontPlatform;
+  rawBody: string;
+  headers: Record<string, string>;
+}) {
+  // Each webhook endpoint has its own secret, stored on creation
+  return verifyOpenFrontWebhook(
+    rawBody,
+    headers["x-openfront-webhook-signature"] || "",
+    platform.webhookSecret || platform.appSecret || ""
+  );
+}
+
 export async function oAuthFunction({
   platform,
   callbackUrl,
@@ -1090,6 +1080,43 @@ export async function createTrackingWebhookHandler({
   };
 }
 
+// Function to exchange the refresh token for a new access token
+export async function refreshTokenFunction({
+  platform,
+}: {
+  platform: OpenFrontPlatform;
+}) {
+  if (!platform.refreshToken) {
+    throw new Error("OpenFront token refresh requires a refresh token");
+  }
+
+  const formData = new URLSearchParams({
+    grant_type: "refresh_token",
+    refresh_token: platform.refreshToken,
+    client_id: platform.appKey || "",
+    client_secret: platform.appSecret || "",
+  });
+
+  const response = await fetch(`${platform.domain}/api/oauth/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to refresh access token: ${response.statusText} - ${errorText}`);
+  }
+
+  const { access_token, refresh_token, expires_in } = await response.json();
+
+  return {
+    accessToken: access_token,
+    refreshToken: refresh_token,
+    expiresIn: expires_in,
+  };
+}
+
 // Required OAuth scopes for OpenFront channel integration
 const REQUIRED_SCOPES = "read_products,write_products,read_orders,write_orders,read_fulfillments,write_fulfillments,read_webhooks,write_webhooks";
 
@@ -12,10 +12,12 @@ import {
   resolveStateForPkce,
   storeSalesforceOAuthContext,
   storePkceVerifier,
+  refreshSalesforceAccessToken,
   resolveSalesforceLoginUrl,
   resolveSalesforceUrl,
   withSalesforceConnection,
 } from "../salesforce/common";
+import { verifySharedSecretWebhook } from "../lib/webhook-verification";
 
 interface SalesforceChannelPlatform extends SalesforcePlatformBase {
   fulfillmentAccountId?: string;
@@ -53,6 +55,16 @@ interface CreatePurchaseArgs {
     email?: string;
   };
   notes?: string;
+  idempotencyKey?: string;
+}
+
+interface FindPurchaseArgs {
+  idempotencyKey: string;
+}
+
+interface CancelPurchaseArgs {
+  purchaseId: string;
+  reason?: string;
 }
 
 interface CreateWebhookArgs {
@@ -187,7 +199,29 @@ export async function getProductFunction({ platform, productId }: GetProductArgs
   });
 }
 
-export async function createPurchaseFunction({ platform, cartItems, shipping, notes }: CreatePurchaseArgs & { platform: SalesforceChannelPlatform }) {
+export async function findPurchaseFunction({ platform, idempotencyKey }: FindPurchaseArgs & { platform: SalesforceChannelPlatform }) {
+  return withSalesforceConnection({ platform }, async (connection) => {
+    const result = await connection.query<{ Id: string; OrderNumber: string; TotalAmount: number }>(
+      `SELECT Id, OrderNumber, TotalAmount FROM Order WHERE OrderReferenceNumber = '${idempotencyKey.replace(/'/g, "\\'")}' LIMIT 1`
+    );
+
+    const record = result.records[0];
+    if (!record) {
+      return { purchase: null };
+    }
+
+    return {
+      purchase: {
+        purchaseId: record.Id,
+        orderNumber: record.OrderNumber,
+        totalPrice: record.TotalAmount,
+        url: `${resolveSalesforceUrl(platform.domain)}/lightning/r/Order/${record.Id}/view`,
+      },
+    };
+  });
+}
+
+export async function createPurchaseFunction({ platform, cartItems, shipping, notes, idempotencyKey }: CreatePurchaseArgs & { platform: SalesforceChannelPlatform }) {
   return withSalesforceConnection({ platform }, async (connection) => {
     const accountId = platform.fulfillmentAccountId || platform.metadata?.accountId;
     if (!accountId) {
@@ -208,6 +242,7 @@ export async function createPurchaseFunction({ platform, cartItems, shipping, no
       ShippingPostalCode: shipping?.zip,
       ShippingCountry: shipping?.country,
       CustomerAuthorizedById: platform.metadata?.authorizedContactId,
+      OrderReferenceNumber: idempotencyKey,
     });
 
     if (!orderCreate.success) {
@@ -236,6 +271,37 @@ export async function createPurchaseFunction({ platform, cartItems, shipping, no
   });
 }
 
+export async function cancelPurchaseFunction({ platform, purchaseId, reason }: CancelPurchaseArgs & { platform: SalesforceChannelPlatform }) {
+  return withSalesforceConnection({ platform }, async (connection) => {
+    const result = await connection.query<{ Id: string; Status: string }>(
+      `SELECT Id, Status FROM Order WHERE Id = '${purchaseId}' LIMIT 1`
+    );
+
+    const record = result.records[0];
+    if (!record) {
+      throw new Error(`Salesforce order ${purchaseId} not found`);
+    }
+
+    // Draft orders were never activated, so they can simply be removed
+    if (record.Status === "Draft") {
+      await connection.sobject("Order").destroy(purchaseId);
+      return { success: true, purchaseId };
+    }
+
+    const updateResult = await connection.sobject("Order").update({
+      Id: purchaseId,
+      Status: platform.metadata?.cancelledStatus || "Cancelled",
+      ...(reason && { Description: reason }),
+    });
+
+    if (!updateResult.success) {
+      throw new Error(`Failed to cancel Salesforce order ${purchaseId}`);
+    }
+
+    return { success: true, purchaseId };
+  });
+}
+
 export async function createWebhookFunction({ platform, endpoint, events }: { platform: SalesforceChannelPlatform; endpoint: string; events: string[]; }) {
   return withSalesforceConnection({ platform }, async (connection) => {
     const notifyOnCreate = events.includes("FULFILLMENT_CREATED") || events.includes("ORDER_CREATED");
@@ -501,6 +567,18 @@ export async function oAuthCallbackFunction({ platform, code, state, redirectUri
   };
 }
 
+export async function refreshTokenFunction({ platform }: { platform: SalesforceChannelPlatform }) {
+  return refreshSalesforceAccessToken(platform);
+}
+
+// Salesforce can't sign outbound requests, so the sender includes the shared secret as a header
+export async function verifyWebhookFunction({ platform, headers }: { platform: SalesforceChannelPlatform; rawBody: string; headers: Record<string, string> }) {
+  return verifySharedSecretWebhook(
+    headers["x-openship-webhook-secret"] || "",
+    platform.webhookSecret || ""
+  );
+}
+
 export async function createTrackingWebhookHandler({ event }: WebhookEventArgs & { platform: SalesforceChannelPlatform }) {
   const payload = event?.sobject || event;
   if (!payload?.Id) {
@@ -1,10 +1,12 @@
 import { GraphQLClient, gql } from "graphql-request";
+import { verifyShopifyWebhook } from "../lib/webhook-verification";
 
 interface ShopifyPlatform {
   domain: string;
   accessToken: string;
   appKey?: string;
   appSecret?: string;
+  webhookSecret?: string;
 }
 
 interface SearchProductsArgs {
@@ -35,6 +37,16 @@ interface CreatePurchaseArgs {
     phone?: string;
   };
   notes?: string;
+  idempotencyKey?: string;
+}
+
+interface FindPurchaseArgs {
+  idempotencyKey: string;
+}
+
+interface CancelPurchaseArgs {
+  purchaseId: string;
+  reason?: string;
 }
 
 interface CreateWebhookArgs {
@@ -227,16 +239,87 @@ export async function getProductFunction({
   return { product };
 }
 
+function tagSearch(idempotencyKey: string) {
+  return `tag:'${idempotencyKey.replace(/'/g, "\\'")}'`;
+}
+
+async function findOpenDraftOrder(shopifyClient: GraphQLClient, idempotencyKey: string) {
+  const { draftOrders } = await shopifyClient.request(gql`
+    query FindDraftOrder($query: String!) {
+      draftOrders(first: 1, query: $query) {
+        edges {
+          node {
+            id
+            invoiceUrl
+          }
+        }
+      }
+    }
+  `, { query: `${tagSearch(idempotencyKey)} status:open` }) as any;
+
+  return draftOrders.edges[0]?.node || null;
+}
+
+// Function to find a purchase previously placed with the given idempotency key
+export async function findPurchaseFunction({
+  platform,
+  idempotencyKey,
+}: {
+  platform: ShopifyPlatform;
+} & FindPurchaseArgs) {
+  const shopifyClient = new GraphQLClient(
+    `https://${platform.domain}/admin/api/graphql.json`,
+    {
+      headers: {
+        "X-Shopify-Access-Token": platform.accessToken,
+      },
+    }
+  );
+
+  const { orders } = await shopifyClient.request(gql`
+    query FindOrder($query: String!) {
+      orders(first: 1, query: $query) {
+        edges {
+          node {
+            id
+            name
+            totalPrice
+          }
+        }
+      }
+    }
+  `, { query: tagSearch(idempotencyKey) }) as any;
+
+  const order = orders.edges[0]?.node;
+  if (!order) {
+    return { purchase: null };
+  }
+
+  const purchaseId = order.id.split("/").pop();
+
+  return {
+    purchase: {
+      purchaseId,
+      orderNumber: order.name,
+      totalPrice: order.totalPrice,
+      url: `https://${platform.domain}/admin/orders/${purchaseId}`,
+      status: "pending",
+    },
+  };
+}
+
 export async function createPurchaseFunction({
   platform,
   cartItems,
   shipping,
   notes,
+  idempotencyKey,
 }: {
   platform: ShopifyPlatform;
   cartItems: CreatePurchaseArgs['cartItems'];
   shipping?: CreatePurchaseArgs['shipping'];
   notes?: string;
+  idempotencyKey?: string;
 }) {
   const shopifyClient = new GraphQLClient(
     `https://${platform.domain}/admin/api/graphql.json`,
@@ -302,6 +385,8 @@ export async function createPurchaseFunction({
   const input: any = {
     lineItems,
     note: notes,
+    // Tags carry over to the completed order so the purchase can be found again
+    ...(idempotencyKey && { tags: [idempotencyKey] }),
   };
 
   if (shipping) {
@@ -318,13 +403,20 @@ export async function createPurchaseFunction({
     };
   }
 
-  const result = await shopifyClient.request(mutation, { input }) as any;
+  // Reuse a draft left open by an earlier attempt that failed before completing it
+  let draftOrder = idempotencyKey
+    ? await findOpenDraftOrder(shopifyClient, idempotencyKey)
+    : null;
 
-  if (result.draftOrderCreate.userErrors.length > 0) {
-    throw new Error(`Failed to create purchase: ${result.draftOrderCreate.userErrors.map((e: any) => e.message).join(', ')}`);
-  }
+  if (!draftOrder) {
+    const result = await shopifyClient.request(mutation, { input }) as any;
 
-  const draftOrder = result.draftOrderCreate.draftOrder;
+    if (result.draftOrderCreate.userErrors.length > 0) {
+      throw new Error(`Failed to create purchase: ${result.draftOrderCreate.userErrors.map((e: any) => e.message).join(', ')}`);
+    }
+
+    draftOrder = result.draftOrderCreate.draftOrder;
+  }
 
   // Complete the draft order to create an actual order
   const completeMutation = gql`
@@ -383,6 +475,55 @@ export async function createPurchaseFunction({
   };
 }
 
+// Function to cancel a purchase placed through createPurchaseFunction
+export async function cancelPurchaseFunction({
+  platform,
+  purchaseId,
+  reason,
+}: {
+  platform: ShopifyPlatform;
+} & CancelPurchaseArgs) {
+  const shopifyClient = new GraphQLClient(
+    `https://${platform.domain}/admin/api/graphql.json`,
+    {
+      headers: {
+        "X-Shopify-Access-Token": platform.accessToken,
+      },
+    }
+  );
+
+  const result = await shopifyClient.request(gql`
+    mutation CancelOrder($orderId: ID!, $staffNote: String) {
+      orderCancel(
+        orderId: $orderId
+        reason: CUSTOMER
+        refund: true
+        restock: true
+        notifyCustomer: false
+        staffNote: $staffNote
+      ) {
+        job {
+          id
+        }
+        orderCancelUserErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    orderId: `gid://shopify/Order/${purchaseId}`,
+    staffNote: reason,
+  }) as any;
+
+  const errors = result.orderCancel.orderCancelUserErrors;
+  if (errors.length > 0) {
+    throw new Error(`Failed to cancel purchase: ${errors.map((e: any) => e.message).join(', ')}`);
+  }
+
+  return { success: true, purchaseId };
+}
+
 export async function createWebhookFunction({
   platform,
   endpoint,
@@ -600,6 +741,23 @@ export async function oAuthCallbackFunction({
   };
 }
 
+export async function verifyWebhookFunction({
+  platform,
+  rawBody,
+  headers,
+}: {
+  platform: ShopifyPlatform;
+  rawBody: string;
+  headers: Record<string, string>;
+}) {
+  // Webhooks created through the app are signed with its client secret
+  return verifyShopifyWebhook(
+    rawBody,
+    headers["x-shopify-hmac-sha256"] || "",
+    platform.webhookSecret || platform.appSecret || process.env.SHOPIFY_APP_SECRET || ""
+  );
+}
+
 export async function createTrackingWebhookHandler({
   platform,
   event,
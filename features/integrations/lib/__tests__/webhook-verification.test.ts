@@ -0,0 +1,43 @@
+import { describe, expect, it } from "bun:test";
+import {
+  createTestWebhookSignature,
+  verifyOpenFrontWebhook,
+  verifySharedSecretWebhook,
+  verifyShopifyWebhook,
+  verifyWebhook,
+} from "../webhook-verification";
+
+const SECRET = "whsec_test";
+const BODY = JSON.stringify({ id: "order_1", total: "10.00" });
+
+describe("Webhook verification", () => {
+  it("accepts Shopify signatures over the raw body only", () => {
+    const signature = createTestWebhookSignature("shopify", BODY, SECRET);
+
+    expect(verifyShopifyWebhook(BODY, signature, SECRET)).toBe(true);
+    expect(verifyShopifyWebhook(BODY.replace("10.00", "0.01"), signature, SECRET)).toBe(false);
+    expect(verifyShopifyWebhook(BODY, signature, "other")).toBe(false);
+  });
+
+  it("accepts OpenFront signatures with or without the algorithm prefix", () => {
+    const signature = createTestWebhookSignature("openfront", BODY, SECRET);
+
+    expect(verifyOpenFrontWebhook(BODY, signature, SECRET)).toBe(true);
+    expect(verifyOpenFrontWebhook(BODY, `sha256=${signature}`, SECRET)).toBe(true);
+    expect(
+      verifyWebhook("openfront", BODY, { "x-openfront-webhook-signature": signature }, SECRET)
+    ).toBe(true);
+  });
+
+  it("rejects missing secrets and headers of the wrong length without throwing", () => {
+    expect(verifyOpenFrontWebhook(BODY, "abc", SECRET)).toBe(false);
+    expect(verifyShopifyWebhook(BODY, "", SECRET)).toBe(false);
+    expect(verifyShopifyWebhook(BODY, "abc", "")).toBe(false);
+  });
+
+  it("compares shared secret headers", () => {
+    expect(verifySharedSecretWebhook(SECRET, SECRET)).toBe(true);
+    expect(verifySharedSecretWebhook("whsec_tesT", SECRET)).toBe(false);
+    expect(verifySharedSecretWebhook("", "")).toBe(false);
+  });
+});
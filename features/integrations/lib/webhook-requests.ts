@@ -0,0 +1,88 @@
+import { keystoneContext } from '@/features/keystone/context';
+import { getRequestIp } from '@/features/keystone/lib/auditLog';
+import { verifyShopWebhook } from '../shop/lib/executor';
+import { verifyChannelWebhook } from '../channel/lib/executor';
+
+export type WebhookSource = 'shop' | 'channel';
+
+interface VerifyWebhookRequestArgs {
+  source: WebhookSource;
+  id: string;
+  // Handler route name, only used when logging rejections
+  route: string;
+  rawBody: string;
+  headers: Record<string, string>;
+}
+
+export interface WebhookVerification {
+  valid: boolean;
+  reason?: string;
+}
+
+const WEBHOOK_OWNER_QUERY = `
+  id
+  domain
+  accessToken
+  webhookSecret
+  platform {
+    id
+    name
+    appKey
+    appSecret
+    verifyWebhookFunction
+  }
+`;
+
+async function checkSignature({ source, id, rawBody, headers }: VerifyWebhookRequestArgs): Promise<WebhookVerification> {
+  const owner = source === 'shop'
+    ? await keystoneContext.sudo().query.Shop.findOne({ where: { id }, query: WEBHOOK_OWNER_QUERY })
+    : await keystoneContext.sudo().query.Channel.findOne({ where: { id }, query: WEBHOOK_OWNER_QUERY });
+
+  if (!owner) {
+    return { valid: false, reason: `${source} not found` };
+  }
+
+  // Unverifiable deliveries are refused rather than trusted
+  if (!owner.platform?.verifyWebhookFunction) {
+    return { valid: false, reason: `platform ${owner.platform?.name || ''} has no verifyWebhookFunction` };
+  }
+
+  const platform = {
+    ...owner.platform,
+    domain: owner.domain,
+    accessToken: owner.accessToken,
+    webhookSecret: owner.webhookSecret,
+  };
+
+  try {
+    const valid = source === 'shop'
+      ? await verifyShopWebhook({ platform, rawBody, headers })
+      : await verifyChannelWebhook({ platform, rawBody, headers });
+
+    return valid ? { valid } : { valid, reason: 'signature mismatch' };
+  } catch (error) {
+    return { valid: false, reason: `verification failed: ${(error as Error).message}` };
+  }
+}
+
+/**
+ * Verifies a delivery to one of the webhook handler routes against its raw body
+ * with the platform's verifyWebhookFunction. Rejections are logged with where
+ * they came from but never with their payload.
+ */
+export async function verifyWebhookRequest(args: VerifyWebhookRequestArgs): Promise<WebhookVerification> {
+  const verification = await checkSignature(args);
+
+  if (!verification.valid) {
+    console.warn('Rejected webhook delivery', {
+      source: args.source,
+      id: args.id,
+      route: args.route,
+      reason: verification.reason,
+      ip: getRequestIp({ headers: args.headers }),
+      userAgent: args.headers['user-agent'] || '',
+    });
+  }
+
+  return verification;
+}
@@ -1,5 +1,12 @@
 import crypto from 'crypto'
 
+// timingSafeEqual throws on different lengths, which a forged header can have
+function safeEqual(expected: string, received: string): boolean {
+  const a = Buffer.from(expected)
+  const b = Buffer.from(received)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
 /**
  * Verify Shopify webhook HMAC signature
  * @param rawBody - The raw request body as a string or Buffer
@@ -26,10 +33,7 @@ export function verifyShopifyWebhook(
     .digest('base64')
 
   // Compare with timing-safe comparison to prevent timing attacks
-  return crypto.timingSafeEqual(
-    Buffer.from(hash),
-    Buffer.from(hmacHeader)
-  )
+  return safeEqual(hash, hmacHeader)
 }
 
 /**
@@ -56,10 +60,52 @@ export function verifyWooCommerceWebhook(
     .update(bodyString)
     .digest('base64')
 
-  return crypto.timingSafeEqual(
-    Buffer.from(expectedSignature),
-    Buffer.from(signatureHeader)
-  )
+  return safeEqual(expectedSignature, signatureHeader)
+}
+
+/**
+ * Verify OpenFront webhook signature
+ * @param rawBody - The raw request body
+ * @param signatureHeader - The X-OpenFront-Webhook-Signature header value
+ * @param secret - The secret of the OpenFront webhook endpoint
+ * @returns boolean indicating if the webhook is authentic
+ */
+export function verifyOpenFrontWebhook(
+  rawBody: string | Buffer,
+  signatureHeader: string,
+  secret: string
+): boolean {
+  if (!signatureHeader || !secret) {
+    return false
+  }
+
+  const bodyString = typeof rawBody === 'string' ? rawBody : rawBody.toString('utf8')
+
+  // OpenFront signs with hex encoded HMAC-SHA256, optionally prefixed with the algorithm
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(bodyString, 'utf8')
+    .digest('hex')
+
+  return safeEqual(expectedSignature, signatureHeader.replace(/^sha256=/, ''))
+}
+
+/**
+ * Verify a webhook that carries a shared secret header, for senders that
+ * can't sign payloads (e.g. Salesforce outbound messages and flows)
+ * @param secretHeader - The X-Openship-Webhook-Secret header value
+ * @param secret - The expected secret
+ * @returns boolean indicating if the webhook is authentic
+ */
+export function verifySharedSecretWebhook(
+  secretHeader: string,
+  secret: string
+): boolean {
+  if (!secretHeader || !secret) {
+    return false
+  }
+
+  return safeEqual(secret, secretHeader)
 }
 
 /**
@@ -85,6 +131,13 @@ export function verifyWebhook(
         headers['x-wc-webhook-signature'] || '',
         secret
       )
+
+    case 'openfront':
+      return verifyOpenFrontWebhook(
+        rawBody,
+        headers['x-openfront-webhook-signature'] || '',
+        secret
+      )
     
     // Add more platforms as needed
     default:
@@ -145,6 +198,12 @@ export function createTestWebhookSignature(
         .createHmac('sha256', secret)
         .update(bodyString)
         .digest('base64')
+
+    case 'openfront':
+      return crypto
+        .createHmac('sha256', secret)
+        .update(bodyString)
+        .digest('hex')
     
     default:
       throw new Error(`Unknown platform for signature creation: ${platform}`)
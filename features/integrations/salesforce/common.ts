@@ -451,6 +451,28 @@ export function getSalesforceCredentials(platform: SalesforcePlatformBase, appKe
   return { clientId, clientSecret };
 }
 
+// Exchanges the stored refresh token for a new access token
+export async function refreshSalesforceAccessToken(platform: SalesforcePlatformBase) {
+  if (!platform.refreshToken) {
+    throw new Error("Salesforce token refresh requires a refresh token");
+  }
+
+  const { clientId, clientSecret } = getSalesforceCredentials(platform);
+  const oauth2 = new OAuth2({
+    loginUrl: resolveSalesforceLoginUrl(platform),
+    clientId,
+    clientSecret,
+  });
+
+  const tokenResponse = await oauth2.refreshToken(platform.refreshToken);
+
+  // Salesforce doesn't return an expiry, sessions last as long as the org's timeout
+  return {
+    accessToken: tokenResponse.access_token,
+    refreshToken: tokenResponse.refresh_token || platform.refreshToken,
+  };
+}
+
 export async function withSalesforceConnection<T>(options: SalesforceConnectionOptions, action: (connection: Connection) => Promise<T>): Promise<T> {
   const { platform, appKeyOverride, appSecretOverride, redirectUri, onTokenRefresh } = options;
   const { clientId, clientSecret } = getSalesforceCredentials(platform, appKeyOverride, appSecretOverride);
@@ -0,0 +1,69 @@
+import { afterEach, beforeEach, describe, expect, it } from "bun:test";
+import { encryptSecret } from "../../../keystone/lib/secrets";
+import { addShopTracking } from "../lib/executor";
+
+const realFetch = globalThis.fetch;
+
+describe("Shopify tracking", () => {
+  beforeEach(() => {
+    process.env.OPENSHIP_ENCRYPTION_KEY = "a".repeat(64);
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+    delete process.env.OPENSHIP_ENCRYPTION_KEY;
+  });
+
+  it("sends the decrypted shop token, not the stored one", async () => {
+    const accessToken = encryptSecret("shpat_123");
+    const requests: Request[] = [];
+    // The open fulfillment order first, then the fulfillment created for it
+    const responses = [
+      {
+        order: {
+          fulfillmentOrders: {
+            edges: [
+              {
+                node: {
+                  id: "gid://shopify/FulfillmentOrder/1",
+                  lineItems: {
+                    edges: [
+                      {
+                        node: {
+                          id: "gid://shopify/FulfillmentOrderLineItem/1",
+                          remainingQuantity: 1,
+                          lineItem: { id: "gid://shopify/LineItem/100" },
+                        },
+                      },
+                    ],
+                  },
+                },
+              },
+            ],
+          },
+        },
+      },
+      { fulfillmentCreateV2: { fulfillment: { id: "gid://shopify/Fulfillment/1" }, userErrors: [] } },
+    ];
+    globalThis.fetch = (async (input: any, init?: any) => {
+      requests.push(new Request(input, init));
+      return new Response(JSON.stringify({ data: responses[requests.length - 1] }), {
+        headers: { "Content-Type": "application/json" },
+      });
+    }) as any;
+
+    await addShopTracking({
+      platform: { addTrackingFunction: "shopify", domain: "shop.test", accessToken },
+      order: { orderId: "1001", shop: { domain: "shop.test", accessToken } },
+      trackingCompany: "UPS",
+      trackingNumber: "1Z999",
+      lineItems: [{ lineItemId: "100", quantity: 1 }],
+    });
+
+    expect(requests).toHaveLength(2);
+    expect(requests[0].url).toBe("https://shop.test/admin/api/graphql.json");
+    expect(requests.map((request) => request.headers.get("X-Shopify-Access-Token"))).toEqual(
+      requests.map(() => "shpat_123")
+    );
+  });
+});
@@ -1,4 +1,7 @@
-export async function executeShopAdapterFunction({ platform, functionName, args }: { platform: any; functionName: string; args: any }) {
+import { decryptPlatformCredentials, decryptSecret } from "../../../keystone/lib/secrets";
+import { callWithTokenRefresh } from "../../../keystone/lib/tokenRefresh";
+
+async function callShopAdapterFunction({ platform, functionName, args }: { platform: any; functionName: string; args: any }) {
   const functionPath = platform[functionName];
 
   if (functionPath.startsWith("http")) {
@@ -9,7 +12,9 @@ export async function executeShopAdapterFunction({ platform, functionName, args
     });
 
     if (!response.ok) {
-      throw new Error(`HTTP request failed: ${response.statusText}`);
+      throw Object.assign(new Error(`HTTP request failed: ${response.statusText}`), {
+        status: response.status,
+      });
     }
     return response.json();
   }
@@ -29,11 +34,23 @@ export async function executeShopAdapterFunction({ platform, functionName, args
     return await fn({ platform, ...args });
   } catch (error) {
     throw new Error(
-      `Error executing ${functionName} for platform ${functionPath}: ${(error as Error).message}`
+      `Error executing ${functionName} for platform ${functionPath}: ${(error as Error).message}`,
+      { cause: error }
     );
   }
 }
 
+export async function executeShopAdapterFunction({ platform, functionName, args }: { platform: any; functionName: string; args: any }) {
+  return callWithTokenRefresh({
+    listKey: "Shop",
+    // Credentials are stored encrypted and only decrypted for the adapter call
+    platform: decryptPlatformCredentials(platform),
+    functionName,
+    args,
+    call: callShopAdapterFunction,
+  });
+}
+
 // Helper functions for common shop operations
 export async function searchShopProducts({ platform, searchEntry, after }: { platform: any; searchEntry: string; after?: string }) {
   return executeShopAdapterFunction({
@@ -111,8 +128,18 @@ export async function handleShopOAuthCallback({ platform, code, shop, state, app
   return executeShopAdapterFunction({
     platform,
     functionName: "oAuthCallbackFunction",
-    args: { code, shop, state, appKey, appSecret, redirectUri },
+    args: { code, shop, state, appKey, appSecret: appSecret && decryptSecret(appSecret), redirectUri },
+  });
+}
+
+// Resolves to true only when the adapter confirms the delivery's signature
+export async function verifyShopWebhook({ platform, rawBody, headers }: { platform: any; rawBody: string; headers: Record<string, string> }) {
+  const result = await executeShopAdapterFunction({
+    platform,
+    functionName: "verifyWebhookFunction",
+    args: { rawBody, headers },
   });
+  return result === true || result?.valid === true;
 }
 
 export async function handleShopOrderWebhook({ platform, event, headers }: { platform: any; event: any; headers: any }) {
@@ -123,6 +150,14 @@ export async function handleShopOrderWebhook({ platform, event, headers }: { pla
   });
 }
 
+export async function handleShopOrderUpdateWebhook({ platform, event, headers }: { platform: any; event: any; headers: any }) {
+  return executeShopAdapterFunction({
+    platform,
+    functionName: "updateOrderWebhookHandler",
+    args: { event, headers },
+  });
+}
+
 export async function handleShopCancelWebhook({ platform, event, headers }: { platform: any; event: any; headers: any }) {
   return executeShopAdapterFunction({
     platform,
@@ -131,10 +166,10 @@ export async function handleShopCancelWebhook({ platform, event, headers }: { pl
   });
 }
 
-export async function addShopTracking({ platform, order, trackingCompany, trackingNumber }: { platform: any; order: any; trackingCompany: string; trackingNumber: string }) {
+export async function addShopTracking({ platform, order, trackingCompany, trackingNumber, lineItems }: { platform: any; order: any; trackingCompany: string; trackingNumber: string; lineItems?: Array<{ lineItemId: string; quantity: number }> }) {
   return executeShopAdapterFunction({
     platform,
     functionName: "addTrackingFunction",
-    args: { order, trackingCompany, trackingNumber },
+    args: { order, trackingCompany, trackingNumber, lineItems },
   });
 }
\ No newline at end of file
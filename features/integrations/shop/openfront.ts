@@ -1,6 +1,6 @@
 import { GraphQLClient, gql } from "graphql-request";
 import { getBaseUrl } from '@/features/dashboard/lib/getBaseUrl';
-import { keystoneContext } from '@/features/keystone/context';
+import { verifyOpenFrontWebhook } from '../lib/webhook-verification';
 
 interface OpenFrontPlatform {
   domain: string;
@@ -9,6 +9,7 @@ interface OpenFrontPlatform {
   tokenExpiresAt?: Date | string;
   appKey?: string;
   appSecret?: string;
+  webhookSecret?: string;
 }
 
 interface SearchProductsArgs {
@@ -57,102 +58,13 @@ interface WebhookEventArgs {
   headers: Record<string, string>;
 }
 
-// Helper function to get fresh access token with proper OAuth 2.0 flow
-const getFreshAccessToken = async (platform: OpenFrontPlatform) => {
-  
-  // Get shop with OAuth credentials from database
-  const shops = await keystoneContext.sudo().query.Shop.findMany({
-    where: { 
-      domain: { equals: platform.domain },
-      accessToken: { equals: platform.accessToken }
-    },
-    query: 'id refreshToken tokenExpiresAt platform { appKey appSecret }'
-  });
-  
-  if (!shops || shops.length === 0) {
-    return platform.accessToken;
-  }
-  
-  const shop = shops[0];
-  
-  // If we have a refresh token, check if we need to refresh
-  if (shop.refreshToken) {
-    // Check if access token has expired (if we have expiry info)
-    let shouldRefresh = false;
-    
-    if (shop.tokenExpiresAt) {
-      const expiresAt = typeof shop.tokenExpiresAt === 'string' 
-        ? new Date(shop.tokenExpiresAt) 
-        : shop.tokenExpiresAt;
-      
-      const now = new Date();
-      shouldRefresh = expiresAt <= now;
-    } else {
-      // If no expiry info, assume token needs refresh
-      shouldRefresh = true;
-    }
-    
-    if (shouldRefresh) {
-      
-      // Use refresh token to get new access token
-      const tokenUrl = `${platform.domain}/api/oauth/token`;
-      
-      const formData = new URLSearchParams({
-        grant_type: "refresh_token",
-        refresh_token: shop.refreshToken,
-        client_id: shop.platform?.appKey || "",
-        client_secret: shop.platform?.appSecret || "",
-      });
-      const response = await fetch(tokenUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-        body: formData,
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to refresh access token: ${response.statusText} - ${errorText}`);
-      }
-
-      const tokenData = await response.json();
-      
-      const { access_token, refresh_token, expires_in } = tokenData;
-      
-      // Update stored access token and expiry in database
-      try {
-        await keystoneContext.sudo().query.Shop.updateOne({
-          where: { id: shop.id },
-          data: {
-            accessToken: access_token,
-            ...(refresh_token && { refreshToken: refresh_token }),
-            ...(expires_in && { tokenExpiresAt: new Date(Date.now() + (expires_in * 1000)) })
-          }
-        });
-      } catch (error) {
-        console.error('Failed to update shop tokens in database:', error);
-        // Continue with the request even if database update fails
-      }
-      
-      return access_token;
-    } else {
-      // Token hasn't expired yet, use existing one
-      return platform.accessToken;
-    }
-  }
-  
-  // If no refresh token, just use the access token as-is
-  return platform.accessToken;
-};
-
-// Helper function to create OpenFront GraphQL client with fresh token
+// Expiring tokens are refreshed by callWithTokenRefresh before any adapter function runs
 const createOpenFrontClient = async (platform: OpenFrontPlatform) => {
-  const freshAccessToken = await getFreshAccessToken(platform);
-  
   return new GraphQLClient(
     `${platform.domain}/api/graphql`,
     {
       headers: {
-        "Authorization": `Bearer ${freshAccessToken}`,
+        "Authorization": `Bearer ${platform.accessToken}`,
         "Content-Type": "application/json",
       },
     }
@@ -406,10 +318,12 @@ export async function searchOrdersFunction({
   platform,
   searchEntry,
   after,
+  createdAtMin,
 }: {
   platform: OpenFrontPlatform;
   searchEntry: string;
   after?: string;
+  createdAtMin?: string;
 }) {
   console.log("fuckkk")
   const openFrontClient = await createOpenFrontClient(platform);
@@ -491,6 +405,10 @@ export async function searchOrdersFunction({
     ];
   }
 
+  if (createdAtMin) {
+    where.createdAt = { gte: createdAtMin };
+  }
+
   // Handle pagination
   const take = 15;
   const skip = after ? parseInt(Buffer.from(after, 'base64').toString()) : 0;
@@ -512,6 +430,7 @@ export async function searchOrdersFunction({
       orderName: `#${order.displayId}`,
       link: `${platform.domain}/admin/orders/${order.id}`,
       date: new Date(order.createdAt).toLocaleDateString(),
+      createdAt: order.createdAt,
       firstName: shippingAddress.firstName || "",
       lastName: shippingAddress.lastName || "",
       streetAddress1: shippingAddress.address1 || "",
@@ -523,6 +442,7 @@ export async function searchOrdersFunction({
       email: order.email || "",
       fulfillmentStatus: order.status,
       financialStatus: order.status,
+      closed: ["canceled", "completed", "archived"].includes(order.status),
       totalPrice: order.rawTotal ? (order.rawTotal / 100).toFixed(2) : "0.00",
       currency: order.currency?.code || "USD",
       lineItems: (order.lineItems || []).map((lineItem: any) => {
@@ -635,6 +555,7 @@ export async function createWebhookFunction({
   // Map Openship events to OpenFront events
   const eventMap: Record<string, string> = {
     ORDER_CREATED: "order.created",
+    ORDER_UPDATED: "order.updated",
     ORDER_CANCELLED: "order.cancelled",
     TRACKING_CREATED: "fulfillment.created",
   };
@@ -646,6 +567,8 @@ export async function createWebhookFunction({
       url: endpoint,
       events: openFrontEvents,
       isActive: true,
+      // Keep one signing secret per shop so every endpoint verifies the same way
+      ...(platform.webhookSecret && { secret: platform.webhookSecret }),
     },
   }) as any;
 
@@ -707,6 +630,7 @@ export async function getWebhooksFunction({
   // Map OpenFront events back to Openship events
   const eventMap: Record<string, string> = {
     "order.created": "ORDER_CREATED",
+    "order.updated": "ORDER_UPDATED",
     "order.cancelled": "ORDER_CANCELLED", 
     "fulfillment.created": "TRACKING_CREATED",
   };
@@ -812,6 +736,59 @@ export async function oAuthCallbackFunction({
   };
 }
 
+export async function refreshTokenFunction({
+  platform,
+}: {
+  platform: OpenFrontPlatform;
+}) {
+  if (!platform.refreshToken) {
+    throw new Error("OpenFront token refresh requires a refresh token");
+  }
+
+  const formData = new URLSearchParams({
+    grant_type: "refresh_token",
+    refresh_token: platform.refreshToken,
+    client_id: platform.appKey || "",
+    client_secret: platform.appSecret || "",
+  });
+
+  const response = await fetch(`${platform.domain}/api/oauth/token`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Failed to refresh access token: ${response.statusText} - ${errorText}`);
+  }
+
+  const { access_token, refresh_token, expires_in } = await response.json();
+
+  return {
+    accessToken: access_token,
+    refreshToken: refresh_token,
+    expiresIn: expires_in,
+  };
+}
+
+export async function verifyWebhookFunction({
+  platform,
+  rawBody,
+  headers,
+}: {
+  platform: OpenFrontPlatform;
+  rawBody: string;
+  headers: Record<string, string>;
+}) {
+  // Each webhook endpoint has its own secret, stored on creation
+  return verifyOpenFrontWebhook(
+    rawBody,
+    headers["x-openfront-webhook-signature"] || "",
+    platform.webhookSecret || platform.appSecret || ""
+  );
+}
+
 export async function createOrderWebhookHandler({
   platform,
   event,
@@ -829,26 +806,37 @@ export async function createOrderWebhookHandler({
   }
 
   // Transform OpenFront order to Openship format
-  const lineItemsOutput = event.data?.lineItems?.map((item: any) => {
-    // Combine product title and variant title like in channel search
-    const productTitle = item.productVariant?.product?.title || '';
-    const variantTitle = item.productVariant?.title || '';
-    const combinedTitle = productTitle && variantTitle ? `${productTitle} - ${variantTitle}` : item.title;
-    
-    return {
-      name: combinedTitle,
-      image: getProductImageUrl(item.productVariant?.product?.productImages?.[0], platform.domain) || item.thumbnail,
-      price: item.moneyAmount?.amount ? (item.moneyAmount.amount / 100) : 0, // Convert from cents to float
-      quantity: item.quantity || 0,
-      productId: item.productVariant?.product?.id?.toString(),
-      variantId: item.productVariant?.id?.toString(),
-      sku: item.productVariant?.sku || item.sku || "",
-      lineItemId: item.id?.toString(),
-    };
-  }) || [];
+  const lineItemsOutput = event.data?.lineItems?.map((item: any) => formatWebhookLineItem(item, platform)) || [];
 
-  // Return Keystone-ready order data
-  const orderData = event.data;
+  return {
+    ...formatWebhookOrder(event.data),
+    status: "INPROCESS",
+    linkOrder: true,
+    matchOrder: true,
+    processOrder: true,
+    lineItems: { create: lineItemsOutput },
+  };
+}
+
+function formatWebhookLineItem(item: any, platform: OpenFrontPlatform) {
+  // Combine product title and variant title like in channel search
+  const productTitle = item.productVariant?.product?.title || '';
+  const variantTitle = item.productVariant?.title || '';
+  const combinedTitle = productTitle && variantTitle ? `${productTitle} - ${variantTitle}` : item.title;
+  
+  return {
+    name: combinedTitle,
+    image: getProductImageUrl(item.productVariant?.product?.productImages?.[0], platform.domain) || item.thumbnail,
+    price: item.moneyAmount?.amount ? (item.moneyAmount.amount / 100) : 0, // Convert from cents to float
+    quantity: item.quantity || 0,
+    productId: item.productVariant?.product?.id?.toString(),
+    variantId: item.productVariant?.id?.toString(),
+    sku: item.productVariant?.sku || item.sku || "",
+    lineItemId: item.id?.toString(),
+  };
+}
+
+function formatWebhookOrder(orderData: any) {
   const shippingAddress = orderData.shippingAddress || {};
   
   return {
@@ -869,11 +857,27 @@ export async function createOrderWebhookHandler({
     subTotalPrice: parseFloat(orderData.subtotal?.replace(/[$,]/g, '') || '0'), // Parse formatted string to float
     totalDiscounts: parseFloat(orderData.discount?.replace(/[$,]/g, '') || '0'), // Parse formatted string to float
     totalTax: parseFloat(orderData.tax?.replace(/[$,]/g, '') || '0'), // Parse formatted string to float
-    status: "INPROCESS",
-    linkOrder: true,
-    matchOrder: true,
-    processOrder: true,
-    lineItems: { create: lineItemsOutput },
+  };
+}
+
+export async function updateOrderWebhookHandler({
+  platform,
+  event,
+  headers,
+}: {
+  platform: OpenFrontPlatform;
+  event: any;
+  headers: Record<string, string>;
+}) {
+  // Verify webhook authenticity
+  const signature = headers["x-openfront-webhook-signature"];
+  if (!signature) {
+    throw new Error("Missing webhook signature");
+  }
+
+  return {
+    ...formatWebhookOrder(event.data),
+    lineItems: event.data?.lineItems?.map((item: any) => formatWebhookLineItem(item, platform)) || [],
   };
 }
 
@@ -915,11 +919,13 @@ export async function addTrackingFunction({
   order,
   trackingCompany,
   trackingNumber,
+  lineItems,
 }: {
   platform: OpenFrontPlatform;
   order: any;
   trackingCompany: string;
   trackingNumber: string;
+  lineItems?: Array<{ lineItemId: string; quantity: number }>;
 }) {
 
   const openFrontClient = await createOpenFrontClient(platform);
@@ -986,15 +992,32 @@ export async function addTrackingFunction({
     }
   `;
 
+  // Partial shipments only include the given line items, capped at what the order holds
+  const fulfillmentItems = lineItems?.length
+    ? lineItems
+        .map(({ lineItemId, quantity }) => {
+          const lineItem = orderData.lineItems.find((item: any) => item.id === lineItemId);
+          return lineItem && {
+            lineItem: { connect: { id: lineItem.id } },
+            quantity: Math.min(quantity, lineItem.quantity),
+          };
+        })
+        .filter(Boolean)
+    : orderData.lineItems.map((lineItem: any) => ({
+        lineItem: { connect: { id: lineItem.id } },
+        quantity: lineItem.quantity
+      }));
+
+  if (fulfillmentItems.length === 0) {
+    throw new Error(`None of the shipped line items belong to order ${order.orderId}`);
+  }
+
   // Build fulfillment data (matching frontend createManualFulfillment pattern exactly)
   const fulfillmentData = {
     order: { connect: { id: order.orderId } },
     fulfillmentProvider: { connect: { code: "fp_manual" } },
     fulfillmentItems: {
-      create: orderData.lineItems.map((lineItem: any) => ({
-        lineItem: { connect: { id: lineItem.id } },
-        quantity: lineItem.quantity
-      }))
+      create: fulfillmentItems
     },
     shippingLabels: {
       create: [{
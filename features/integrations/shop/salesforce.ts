@@ -13,10 +13,12 @@ import {
   storeSalesforceOAuthContext,
   storePkceVerifier,
   consumeSalesforceOAuthContext,
+  refreshSalesforceAccessToken,
   resolveSalesforceLoginUrl,
   resolveSalesforceUrl,
   withSalesforceConnection,
 } from "../salesforce/common";
+import { verifySharedSecretWebhook } from "../lib/webhook-verification";
 
 interface SalesforceShopPlatform extends SalesforcePlatformBase {
   accountId?: string;
@@ -191,14 +193,15 @@ export async function getProductFunction({ platform, productId }: { platform: Sa
   });
 }
 
-export async function searchOrdersFunction({ platform, searchEntry, after }: { platform: SalesforceShopPlatform; searchEntry: string; after?: string; }) {
+export async function searchOrdersFunction({ platform, searchEntry, after, createdAtMin }: { platform: SalesforceShopPlatform; searchEntry: string; after?: string; createdAtMin?: string; }) {
   return withSalesforceConnection({ platform }, async (connection) => {
     const soql = `SELECT Id, OrderNumber, Status, TotalAmount, EffectiveDate, CreatedDate, LastModifiedDate,
       AccountId, Account.Name,
       ShippingStreet, ShippingCity, ShippingState, ShippingPostalCode, ShippingCountry,
       (SELECT Id, Quantity, UnitPrice, Description, Product2Id, PricebookEntryId FROM OrderItems)
       FROM Order
-      WHERE OrderNumber LIKE '${buildLike(searchEntry)}' OR Id LIKE '${buildLike(searchEntry)}'
+      WHERE (OrderNumber LIKE '${buildLike(searchEntry)}' OR Id LIKE '${buildLike(searchEntry)}')
+      ${createdAtMin ? `AND CreatedDate >= ${new Date(createdAtMin).toISOString().replace(/\.\d{3}Z$/, "Z")}` : ""}
       ORDER BY LastModifiedDate DESC LIMIT 50`;
 
     const result = after ? await connection.queryMore(after) : await connection.query<any>(soql);
@@ -206,6 +209,7 @@ export async function searchOrdersFunction({ platform, searchEntry, after }: { p
 
     const orders = records.map((record: any) => ({
       id: record.Id,
+      orderId: record.Id,
       orderName: record.OrderNumber,
       status: record.Status,
       totalPrice: record.TotalAmount,
@@ -534,6 +538,18 @@ export async function oAuthCallbackFunction({ platform, code, state, redirectUri
   };
 }
 
+export async function refreshTokenFunction({ platform }: { platform: SalesforceShopPlatform }) {
+  return refreshSalesforceAccessToken(platform);
+}
+
+// Salesforce can't sign outbound requests, so the sender includes the shared secret as a header
+export async function verifyWebhookFunction({ platform, headers }: { platform: SalesforceShopPlatform; rawBody: string; headers: Record<string, string> }) {
+  return verifySharedSecretWebhook(
+    headers["x-openship-webhook-secret"] || "",
+    platform.webhookSecret || ""
+  );
+}
+
 export async function createOrderWebhookHandler({ platform, event }: { platform: SalesforceShopPlatform; event: any; headers: Record<string, string> }) {
   const order = event?.sobject || event?.payload || event;
   if (!order?.Id) {
@@ -1,11 +1,13 @@
 import { GraphQLClient, gql } from "graphql-request";
 import { getBaseUrl } from '@/features/dashboard/lib/getBaseUrl';
+import { verifyShopifyWebhook } from '../lib/webhook-verification';
 
 interface ShopifyPlatform {
   domain: string;
   accessToken: string;
   appKey?: string;
   appSecret?: string;
+  webhookSecret?: string;
 }
 
 interface SearchProductsArgs {
@@ -224,10 +226,12 @@ export async function searchOrdersFunction({
   platform,
   searchEntry,
   after,
+  createdAtMin,
 }: {
   platform: ShopifyPlatform;
   searchEntry: string;
   after?: string;
+  createdAtMin?: string;
 }) {
   const shopifyClient = new GraphQLClient(
     `https://${platform.domain}/admin/api/graphql.json`,
@@ -250,6 +254,9 @@ export async function searchOrdersFunction({
             updatedAt
             displayFulfillmentStatus
             displayFinancialStatus
+            closed
+            cancelledAt
+            tags
             totalPriceSet {
               presentmentMoney {
                 amount
@@ -303,7 +310,9 @@ export async function searchOrdersFunction({
   `;
 
   const { orders } = await shopifyClient.request(gqlQuery, {
-    query: searchEntry,
+    query: [searchEntry, createdAtMin && `created_at:>='${createdAtMin}'`]
+      .filter(Boolean)
+      .join(" "),
     after,
   }) as any;
 
@@ -312,6 +321,7 @@ export async function searchOrdersFunction({
     orderName: node.name,
     link: `https://${platform.domain}/admin/orders/${node.id.split("/").pop()}`,
     date: new Date(node.createdAt).toLocaleDateString(),
+    createdAt: node.createdAt,
     firstName: node.shippingAddress?.firstName || "",
     lastName: node.shippingAddress?.lastName || "",
     streetAddress1: node.shippingAddress?.address1 || "",
@@ -323,6 +333,8 @@ export async function searchOrdersFunction({
     email: node.email || "",
     fulfillmentStatus: node.displayFulfillmentStatus,
     financialStatus: node.displayFinancialStatus,
+    closed: node.closed || Boolean(node.cancelledAt),
+    tags: node.tags.join(", "),
     totalPrice: node.totalPriceSet.presentmentMoney.amount,
     currency: node.totalPriceSet.presentmentMoney.currencyCode,
     lineItems: node.lineItems.edges.map(({ node: lineItem }: any) => ({
@@ -503,6 +515,7 @@ export async function createWebhookFunction({
 
   const mapTopic = {
     ORDER_CREATED: "ORDERS_CREATE",
+    ORDER_UPDATED: "ORDERS_UPDATED",
     ORDER_CANCELLED: "ORDERS_CANCELLED", 
     ORDER_CHARGEBACKED: "DISPUTES_CREATE",
     TRACKING_CREATED: "FULFILLMENTS_CREATE",
@@ -620,6 +633,7 @@ export async function getWebhooksFunction({
 }) {
   const mapTopic = {
     ORDERS_CREATE: "ORDER_CREATED",
+    ORDERS_UPDATED: "ORDER_UPDATED",
     ORDERS_CANCELLED: "ORDER_CANCELLED",
     DISPUTES_CREATE: "ORDER_CHARGEBACKED",
     FULFILLMENTS_CREATE: "TRACKING_CREATED",
@@ -732,6 +746,23 @@ export async function oAuthCallbackFunction({
   };
 }
 
+export async function verifyWebhookFunction({
+  platform,
+  rawBody,
+  headers,
+}: {
+  platform: ShopifyPlatform;
+  rawBody: string;
+  headers: Record<string, string>;
+}) {
+  // Webhooks created through the app are signed with its client secret
+  return verifyShopifyWebhook(
+    rawBody,
+    headers["x-shopify-hmac-sha256"] || "",
+    platform.webhookSecret || platform.appSecret || process.env.SHOPIFY_APP_SECRET || ""
+  );
+}
+
 export async function createOrderWebhookHandler({
   platform,
   event,
@@ -824,6 +855,7 @@ export async function createOrderWebhookHandler({
     subTotalPrice: parseFloat(event.subtotal_price || event.total_price),
     totalDiscounts: parseFloat(event.total_discounts || "0"),
     totalTax: parseFloat(event.total_tax || "0"),
+    tags: event.tags,
     status: "INPROCESS",
     linkOrder: true,
     matchOrder: true,
@@ -832,14 +864,113 @@ export async function createOrderWebhookHandler({
   };
 }
 
+async function addPartialFulfillment({
+  client,
+  orderId,
+  trackingCompany,
+  trackingNumber,
+  lineItems,
+}: {
+  client: GraphQLClient;
+  orderId: string;
+  trackingCompany: string;
+  trackingNumber: string;
+  lineItems: Array<{ lineItemId: string; quantity: number }>;
+}) {
+  const { order } = await client.request(gql`
+    query ($id: ID!) {
+      order(id: $id) {
+        fulfillmentOrders(first: 10, query: "status:open OR status:in_progress") {
+          edges {
+            node {
+              id
+              lineItems(first: 100) {
+                edges {
+                  node {
+                    id
+                    remainingQuantity
+                    lineItem {
+                      id
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `, { id: `gid://shopify/Order/${orderId}` }) as any;
+
+  // Remaining units to fulfill, keyed by shop line item id
+  const remaining = new Map(
+    lineItems.map(({ lineItemId, quantity }) => [
+      `gid://shopify/LineItem/${lineItemId}`,
+      quantity,
+    ])
+  );
+
+  const lineItemsByFulfillmentOrder = (order?.fulfillmentOrders?.edges || [])
+    .map(({ node: fulfillmentOrder }: any) => ({
+      fulfillmentOrderId: fulfillmentOrder.id,
+      fulfillmentOrderLineItems: fulfillmentOrder.lineItems.edges
+        .map(({ node }: any) => {
+          const wanted = remaining.get(node.lineItem.id) || 0;
+          const quantity = Math.min(wanted, node.remainingQuantity);
+          if (quantity > 0) {
+            remaining.set(node.lineItem.id, wanted - quantity);
+          }
+          return { id: node.id, quantity };
+        })
+        .filter(({ quantity }: any) => quantity > 0),
+    }))
+    .filter(({ fulfillmentOrderLineItems }: any) => fulfillmentOrderLineItems.length > 0);
+
+  if (lineItemsByFulfillmentOrder.length === 0) {
+    throw new Error("No open fulfillment order line items match this shipment");
+  }
+
+  const result = await client.request(gql`
+    mutation fulfillmentCreateV2($fulfillment: FulfillmentV2Input!) {
+      fulfillmentCreateV2(fulfillment: $fulfillment) {
+        fulfillment {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `, {
+    fulfillment: {
+      lineItemsByFulfillmentOrder,
+      trackingInfo: {
+        company: trackingCompany,
+        numbers: [trackingNumber],
+      },
+    },
+  }) as any;
+
+  if (result.fulfillmentCreateV2.userErrors.length > 0) {
+    throw new Error(`Failed to create fulfillment: ${result.fulfillmentCreateV2.userErrors.map((e: any) => e.message).join(', ')}`);
+  }
+
+  return result;
+}
+
 export async function addTrackingFunction({
+  platform,
   order,
   trackingCompany,
   trackingNumber,
+  lineItems,
 }: {
+  platform: ShopifyPlatform;
   order: any;
   trackingCompany: string;
   trackingNumber: string;
+  lineItems?: Array<{ lineItemId: string; quantity: number }>;
 }) {
   const FETCH_FULFILLMENT_ORDER = gql`
     query ($id: ID!) {
@@ -900,16 +1031,28 @@ export async function addTrackingFunction({
     }
   `;
   
+  // The platform's token is decrypted by the executor, the order's shop is stored as is
   const client = new GraphQLClient(
-    `https://${order.shop.domain}/admin/api/graphql.json`,
+    `https://${platform.domain}/admin/api/graphql.json`,
     {
       headers: {
         "Content-Type": "application/json",
-        "X-Shopify-Access-Token": order.shop.accessToken,
+        "X-Shopify-Access-Token": platform.accessToken,
       },
     }
   );
 
+  // Partial shipments fulfill exactly the given line items and quantities
+  if (lineItems?.length) {
+    return addPartialFulfillment({
+      client,
+      orderId: order.orderId,
+      trackingCompany,
+      trackingNumber,
+      lineItems,
+    });
+  }
+
   const data = await client.request(FETCH_FULFILLMENT_ORDER, {
     id: `gid://shopify/Order/${order.orderId}`,
   }) as any;
@@ -981,6 +1124,55 @@ export async function cancelOrderWebhookHandler({
   return { order, type: "order_cancelled" };
 }
 
+export async function updateOrderWebhookHandler({
+  platform,
+  event,
+  headers,
+}: {
+  platform: ShopifyPlatform;
+  event: any;
+  headers: Record<string, string>;
+}) {
+  // Verify webhook authenticity
+  const hmac = headers["x-shopify-hmac-sha256"];
+  if (!hmac) {
+    throw new Error("Missing webhook HMAC");
+  }
+
+  // Edited orders report the quantity left after the edit as current_quantity
+  const lineItems = (event.line_items || []).map((item: any) => ({
+    lineItemId: item.id?.toString(),
+    name: item.title,
+    price: parseFloat(item.price),
+    quantity: item.current_quantity ?? item.quantity,
+    productId: item.product_id?.toString(),
+    variantId: item.variant_id?.toString(),
+    sku: item.sku || "",
+  }));
+
+  return {
+    orderId: event.id?.toString(),
+    orderName: event.name,
+    email: event.email,
+    firstName: event.shipping_address?.first_name,
+    lastName: event.shipping_address?.last_name,
+    streetAddress1: event.shipping_address?.address1,
+    streetAddress2: event.shipping_address?.address2,
+    city: event.shipping_address?.city,
+    state: event.shipping_address?.province_code,
+    zip: event.shipping_address?.zip,
+    country: event.shipping_address?.country_code,
+    phone: event.shipping_address?.phone,
+    currency: event.currency,
+    totalPrice: parseFloat(event.current_total_price || event.total_price),
+    subTotalPrice: parseFloat(event.current_subtotal_price || event.subtotal_price || event.total_price),
+    totalDiscounts: parseFloat(event.current_total_discounts || event.total_discounts || "0"),
+    totalTax: parseFloat(event.current_total_tax || event.total_tax || "0"),
+    tags: event.tags,
+    lineItems,
+  };
+}
+
 // Required OAuth scopes for Shopify shop integration
 const REQUIRED_SCOPES = "read_products,write_products,read_orders,write_orders,read_inventory,write_inventory";
 
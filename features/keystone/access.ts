@@ -305,6 +305,106 @@ export const rules = {
     return { user: { id: { equals: session.itemId } } }
   },
   
+  // Job Rules - jobs follow the visibility of the order they belong to
+  canReadJobs: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    // Admin can see all jobs
+    if (session.data.role?.canSeeOtherOrders) return true
+
+    // Users can only see jobs for their own orders
+    return { order: { user: { id: { equals: session.itemId } } } }
+  },
+
+  canManageJobs: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    // Admin can manage all jobs
+    if (session.data.role?.canManageOrders) return true
+
+    // Users can only manage jobs for their own orders
+    return { order: { user: { id: { equals: session.itemId } } } }
+  },
+
+  // Order Event Rules - status history follows the visibility of its order
+  canReadOrderEvents: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    // Admin can see all order events
+    if (session.data.role?.canSeeOtherOrders) return true
+
+    // Users can only see events for their own orders
+    return { order: { user: { id: { equals: session.itemId } } } }
+  },
+
+  // Tracking Item Rules - shipped quantities follow the visibility of their cart item
+  canReadTrackingItems: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    // Admin can see all tracking items
+    if (session.data.role?.canSeeOtherOrders) return true
+
+    // Users can only see tracking items for their own cart items
+    return { cartItem: { user: { id: { equals: session.itemId } } } }
+  },
+
+  canManageTrackingItems: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    // Admin can manage all tracking items
+    if (session.data.role?.canManageOrders) return true
+
+    // Users can only manage tracking items for their own cart items
+    return { cartItem: { user: { id: { equals: session.itemId } } } }
+  },
+
+  // Webhook Delivery Rules - deliveries follow the shop or channel they were sent to
+  canReadWebhookDeliveries: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    // Admin can see all deliveries
+    if (session.data.role?.canManageWebhooks) return true
+
+    // Users can only see deliveries to their own shops and channels
+    return {
+      OR: [
+        { shop: { user: { id: { equals: session.itemId } } } },
+        { channel: { user: { id: { equals: session.itemId } } } },
+      ],
+    }
+  },
+
+  // Processing Error Rules - errors follow the visibility of the order they belong to
+  canReadProcessingErrors: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    // Admin can see all processing errors
+    if (session.data.role?.canSeeOtherOrders) return true
+
+    // Users can only see errors for their own orders
+    return { order: { user: { id: { equals: session.itemId } } } }
+  },
+
+  canManageProcessingErrors: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    // Admin can manage all processing errors
+    if (session.data.role?.canManageOrders) return true
+
+    // Users can only manage errors for their own orders
+    return { order: { user: { id: { equals: session.itemId } } } }
+  },
+
+  canReadBackfillRuns: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    // Admin can see runs for all shops
+    if (session.data.role?.canSeeOtherShops) return true
+
+    // Users can only see runs for their own shops
+    return { shop: { user: { id: { equals: session.itemId } } } }
+  },
+
   // Match Rules (Product Matching)
   canReadMatches: ({ session }: FilterAccessArgs) => {
     if (!session) return false
@@ -335,6 +435,23 @@ export const rules = {
     // Users can only manage their own matches
     return { user: { id: { equals: session.itemId } } }
   },
+
+  // Match Alternative Rules - alternatives follow the match they belong to
+  canReadMatchAlternatives: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    if (session.data.role?.canSeeOtherMatches) return true
+
+    return { match: { user: { id: { equals: session.itemId } } } }
+  },
+
+  canManageMatchAlternatives: ({ session }: FilterAccessArgs) => {
+    if (!session) return false
+
+    if (session.data.role?.canManageMatches) return true
+
+    return { match: { user: { id: { equals: session.itemId } } } }
+  },
   
   // Link Rules (Shop-Channel Linking)
   canReadLinks: ({ session }: FilterAccessArgs) => {
@@ -11,6 +11,8 @@ import {
   getFilteredMatches,
   getChannelProduct,
   getShopProduct,
+  getJobQueueStatus,
+  previewLinkOrders,
 } from "./queries";
 import {
   addMatchToCart,
@@ -27,6 +29,11 @@ import {
   deleteChannelWebhook,
   createChannelPurchase,
   upsertMatch,
+  replayWebhookDelivery,
+  releaseHeldOrders,
+  rejectHeldOrders,
+  resolveProcessingErrors,
+  retryCartItems,
 } from "./mutations";
 
 const graphql = String.raw;
@@ -73,6 +80,11 @@ const typeDefs = graphql`
     deleteChannelWebhook(channelId: ID!, webhookId: ID!): DeleteWebhookResponse
     createChannelPurchase(input: CreatePurchaseInput!): CreatePurchaseResponse
     upsertMatch(data: MatchCreateInput!): Match
+    replayWebhookDelivery(id: ID!): WebhookDelivery
+    releaseHeldOrders(ids: [ID!]!): HeldOrdersResult
+    rejectHeldOrders(ids: [ID!]!, reason: String): HeldOrdersResult
+    resolveProcessingErrors(orderIds: [ID!]!, code: String): ResolveProcessingErrorsResult
+    retryCartItems(orderIds: [ID!]!): RetryCartItemsResult
   }
 
   extend type Query {
@@ -101,6 +113,46 @@ const typeDefs = graphql`
     ): ChannelProduct
     getChannelWebhooks(channelId: ID!): [Webhook]
     getFilteredMatches: [Match]
+    getJobQueueStatus(orderId: ID): JobQueueStatus
+    previewLinkOrders(
+      linkId: ID!
+      filters: JSON
+      customWhere: JSON
+      take: Int
+    ): LinkOrderPreview
+  }
+
+  type HeldOrdersResult {
+    processed: Int!
+    errors: [String!]!
+  }
+
+  type ResolveProcessingErrorsResult {
+    resolved: Int!
+    orders: Int!
+  }
+
+  type RetryCartItemsResult {
+    retried: Int!
+    placed: Int!
+    skipped: Int!
+    errors: [String!]!
+  }
+
+  type LinkOrderPreview {
+    scanned: Int
+    matched: Int
+    where: JSON
+    orders: [Order!]
+  }
+
+  type JobQueueStatus {
+    queued: Int
+    running: Int
+    completed: Int
+    failed: Int
+    oldestQueuedAt: DateTime
+    jobs: [Job!]
   }
 
   type FoundMatch {
@@ -214,6 +266,7 @@ const typeDefs = graphql`
     email: String!
     address: AddressInput!
     orderId: ID!
+    idempotencyKey: String
   }
 
   input CartItemInput {
@@ -259,6 +312,11 @@ export const extendGraphqlSchema = (baseSchema: any) =>
         deleteChannelWebhook,
         createChannelPurchase,
         upsertMatch,
+        replayWebhookDelivery,
+        releaseHeldOrders,
+        rejectHeldOrders,
+        resolveProcessingErrors,
+        retryCartItems,
       },
       Query: {
         getMatch,
@@ -272,6 +330,8 @@ export const extendGraphqlSchema = (baseSchema: any) =>
         getFilteredMatches,
         getChannelProduct,
         getShopProduct,
+        getJobQueueStatus,
+        previewLinkOrders,
       },
     },
   });
\ No newline at end of file
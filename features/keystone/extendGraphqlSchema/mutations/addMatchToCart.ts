@@ -1,5 +1,23 @@
 import type { KeystoneContext } from '@keystone-6/core/types';
-import { executeChannelAdapterFunction } from '../../../integrations/channel/lib/executor';
+import { getMatchScopeWhere } from '../../lib/matchScope';
+import { findMatchForLineItems, getFittingMatches } from '../../lib/matchQuantities';
+import { flagUnmatchedLineItems } from '../../lib/partialRouting';
+import {
+  MATCH_OUTPUT_QUERY,
+  createOutputCartItems,
+  findAvailableOutputSet,
+  getOutputProducts,
+  getOutputSets,
+  holdForPriceChanges,
+} from '../../lib/matchCartItems';
+import { recordProcessingError } from '../../lib/processingErrors';
+import {
+  pickCheapest,
+  priceMatchCandidates,
+  saveRoutingDecision,
+  toDecisionGroup,
+  type RoutingDecision,
+} from '../../lib/cheapestRouting';
 
 interface AddMatchToCartArgs {
   orderId: string;
@@ -9,59 +27,45 @@ export async function getMatches({ orderId, context }: { orderId: string; contex
   async function createCartItems({ matches }: { matches: any[] }) {
     if (matches.length > 0) {
       let result;
-      for (const existingMatch of matches) {
-        for (const {
-          channel,
-          productId,
-          variantId,
-          price: matchPrice,
-          id,
-          user,
-          ...rest
-        } of existingMatch.output) {
-          // Create platform object with all necessary data
-          const platformData = {
-            ...channel.platform,
-            domain: channel.domain,
-            accessToken: channel.accessToken,
-          };
+      let costBefore = 0;
+      let costAfter = 0;
+      const overTolerance: string[] = [];
 
-          // Use the new executor pattern to get product data
-          const productResult = await executeChannelAdapterFunction({
-            platform: platformData,
-            functionName: "getProductFunction",
-            args: { productId, variantId },
-          });
-          
-          const product = productResult.product;
+      for (const { match: existingMatch, multiplier, ...priced } of matches) {
+        // Alternatives take over, in priority order, when the match's own output is out of stock
+        const sets = getOutputSets(existingMatch);
+        const available = priced.set
+          ? { set: priced.set, products: priced.products }
+          : await findAvailableOutputSet(sets, multiplier);
+        const set = available?.set || sets[0];
+        const products = available?.products || (await getOutputProducts(set.output));
 
-          // Simple string comparison - no parsing needed
-          const currentPriceStr = String(product.price || '');
-          const savedPriceStr = String(matchPrice || '');
-          const hasPriceChange = currentPriceStr !== savedPriceStr;
-          
-          // Store price as text (no parsing needed)
-          const priceValue = currentPriceStr;
+        const created = await createOutputCartItems({
+          query: context.query,
+          orderId: order.id,
+          match: existingMatch,
+          multiplier,
+          set,
+          products,
+        });
 
-          result = await context.query.CartItem.createOne({
-            data: {
-              price: priceValue,
-              productId,
-              variantId,
-              image: product.image,
-              name: product.title,
-              order: { connect: { id: order.id } },
-              channel: { connect: { id: channel.id } },
-              ...(hasPriceChange && {
-                error: `PRICE_CHANGE: Price changed: ${savedPriceStr} → ${currentPriceStr}. Verify before placing order.`,
-              }),
-              user: { connect: { id: user.id } },
-              ...rest,
-            },
-          });
-        }
+        result = created.cartItems[created.cartItems.length - 1] || result;
+        costBefore += created.costBefore;
+        costAfter += created.costAfter;
+        overTolerance.push(...created.overTolerance);
       }
 
+      await saveRoutingDecision({ query: context.query, orderId: order.id, groups: decisions });
+
+      // Price increases over tolerance hold the order until someone approves them
+      await holdForPriceChanges({
+        query: context.query,
+        orderId: order.id,
+        overTolerance,
+        costBefore,
+        costAfter,
+      });
+
       return result;
     }
   }
@@ -75,6 +79,11 @@ export async function getMatches({ orderId, context }: { orderId: string; contex
     user {
       id
     } 
+    shop {
+      id
+      linkMode
+      partialRouting
+    }
     lineItems {
       image
       price
@@ -83,6 +92,11 @@ export async function getMatches({ orderId, context }: { orderId: string; contex
       productId
       variantId
       lineItemId
+    }
+    cartItems(where: { status: { not: { equals: "CANCELLED" } } }) {
+      channel {
+        id
+      }
     }`,
   });
 
@@ -90,22 +104,55 @@ export async function getMatches({ orderId, context }: { orderId: string; contex
     throw new Error("Order not found");
   }
 
+  const decisions: RoutingDecision["groups"] = [];
+  // Channels already shipping something on the order, so their shipping is only counted once
+  const shippedChannelIds = new Set<string>(
+    order.cartItems.flatMap(({ channel }: any) => (channel ? [channel.id] : []))
+  );
+
+  /**
+   * Picks the match for the line items. Shops routing to the cheapest channel
+   * price every match that fits with its channels and take the lowest landed
+   * cost; the products fetched for it are reused for the cart items.
+   */
+  async function chooseMatch(matches: any[], lineItems: any[]): Promise<any> {
+    if (order.shop?.linkMode !== 'cheapest') {
+      return findMatchForLineItems(matches, lineItems);
+    }
+
+    const candidates = await priceMatchCandidates(getFittingMatches(matches, lineItems), shippedChannelIds);
+    const cheapest = pickCheapest(candidates);
+    if (candidates.length > 0) {
+      decisions.push(toDecisionGroup(lineItems.map(({ id }) => id), candidates, cheapest));
+    }
+    cheapest?.products.forEach(({ output }) => shippedChannelIds.add(output.channel.id));
+
+    return cheapest || findMatchForLineItems(matches, lineItems);
+  }
+
+  // Only matches made for this order's shop, or marked global, can fire
+  const matchScope = getMatchScopeWhere(order.shop?.id);
+
   const allMatches = await context.query.Match.findMany({
     where: {
       user: {
         id: { equals: order.user.id },
       },
-      AND: order.lineItems.map(({ productId, variantId, quantity }: any) => ({
+      ...matchScope,
+      AND: order.lineItems.map(({ productId, variantId }: any) => ({
         input: {
           some: {
             productId: { equals: productId },
             variantId: { equals: variantId },
-            quantity: { equals: quantity },
           },
         },
       })),
     },
     query: ` 
+      id
+      matchType
+      priceToleranceType
+      priceTolerance
       inputCount
       outputCount
       input {
@@ -121,103 +168,123 @@ export async function getMatches({ orderId, context }: { orderId: string; contex
         }
       }
       output {
+        ${MATCH_OUTPUT_QUERY}
+      }
+      alternatives {
         id
-        quantity
-        productId
-        variantId
-        price
-        channel {
-          id
-          domain
-          accessToken
-          platform {
-            id
-            getProductFunction
-          }
-        }
-        user {
-          id
+        priority
+        output {
+          ${MATCH_OUTPUT_QUERY}
         }
       }
     `,
   });
 
-  const [filt] = allMatches.filter(
-    ({ inputCount }) => inputCount === order.lineItems.length
-  );
+  const filt = await chooseMatch(allMatches as any[], order.lineItems);
 
   if (filt) {
     return await createCartItems({ matches: [filt] });
   } else {
     if (order.lineItems.length > 1) {
-      const output = await Promise.all(
-        order.lineItems.map(async ({ quantity, variantId, productId }: any) => {
-          const singleAllMatches = await context.query.Match.findMany({
-            where: {
-              user: {
-                id: { equals: order.user.id },
-              },
-              AND: [
-                {
-                  input: {
-                    every: {
-                      productId: { equals: productId },
-                      variantId: { equals: variantId },
-                      quantity: { equals: quantity },
-                    },
+      const partialRouting = !!order.shop?.partialRouting;
+      const output: any[] = [];
+      // One line item at a time, so cheapest routing knows which channels earlier ones went to
+      for (const lineItem of order.lineItems) {
+        const { variantId, productId } = lineItem;
+        const singleAllMatches = await context.query.Match.findMany({
+          where: {
+            user: {
+              id: { equals: order.user.id },
+            },
+            ...matchScope,
+            AND: [
+              {
+                input: {
+                  every: {
+                    productId: { equals: productId },
+                    variantId: { equals: variantId },
                   },
                 },
-              ],
-            },
-            query: `
-            input {
+              },
+            ],
+          },
+          query: `
+          id
+          matchType
+          priceToleranceType
+          priceTolerance
+          input {
+            id
+            quantity
+            productId
+            variantId
+            shop {
               id
-              quantity
-              productId
-              variantId
-              shop {
-                id
-              }
             }
+          }
+          output {
+            ${MATCH_OUTPUT_QUERY}
+          }
+          alternatives {
+            id
+            priority
             output {
-              id
-              quantity
-              productId
-              variantId
-              price
-              channel {
-                id
-                domain
-                accessToken
-                platform {
-                  id
-                  getProductFunction
-                }
-              }
-              user {
-                id
-              }
+              ${MATCH_OUTPUT_QUERY}
             }
-          `,
-          });
+          }
+        `,
+        });
 
-          const [singleFilt] = singleAllMatches;
+        const singleFilt = await chooseMatch(singleAllMatches as any[], [lineItem]);
+        output.push(singleFilt || undefined);
 
-          if (singleFilt) {
-            return singleFilt;
-          }
+        // Partial routing flags the line item instead of stopping the order
+        if (singleFilt || partialRouting) {
+          continue;
+        }
+        await context.query.Order.updateOne({
+          where: { id: orderId },
+          data: {
+            error: "MATCH_ERROR: Some lineItems not matched",
+            status: "PENDING",
+            statusReason: "Some line items are not matched",
+          },
+        });
+      }
+
+      const found = output.filter((value) => value !== undefined);
+      if (found.length < order.lineItems.length && (!partialRouting || found.length === 0)) {
+        await recordProcessingError({
+          query: context.query,
+          code: "MATCH_ERROR",
+          message: `${order.lineItems.length - found.length} of ${order.lineItems.length} line items have no match`,
+          orderId,
+        });
+      }
+      if (partialRouting) {
+        if (found.length === 0) {
           await context.query.Order.updateOne({
             where: { id: orderId },
             data: {
-              error: "MATCH_ERROR: Some lineItems not matched",
-              status: "PENDING",
+              error: "MATCH_ERROR: No matches found",
             },
           });
-        })
-      );
+          return;
+        }
 
-      if (output.filter((value) => value !== undefined).length) {
-        return await createCartItems({ matches: output });
+        // Flagged first so a hold for price changes isn't replaced by PARTIALLY_ROUTED
+        await flagUnmatchedLineItems({
+          context,
+          orderId,
+          lineItems: order.lineItems.map(({ id }: any, index: number) => ({
+            id,
+            matched: output[index] !== undefined,
+          })),
+        });
+        return await createCartItems({ matches: found });
+      }
+      if (found.length) {
+        return await createCartItems({ matches: found });
       }
     } else {
       await context.query.Order.updateOne({
@@ -226,6 +293,12 @@ export async function getMatches({ orderId, context }: { orderId: string; contex
           error: "MATCH_ERROR: No matches found",
         },
       });
+      await recordProcessingError({
+        query: context.query,
+        code: "MATCH_ERROR",
+        message: "No matches found",
+        orderId,
+      });
     }
   }
 }
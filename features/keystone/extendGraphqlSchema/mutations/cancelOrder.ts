@@ -1,4 +1,5 @@
 import type { KeystoneContext } from '@keystone-6/core/types';
+import { cancelOrderPurchases } from '../../lib/cancelOrderPurchases';
 
 interface CancelOrderArgs {
   orderId: string;
@@ -10,29 +11,15 @@ async function cancelOrder(
   context: KeystoneContext
 ) {
   try {
-    // 1. Update order status to cancelled
-    await context.query.Order.updateOne({
-      where: { id: orderId },
-      data: {
-        status: "CANCELLED",
-      },
+    // Cancels the order, its cart items and any purchases already placed at channels
+    const { results, failedCount } = await cancelOrderPurchases({
+      orderId,
+      context,
+      reason: "Order cancelled in Openship",
     });
 
-    // 2. Cancel all associated cart items
-    const cartItems = await context.query.CartItem.findMany({
-      where: {
-        order: { id: { equals: orderId } },
-      },
-      query: "id",
-    });
-
-    for (const cartItem of cartItems) {
-      await context.query.CartItem.updateOne({
-        where: { id: cartItem.id },
-        data: {
-          status: "CANCELLED",
-        },
-      });
+    if (failedCount > 0) {
+      return `Order cancelled, but ${failedCount} of ${results.length} channel purchase(s) could not be cancelled`;
     }
 
     return "Order cancelled successfully";
@@ -41,4 +28,4 @@ async function cancelOrder(
   }
 }
 
-export default cancelOrder;
\ No newline at end of file
+export default cancelOrder;
@@ -1,12 +1,15 @@
-import { createChannelPurchase as executeChannelPurchase } from "../../utils/channelProviderAdapter";
+import {
+  createChannelPurchase as executeChannelPurchase,
+  findChannelPurchase,
+} from "../../utils/channelProviderAdapter";
 
 async function createChannelPurchase(root: any, { input }: { input: any }, context: any) {
-  const { channelId, cartItems, address, notes, ...otherData } = input;
+  const { channelId, cartItems, address, notes, idempotencyKey, ...otherData } = input;
 
   // Fetch the channel using the provided channelId
   const channel = await context.query.Channel.findOne({
     where: { id: channelId },
-    query: "id domain accessToken platform { id createPurchaseFunction }",
+    query: "id domain accessToken platform { id createPurchaseFunction findPurchaseFunction }",
   });
 
   if (!channel) {
@@ -18,11 +21,24 @@ async function createChannelPurchase(root: any, { input }: { input: any }, conte
   }
 
   try {
+    // Callers retrying with the same key get the original purchase back
+    if (idempotencyKey && channel.platform.findPurchaseFunction) {
+      const { purchase } = await findChannelPurchase({
+        platform: channel.platform,
+        idempotencyKey,
+      });
+
+      if (purchase?.purchaseId) {
+        return { success: true, purchaseId: purchase.purchaseId };
+      }
+    }
+
     const result = await executeChannelPurchase({
       platform: channel.platform,
       cartItems,
       shipping: address,
       notes,
+      idempotencyKey,
     });
 
     if (result.error) {
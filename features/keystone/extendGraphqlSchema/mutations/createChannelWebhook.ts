@@ -21,6 +21,7 @@ async function createChannelWebhook(
         id
         domain
         accessToken
+        webhookSecret
         metadata
         platform {
           id
@@ -46,6 +47,8 @@ async function createChannelWebhook(
     const platformConfig = {
       domain: channel.domain,
       accessToken: channel.accessToken,
+      ownerId: channel.id,
+      webhookSecret: channel.webhookSecret,
       createWebhookFunction: channel.platform.createWebhookFunction,
       ...channel.metadata,
     };
@@ -56,6 +59,15 @@ async function createChannelWebhook(
       events: [topic],
     });
 
+    // Platforms that sign with a per-endpoint secret return it, later webhooks reuse it
+    const webhookSecret = result.secret || result.webhooks?.[0]?.secret;
+    if (webhookSecret && !channel.webhookSecret) {
+      await sudoContext.query.Channel.updateOne({
+        where: { id: channelId },
+        data: { webhookSecret },
+      });
+    }
+
     return { success: true, webhookId: result.webhookId };
   } catch (error: any) {
     return { success: false, error: error.message };
@@ -23,6 +23,7 @@ async function createShopWebhook(
         id
         domain
         accessToken
+        webhookSecret
         metadata
         platform {
           id
@@ -49,6 +50,8 @@ async function createShopWebhook(
     const platformConfig = {
       domain: shop.domain,
       accessToken: shop.accessToken,
+      ownerId: shop.id,
+      webhookSecret: shop.webhookSecret,
       createWebhookFunction: shop.platform.createWebhookFunction,
       ...shop.metadata,
     };
@@ -60,6 +63,15 @@ async function createShopWebhook(
     });
 
 
+    // Platforms that sign with a per-endpoint secret return it, later webhooks reuse it
+    const webhookSecret = result.secret || result.webhooks?.[0]?.secret;
+    if (webhookSecret && !shop.webhookSecret) {
+      await sudoContext.query.Shop.updateOne({
+        where: { id: shopId },
+        data: { webhookSecret },
+      });
+    }
+
     return { success: true, webhookId: result.webhookId };
   } catch (error: any) {
     return { success: false, error: error.message };
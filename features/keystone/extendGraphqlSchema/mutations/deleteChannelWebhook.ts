@@ -30,6 +30,7 @@ async function deleteChannelWebhook(
         ...channel.platform,
         domain: channel.domain,
         accessToken: channel.accessToken,
+        ownerId: channel.id,
       },
       webhookId,
     });
@@ -30,6 +30,7 @@ async function deleteShopWebhook(
         ...shop.platform,
         domain: shop.domain,
         accessToken: shop.accessToken,
+        ownerId: shop.id,
       },
       webhookId,
     });
@@ -11,4 +11,9 @@ export { default as updateShopProduct } from "./updateShopProduct";
 export { default as createChannelWebhook } from "./createChannelWebhook";
 export { default as deleteChannelWebhook } from "./deleteChannelWebhook";
 export { default as createChannelPurchase } from "./createChannelPurchase";
-export { default as upsertMatch } from "./upsertMatch";
\ No newline at end of file
+export { default as upsertMatch } from "./upsertMatch";
+export { default as replayWebhookDelivery } from "./replayWebhookDelivery";
+export { default as releaseHeldOrders } from "./releaseHeldOrders";
+export { default as rejectHeldOrders } from "./rejectHeldOrders";
+export { default as resolveProcessingErrors } from "./resolveProcessingErrors";
+export { default as retryCartItems } from "./retryCartItems";
\ No newline at end of file
@@ -7,12 +7,12 @@ async function placeOrders(root: any, { ids }: { ids: string[] }, context: any)
     throw new Error('You must be logged in to do this!');
   }
 
-  const processedOrders = await placeMultipleOrders({
+  const { processed } = await placeMultipleOrders({
     ids,
     query: context.query,
   });
 
-  return processedOrders;
+  return processed;
 }
 
 export default placeOrders;
\ No newline at end of file
@@ -0,0 +1,50 @@
+import type { KeystoneContext } from '@keystone-6/core/types';
+import { permissions } from '../../access';
+import { cancelOrderPurchases } from '../../lib/cancelOrderPurchases';
+
+interface RejectHeldOrdersArgs {
+  ids: string[];
+  reason?: string;
+}
+
+async function rejectHeldOrders(
+  root: any,
+  { ids, reason }: RejectHeldOrdersArgs,
+  context: KeystoneContext
+) {
+  if (!permissions.canProcessOrders({ session: context.session } as any)) {
+    throw new Error('You do not have permission to reject held orders');
+  }
+
+  const errors: string[] = [];
+  let processed = 0;
+
+  for (const id of ids) {
+    // Read with the caller's access so only orders they can see are rejected
+    const order = await context.query.Order.findOne({
+      where: { id },
+      query: 'id orderName status',
+    });
+
+    if (!order) {
+      errors.push(`Order ${id} not found`);
+      continue;
+    }
+    if (order.status !== 'ON_HOLD') {
+      errors.push(`${order.orderName || id} is not on hold`);
+      continue;
+    }
+
+    // Nothing is purchased while an order is held, so this only cancels it locally
+    await cancelOrderPurchases({
+      orderId: id,
+      context: context.sudo(),
+      reason: reason ? `Rejected on hold: ${reason}` : 'Rejected on hold',
+    });
+    processed++;
+  }
+
+  return { processed, errors };
+}
+
+export default rejectHeldOrders;
@@ -0,0 +1,56 @@
+import type { KeystoneContext } from '@keystone-6/core/types';
+import { permissions } from '../../access';
+import { enqueuePlaceOrder } from '../../lib/orderJobs';
+
+interface ReleaseHeldOrdersArgs {
+  ids: string[];
+}
+
+async function releaseHeldOrders(
+  root: any,
+  { ids }: ReleaseHeldOrdersArgs,
+  context: KeystoneContext
+) {
+  if (!permissions.canProcessOrders({ session: context.session } as any)) {
+    throw new Error('You do not have permission to approve held orders');
+  }
+
+  const errors: string[] = [];
+  let processed = 0;
+
+  for (const id of ids) {
+    // Read with the caller's access so only orders they can see are released
+    const order = await context.query.Order.findOne({
+      where: { id },
+      query: 'id orderName status processOrder cartItemsCount',
+    });
+
+    if (!order) {
+      errors.push(`Order ${id} not found`);
+      continue;
+    }
+    if (order.status !== 'ON_HOLD') {
+      errors.push(`${order.orderName || id} is not on hold`);
+      continue;
+    }
+
+    const sudo = context.sudo();
+    await sudo.query.Order.updateOne({
+      where: { id },
+      data: {
+        status: 'PENDING',
+        statusReason: 'Released from hold',
+        holdReleasedAt: new Date().toISOString(),
+      },
+    });
+
+    if (order.processOrder && order.cartItemsCount > 0) {
+      await enqueuePlaceOrder({ context: sudo, orderId: id });
+    }
+    processed++;
+  }
+
+  return { processed, errors };
+}
+
+export default releaseHeldOrders;
@@ -0,0 +1,41 @@
+import type { KeystoneContext } from '@keystone-6/core/types';
+import {
+  STALE_PROCESSING_MS,
+  canReplayWebhookDelivery,
+  processWebhookDelivery,
+} from '../../lib/webhookDeliveries';
+
+interface ReplayWebhookDeliveryArgs {
+  id: string;
+}
+
+async function replayWebhookDelivery(
+  root: any,
+  { id }: ReplayWebhookDeliveryArgs,
+  context: KeystoneContext
+) {
+  // Read with the caller's access so only deliveries they can see are replayed
+  const delivery = await context.query.WebhookDelivery.findOne({
+    where: { id },
+    query: 'id status updatedAt',
+  });
+
+  if (!delivery) {
+    throw new Error('Webhook delivery not found');
+  }
+
+  if (!canReplayWebhookDelivery(delivery)) {
+    throw new Error(
+      delivery.status === 'processing'
+        ? `This delivery is still processing. It can be replayed if it hasn't finished within ${STALE_PROCESSING_MS / 60000} minutes`
+        : `Only failed deliveries can be replayed, this one has ${delivery.status}`
+    );
+  }
+
+  // Runs through the same handler path as the original delivery
+  await processWebhookDelivery({ context: context.sudo(), deliveryId: id });
+
+  return context.db.WebhookDelivery.findOne({ where: { id } });
+}
+
+export default replayWebhookDelivery;
@@ -0,0 +1,34 @@
+import type { KeystoneContext } from '@keystone-6/core/types';
+import { permissions } from '../../access';
+import { resolveOrderProcessingErrors } from '../../lib/processingErrors';
+
+interface ResolveProcessingErrorsArgs {
+  orderIds: string[];
+  code?: string | null;
+}
+
+async function resolveProcessingErrors(
+  root: any,
+  { orderIds, code }: ResolveProcessingErrorsArgs,
+  context: KeystoneContext
+) {
+  if (!permissions.canProcessOrders({ session: context.session } as any)) {
+    throw new Error('You do not have permission to resolve processing errors');
+  }
+
+  // Read with the caller's access so only errors on orders they can see are resolved
+  const orders = await context.query.Order.findMany({
+    where: { id: { in: orderIds } },
+    query: 'id',
+  });
+
+  const resolved = await resolveOrderProcessingErrors({
+    context: context.sudo(),
+    orderIds: orders.map(({ id }) => String(id)),
+    code,
+  });
+
+  return { resolved, orders: orders.length };
+}
+
+export default resolveProcessingErrors;
@@ -0,0 +1,50 @@
+import type { KeystoneContext } from '@keystone-6/core/types';
+import { permissions } from '../../access';
+import { retryFailedCartItems } from '../../lib/retryCartItems';
+
+interface RetryCartItemsArgs {
+  orderIds: string[];
+}
+
+async function retryCartItems(
+  root: any,
+  { orderIds }: RetryCartItemsArgs,
+  context: KeystoneContext
+) {
+  if (!permissions.canProcessOrders({ session: context.session } as any)) {
+    throw new Error('You do not have permission to retry cart items');
+  }
+
+  const errors: string[] = [];
+  const totals = { retried: 0, placed: 0, skipped: 0 };
+
+  for (const id of orderIds) {
+    // Read with the caller's access so only orders they can see are retried
+    const order = await context.query.Order.findOne({
+      where: { id },
+      query: 'id orderName status',
+    });
+
+    if (!order) {
+      errors.push(`Order ${id} not found`);
+      continue;
+    }
+    if (order.status === 'ON_HOLD' || order.status === 'CANCELLED') {
+      errors.push(`${order.orderName || id} is ${order.status === 'ON_HOLD' ? 'on hold' : 'cancelled'}`);
+      continue;
+    }
+
+    try {
+      const result = await retryFailedCartItems({ query: context.sudo().query, orderId: id });
+      totals.retried += result.retried;
+      totals.placed += result.placed;
+      totals.skipped += result.skipped;
+    } catch (error: any) {
+      errors.push(`${order.orderName || id}: ${error.message}`);
+    }
+  }
+
+  return { ...totals, errors };
+}
+
+export default retryCartItems;
@@ -38,6 +38,7 @@ async function updateShopProduct(
   const platformConfig = {
     domain: shop.domain,
     accessToken: shop.accessToken,
+    ownerId: shop.id,
     ...shop.metadata,
   };
 
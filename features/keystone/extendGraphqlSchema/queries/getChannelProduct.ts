@@ -27,6 +27,7 @@ async function getChannelProduct(
   const platformConfig = {
     domain: channel.domain,
     accessToken: channel.accessToken,
+    ownerId: channel.id,
     getProductFunction: channel.platform.getProductFunction,
     ...channel.metadata,
   };
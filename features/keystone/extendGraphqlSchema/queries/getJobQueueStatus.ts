@@ -0,0 +1,45 @@
+import { JOB_STATUSES } from "../../lib/jobQueue";
+
+async function getJobQueueStatus(
+  root: any,
+  { orderId }: { orderId?: string },
+  context: any
+) {
+  const sesh = context.session;
+  if (!sesh?.itemId) {
+    throw new Error("You must be logged in to do this!");
+  }
+
+  // Job access rules already scope results to orders this user can see
+  const orderFilter = orderId ? { order: { id: { equals: orderId } } } : {};
+
+  const counts = await Promise.all(
+    JOB_STATUSES.map((status) =>
+      context.query.Job.count({
+        where: { ...orderFilter, status: { equals: status } },
+      })
+    )
+  );
+
+  const [oldestQueued] = await context.query.Job.findMany({
+    where: { ...orderFilter, status: { equals: "queued" } },
+    orderBy: [{ runAt: "asc" }],
+    take: 1,
+    query: "runAt",
+  });
+
+  // Returned as db items so the Job type can resolve its own relationships
+  const jobs = await context.db.Job.findMany({
+    where: orderFilter,
+    orderBy: [{ createdAt: "desc" }],
+    take: orderId ? 50 : 20,
+  });
+
+  return {
+    ...Object.fromEntries(JOB_STATUSES.map((status, i) => [status, counts[i]])),
+    oldestQueuedAt: oldestQueued?.runAt || null,
+    jobs,
+  };
+}
+
+export default getJobQueueStatus;
@@ -1,3 +1,6 @@
+import { getFittingMatches } from "../../lib/matchQuantities";
+import { getMatchScopeWhere, getInputShopId } from "../../lib/matchScope";
+
 async function getMatches({ inputArray, user, context }: {
   inputArray: any[];
   user: { id: string };
@@ -6,25 +9,29 @@ async function getMatches({ inputArray, user, context }: {
   const allMatches = await context.query.Match.findMany({
     where: {
       user: { id: { equals: user.id } },
-      AND: inputArray.map(({ productId, variantId, quantity }) => ({
+      ...getMatchScopeWhere(getInputShopId(inputArray)),
+      // Quantities are checked below, per-unit matches fit multiples of theirs
+      AND: inputArray.map(({ productId, variantId }) => ({
         input: {
           some: {
             productId,
             variantId,
-            quantity,
           },
         },
       })),
     },
     query: ` 
     id
-    inputCount
+    matchType
+    input {
+      productId
+      variantId
+      quantity
+    }
   `,
   });
 
-  const filteredValues = allMatches.filter(
-    ({ inputCount }: any) => inputCount === inputArray.length
-  );
+  const filteredValues = getFittingMatches(allMatches as any[], inputArray);
 
   // if (filteredValues.length) {
   //   return allMatches.length;
@@ -1,4 +1,6 @@
 import { searchChannelProducts } from "../../utils/channelProviderAdapter";
+import { getMatchScopeWhere, getInputShopId } from "../../lib/matchScope";
+import { findMatchForLineItems } from "../../lib/matchQuantities";
 
 async function getMatches({ inputArray, user, context }: {
   inputArray: any[];
@@ -8,19 +10,20 @@ async function getMatches({ inputArray, user, context }: {
   const allMatches = await context.query.Match.findMany({
     where: {
       user: { id: { equals: user.id } },
-      AND: inputArray.map(({ productId, variantId, quantity }) => ({
+      ...getMatchScopeWhere(getInputShopId(inputArray)),
+      // Quantities are checked below, per-unit matches fit multiples of theirs
+      AND: inputArray.map(({ productId, variantId }) => ({
         input: {
           some: {
             productId,
             variantId,
-            quantity,
           },
         },
       })),
     },
     query: ` 
     id
-    inputCount
+    matchType
     outputCount
     input {
       id
@@ -57,9 +60,7 @@ async function getMatches({ inputArray, user, context }: {
   `,
   });
 
-  const [filt] = allMatches.filter(
-    ({ inputCount }: any) => inputCount === inputArray.length
-  );
+  const filt = findMatchForLineItems(allMatches as any[], inputArray);
 
   if (filt) {
     return [filt];
@@ -83,7 +84,7 @@ async function getMatch(root: any, { input }: { input: any[] }, context: any) {
 
   if (cleanEM.length > 0) {
     const output = [];
-    for (const existingMatch of cleanEM) {
+    for (const { match: existingMatch, multiplier } of cleanEM) {
       for (const {
         channel,
         productId,
@@ -107,7 +108,8 @@ async function getMatch(root: any, { input }: { input: any[] }, context: any) {
 
         const [productInfo] = products;
         productInfo.name = productInfo.title;
-        output.push({ ...productInfo, channelName: channel.name, quantity });
+        // Per-unit matches are scaled up to the quantities asked for
+        output.push({ ...productInfo, channelName: channel.name, quantity: quantity * multiplier });
       }
     }
     return output;
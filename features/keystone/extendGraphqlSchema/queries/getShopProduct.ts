@@ -50,6 +50,7 @@ async function getShopProductQuery(
   const platformConfig = {
     domain: shop.domain,
     accessToken: shop.accessToken,
+    ownerId: shop.id,
     getProductFunction: shop.platform.getProductFunction,
     ...shop.metadata,
   };
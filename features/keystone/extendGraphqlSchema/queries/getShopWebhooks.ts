@@ -30,6 +30,7 @@ async function getShopWebhooks(
         ...shop.platform,
         domain: shop.domain,
         accessToken: shop.accessToken,
+        ownerId: shop.id,
       },
     });
 
@@ -8,4 +8,6 @@ export { default as searchChannelProducts } from "./searchChannelProducts";
 export { default as getChannelWebhooks } from "./getChannelWebhooks";
 export { default as getFilteredMatches } from "./getFilteredMatches";
 export { default as getChannelProduct } from "./getChannelProduct";
-export { default as getShopProduct } from "./getShopProduct";
\ No newline at end of file
+export { default as getShopProduct } from "./getShopProduct";
+export { default as getJobQueueStatus } from "./getJobQueueStatus";
+export { default as previewLinkOrders } from "./previewLinkOrders";
\ No newline at end of file
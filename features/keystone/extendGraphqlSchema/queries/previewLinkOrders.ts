@@ -0,0 +1,59 @@
+import { buildLinkWhere } from "../../lib/linkFilters";
+
+async function previewLinkOrders(
+  root: any,
+  {
+    linkId,
+    filters,
+    customWhere,
+    take = 50,
+  }: { linkId: string; filters?: any; customWhere?: any; take?: number },
+  context: any
+) {
+  const sesh = context.session;
+  if (!sesh?.itemId) {
+    throw new Error("You must be logged in to do this!");
+  }
+
+  const link = await context.query.Link.findOne({
+    where: { id: linkId },
+    query: "id filters customWhere shop { id }",
+  });
+
+  if (!link) {
+    throw new Error("Link not found");
+  }
+
+  // Unsaved filters from the editor take precedence over the stored ones
+  const where = buildLinkWhere({
+    filters: filters !== undefined && filters !== null ? filters : link.filters,
+    customWhere:
+      customWhere !== undefined && customWhere !== null ? customWhere : link.customWhere,
+  });
+
+  const recentOrders = await context.query.Order.findMany({
+    where: { shop: { id: { equals: link.shop?.id } } },
+    orderBy: [{ createdAt: "desc" }],
+    take: Math.min(Math.max(take, 1), 200),
+    query: "id",
+  });
+
+  const recentIds = recentOrders.map((order: any) => order.id);
+
+  // Returned as db items so the Order type can resolve its own fields
+  const orders = recentIds.length
+    ? await context.db.Order.findMany({
+        where: { AND: [where, { id: { in: recentIds } }] },
+        orderBy: [{ createdAt: "desc" }],
+      })
+    : [];
+
+  return {
+    scanned: recentIds.length,
+    matched: orders.length,
+    where,
+    orders,
+  };
+}
+
+export default previewLinkOrders;
@@ -46,6 +46,7 @@ async function searchChannelProductsQuery(
   const platformConfig = {
     domain: channel.domain,
     accessToken: channel.accessToken,
+    ownerId: channel.id,
     searchProductsFunction: channel.platform.searchProductsFunction,
     ...channel.metadata,
   };
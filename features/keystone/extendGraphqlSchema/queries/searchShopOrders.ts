@@ -66,6 +66,7 @@ async function searchShopOrders(
   const platformConfig = {
     domain: shop.domain,
     accessToken: shop.accessToken,
+    ownerId: shop.id,
     ...shop.metadata,
   };
 
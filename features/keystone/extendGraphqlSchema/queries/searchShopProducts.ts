@@ -43,6 +43,7 @@ async function searchShopProductsQuery(
   const platformConfig = {
     domain: shop.domain,
     accessToken: shop.accessToken,
+    ownerId: shop.id,
     ...shop.metadata,
   };
 
@@ -0,0 +1,45 @@
+import { graphql } from "@keystone-6/core";
+import {
+  type BaseListTypeInfo,
+  type CommonFieldConfig,
+  type FieldTypeFunc,
+  fieldType,
+} from "@keystone-6/core/types";
+
+import { encryptSecret } from "../lib/secrets";
+
+export type EncryptedTextFieldConfig<ListTypeInfo extends BaseListTypeInfo> =
+  CommonFieldConfig<ListTypeInfo>;
+
+/**
+ * A text column holding a credential encrypted with the key from
+ * OPENSHIP_ENCRYPTION_KEY. Writes take the plaintext and reads return the
+ * stored ciphertext, so the value can't be filtered on and is only ever
+ * decrypted by the adapter executors (see lib/secrets.ts).
+ */
+export function encryptedText<ListTypeInfo extends BaseListTypeInfo>(
+  config: EncryptedTextFieldConfig<ListTypeInfo> = {}
+): FieldTypeFunc<ListTypeInfo> {
+  return () =>
+    fieldType({
+      kind: "scalar",
+      mode: "required",
+      scalar: "String",
+      default: { kind: "literal", value: "" },
+    })({
+      ...config,
+      input: {
+        create: {
+          arg: graphql.arg({ type: graphql.String }),
+          resolve: (value) => encryptSecret(value ?? ""),
+        },
+        update: {
+          arg: graphql.arg({ type: graphql.String }),
+          resolve: (value) => (value === undefined ? undefined : encryptSecret(value ?? "")),
+        },
+      },
+      output: graphql.field({ type: graphql.String }),
+      views: "./features/dashboard/views/encryptedText",
+      getAdminMeta: () => ({}),
+    });
+}
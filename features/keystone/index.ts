@@ -148,6 +148,7 @@ export function statelessSessions({
               const session = { 
                 itemId: matchingApiKey.user.id, 
                 listKey,
+                apiKeyId: matchingApiKey.id,
                 apiKeyScopes: matchingApiKey.scopes || [] // Attach scopes for permission checking
               };
               console.log('🔑 RETURNING SESSION:', JSON.stringify(session, null, 2));
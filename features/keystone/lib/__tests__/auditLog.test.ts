@@ -0,0 +1,64 @@
+import { describe, expect, it } from "bun:test";
+import { REDACTED, diffAuditItems, getRequestIp } from "../auditLog";
+
+describe("Audit log", () => {
+  it("records only changed fields", () => {
+    expect(
+      diffAuditItems(
+        { id: "1", name: "Store", domain: "a.com", updatedAt: new Date(0) },
+        { id: "1", name: "Store", domain: "b.com", updatedAt: new Date(1) }
+      )
+    ).toEqual({ domain: { before: "a.com", after: "b.com" } });
+  });
+
+  it("redacts secret values but keeps that they changed", () => {
+    expect(
+      diffAuditItems(
+        { accessToken: "old", appSecret: "", password: "$2a$hash" },
+        { accessToken: "new", appSecret: "shh", password: "$2a$other" }
+      )
+    ).toEqual({
+      accessToken: { before: REDACTED, after: REDACTED },
+      appSecret: { before: "", after: REDACTED },
+      password: { before: REDACTED, after: REDACTED },
+    });
+  });
+
+  it("records when a token expires and which key it previews", () => {
+    expect(
+      diffAuditItems(
+        { tokenExpiresAt: "2026-10-19T00:00:00.000Z", tokenPreview: "ak_1..." },
+        { tokenExpiresAt: "2026-10-20T00:00:00.000Z", tokenPreview: "ak_2..." }
+      )
+    ).toEqual({
+      tokenExpiresAt: { before: "2026-10-19T00:00:00.000Z", after: "2026-10-20T00:00:00.000Z" },
+      tokenPreview: { before: "ak_1...", after: "ak_2..." },
+    });
+  });
+
+  it("skips ignored bookkeeping fields", () => {
+    expect(
+      diffAuditItems(
+        { status: "active", usageCount: { total: 1 } },
+        { status: "active", usageCount: { total: 2 } },
+        ["usageCount"]
+      )
+    ).toEqual({});
+  });
+
+  it("diffs a created item against nothing", () => {
+    expect(diffAuditItems(null, { id: "1", rank: 2 })).toEqual({
+      rank: { before: null, after: 2 },
+    });
+  });
+
+  it("prefers the first forwarded address", () => {
+    expect(
+      getRequestIp({ headers: { "x-forwarded-for": "203.0.113.7, 10.0.0.1" } })
+    ).toBe("203.0.113.7");
+    expect(getRequestIp({ headers: {}, socket: { remoteAddress: "127.0.0.1" } })).toBe(
+      "127.0.0.1"
+    );
+    expect(getRequestIp(undefined)).toBe("");
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "bun:test";
+import { getLandedCost, pickCheapest, saveRoutingDecision, toDecisionGroup } from "../cheapestRouting";
+
+describe("Cheapest routing", () => {
+  it("adds each channel's shipping estimate once", () => {
+    const warehouse = { id: "c1", shippingEstimate: 5 };
+    const dropshipper = { id: "c2", shippingEstimate: 2.5 };
+
+    expect(
+      getLandedCost([
+        { price: "$10.00", quantity: 2, channel: warehouse },
+        { price: "4.5", quantity: 1, channel: warehouse },
+        { price: 3, quantity: 3, channel: dropshipper },
+      ])
+    ).toEqual({ subtotal: 33.5, shipping: 7.5, total: 41 });
+  });
+
+  it("leaves out shipping the order already pays for", () => {
+    const warehouse = { id: "c1", shippingEstimate: 5 };
+    const dropshipper = { id: "c2", shippingEstimate: 2.5 };
+
+    expect(
+      getLandedCost(
+        [
+          { price: "10", quantity: 1, channel: warehouse },
+          { price: "3", quantity: 1, channel: dropshipper },
+        ],
+        new Set(["c1"])
+      )
+    ).toEqual({ subtotal: 13, shipping: 2.5, total: 15.5 });
+  });
+
+  it("treats a missing shipping estimate as free", () => {
+    expect(getLandedCost([{ price: "1.10", quantity: 3, channel: { id: "c1" } }])).toEqual({
+      subtotal: 3.3,
+      shipping: 0,
+      total: 3.3,
+    });
+  });
+
+  it("picks the lowest total and skips candidates that couldn't be priced", () => {
+    const cheapest = pickCheapest([
+      { id: "a", total: 20 },
+      { id: "b", total: null, error: "Out of stock" },
+      { id: "c", total: 15 },
+      { id: "d", total: 15 },
+    ]);
+
+    expect(cheapest?.id).toBe("c");
+    expect(pickCheapest([{ id: "a", total: null, error: "Not found" }])).toBeNull();
+  });
+
+  it("stores the breakdown without adapter data", () => {
+    const candidates = [
+      { id: "l1", type: "link" as const, label: "A", subtotal: 10, shipping: 2, total: 12, link: {} },
+      { id: "l2", type: "link" as const, label: "B", subtotal: null, shipping: null, total: null, error: "Timeout" },
+    ];
+
+    expect(toDecisionGroup(["li1"], candidates, candidates[0])).toEqual({
+      lineItems: ["li1"],
+      chosen: "l1",
+      candidates: [
+        { id: "l1", type: "link", label: "A", subtotal: 10, shipping: 2, total: 12 },
+        { id: "l2", type: "link", label: "B", subtotal: null, shipping: null, total: null, error: "Timeout" },
+      ],
+    });
+  });
+
+  it("keeps the groups stored for other line items", async () => {
+    const group = (lineItems: string[], chosen: string) => ({ lineItems, chosen, candidates: [] });
+    let saved: any;
+    const query = {
+      Order: {
+        findOne: async () => ({
+          routingDecision: {
+            mode: "cheapest",
+            groups: [group(["li1"], "m1"), group(["li2"], "m2")],
+          },
+        }),
+        updateOne: async ({ data }: any) => (saved = data.routingDecision),
+      },
+    };
+
+    await saveRoutingDecision({ query, orderId: "o1", groups: [group(["li2"], "m3")] });
+
+    expect(saved.groups).toEqual([group(["li1"], "m1"), group(["li2"], "m3")]);
+  });
+});
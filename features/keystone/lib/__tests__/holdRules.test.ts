@@ -0,0 +1,83 @@
+import { describe, expect, it } from "bun:test";
+import { getHoldReasons, isPoBoxAddress, validateHoldRules } from "../holdRules";
+import { canTransitionOrderStatus } from "../orderStatus";
+
+function contextWithPreviousOrders(count: number) {
+  return { query: { Order: { count: async () => count } } };
+}
+
+describe("Hold rules", () => {
+  const order = {
+    id: "order-1",
+    email: "new@example.com",
+    totalPrice: 750,
+    country: "MX",
+    streetAddress1: "P.O. Box 12",
+    streetAddress2: "",
+    shop: { id: "shop-1" },
+  };
+
+  it("validates rule shapes", () => {
+    expect(
+      validateHoldRules([
+        { type: "totalPriceGreaterThan", value: 500 },
+        { type: "firstTimeCustomer" },
+        { type: "countryNotIn", value: ["US"] },
+        { type: "poBox" },
+      ])
+    ).toEqual([]);
+    expect(validateHoldRules({})).toEqual(["Hold rules must be a list"]);
+    expect(validateHoldRules([{ type: "countryNotIn", value: [] }])[0]).toContain("countryNotIn");
+    expect(validateHoldRules([{ type: "vip" }])[0]).toContain('unknown type "vip"');
+  });
+
+  it("recognises PO box addresses", () => {
+    expect(isPoBoxAddress("PO Box 4")).toBe(true);
+    expect(isPoBoxAddress("123 Main St", "Post Office Box 9")).toBe(true);
+    expect(isPoBoxAddress("POB 77")).toBe(true);
+    expect(isPoBoxAddress("12 Pobert Road", "Po Boulevard")).toBe(false);
+  });
+
+  it("returns a reason for every matching rule", async () => {
+    const reasons = await getHoldReasons({
+      context: contextWithPreviousOrders(0),
+      order,
+      rules: [
+        { type: "totalPriceGreaterThan", value: 500 },
+        { type: "firstTimeCustomer" },
+        { type: "countryNotIn", value: ["us", "CA"] },
+        { type: "poBox" },
+      ],
+    });
+
+    expect(reasons).toEqual([
+      "Total 750 is over 500",
+      "First order from new@example.com",
+      "Ships to MX, outside US, CA",
+      "Ships to a PO box",
+    ]);
+  });
+
+  it("doesn't hold orders that match no rule", async () => {
+    const reasons = await getHoldReasons({
+      context: contextWithPreviousOrders(3),
+      order: { ...order, totalPrice: 20, country: "US", streetAddress1: "1 Main St" },
+      rules: [
+        { type: "totalPriceGreaterThan", value: 500 },
+        { type: "firstTimeCustomer" },
+        { type: "countryNotIn", value: ["US"] },
+        { type: "poBox" },
+      ],
+    });
+
+    expect(reasons).toEqual([]);
+  });
+
+  it("only releases held orders to pending or cancels them", () => {
+    expect(canTransitionOrderStatus("PENDING", "ON_HOLD")).toBe(true);
+    expect(canTransitionOrderStatus("ON_HOLD", "PENDING")).toBe(true);
+    expect(canTransitionOrderStatus("ON_HOLD", "CANCELLED")).toBe(true);
+    expect(canTransitionOrderStatus("ON_HOLD", "AWAITING")).toBe(false);
+    expect(canTransitionOrderStatus("AWAITING", "ON_HOLD")).toBe(false);
+  });
+});
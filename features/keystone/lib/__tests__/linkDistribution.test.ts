@@ -0,0 +1,98 @@
+import { describe, expect, it } from "bun:test";
+import { getLinkSplit, pickDistributedLink, routeToDistributedLink } from "../linkDistribution";
+
+// Routes orders one at a time, counting them on the links like linkOrder does
+function route(
+  links: Array<{ id: string; rank: number; weight: number; routedCount: number }>,
+  orders: number,
+  linkMode: "weighted" | "round_robin"
+) {
+  const routed: string[] = [];
+  for (let i = 0; i < orders; i++) {
+    const link = pickDistributedLink(links, linkMode);
+    if (!link) break;
+    link.routedCount++;
+    routed.push(link.id);
+  }
+  return routed;
+}
+
+describe("Link distribution", () => {
+  it("splits orders by weight", () => {
+    const links = [
+      { id: "a", rank: 1, weight: 3, routedCount: 0 },
+      { id: "b", rank: 2, weight: 1, routedCount: 0 },
+    ];
+
+    expect(route(links, 8, "weighted")).toEqual(["a", "a", "a", "b", "a", "a", "a", "b"]);
+  });
+
+  it("carries on from the stored counts", () => {
+    const links = [
+      { id: "a", rank: 1, weight: 1, routedCount: 10 },
+      { id: "b", rank: 2, weight: 1, routedCount: 7 },
+    ];
+
+    expect(route(links, 4, "weighted")).toEqual(["b", "b", "b", "a"]);
+  });
+
+  it("takes turns in rank order and ignores weights in round robin", () => {
+    const links = [
+      { id: "b", rank: 2, weight: 5, routedCount: 0 },
+      { id: "a", rank: 1, weight: 1, routedCount: 0 },
+      { id: "c", rank: 3, weight: 0, routedCount: 0 },
+    ];
+
+    expect(route(links, 4, "round_robin")).toEqual(["a", "b", "c", "a"]);
+  });
+
+  it("skips links weighted 0", () => {
+    const paused = [{ id: "a", rank: 1, weight: 0, routedCount: 0 }];
+
+    expect(pickDistributedLink(paused, "weighted")).toBeNull();
+  });
+
+  it("reports the achieved split against the target", () => {
+    const split = getLinkSplit(
+      [
+        { id: "a", weight: 3, routedCount: 11 },
+        { id: "b", weight: 1, routedCount: 9 },
+      ],
+      "weighted"
+    );
+
+    expect(split.map(({ link, ...rest }) => ({ id: link.id, ...rest }))).toEqual([
+      { id: "a", target: 75, achieved: 55, routed: 11 },
+      { id: "b", target: 25, achieved: 45, routed: 9 },
+    ]);
+  });
+
+  it("picks and counts the link inside one serializable transaction", async () => {
+    const links = [
+      { id: "a", rank: 1, weight: 1, routedCount: 2 },
+      { id: "b", rank: 2, weight: 1, routedCount: 1 },
+    ];
+    const updates: any[] = [];
+    const transaction = {
+      query: {
+        Link: {
+          findMany: async ({ where }: any) => links.filter(({ id }) => where.id.in.includes(id)),
+          updateOne: async (args: any) => updates.push(args),
+        },
+      },
+    };
+    let options: any;
+    const context = {
+      transaction: async (run: any, transactionOptions: any) => {
+        options = transactionOptions;
+        return run(transaction);
+      },
+    };
+
+    const linkId = await routeToDistributedLink({ context, linkIds: ["a", "b"], linkMode: "weighted" });
+
+    expect(linkId).toBe("b");
+    expect(updates).toEqual([{ where: { id: "b" }, data: { routedCount: 2 } }]);
+    expect(options).toEqual({ isolationLevel: "Serializable" });
+  });
+});
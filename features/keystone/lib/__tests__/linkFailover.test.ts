@@ -0,0 +1,32 @@
+import { describe, expect, it } from "bun:test";
+import { getFailoverLinks } from "../linkFailover";
+
+const links = [
+  { id: "c", rank: 3 },
+  { id: "a", rank: 1 },
+  { id: "d", rank: 4 },
+  { id: "b", rank: 2 },
+];
+
+describe("Link failover", () => {
+  it("moves down the ranks from the failed link", () => {
+    const next = getFailoverLinks({ links, currentLinkId: "b", usedLinkIds: ["b"], depth: 2 });
+
+    expect(next.map(({ id }) => id)).toEqual(["c", "d"]);
+  });
+
+  it("skips links the order was already routed to", () => {
+    const next = getFailoverLinks({ links, currentLinkId: "b", usedLinkIds: ["a", "b", "c"], depth: 5 });
+
+    expect(next.map(({ id }) => id)).toEqual(["d"]);
+  });
+
+  it("stops once the order has failed over depth times", () => {
+    expect(getFailoverLinks({ links, currentLinkId: "c", usedLinkIds: ["a", "b", "c"], depth: 2 })).toEqual([]);
+    expect(getFailoverLinks({ links, currentLinkId: "a", usedLinkIds: ["a"], depth: 0 })).toEqual([]);
+  });
+
+  it("does nothing for a link the shop no longer has", () => {
+    expect(getFailoverLinks({ links, currentLinkId: "z", usedLinkIds: ["z"], depth: 2 })).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from "bun:test";
+import { buildLinkWhere, formatOrderTags, validateLinkFilters } from "../linkFilters";
+
+describe("Link filters", () => {
+  it("compiles each rule into an OrderWhereInput clause", () => {
+    expect(
+      buildLinkWhere({
+        filters: [
+          { type: "countryIn", value: ["US", " ca "] },
+          { type: "totalPriceGreaterThan", value: 50 },
+          { type: "skuPrefix", value: "ABC-" },
+          { type: "tagContains", value: "wholesale" },
+        ],
+      })
+    ).toEqual({
+      AND: [
+        {
+          OR: [
+            { country: { equals: "US", mode: "insensitive" } },
+            { country: { equals: "ca", mode: "insensitive" } },
+          ],
+        },
+        { totalPrice: { gt: 50 } },
+        { lineItems: { some: { sku: { startsWith: "ABC-", mode: "insensitive" } } } },
+        {
+          OR: [
+            { tags: { equals: "wholesale", mode: "insensitive" } },
+            { tags: { startsWith: "wholesale, ", mode: "insensitive" } },
+            { tags: { endsWith: ", wholesale", mode: "insensitive" } },
+            { tags: { contains: ", wholesale, ", mode: "insensitive" } },
+          ],
+        },
+      ],
+    });
+  });
+
+  it("folds customWhere into the compiled clause", () => {
+    expect(
+      buildLinkWhere({
+        filters: [{ type: "totalPriceGreaterThan", value: 10 }],
+        customWhere: { currency: { equals: "USD" } },
+      })
+    ).toEqual({
+      AND: [{ totalPrice: { gt: 10 } }, { currency: { equals: "USD" } }],
+    });
+  });
+
+  it("stores tags as one list whatever form the shop sends", () => {
+    expect(formatOrderTags("wholesale,sale ,  vip")).toBe("wholesale, sale, vip");
+    expect(formatOrderTags(["sale", " vip", ""])).toBe("sale, vip");
+    expect(formatOrderTags(null)).toBe("");
+  });
+
+  it("matches every order when there are no rules", () => {
+    expect(buildLinkWhere({ filters: [], customWhere: {} })).toEqual({});
+    expect(buildLinkWhere({ filters: {} })).toEqual({});
+  });
+
+  it("reports invalid rules", () => {
+    expect(validateLinkFilters([{ type: "countryIn", value: [] }])).toHaveLength(1);
+    expect(validateLinkFilters([{ type: "totalPriceGreaterThan", value: "50" }])).toHaveLength(1);
+    expect(validateLinkFilters([{ field: "country", type: "equals", value: "US" }])).toHaveLength(1);
+    expect(() => buildLinkWhere({ filters: [{ type: "skuPrefix", value: "" }] })).toThrow();
+    expect(validateLinkFilters([{ type: "tagContains", value: "sale, vip" }])).toHaveLength(1);
+  });
+});
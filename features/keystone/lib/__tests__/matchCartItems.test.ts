@@ -0,0 +1,36 @@
+import { describe, expect, it } from "bun:test";
+import { getOutputSets, isProductInStock } from "../matchCartItems";
+
+describe("Match alternatives", () => {
+  it("tries the match's own output, then alternatives by priority", () => {
+    const sets = getOutputSets({
+      output: [{ id: "primary" }],
+      alternatives: [
+        { id: "b", priority: 2, output: [{ id: "second" }] },
+        { id: "empty", priority: 0, output: [] },
+        { id: "a", priority: 1, output: [{ id: "first" }] },
+      ],
+    });
+
+    expect(sets.map(({ alternative }) => alternative?.id ?? null)).toEqual([null, "a", "b"]);
+    expect(sets[1].output).toEqual([{ id: "first" }]);
+  });
+
+  it("uses the match's own output without alternatives", () => {
+    expect(getOutputSets({ output: [{ id: "primary" }], alternatives: null })).toEqual([
+      { alternative: null, output: [{ id: "primary" }] },
+    ]);
+  });
+
+  it("trusts availableForSale when the channel reports it", () => {
+    expect(isProductInStock({ availableForSale: false, inventory: 10 }, 1)).toBe(false);
+    expect(isProductInStock({ availableForSale: true, inventory: 0 }, 1)).toBe(true);
+  });
+
+  it("falls back to inventory otherwise", () => {
+    expect(isProductInStock({ inventory: 2 }, 3)).toBe(false);
+    expect(isProductInStock({ inventory: 3 }, 3)).toBe(true);
+    expect(isProductInStock({ price: "10.00" }, 3)).toBe(true);
+    expect(isProductInStock(null, 1)).toBe(false);
+  });
+});
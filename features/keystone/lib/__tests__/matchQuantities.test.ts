@@ -0,0 +1,40 @@
+import { describe, expect, it } from "bun:test";
+import { findMatchForLineItems, getMatchMultiplier } from "../matchQuantities";
+
+const item = (productId: string, quantity: number) => ({ productId, variantId: `${productId}-v`, quantity });
+
+describe("Match quantities", () => {
+  it("scales per-unit matches by the ordered quantity", () => {
+    const match = { matchType: "per_unit", input: [item("a", 1)] };
+
+    expect(getMatchMultiplier(match, [item("a", 1)])).toBe(1);
+    expect(getMatchMultiplier(match, [item("a", 3)])).toBe(3);
+    expect(getMatchMultiplier(match, [item("b", 3)])).toBeNull();
+  });
+
+  it("needs whole multiples shared by every input", () => {
+    const match = { matchType: "per_unit", input: [item("a", 2), item("b", 1)] };
+
+    expect(getMatchMultiplier(match, [item("a", 4), item("b", 2)])).toBe(2);
+    expect(getMatchMultiplier(match, [item("a", 3), item("b", 2)])).toBeNull();
+    expect(getMatchMultiplier(match, [item("a", 4), item("b", 3)])).toBeNull();
+    expect(getMatchMultiplier(match, [item("a", 4)])).toBeNull();
+  });
+
+  it("only fits fixed bundles at their exact quantities", () => {
+    const match = { matchType: "fixed", input: [item("a", 3)] };
+
+    expect(getMatchMultiplier(match, [item("a", 3)])).toBe(1);
+    expect(getMatchMultiplier(match, [item("a", 6)])).toBeNull();
+    expect(getMatchMultiplier(match, [item("a", 1)])).toBeNull();
+  });
+
+  it("prefers a fixed bundle over a per-unit match", () => {
+    const perUnit = { id: "per-unit", matchType: "per_unit", input: [item("a", 1)] };
+    const bundle = { id: "bundle", matchType: "fixed", input: [item("a", 3)] };
+
+    expect(findMatchForLineItems([perUnit, bundle], [item("a", 3)])).toEqual({ match: bundle, multiplier: 1 });
+    expect(findMatchForLineItems([perUnit, bundle], [item("a", 2)])).toEqual({ match: perUnit, multiplier: 2 });
+    expect(findMatchForLineItems([bundle], [item("a", 2)])).toBeNull();
+  });
+});
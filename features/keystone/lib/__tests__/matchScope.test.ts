@@ -0,0 +1,29 @@
+import { describe, expect, it } from "bun:test";
+import { getInputShopId, getMatchScopeWhere } from "../matchScope";
+
+describe("Match scope", () => {
+  it("limits matches to the order's shop or global matches", () => {
+    expect(getMatchScopeWhere("shop-1")).toEqual({
+      OR: [
+        { isGlobal: { equals: true } },
+        { input: { every: { shop: { id: { equals: "shop-1" } } } } },
+      ],
+    });
+  });
+
+  it("leaves orders without a shop unscoped", () => {
+    expect(getMatchScopeWhere(null)).toEqual({});
+    expect(getMatchScopeWhere(undefined)).toEqual({});
+  });
+
+  it("reads the shop shared by every input", () => {
+    const input = (shopId?: string) => ({
+      productId: { equals: "1" },
+      ...(shopId && { shop: { id: { equals: shopId } } }),
+    });
+
+    expect(getInputShopId([input("shop-1"), input("shop-1")])).toBe("shop-1");
+    expect(getInputShopId([input("shop-1"), input("shop-2")])).toBeNull();
+    expect(getInputShopId([input()])).toBeNull();
+  });
+});
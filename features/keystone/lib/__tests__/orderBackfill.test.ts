@@ -0,0 +1,42 @@
+import { describe, expect, it } from "bun:test";
+import {
+  BACKFILL_INTERVAL_MS,
+  isBackfillDue,
+  isBeforeCutoff,
+  isClosedShopOrder,
+} from "../orderBackfill";
+
+describe("Order backfill", () => {
+  const now = Date.parse("2026-01-01T12:00:00Z");
+
+  it("stops paging at orders older than the lookback", () => {
+    const cutoff = new Date("2026-01-01T00:00:00Z");
+    expect(isBeforeCutoff({ createdAt: "2025-12-31T23:59:59Z" }, cutoff)).toBe(true);
+    expect(isBeforeCutoff({ createdAt: "2026-01-01T00:00:01Z" }, cutoff)).toBe(false);
+    expect(isBeforeCutoff({ createdAt: null }, cutoff)).toBe(false);
+    expect(isBeforeCutoff({ createdAt: "not a date" }, cutoff)).toBe(false);
+  });
+
+  it("schedules a shop once its last run is older than the interval", () => {
+    expect(isBackfillDue(null, now)).toBe(true);
+    expect(
+      isBackfillDue({ status: "completed", createdAt: new Date(now - BACKFILL_INTERVAL_MS + 1000) }, now)
+    ).toBe(false);
+    expect(
+      isBackfillDue({ status: "failed", createdAt: new Date(now - BACKFILL_INTERVAL_MS).toISOString() }, now)
+    ).toBe(true);
+  });
+
+  it("waits for a queued or running run unless it was abandoned", () => {
+    expect(isBackfillDue({ status: "running", createdAt: new Date(now - BACKFILL_INTERVAL_MS * 2) }, now)).toBe(false);
+    expect(isBackfillDue({ status: "queued", createdAt: new Date(now - 2 * 60 * 60 * 1000) }, now)).toBe(true);
+  });
+
+  it("skips orders the shop already closed, cancelled or fulfilled", () => {
+    expect(isClosedShopOrder({ closed: true, fulfillmentStatus: "UNFULFILLED" })).toBe(true);
+    expect(isClosedShopOrder({ closed: false, fulfillmentStatus: "FULFILLED" })).toBe(true);
+    expect(isClosedShopOrder({ closed: false, fulfillmentStatus: "UNFULFILLED" })).toBe(false);
+    expect(isClosedShopOrder({ fulfillmentStatus: "PARTIALLY_FULFILLED" })).toBe(false);
+    expect(isClosedShopOrder({})).toBe(false);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, it } from "bun:test";
+import { applyShopOrderUpdate, diffShopOrderUpdate } from "../orderUpdates";
+
+describe("Order updates", () => {
+  const order = {
+    city: "Austin",
+    zip: "78701",
+    totalPrice: 30,
+    lineItems: [
+      { id: "li1", lineItemId: "100", name: "Mug", quantity: 2, price: 10, variantId: "v1" },
+      { id: "li2", lineItemId: "101", name: "Cap", quantity: 1, price: 10, variantId: "v2" },
+    ],
+  };
+
+  it("only changes the order fields the update sends", () => {
+    const { orderData, lineItemsChanged, changes } = diffShopOrderUpdate(order, {
+      orderId: "1",
+      city: "Dallas",
+      zip: "78701",
+      totalPrice: "30.00" as any,
+    });
+
+    expect(orderData).toEqual({ city: "Dallas" });
+    expect(lineItemsChanged).toBe(false);
+    expect(changes).toEqual(["city"]);
+  });
+
+  it("updates, removes and adds line items by lineItemId", () => {
+    const { lineItems } = diffShopOrderUpdate(order, {
+      orderId: "1",
+      lineItems: [
+        { lineItemId: "100", name: "Mug", quantity: 3, price: 10, variantId: "v1" },
+        { lineItemId: "101", name: "Cap", quantity: 0, price: 10, variantId: "v2" },
+        { lineItemId: "102", name: "Shirt", quantity: 1, price: 20, variantId: "v3" },
+      ],
+    });
+
+    expect(lineItems.update).toEqual([{ id: "li1", data: { quantity: 3 } }]);
+    expect(lineItems.delete).toEqual(["li2"]);
+    expect(lineItems.create).toHaveLength(1);
+    expect(lineItems.create[0]).toMatchObject({ lineItemId: "102", quantity: 1, variantId: "v3" });
+  });
+
+  it("leaves line items alone when the update doesn't include them", () => {
+    const { lineItemsChanged } = diffShopOrderUpdate(order, { orderId: "1" });
+    expect(lineItemsChanged).toBe(false);
+  });
+
+  it("flags an order being placed and leaves its line items alone", async () => {
+    const writes: string[] = [];
+    const record = (name: string) => async () => {
+      writes.push(name);
+      return [];
+    };
+    const query = {
+      Order: {
+        findOne: async () => ({ id: "o1", status: "PENDING", linkOrder: true, cartItems: [], ...order }),
+        updateOne: record("Order.updateOne"),
+      },
+      LineItem: {
+        updateMany: record("LineItem.updateMany"),
+        deleteMany: record("LineItem.deleteMany"),
+        createMany: record("LineItem.createMany"),
+      },
+      CartItem: { deleteMany: record("CartItem.deleteMany") },
+      ProcessingError: { count: async () => 0, createOne: record("ProcessingError.createOne") },
+      // A PLACE_ORDER job is queued
+      Job: { count: async () => 1 },
+    };
+    const context = { query, sudo: () => context };
+
+    const result = await applyShopOrderUpdate({
+      context,
+      orderId: "o1",
+      update: {
+        orderId: "1",
+        lineItems: [{ lineItemId: "100", name: "Mug", quantity: 3, price: 10, variantId: "v1" }],
+      },
+    });
+
+    expect(result).toMatchObject({ flagged: true, rerouted: false });
+    expect(writes).toEqual(["Order.updateOne", "ProcessingError.createOne"]);
+  });
+});
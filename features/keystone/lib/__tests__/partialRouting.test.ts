@@ -0,0 +1,101 @@
+import { describe, expect, it } from "bun:test";
+import { canTransitionOrderStatus } from "../orderStatus";
+import {
+  UNMATCHED_LINE_ITEM_ERROR,
+  flagUnmatchedLineItems,
+  settlePartiallyRoutedOrder,
+} from "../partialRouting";
+
+function mockContext({
+  status = "PARTIALLY_ROUTED",
+  unrouted = 0,
+  unpurchased = 0,
+  purchased = 0,
+}: {
+  status?: string;
+  unrouted?: number;
+  unpurchased?: number;
+  purchased?: number;
+} = {}) {
+  const updates: { order: any[]; lineItems: any[] } = { order: [], lineItems: [] };
+
+  const context = {
+    query: {
+      Order: {
+        findOne: async () => ({ id: "order-1", status }),
+        updateOne: async ({ data }: any) => updates.order.push(data),
+      },
+      LineItem: {
+        count: async () => unrouted,
+        updateMany: async ({ data }: any) => updates.lineItems.push(...data),
+      },
+      CartItem: {
+        count: async ({ where }: any) => (where.purchaseId.not ? purchased : unpurchased),
+      },
+    },
+  };
+
+  return { context, updates };
+}
+
+describe("Partial routing", () => {
+  it("flags unmatched line items and marks the order partially routed", async () => {
+    const { context, updates } = mockContext();
+
+    await flagUnmatchedLineItems({
+      context,
+      orderId: "order-1",
+      lineItems: [
+        { id: "line-1", matched: true },
+        { id: "line-2", matched: false },
+      ],
+    });
+
+    expect(updates.lineItems).toEqual([
+      { where: { id: "line-1" }, data: { error: "" } },
+      { where: { id: "line-2" }, data: { error: UNMATCHED_LINE_ITEM_ERROR } },
+    ]);
+    expect(updates.order[0].status).toBe("PARTIALLY_ROUTED");
+    expect(updates.order[0].statusReason).toContain("1 of 2");
+  });
+
+  it("leaves the order status alone when everything matched", async () => {
+    const { context, updates } = mockContext();
+
+    await flagUnmatchedLineItems({
+      context,
+      orderId: "order-1",
+      lineItems: [{ id: "line-1", matched: true }],
+    });
+
+    expect(updates.order).toEqual([]);
+  });
+
+  it("waits until every flagged line item is handled", async () => {
+    const { context, updates } = mockContext({ unrouted: 1, purchased: 1 });
+    await settlePartiallyRoutedOrder({ context, orderId: "order-1" });
+    expect(updates.order).toEqual([]);
+  });
+
+  it("moves to AWAITING when the whole cart was purchased, otherwise PENDING", async () => {
+    const purchased = mockContext({ purchased: 2 });
+    await settlePartiallyRoutedOrder({ context: purchased.context, orderId: "order-1" });
+    expect(purchased.updates.order[0].status).toBe("AWAITING");
+
+    const unpurchased = mockContext({ purchased: 1, unpurchased: 1 });
+    await settlePartiallyRoutedOrder({ context: unpurchased.context, orderId: "order-1" });
+    expect(unpurchased.updates.order[0].status).toBe("PENDING");
+
+    const other = mockContext({ status: "AWAITING" });
+    await settlePartiallyRoutedOrder({ context: other.context, orderId: "order-1" });
+    expect(other.updates.order).toEqual([]);
+  });
+
+  it("allows the partial routing transitions", () => {
+    expect(canTransitionOrderStatus("PENDING", "PARTIALLY_ROUTED")).toBe(true);
+    expect(canTransitionOrderStatus("PARTIALLY_ROUTED", "AWAITING")).toBe(true);
+    expect(canTransitionOrderStatus("PARTIALLY_ROUTED", "ON_HOLD")).toBe(true);
+    // A re-placed order with line items still flagged
+    expect(canTransitionOrderStatus("AWAITING", "PARTIALLY_ROUTED")).toBe(true);
+  });
+});
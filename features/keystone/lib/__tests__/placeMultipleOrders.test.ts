@@ -0,0 +1,172 @@
+import { afterEach, describe, expect, it, mock } from "bun:test";
+import { placeMultipleOrders } from "../placeMultipleOrders";
+
+// Channel calls look up their channel for a token refresh, none of them has one
+mock.module("../../context", () => ({
+  keystoneContext: { sudo: () => ({ query: { Channel: { findOne: async () => null } } }) },
+}));
+
+const realFetch = globalThis.fetch;
+
+// Records every write so a test can check what placement did to the cart
+function mockQuery({ shop = {}, statuses = ["PENDING"] }: { shop?: any; statuses?: string[] } = {}) {
+  const calls: Record<string, any[]> = {
+    cartItemUpdates: [],
+    cartItemLookups: [],
+    cartItemsCreated: [],
+    processingErrors: [],
+  };
+
+  const query = {
+    Order: {
+      // Each read of the order moves on to the next status, the last one sticks
+      findOne: async () => ({
+        firstName: "Ada",
+        status: statuses.length > 1 ? statuses.shift() : statuses[0],
+        user: { email: "ada@example.com" },
+        shop: { domain: "", platform: {}, ...shop },
+        cartItems: [{ link: { id: "l1" } }],
+        orderId: "1001",
+        orderName: "#1001",
+      }),
+      updateOne: async ({ data }: any) => ({ id: "o1", ...data }),
+      findMany: async () => [{ id: "o1" }],
+    },
+    Channel: {
+      // The cart item is only unpurchased the first time round, so fallbacks don't loop
+      findMany: async () => [
+        {
+          id: "ch1",
+          domain: "",
+          accessToken: "",
+          cartItems: calls.cartItemUpdates.length
+            ? []
+            : [{ id: "c1", productId: "p1", quantity: 1, price: "10", idempotencyKey: null }],
+          platform: { createPurchaseFunction: "http://channel.test/purchase", findPurchaseFunction: "" },
+          metadata: {},
+        },
+      ],
+    },
+    Link: {
+      findOne: async ({ where }: any) => ({ id: where.id, dynamicWhereClause: {} }),
+    },
+    CartItem: {
+      findMany: async (args: any) => {
+        calls.cartItemLookups.push(args);
+        // Only the link failover lookup finds the failed item
+        return args.where.NOT ? [{ id: "c1", name: "Tee", quantity: 1, link: { id: "l1" } }] : [];
+      },
+      createMany: async ({ data }: any) => {
+        calls.cartItemsCreated.push(...data);
+        return data;
+      },
+      updateOne: async ({ where, data }: any) => {
+        calls.cartItemUpdates.push({ id: where.id, ...data });
+        return { id: where.id };
+      },
+      updateMany: async ({ data }: any) => {
+        calls.cartItemUpdates.push(...data.map(({ where, data }: any) => ({ id: where.id, ...data })));
+      },
+      count: async () => 1,
+    },
+    ProcessingError: {
+      count: async () => 0,
+      findMany: async () => [],
+      updateMany: async () => [],
+      createOne: async ({ data }: any) => {
+        calls.processingErrors.push(data);
+        return data;
+      },
+    },
+    LineItem: { count: async () => 0 },
+  };
+
+  return { query, calls };
+}
+
+describe("Placing orders", () => {
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  it("leaves the items failed without falling back when the channel call throws", async () => {
+    globalThis.fetch = (async () => {
+      throw new Error("Request timed out");
+    }) as any;
+    const { query, calls } = mockQuery();
+
+    const { failed } = await placeMultipleOrders({ ids: ["o1"], query });
+
+    expect(failed).toEqual([
+      {
+        orderId: "o1",
+        channelId: "ch1",
+        cartItemIds: ["c1"],
+        message: expect.stringContaining("Request timed out"),
+        transient: true,
+      },
+    ]);
+    expect(calls.cartItemLookups).toEqual([]);
+    expect(calls.cartItemUpdates.some(({ status }) => status === "CANCELLED")).toBe(false);
+    expect(calls.cartItemUpdates.find(({ error }) => error)?.error).toContain("Request timed out");
+    expect(calls.processingErrors.map(({ code }) => code)).toEqual(["ORDER_PLACEMENT_ERROR"]);
+  });
+
+  it("falls back when the channel reports an error", async () => {
+    globalThis.fetch = (async () => new Response(JSON.stringify({ error: "Out of stock" }))) as any;
+    const { query, calls } = mockQuery();
+
+    const { failed } = await placeMultipleOrders({ ids: ["o1"], query });
+
+    expect(failed.map(({ transient }) => transient)).toEqual([false]);
+    expect(calls.cartItemLookups[0]?.where).toEqual({ id: { in: ["c1"] } });
+  });
+
+  it("stops before buying when the order was cancelled while placing", async () => {
+    let purchases = 0;
+    globalThis.fetch = (async () => {
+      purchases++;
+      return new Response(JSON.stringify({ purchaseId: "p1" }));
+    }) as any;
+    const { query, calls } = mockQuery({ statuses: ["PENDING", "CANCELLED"] });
+
+    const { processed } = await placeMultipleOrders({ ids: ["o1"], query });
+
+    expect(purchases).toBe(0);
+    expect(processed).toEqual([]);
+    expect(calls.cartItemUpdates).toEqual([]);
+  });
+
+  describe("in failover mode", () => {
+    const shop = {
+      linkMode: "failover",
+      failoverDepth: 2,
+      links: [
+        { id: "l1", rank: 1, channel: { id: "ch1" } },
+        { id: "l2", rank: 2, channel: { id: "ch2" } },
+      ],
+    };
+
+    it("doesn't move to the next link when the channel call throws", async () => {
+      globalThis.fetch = (async () => {
+        throw new Error("Request timed out");
+      }) as any;
+      const { query, calls } = mockQuery({ shop });
+
+      await placeMultipleOrders({ ids: ["o1"], query });
+
+      expect(calls.cartItemsCreated).toEqual([]);
+      expect(calls.cartItemUpdates.some(({ status }) => status === "CANCELLED")).toBe(false);
+    });
+
+    it("moves to the next link when no purchase ID comes back", async () => {
+      globalThis.fetch = (async () => new Response(JSON.stringify({}))) as any;
+      const { query, calls } = mockQuery({ shop });
+
+      await placeMultipleOrders({ ids: ["o1"], query, channelIds: ["ch1"] });
+
+      expect(calls.cartItemUpdates).toContainEqual({ id: "c1", status: "CANCELLED", error: "" });
+      expect(calls.cartItemsCreated.map(({ link }) => link)).toContainEqual({ connect: { id: "l2" } });
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "bun:test";
+import {
+  describeMarginImpact,
+  getPriceChange,
+  getPriceTolerance,
+  isWithinPriceTolerance,
+  parsePrice,
+} from "../priceChanges";
+
+describe("Price changes", () => {
+  it("compares prices as numbers", () => {
+    expect(getPriceChange("10.0", "10.00")).toBeNull();
+    expect(getPriceChange("$1,200.00", "1200")).toBeNull();
+    expect(getPriceChange("10.00", "10.50")).toBe("Price changed: 10.00 → 10.50");
+    expect(getPriceChange("", "10.00")).toBe("Price changed:  → 10.00");
+    expect(parsePrice("n/a")).toBeNull();
+  });
+
+  it("prefers the match's tolerance over its channel's", () => {
+    const channel = { priceToleranceType: "absolute", priceTolerance: 1 };
+    const match = { priceToleranceType: "percent", priceTolerance: 5 };
+
+    expect(getPriceTolerance(match, channel)).toBe(match);
+    expect(getPriceTolerance({ priceToleranceType: null, priceTolerance: 0 }, channel)).toBe(channel);
+    expect(getPriceTolerance(null, null)).toBeNull();
+  });
+
+  it("accepts increases up to an absolute amount", () => {
+    const tolerance = { priceToleranceType: "absolute", priceTolerance: 1 };
+
+    expect(isWithinPriceTolerance("10.00", "11.00", tolerance)).toBe(true);
+    expect(isWithinPriceTolerance("10.00", "11.01", tolerance)).toBe(false);
+  });
+
+  it("accepts increases up to a percent of the saved price", () => {
+    const tolerance = { priceToleranceType: "percent", priceTolerance: 5 };
+
+    expect(isWithinPriceTolerance("20.00", "21.00", tolerance)).toBe(true);
+    expect(isWithinPriceTolerance("20.00", "21.20", tolerance)).toBe(false);
+    expect(isWithinPriceTolerance("0", "1", tolerance)).toBe(false);
+  });
+
+  it("accepts drops but needs approval without a tolerance", () => {
+    const tolerance = { priceToleranceType: "absolute", priceTolerance: 0 };
+
+    expect(isWithinPriceTolerance("10.00", "8.00", tolerance)).toBe(true);
+    expect(isWithinPriceTolerance("10.00", "8.00", null)).toBe(false);
+    expect(isWithinPriceTolerance("10.00", "unknown", tolerance)).toBe(false);
+  });
+
+  it("describes the margin impact", () => {
+    expect(describeMarginImpact({ revenue: 50, costBefore: 30, costAfter: 40 })).toBe(
+      "Shop margin 20.00 (40.0%) → 10.00 (20.0%)"
+    );
+    expect(describeMarginImpact({ revenue: 0, costBefore: 5, costAfter: 6 })).toBe(
+      "Shop margin -5.00 → -6.00"
+    );
+  });
+});
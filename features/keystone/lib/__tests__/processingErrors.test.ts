@@ -0,0 +1,86 @@
+import { describe, expect, it } from "bun:test";
+import { recordProcessingError, resolveOrderProcessingErrors } from "../processingErrors";
+
+function mockContext(errors: any[]) {
+  const updates: Record<string, any[]> = { Order: [], CartItem: [] };
+  const matches = (error: any, where: any): boolean =>
+    (!where.OR || where.OR.some((or: any) => matches(error, or))) &&
+    (!where.resolved || error.resolved === where.resolved.equals) &&
+    (!where.code || error.code === where.code.equals) &&
+    (!where.order || [where.order.id.equals, ...(where.order.id.in || [])].includes(error.order?.id)) &&
+    (!where.cartItem || [where.cartItem.id.equals, ...(where.cartItem.id.in || [])].includes(error.cartItem?.id)) &&
+    (where.cartItem !== null || !error.cartItem);
+
+  const findMany = async ({ where }: any) => errors.filter((error) => matches(error, where));
+
+  const context = {
+    query: {
+      ProcessingError: {
+        count: async ({ where }: any) => (await findMany({ where })).length,
+        findMany,
+        createOne: async ({ data }: any) => data,
+        updateMany: async ({ data }: any) => {
+          for (const { where, data: update } of data) {
+            Object.assign(errors.find((error) => error.id === where.id), update);
+          }
+        },
+      },
+      Order: { updateMany: async ({ data }: any) => updates.Order.push(...data) },
+      CartItem: { updateMany: async ({ data }: any) => updates.CartItem.push(...data) },
+    },
+  };
+
+  return { context, updates };
+}
+
+describe("Processing errors", () => {
+  it("numbers attempts by earlier errors with the same code", async () => {
+    const { context } = mockContext([
+      { id: "1", code: "ORDER_PLACEMENT_ERROR", resolved: true, order: { id: "o1" } },
+      { id: "2", code: "ORDER_PLACEMENT_ERROR", resolved: false, order: { id: "o1" } },
+      { id: "3", code: "LINK_ERROR", resolved: false, order: { id: "o1" } },
+      { id: "4", code: "ORDER_PLACEMENT_ERROR", resolved: false, order: { id: "o1" }, cartItem: { id: "c1" } },
+    ]);
+
+    const created = await recordProcessingError({
+      query: context.query,
+      code: "ORDER_PLACEMENT_ERROR",
+      message: "Out of stock",
+      orderId: "o1",
+      rawResponse: { error: "Out of stock", at: undefined },
+    });
+
+    expect(created.attempt).toBe(3);
+    expect(created.severity).toBe("error");
+    expect(created.rawResponse).toEqual({ error: "Out of stock" });
+    expect(created.order).toEqual({ connect: { id: "o1" } });
+  });
+
+  it("clears order errors once nothing unresolved is left", async () => {
+    const { context, updates } = mockContext([
+      { id: "1", code: "LINK_ERROR", resolved: false, order: { id: "o1" } },
+      { id: "2", code: "LINK_ERROR", resolved: false, order: { id: "o2" } },
+      { id: "3", code: "MATCH_ERROR", resolved: false, order: { id: "o2" } },
+    ]);
+
+    const resolved = await resolveOrderProcessingErrors({
+      context,
+      orderIds: ["o1", "o2"],
+      code: "LINK_ERROR",
+    });
+
+    expect(resolved).toBe(2);
+    expect(updates.Order).toEqual([{ where: { id: "o1" }, data: { error: "" } }]);
+    expect(updates.CartItem).toEqual([]);
+  });
+
+  it("clears cart item errors without touching the order", async () => {
+    const { context, updates } = mockContext([
+      { id: "1", code: "PRICE_CHANGE", resolved: false, order: { id: "o1" }, cartItem: { id: "c1" } },
+    ]);
+
+    expect(await resolveOrderProcessingErrors({ context, orderIds: ["o1"] })).toBe(1);
+    expect(updates.Order).toEqual([]);
+    expect(updates.CartItem).toEqual([{ where: { id: "c1" }, data: { error: "" } }]);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, expect, it } from "bun:test";
+import { getPriceChange, priceChangeError } from "../priceChanges";
+import { getRetryChannelIds } from "../retryCartItems";
+
+describe("Retrying cart items", () => {
+  it("describes price changes", () => {
+    expect(getPriceChange("10.00", "10.00")).toBeNull();
+    expect(getPriceChange(null, "")).toBeNull();
+    expect(getPriceChange("10.00", "12.50")).toBe("Price changed: 10.00 → 12.50");
+    expect(priceChangeError("Price changed: 10.00 → 12.50")).toBe(
+      "PRICE_CHANGE: Price changed: 10.00 → 12.50. Verify before placing order."
+    );
+  });
+
+  it("retries each failed channel once", () => {
+    const cartItems = [
+      { id: "1", channel: { id: "a" } },
+      { id: "2", channel: { id: "a" } },
+      { id: "3", channel: { id: "b" } },
+      { id: "4", channel: null },
+    ];
+
+    expect(getRetryChannelIds(cartItems, [])).toEqual(["a", "b"]);
+  });
+
+  it("holds back a channel when any of its items is held back", () => {
+    const cartItems = [
+      { id: "1", channel: { id: "a" } },
+      { id: "2", channel: { id: "a" } },
+      { id: "3", channel: { id: "b" } },
+    ];
+
+    expect(getRetryChannelIds(cartItems, ["2"])).toEqual(["b"]);
+    expect(getRetryChannelIds(cartItems, ["2", "3"])).toEqual([]);
+  });
+});
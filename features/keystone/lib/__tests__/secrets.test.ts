@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it } from "bun:test";
+import {
+  decryptPlatformCredentials,
+  decryptSecret,
+  encryptSecret,
+  getSecretKeyId,
+  isEncryptedSecret,
+  needsReencryption,
+} from "../secrets";
+
+const OLD_KEY = "a".repeat(64);
+const NEW_KEY = "b".repeat(64);
+
+describe("Secrets", () => {
+  beforeEach(() => {
+    process.env.OPENSHIP_ENCRYPTION_KEY = OLD_KEY;
+    delete process.env.OPENSHIP_ENCRYPTION_PREVIOUS_KEYS;
+  });
+
+  afterEach(() => {
+    delete process.env.OPENSHIP_ENCRYPTION_KEY;
+    delete process.env.OPENSHIP_ENCRYPTION_PREVIOUS_KEYS;
+  });
+
+  it("round trips a value without storing the plaintext", () => {
+    const encrypted = encryptSecret("shpat_123");
+
+    expect(isEncryptedSecret(encrypted)).toBe(true);
+    expect(encrypted).not.toContain("shpat_123");
+    expect(encryptSecret("shpat_123")).not.toBe(encrypted);
+    expect(decryptSecret(encrypted)).toBe("shpat_123");
+  });
+
+  it("leaves empty, already encrypted and legacy plaintext values alone", () => {
+    const encrypted = encryptSecret("token");
+
+    expect(encryptSecret("")).toBe("");
+    expect(encryptSecret(encrypted)).toBe(encrypted);
+    expect(decryptSecret("legacy-token")).toBe("legacy-token");
+    expect(decryptSecret(null)).toBe("");
+  });
+
+  it("requires a key to encrypt", () => {
+    delete process.env.OPENSHIP_ENCRYPTION_KEY;
+    expect(() => encryptSecret("token")).toThrow("OPENSHIP_ENCRYPTION_KEY");
+  });
+
+  it("decrypts with previous keys and flags values for re-encryption", () => {
+    const encrypted = encryptSecret("token");
+    expect(needsReencryption(encrypted)).toBe(false);
+    expect(needsReencryption("legacy-token")).toBe(true);
+
+    process.env.OPENSHIP_ENCRYPTION_KEY = NEW_KEY;
+    expect(() => decryptSecret(encrypted)).toThrow(getSecretKeyId(encrypted)!);
+
+    process.env.OPENSHIP_ENCRYPTION_PREVIOUS_KEYS = OLD_KEY;
+    expect(decryptSecret(encrypted)).toBe("token");
+    expect(needsReencryption(encrypted)).toBe(true);
+    expect(needsReencryption(encryptSecret("token"))).toBe(false);
+  });
+
+  it("decrypts platform credentials only", () => {
+    const platform = {
+      domain: "shop.example.com",
+      accessToken: encryptSecret("access"),
+      refreshToken: encryptSecret("refresh"),
+      appSecret: encryptSecret("secret"),
+      searchOrdersFunction: "shopify",
+    };
+
+    expect(decryptPlatformCredentials(platform)).toEqual({
+      domain: "shop.example.com",
+      accessToken: "access",
+      refreshToken: "refresh",
+      appSecret: "secret",
+      searchOrdersFunction: "shopify",
+    });
+    expect(isEncryptedSecret(platform.accessToken)).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "bun:test";
+import { getShopFulfillmentItems } from "../shopFulfillment";
+
+const lineItems = [
+  { lineItemId: "100", productId: "mug", variantId: "v1", quantity: 2 },
+  { lineItemId: "101", productId: "cap", variantId: "v2", quantity: 3 },
+];
+
+// A cart item shipped under the given tracking details, by quantity
+function cartItem(id: string, quantity: number, shipped: Record<string, number>, item: object) {
+  return {
+    id,
+    quantity,
+    lineItemId: null,
+    match: null,
+    ...item,
+    trackingItems: Object.entries(shipped).map(([trackingDetailId, quantity]) => ({
+      quantity,
+      trackingDetail: { id: trackingDetailId },
+    })),
+  };
+}
+
+describe("Shop fulfillment", () => {
+  it("pushes linked cart items as they are", () => {
+    const items = getShopFulfillmentItems({
+      lineItems,
+      cartItems: [cartItem("c1", 3, { t1: 1 }, { lineItemId: "101" })],
+      trackingDetailId: "t1",
+    });
+
+    expect(items).toEqual([{ lineItemId: "101", quantity: 1 }]);
+  });
+
+  it("converts a per-unit match's channel units back to shop units", () => {
+    // 1 mug matches 6 channel units, so the 2 mugs ordered became 12
+    const match = { id: "m1", input: [{ productId: "mug", variantId: "v1" }] };
+    const cartItems = [cartItem("c1", 12, { t1: 6, t2: 6 }, { match })];
+
+    expect(getShopFulfillmentItems({ lineItems, cartItems, trackingDetailId: "t1" })).toEqual([
+      { lineItemId: "100", quantity: 1 },
+    ]);
+    expect(getShopFulfillmentItems({ lineItems, cartItems, trackingDetailId: "t2" })).toEqual([
+      { lineItemId: "100", quantity: 1 },
+    ]);
+  });
+
+  it("only fulfills a bundle once all its parts have shipped", () => {
+    const match = {
+      id: "m1",
+      input: [
+        { productId: "mug", variantId: "v1" },
+        { productId: "cap", variantId: "v2" },
+      ],
+    };
+    const firstBox = [cartItem("c1", 1, { t1: 1 }, { match }), cartItem("c2", 1, {}, { match })];
+    const secondBox = [cartItem("c1", 1, { t1: 1 }, { match }), cartItem("c2", 1, { t2: 1 }, { match })];
+
+    expect(getShopFulfillmentItems({ lineItems, cartItems: firstBox, trackingDetailId: "t1" })).toEqual([]);
+    expect(getShopFulfillmentItems({ lineItems, cartItems: secondBox, trackingDetailId: "t2" })).toEqual([
+      { lineItemId: "100", quantity: 2 },
+      { lineItemId: "101", quantity: 3 },
+    ]);
+  });
+
+  it("pushes each line item once when several cart items fill it", () => {
+    const items = getShopFulfillmentItems({
+      lineItems,
+      cartItems: [
+        cartItem("c1", 2, { t1: 2 }, { lineItemId: "101" }),
+        cartItem("c2", 2, { t1: 2 }, { lineItemId: "101" }),
+      ],
+      trackingDetailId: "t1",
+    });
+
+    expect(items).toEqual([{ lineItemId: "101", quantity: 3 }]);
+  });
+});
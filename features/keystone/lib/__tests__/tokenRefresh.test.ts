@@ -0,0 +1,101 @@
+import { describe, expect, it, mock } from "bun:test";
+import {
+  TOKEN_REFRESH_BUFFER_MS,
+  callWithTokenRefresh,
+  getTokenExpiresAt,
+  isTokenExpiring,
+  isUnauthorizedError,
+} from "../tokenRefresh";
+
+const lookups: any[] = [];
+
+mock.module("../../context", () => ({
+  keystoneContext: {
+    sudo: () => ({
+      query: {
+        Shop: {
+          findOne: async (args: any) => {
+            lookups.push(args.where);
+            return {
+              id: args.where.id,
+              refreshToken: "refresh_1",
+              tokenExpiresAt: new Date(Date.now() - 1000).toISOString(),
+              platform: { appKey: "key", appSecret: "secret", refreshTokenFunction: "openfront" },
+            };
+          },
+          updateOne: async () => ({}),
+        },
+      },
+    }),
+  },
+}));
+
+describe("Token refresh", () => {
+  const now = Date.parse("2026-01-01T00:00:00Z");
+
+  it("refreshes tokens inside the expiry buffer", () => {
+    expect(isTokenExpiring(null, now)).toBe(false);
+    expect(isTokenExpiring(new Date(now + TOKEN_REFRESH_BUFFER_MS + 1000), now)).toBe(false);
+    expect(isTokenExpiring(new Date(now + 1000).toISOString(), now)).toBe(true);
+    expect(isTokenExpiring(new Date(now - 1000), now)).toBe(true);
+  });
+
+  it("detects 401s on the error, its response or its cause", () => {
+    expect(isUnauthorizedError(Object.assign(new Error("HTTP request failed"), { status: 401 }))).toBe(true);
+    expect(isUnauthorizedError({ message: "GraphQL Error", response: { status: 401 } })).toBe(true);
+    expect(
+      isUnauthorizedError(
+        new Error("Error executing searchOrdersFunction", {
+          cause: new Error("INVALID_SESSION_ID: Session expired or invalid"),
+        })
+      )
+    ).toBe(true);
+    expect(isUnauthorizedError(Object.assign(new Error("Not found"), { status: 404 }))).toBe(false);
+  });
+
+  it("uses the returned expiry or expiresIn seconds", () => {
+    expect(getTokenExpiresAt({ accessToken: "a", expiresIn: 3600 }, now)).toEqual(new Date(now + 3600 * 1000));
+    expect(getTokenExpiresAt({ accessToken: "a", tokenExpiresAt: "2026-02-01T00:00:00Z" }, now)).toEqual(
+      new Date("2026-02-01T00:00:00Z")
+    );
+    expect(getTokenExpiresAt({ accessToken: "a" }, now)).toBeNull();
+  });
+
+  it("looks the owner up by id and only gives the refresh function its credentials", async () => {
+    const calls: Array<{ functionName: string; platform: any }> = [];
+    const result = await callWithTokenRefresh({
+      listKey: "Shop",
+      platform: { domain: "https://shop.test", accessToken: "expired", ownerId: "shop_1" },
+      functionName: "searchOrdersFunction",
+      args: {},
+      call: async ({ platform, functionName }) => {
+        calls.push({ functionName, platform });
+        return functionName === "refreshTokenFunction" ? { accessToken: "fresh" } : { orders: [] };
+      },
+    });
+
+    expect(result).toEqual({ orders: [] });
+    expect(lookups).toEqual([{ id: "shop_1" }]);
+    expect(calls.map(({ functionName }) => functionName)).toEqual([
+      "refreshTokenFunction",
+      "searchOrdersFunction",
+    ]);
+    expect(calls[0].platform).toMatchObject({ refreshToken: "refresh_1", appKey: "key", appSecret: "secret" });
+    expect(calls[1].platform).toEqual({ domain: "https://shop.test", accessToken: "fresh" });
+  });
+
+  it("calls the adapter straight away without an owner id", async () => {
+    lookups.length = 0;
+    const platform = { domain: "https://shop.test", accessToken: "token" };
+    const result = await callWithTokenRefresh({
+      listKey: "Shop",
+      platform,
+      functionName: "searchOrdersFunction",
+      args: {},
+      call: async (options) => options.platform,
+    });
+
+    expect(result).toEqual(platform);
+    expect(lookups).toEqual([]);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, expect, it, mock } from "bun:test";
+import {
+  STALE_PROCESSING_MS,
+  canReplayWebhookDelivery,
+  processWebhookDelivery,
+} from "../webhookDeliveries";
+
+mock.module("../../../integrations/channel/lib/executor", () => ({
+  handleChannelCancelWebhook: async () => "purchase_1",
+  handleChannelTrackingWebhook: async () => ({}),
+}));
+
+// A cancel-purchase delivery for an order in the given status, recording what it writes
+function cancelPurchaseContext(orderStatus: string) {
+  const writes: { orders: any[]; errors: any[] } = { orders: [], errors: [] };
+  const cartItems = [{ id: "c1", status: "CANCELLED", order: { id: "o1" } }];
+
+  const context = {
+    query: {
+      WebhookDelivery: {
+        findOne: async () => ({
+          id: "d1",
+          source: "channel",
+          route: "cancel-purchase",
+          rawBody: JSON.stringify({ id: "purchase_1" }),
+          headers: {},
+          attempts: 0,
+          channel: { id: "ch1" },
+        }),
+        updateOne: async () => ({}),
+      },
+      Channel: {
+        findOne: async () => ({ id: "ch1", domain: "", accessToken: "", platform: {} }),
+      },
+      CartItem: {
+        findMany: async () => cartItems,
+        updateMany: async () => [],
+      },
+      Order: {
+        findOne: async () => ({ id: "o1", status: orderStatus }),
+        updateOne: async ({ data }: any) => writes.orders.push(data),
+      },
+      ProcessingError: {
+        count: async () => 0,
+        createOne: async ({ data }: any) => writes.errors.push(data),
+      },
+    },
+  };
+
+  return { context, writes };
+}
+
+describe("Webhook deliveries", () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const ago = (ms: number) => new Date(now - ms).toISOString();
+
+  it("replays deliveries that didn't succeed", () => {
+    expect(canReplayWebhookDelivery({ status: "failed" }, now)).toBe(true);
+    expect(canReplayWebhookDelivery({ status: "received" }, now)).toBe(true);
+    expect(canReplayWebhookDelivery({ status: "succeeded" }, now)).toBe(false);
+  });
+
+  it("only replays a processing delivery once it's been stuck for the timeout", () => {
+    expect(canReplayWebhookDelivery({ status: "processing", updatedAt: ago(60 * 1000) }, now)).toBe(false);
+    expect(
+      canReplayWebhookDelivery({ status: "processing", updatedAt: ago(STALE_PROCESSING_MS) }, now)
+    ).toBe(true);
+    expect(canReplayWebhookDelivery({ status: "processing" }, now)).toBe(false);
+  });
+});
+
+describe("Cancelled purchases", () => {
+  it("cancels the order once all its purchases are cancelled", async () => {
+    const { context, writes } = cancelPurchaseContext("AWAITING");
+
+    const result = await processWebhookDelivery({ context, deliveryId: "d1" });
+
+    expect(result.success).toBe(true);
+    expect(writes.orders).toEqual([{ status: "CANCELLED" }]);
+    expect(writes.errors).toEqual([]);
+  });
+
+  it("flags a completed order instead of cancelling it", async () => {
+    const { context, writes } = cancelPurchaseContext("COMPLETE");
+
+    const result = await processWebhookDelivery({ context, deliveryId: "d1" });
+
+    expect(result.success).toBe(true);
+    expect(writes.orders).toEqual([]);
+    expect(writes.errors.map(({ code }) => code)).toEqual(["CANCEL_PURCHASE_ERROR"]);
+  });
+});
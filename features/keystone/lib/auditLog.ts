@@ -0,0 +1,115 @@
+export const AUDITED_LISTS = [
+  "Shop",
+  "Channel",
+  "Link",
+  "Match",
+  "ApiKey",
+  "Role",
+  "User",
+] as const;
+
+export type AuditedList = (typeof AUDITED_LISTS)[number];
+
+export const AUDIT_OPERATIONS = ["create", "update", "delete"] as const;
+
+export const REDACTED = "[REDACTED]";
+
+// Credentials and password hashes never leave the item. Listed by name so
+// fields like tokenExpiresAt and tokenPreview are still recorded
+const SECRET_FIELDS = new Set([
+  "accessToken",
+  "refreshToken",
+  "webhookSecret",
+  "tokenSecret",
+  "appSecret",
+  "password",
+]);
+
+const IGNORED_FIELDS = new Set(["id", "createdAt", "updatedAt"]);
+
+type AuditDiff = Record<string, { before: unknown; after: unknown }>;
+
+const isSecretField = (field: string) => SECRET_FIELDS.has(field);
+
+const serialize = (value: unknown) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+/**
+ * Field by field difference between two stored items. Secret fields show that
+ * they changed without their values.
+ */
+export function diffAuditItems(
+  before: Record<string, unknown> | null | undefined,
+  after: Record<string, unknown> | null | undefined,
+  ignore: string[] = []
+): AuditDiff {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const diff: AuditDiff = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field) || ignore.includes(field)) continue;
+
+    const beforeValue = serialize(before?.[field]);
+    const afterValue = serialize(after?.[field]);
+
+    if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) continue;
+
+    diff[field] = isSecretField(field)
+      ? {
+          before: beforeValue === null || beforeValue === "" ? beforeValue : REDACTED,
+          after: afterValue === null || afterValue === "" ? afterValue : REDACTED,
+        }
+      : { before: beforeValue, after: afterValue };
+  }
+
+  return diff;
+}
+
+export function getRequestIp(req: any): string {
+  const forwardedFor = req?.headers?.["x-forwarded-for"];
+  if (forwardedFor) {
+    return String(forwardedFor).split(",")[0].trim();
+  }
+  return req?.headers?.["x-real-ip"] || req?.socket?.remoteAddress || "";
+}
+
+/**
+ * afterOperation hook that writes an AuditLog entry for every change to the list.
+ * Fields in `ignore` are bookkeeping that changes on its own (e.g. ApiKey usage)
+ * and an update touching only those is not recorded.
+ */
+export function auditLogAfterOperation(
+  listKey: AuditedList,
+  { ignore = [] }: { ignore?: string[] } = {}
+) {
+  return async ({ operation, item, originalItem, context }: any) => {
+    const changes = diffAuditItems(
+      operation === "create" ? null : originalItem,
+      operation === "delete" ? null : item,
+      ignore
+    );
+
+    if (operation === "update" && Object.keys(changes).length === 0) {
+      return;
+    }
+
+    const session = context.session;
+
+    try {
+      await context.sudo().query.AuditLog.createOne({
+        data: {
+          listKey,
+          itemId: String((item || originalItem)?.id ?? ""),
+          operation,
+          changes,
+          ...(session?.itemId && { user: { connect: { id: session.itemId } } }),
+          apiKeyId: session?.apiKeyId || "",
+          ipAddress: getRequestIp(context.req),
+        },
+      });
+    } catch (error) {
+      // The change itself is already committed, a missing audit entry shouldn't fail it
+      console.error(`Failed to write audit log for ${listKey}:`, error);
+    }
+  };
+}
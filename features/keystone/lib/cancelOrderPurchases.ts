@@ -0,0 +1,179 @@
+import { cancelChannelPurchase } from "../utils/channelProviderAdapter";
+import { canTransitionOrderStatus } from "./orderStatus";
+import { recordProcessingError } from "./processingErrors";
+
+interface CancelPurchaseResult {
+  channelId: string | null;
+  purchaseId: string;
+  cartItemIds: string[];
+  success: boolean;
+  error?: string;
+}
+
+/**
+ * Cancels an order locally and at every channel it was purchased from.
+ * Each distinct (channel, purchaseId) is cancelled once through the channel's
+ * cancelPurchaseFunction and the outcome is written back to its CartItems.
+ */
+export async function cancelOrderPurchases({
+  orderId,
+  context,
+  reason = "",
+}: {
+  orderId: string;
+  context: any;
+  reason?: string;
+}) {
+  const order = await context.query.Order.findOne({
+    where: { id: orderId },
+    query: "id status",
+  });
+
+  if (!order) {
+    throw new Error(`Order ${orderId} not found`);
+  }
+
+  // Check before touching any channel so a final order is left as it is
+  if (!canTransitionOrderStatus(order.status, "CANCELLED")) {
+    throw new Error(`Order status cannot change from ${order.status} to CANCELLED`);
+  }
+
+  // Stop queued linking/matching/placement so nothing new is purchased. A
+  // placement already running checks for CANCELLED before each purchase.
+  const queuedJobs = await context.query.Job.findMany({
+    where: {
+      order: { id: { equals: orderId } },
+      status: { equals: "queued" },
+    },
+    query: "id",
+  });
+
+  if (queuedJobs.length > 0) {
+    await context.query.Job.updateMany({
+      data: queuedJobs.map(({ id }: { id: string }) => ({
+        where: { id },
+        data: { status: "failed", lastError: "Order was cancelled" },
+      })),
+    });
+  }
+
+  const cartItems = await context.query.CartItem.findMany({
+    where: {
+      order: { id: { equals: orderId } },
+      status: { not: { equals: "CANCELLED" } },
+    },
+    query: `
+      id
+      purchaseId
+      channel {
+        id
+        domain
+        accessToken
+        metadata
+        platform {
+          cancelPurchaseFunction
+        }
+      }
+    `,
+  });
+
+  const groups = new Map<string, { channel: any; purchaseId: string; cartItemIds: string[] }>();
+  const unplacedIds: string[] = [];
+
+  for (const cartItem of cartItems) {
+    if (!cartItem.purchaseId) {
+      unplacedIds.push(cartItem.id);
+      continue;
+    }
+
+    const key = `${cartItem.channel?.id}:${cartItem.purchaseId}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        channel: cartItem.channel,
+        purchaseId: cartItem.purchaseId,
+        cartItemIds: [],
+      });
+    }
+    groups.get(key)!.cartItemIds.push(cartItem.id);
+  }
+
+  const results: CancelPurchaseResult[] = [];
+
+  for (const { channel, purchaseId, cartItemIds } of groups.values()) {
+    try {
+      if (!channel?.platform?.cancelPurchaseFunction) {
+        throw new Error("Channel platform has no cancelPurchaseFunction configured");
+      }
+
+      await cancelChannelPurchase({
+        platform: {
+          ...channel.platform,
+          domain: channel.domain,
+          accessToken: channel.accessToken,
+          ownerId: channel.id,
+          ...channel.metadata,
+        },
+        purchaseId,
+        reason,
+      });
+
+      results.push({ channelId: channel.id, purchaseId, cartItemIds, success: true });
+    } catch (error: any) {
+      results.push({
+        channelId: channel?.id || null,
+        purchaseId,
+        cartItemIds,
+        success: false,
+        error: error.message || "Unknown error",
+      });
+    }
+  }
+
+  const updates = [
+    ...unplacedIds.map((id) => ({
+      where: { id },
+      data: { status: "CANCELLED" },
+    })),
+    ...results.flatMap(({ cartItemIds, success, error }) =>
+      cartItemIds.map((id) => ({
+        where: { id },
+        data: success
+          ? { status: "CANCELLED", error: "" }
+          : { error: `CANCEL_PURCHASE_ERROR: ${error}` },
+      }))
+    ),
+  ];
+
+  if (updates.length > 0) {
+    await context.query.CartItem.updateMany({ data: updates });
+  }
+
+  const failed = results.filter(({ success }) => !success);
+
+  for (const { channelId, purchaseId, cartItemIds, error } of failed) {
+    for (const cartItemId of cartItemIds) {
+      await recordProcessingError({
+        query: context.query,
+        code: "CANCEL_PURCHASE_ERROR",
+        message: error || "Unknown error",
+        source: "cancelPurchaseFunction",
+        rawResponse: { channelId, purchaseId, error },
+        orderId,
+        cartItemId,
+      });
+    }
+  }
+
+  await context.query.Order.updateOne({
+    where: { id: orderId },
+    data: {
+      status: "CANCELLED",
+      statusReason: reason || "Order was cancelled",
+      error: failed.length
+        ? `${failed.length} channel purchase(s) could not be cancelled`
+        : "",
+    },
+  });
+
+  return { results, failedCount: failed.length };
+}
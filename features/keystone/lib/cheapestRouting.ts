@@ -0,0 +1,238 @@
+import { getChannelProduct } from "../utils/channelProviderAdapter";
+import { findAvailableOutputSet, getOutputSets, type OutputProduct, type OutputSet } from "./matchCartItems";
+import { parsePrice } from "./priceChanges";
+
+interface CostLine {
+  price: unknown;
+  quantity: number;
+  channel: { id: string; shippingEstimate?: number | null };
+}
+
+export interface RoutingCandidate {
+  id: string;
+  type: "link" | "match";
+  label: string;
+  subtotal: number | null;
+  shipping: number | null;
+  total: number | null;
+  error?: string;
+}
+
+export interface RoutingDecision {
+  mode: "cheapest";
+  decidedAt: string;
+  groups: Array<{
+    lineItems: string[];
+    chosen: string | null;
+    candidates: RoutingCandidate[];
+  }>;
+}
+
+const roundAmount = (amount: number) => Math.round(amount * 100) / 100;
+
+/**
+ * What a set of cart items costs delivered: each item's price times its
+ * quantity, plus the shipping estimate of every channel they're bought from.
+ * Channels in `shippedChannelIds` already ship other items on the order, so
+ * their shipping is left out rather than paid twice.
+ */
+export function getLandedCost(lines: CostLine[], shippedChannelIds: ReadonlySet<string> = new Set()) {
+  const subtotal = lines.reduce(
+    (total, { price, quantity }) => total + (parsePrice(price) || 0) * quantity,
+    0
+  );
+
+  const channels = new Map(
+    lines
+      .filter(({ channel }) => !shippedChannelIds.has(channel.id))
+      .map(({ channel }) => [channel.id, channel.shippingEstimate || 0])
+  );
+  const shipping = [...channels.values()].reduce((total, estimate) => total + estimate, 0);
+
+  return {
+    subtotal: roundAmount(subtotal),
+    shipping: roundAmount(shipping),
+    total: roundAmount(subtotal + shipping),
+  };
+}
+
+/**
+ * The candidate with the lowest landed cost, or null when none could be
+ * priced. Ties go to the earlier candidate, so link rank still breaks them.
+ */
+export function pickCheapest<T extends { total: number | null; error?: string }>(candidates: T[]) {
+  return candidates.reduce<T | null>((cheapest, candidate) => {
+    if (candidate.error || candidate.total === null) return cheapest;
+    if (!cheapest || candidate.total < (cheapest.total as number)) return candidate;
+    return cheapest;
+  }, null);
+}
+
+const unpriced = (error: string) => ({ subtotal: null, shipping: null, total: null, error });
+
+/**
+ * Prices the order's line items at each link's channel with its
+ * getProductFunction. Links whose channel can't price every line item stay in
+ * the breakdown with the error.
+ */
+export async function priceLinkCandidates({
+  links,
+  lineItems,
+}: {
+  links: any[];
+  lineItems: Array<{ productId: string; variantId: string; quantity: number }>;
+}) {
+  const candidates = [];
+
+  for (const link of links) {
+    const { channel } = link;
+    const base = {
+      id: link.id,
+      type: "link" as const,
+      label: channel.name,
+      link,
+    };
+
+    try {
+      const prices: string[] = [];
+      for (const { productId, variantId } of lineItems) {
+        const { product } = await getChannelProduct({
+          platform: {
+            ...channel.platform,
+            domain: channel.domain,
+            accessToken: channel.accessToken,
+            ownerId: channel.id,
+          },
+          productId,
+          variantId,
+        });
+        if (parsePrice(product?.price) === null) {
+          throw new Error(`No price for ${productId}${variantId ? `/${variantId}` : ""}`);
+        }
+        prices.push(String(product.price));
+      }
+
+      candidates.push({
+        ...base,
+        prices,
+        ...getLandedCost(
+          lineItems.map(({ quantity }, index) => ({ price: prices[index], quantity, channel }))
+        ),
+      });
+    } catch (error: any) {
+      candidates.push({ ...base, prices: [] as string[], ...unpriced(error.message) });
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Prices each match that fits the line items, using the first of its output
+ * sets that's in stock, the same one it would be routed to. Shipping from
+ * channels in `shippedChannelIds` is already paid for by the order.
+ */
+export async function priceMatchCandidates(
+  fitting: Array<{ match: any; multiplier: number }>,
+  shippedChannelIds?: ReadonlySet<string>
+) {
+  const candidates = [];
+
+  for (const { match, multiplier } of fitting) {
+    const available = await findAvailableOutputSet(getOutputSets(match), multiplier);
+    const base = {
+      id: match.id,
+      type: "match" as const,
+      match,
+      multiplier,
+    };
+
+    if (!available) {
+      candidates.push({
+        ...base,
+        label: `Match ${match.id}`,
+        set: null as OutputSet | null,
+        products: [] as OutputProduct[],
+        ...unpriced("No output set is in stock"),
+      });
+      continue;
+    }
+
+    const channelNames = [...new Set(available.products.map(({ output }) => output.channel.name))];
+
+    candidates.push({
+      ...base,
+      label: channelNames.join(" + "),
+      set: available.set as OutputSet | null,
+      products: available.products,
+      ...getLandedCost(
+        available.products.map(({ output, productResult }) => ({
+          price: productResult.product?.price,
+          quantity: (output.quantity || 0) * multiplier,
+          channel: output.channel,
+        })),
+        shippedChannelIds
+      ),
+    });
+  }
+
+  return candidates;
+}
+
+// The breakdown stored on the order, without the adapter data used to build it
+export function toDecisionGroup(
+  lineItemIds: string[],
+  candidates: RoutingCandidate[],
+  chosen: { id: string } | null
+) {
+  return {
+    lineItems: lineItemIds,
+    chosen: chosen?.id || null,
+    candidates: candidates.map(({ id, type, label, subtotal, shipping, total, error }) => ({
+      id,
+      type,
+      label,
+      subtotal,
+      shipping,
+      total,
+      ...(error && { error }),
+    })),
+  };
+}
+
+/**
+ * Adds the groups to the order's routing decision. Groups already stored for
+ * any of the same line items are replaced, the rest are kept, so routing part
+ * of an order doesn't lose the breakdown for the other line items.
+ */
+export async function saveRoutingDecision({
+  query,
+  orderId,
+  groups,
+}: {
+  query: any;
+  orderId: string;
+  groups: RoutingDecision["groups"];
+}) {
+  if (groups.length === 0) return;
+
+  const order = await query.Order.findOne({
+    where: { id: orderId },
+    query: "routingDecision",
+  });
+  const decided = new Set(groups.flatMap(({ lineItems }) => lineItems));
+  const kept = (order?.routingDecision?.groups || []).filter(
+    ({ lineItems }: RoutingDecision["groups"][number]) => !lineItems.some((id) => decided.has(id))
+  );
+
+  const routingDecision: RoutingDecision = {
+    mode: "cheapest",
+    decidedAt: new Date().toISOString(),
+    groups: [...kept, ...groups],
+  };
+
+  await query.Order.updateOne({
+    where: { id: orderId },
+    data: { routingDecision },
+  });
+}
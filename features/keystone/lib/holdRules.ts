@@ -0,0 +1,184 @@
+import { canTransitionOrderStatus } from "./orderStatus";
+
+export const HOLD_RULE_TYPES = [
+  "totalPriceGreaterThan",
+  "firstTimeCustomer",
+  "countryNotIn",
+  "poBox",
+] as const;
+
+export type HoldRuleType = (typeof HOLD_RULE_TYPES)[number];
+
+export type HoldRule =
+  | { type: "totalPriceGreaterThan"; value: number }
+  | { type: "firstTimeCustomer" }
+  | { type: "countryNotIn"; value: string[] }
+  | { type: "poBox" };
+
+export const HOLD_RULE_LABELS: Record<HoldRuleType, string> = {
+  totalPriceGreaterThan: "Total price greater than",
+  firstTimeCustomer: "First order from this email",
+  countryNotIn: "Shipping country is not one of",
+  poBox: "Shipping address is a PO box",
+};
+
+// Matches "PO Box", "P.O. Box", "Post Office Box" and "POB 12"
+const PO_BOX_PATTERN = /\b(p\.?\s*o\.?\s*b(ox)?|post\s+office\s+box)\b/i;
+
+function validateHoldRule(rule: any, index: number): string | null {
+  const position = `Hold rule ${index + 1}`;
+
+  if (!rule || typeof rule !== "object") {
+    return `${position} must be an object`;
+  }
+
+  switch (rule.type) {
+    case "totalPriceGreaterThan":
+      if (typeof rule.value !== "number" || !Number.isFinite(rule.value)) {
+        return `${position} (totalPriceGreaterThan) needs a numeric value`;
+      }
+      return null;
+    case "countryNotIn":
+      if (
+        !Array.isArray(rule.value) ||
+        rule.value.length === 0 ||
+        rule.value.some((code: unknown) => typeof code !== "string" || !code.trim())
+      ) {
+        return `${position} (countryNotIn) needs a non-empty list of country codes`;
+      }
+      return null;
+    case "firstTimeCustomer":
+    case "poBox":
+      return null;
+    default:
+      return `${position} has unknown type "${rule.type}". Expected one of: ${HOLD_RULE_TYPES.join(", ")}`;
+  }
+}
+
+export function validateHoldRules(rules: unknown): string[] {
+  if (rules === null || rules === undefined) return [];
+  if (!Array.isArray(rules)) return ["Hold rules must be a list"];
+
+  return rules
+    .map((rule, index) => validateHoldRule(rule, index))
+    .filter((error): error is string => !!error);
+}
+
+export function isPoBoxAddress(...lines: Array<string | null | undefined>) {
+  return lines.some((line) => !!line && PO_BOX_PATTERN.test(line));
+}
+
+interface HoldableOrder {
+  id: string;
+  email?: string | null;
+  totalPrice?: number | null;
+  country?: string | null;
+  streetAddress1?: string | null;
+  streetAddress2?: string | null;
+  shop?: { id: string } | null;
+}
+
+/**
+ * Returns the reason for every hold rule the order matches. Any matching rule
+ * holds the order. firstTimeCustomer looks for an earlier order from the same
+ * email in the same shop.
+ */
+export async function getHoldReasons({
+  context,
+  order,
+  rules,
+}: {
+  context: any;
+  order: HoldableOrder;
+  rules: unknown;
+}) {
+  if (validateHoldRules(rules).length > 0) {
+    // Rules are validated on save, so this only happens with hand-edited data
+    return ["Shop hold rules are invalid"];
+  }
+
+  const reasons: string[] = [];
+
+  for (const rule of (rules || []) as HoldRule[]) {
+    switch (rule.type) {
+      case "totalPriceGreaterThan":
+        if ((order.totalPrice || 0) > rule.value) {
+          reasons.push(`Total ${order.totalPrice} is over ${rule.value}`);
+        }
+        break;
+      case "countryNotIn": {
+        const allowed = rule.value.map((code) => code.trim().toUpperCase());
+        if (!allowed.includes((order.country || "").toUpperCase())) {
+          reasons.push(`Ships to ${order.country || "an unknown country"}, outside ${allowed.join(", ")}`);
+        }
+        break;
+      }
+      case "poBox":
+        if (isPoBoxAddress(order.streetAddress1, order.streetAddress2)) {
+          reasons.push("Ships to a PO box");
+        }
+        break;
+      case "firstTimeCustomer": {
+        if (!order.email) break;
+        const previousOrders = await context.query.Order.count({
+          where: {
+            id: { not: { equals: order.id } },
+            email: { equals: order.email, mode: "insensitive" },
+            ...(order.shop && { shop: { id: { equals: order.shop.id } } }),
+          },
+        });
+        if (previousOrders === 0) {
+          reasons.push(`First order from ${order.email}`);
+        }
+        break;
+      }
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Moves an order to ON_HOLD when its shop's hold rules match, recording the
+ * reasons as the status reason. Orders that were released from a hold are not
+ * checked again. Returns the reasons, empty when the order can be placed.
+ */
+export async function holdOrderIfNeeded({ context, orderId }: { context: any; orderId: string }) {
+  const order = await context.query.Order.findOne({
+    where: { id: orderId },
+    query: `
+      id
+      status
+      email
+      totalPrice
+      country
+      streetAddress1
+      streetAddress2
+      holdReleasedAt
+      shop {
+        id
+        holdRules
+      }
+    `,
+  });
+
+  if (
+    !order ||
+    order.holdReleasedAt ||
+    !order.shop?.holdRules?.length ||
+    !canTransitionOrderStatus(order.status, "ON_HOLD")
+  ) {
+    return [];
+  }
+
+  const reasons = await getHoldReasons({ context, order, rules: order.shop.holdRules });
+
+  if (reasons.length > 0) {
+    await context.query.Order.updateOne({
+      where: { id: order.id },
+      data: { status: "ON_HOLD", statusReason: reasons.join("; ") },
+    });
+  }
+
+  return reasons;
+}
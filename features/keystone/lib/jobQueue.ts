@@ -0,0 +1,185 @@
+import os from "os";
+
+export const JOB_TYPES = [
+  "LINK_ORDER",
+  "MATCH_ORDER",
+  "PLACE_ORDER",
+  "BACKFILL_ORDERS",
+] as const;
+export const JOB_STATUSES = ["queued", "running", "completed", "failed"] as const;
+
+export type JobType = (typeof JOB_TYPES)[number];
+export type JobStatus = (typeof JOB_STATUSES)[number];
+
+export interface ClaimedJob {
+  id: string;
+  type: JobType;
+  payload: any;
+  attempts: number;
+  maxAttempts: number;
+  orderId: string | null;
+}
+
+export type JobHandler = (args: { job: ClaimedJob; context: any }) => Promise<any>;
+
+// A running job whose lock is older than this is assumed to belong to a dead worker
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+export const workerId = `${os.hostname()}:${process.pid}`;
+
+export function getBackoffDelay(attempts: number) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+}
+
+export async function enqueueJob({
+  context,
+  type,
+  orderId,
+  payload = {},
+  runAt,
+  maxAttempts,
+}: {
+  context: any;
+  type: JobType;
+  orderId?: string;
+  payload?: Record<string, any>;
+  runAt?: Date;
+  maxAttempts?: number;
+}) {
+  return context.sudo().query.Job.createOne({
+    data: {
+      type,
+      payload: { ...payload, ...(orderId && { orderId }) },
+      ...(runAt && { runAt }),
+      ...(maxAttempts && { maxAttempts }),
+      ...(orderId && { order: { connect: { id: orderId } } }),
+    },
+    query: "id type status runAt",
+  });
+}
+
+// Whether the order has a job of this type waiting to run or running
+export async function hasActiveJob({
+  context,
+  type,
+  orderId,
+}: {
+  context: any;
+  type: JobType;
+  orderId: string;
+}) {
+  const count = await context.sudo().query.Job.count({
+    where: {
+      order: { id: { equals: orderId } },
+      type: { equals: type },
+      status: { in: ["queued", "running"] },
+    },
+  });
+  return count > 0;
+}
+
+/**
+ * Atomically locks the next runnable job (or the given job) for this worker.
+ * Uses SKIP LOCKED so concurrent workers never pick up the same row.
+ */
+export async function claimJob(context: any, jobId?: string): Promise<ClaimedJob | null> {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS);
+
+  const rows: any[] = jobId
+    ? await context.prisma.$queryRaw`
+        UPDATE "Job"
+        SET "status" = 'running', "lockedAt" = ${now}, "lockedBy" = ${workerId},
+            "attempts" = "attempts" + 1, "updatedAt" = ${now}
+        WHERE "id" = (
+          SELECT "id" FROM "Job"
+          WHERE "id" = ${jobId}
+            AND (("status" = 'queued' AND "runAt" <= ${now})
+              OR ("status" = 'running' AND "lockedAt" < ${staleBefore}))
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING "id", "type", "payload", "attempts", "maxAttempts", "order" AS "orderId"
+      `
+    : await context.prisma.$queryRaw`
+        UPDATE "Job"
+        SET "status" = 'running', "lockedAt" = ${now}, "lockedBy" = ${workerId},
+            "attempts" = "attempts" + 1, "updatedAt" = ${now}
+        WHERE "id" = (
+          SELECT "id" FROM "Job"
+          WHERE ("status" = 'queued' AND "runAt" <= ${now})
+             OR ("status" = 'running' AND "lockedAt" < ${staleBefore})
+          ORDER BY "runAt" ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING "id", "type", "payload", "attempts", "maxAttempts", "order" AS "orderId"
+      `;
+
+  return rows[0] || null;
+}
+
+export async function runClaimedJob({
+  job,
+  context,
+  handlers,
+}: {
+  job: ClaimedJob;
+  context: any;
+  handlers: Record<JobType, JobHandler>;
+}) {
+  const sudoContext = context.sudo();
+  const handler = handlers[job.type];
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+
+    const result = await handler({ job, context: sudoContext });
+
+    return await sudoContext.query.Job.updateOne({
+      where: { id: job.id },
+      data: {
+        status: "completed",
+        result: result ?? null,
+        lastError: "",
+        lockedAt: null,
+        lockedBy: "",
+        completedAt: new Date(),
+      },
+      query: "id type status attempts",
+    });
+  } catch (error: any) {
+    const message = error?.message || "Unknown error";
+    const exhausted = job.attempts >= job.maxAttempts;
+
+    console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, message);
+
+    const failedJob = await sudoContext.query.Job.updateOne({
+      where: { id: job.id },
+      data: {
+        status: exhausted ? "failed" : "queued",
+        lastError: message,
+        lockedAt: null,
+        lockedBy: "",
+        ...(!exhausted && {
+          runAt: new Date(Date.now() + getBackoffDelay(job.attempts)),
+        }),
+      },
+      query: "id type status attempts",
+    });
+
+    if (exhausted && job.orderId) {
+      await sudoContext.query.Order.updateOne({
+        where: { id: job.orderId },
+        data: {
+          error: `${job.type} failed after ${job.attempts} attempts: ${message}`,
+        },
+      });
+    }
+
+    return failedJob;
+  }
+}
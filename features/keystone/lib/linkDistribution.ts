@@ -0,0 +1,103 @@
+export const DISTRIBUTED_LINK_MODES = ["weighted", "round_robin"] as const;
+
+export type DistributedLinkMode = (typeof DISTRIBUTED_LINK_MODES)[number];
+
+interface DistributedLink {
+  id: string;
+  rank?: number | null;
+  weight?: number | null;
+  routedCount?: number | null;
+}
+
+export function isDistributedLinkMode(linkMode: unknown): linkMode is DistributedLinkMode {
+  return DISTRIBUTED_LINK_MODES.includes(linkMode as DistributedLinkMode);
+}
+
+// Round robin gives every link an equal share, whatever its weight
+function getLinkWeight(link: DistributedLink, linkMode: DistributedLinkMode) {
+  return linkMode === "round_robin" ? 1 : Math.max(link.weight ?? 1, 0);
+}
+
+const byRank = (a: DistributedLink, b: DistributedLink) => (a.rank ?? 0) - (b.rank ?? 0);
+
+/**
+ * Picks the link furthest behind its share of the orders routed so far, so
+ * the split converges on the links' weights. Links with a weight of 0 are
+ * skipped, and ties go to the higher-ranked link. The counts are stored on
+ * each link and start over whenever the shop's links or weights change, so
+ * the split holds across restarts without a new link catching up on orders
+ * routed before it existed.
+ */
+export function pickDistributedLink<T extends DistributedLink>(
+  links: T[],
+  linkMode: DistributedLinkMode
+) {
+  let picked: T | null = null;
+  let pickedShare = Infinity;
+
+  for (const link of [...links].sort(byRank)) {
+    const weight = getLinkWeight(link, linkMode);
+    if (weight <= 0) continue;
+
+    // The link's count against its weight once this order is routed to it
+    const share = ((link.routedCount ?? 0) + 1) / weight;
+    if (share < pickedShare) {
+      picked = link;
+      pickedShare = share;
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Picks the link for an order from the given links and counts the order on
+ * it, in one serializable transaction so orders routed at the same time see
+ * each other's counts. A transaction that clashes with another one throws,
+ * and the job routing the order is retried. Returns the picked link's id.
+ */
+export async function routeToDistributedLink({
+  context,
+  linkIds,
+  linkMode,
+}: {
+  context: any;
+  linkIds: string[];
+  linkMode: DistributedLinkMode;
+}): Promise<string | null> {
+  return context.transaction(
+    async (transaction: any) => {
+      const links = await transaction.query.Link.findMany({
+        where: { id: { in: linkIds } },
+        query: "id rank weight routedCount",
+      });
+
+      const link = pickDistributedLink(links, linkMode);
+      if (!link) return null;
+
+      await transaction.query.Link.updateOne({
+        where: { id: link.id },
+        data: { routedCount: (link.routedCount ?? 0) + 1 },
+      });
+      return link.id;
+    },
+    { isolationLevel: "Serializable" }
+  );
+}
+
+/**
+ * Each link's target share of orders, from its weight, against the share it
+ * has been routed since the counts last started over. Both are percentages.
+ */
+export function getLinkSplit<T extends DistributedLink>(links: T[], linkMode: DistributedLinkMode) {
+  const totalWeight = links.reduce((total, link) => total + getLinkWeight(link, linkMode), 0);
+  const totalRouted = links.reduce((total, { routedCount }) => total + (routedCount ?? 0), 0);
+  const percent = (part: number, whole: number) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+  return links.map((link) => ({
+    link,
+    target: percent(getLinkWeight(link, linkMode), totalWeight),
+    achieved: percent(link.routedCount ?? 0, totalRouted),
+    routed: link.routedCount ?? 0,
+  }));
+}
@@ -0,0 +1,152 @@
+import { applyDynamicWhereClause } from "./linkFilters";
+import { resolveCartItemErrors } from "./processingErrors";
+
+interface RankedLink {
+  id: string;
+  rank: number | null;
+}
+
+/**
+ * The links a failed purchase can move to, in rank order: those ranked below
+ * the link it was placed through that the order hasn't been routed to yet.
+ * Nothing is left once the order has failed over `depth` times.
+ */
+export function getFailoverLinks<T extends RankedLink>({
+  links,
+  currentLinkId,
+  usedLinkIds,
+  depth,
+}: {
+  links: T[];
+  currentLinkId: string;
+  usedLinkIds: string[];
+  depth: number;
+}) {
+  const failovers = new Set(usedLinkIds).size - 1;
+  if (failovers >= depth) return [];
+
+  const ranked = [...links].sort((a, b) => (a.rank ?? 0) - (b.rank ?? 0));
+  const current = ranked.findIndex(({ id }) => id === currentLinkId);
+  if (current === -1) return [];
+
+  return ranked.slice(current + 1).filter(({ id }) => !usedLinkIds.includes(id));
+}
+
+/**
+ * Moves the cart items of a failed channel purchase to the next ranked link
+ * whose filters match the order, for shops in failover mode. The failed cart
+ * items are cancelled and re-created at the new link's channel. Only call it
+ * when the channel answered with an error or without a purchase ID: after a
+ * thrown or timed out call the purchase may exist, and failing over would buy
+ * the items twice. Returns the channels to place the new cart items at.
+ */
+export async function failOverToNextLink({
+  query,
+  orderId,
+  cartItemIds,
+}: {
+  query: any;
+  orderId: string;
+  cartItemIds: string[];
+}) {
+  const order = await query.Order.findOne({
+    where: { id: orderId },
+    query: `
+      id
+      user {
+        id
+      }
+      shop {
+        linkMode
+        failoverDepth
+        links {
+          id
+          rank
+          channel {
+            id
+          }
+        }
+      }
+      cartItems {
+        link {
+          id
+        }
+      }
+    `,
+  });
+
+  if (order?.shop?.linkMode !== "failover") return { channelIds: [] };
+
+  const failedItems = await query.CartItem.findMany({
+    where: { id: { in: cartItemIds }, NOT: [{ link: null }] },
+    query: `
+      id
+      name
+      image
+      price
+      quantity
+      productId
+      variantId
+      sku
+      lineItemId
+      link {
+        id
+      }
+    `,
+  });
+  if (failedItems.length === 0) return { channelIds: [] };
+
+  // Cancelled cart items still count, so every link tried so far is skipped
+  const usedLinkIds: string[] = [
+    ...new Set<string>(order.cartItems.flatMap(({ link }: any) => (link ? [link.id] : []))),
+  ];
+  const channelIds = new Set<string>();
+
+  // Cart items placed together came from the same link, but group them in case they didn't
+  const byLink = new Map<string, any[]>();
+  for (const item of failedItems) {
+    byLink.set(item.link.id, [...(byLink.get(item.link.id) || []), item]);
+  }
+
+  for (const [linkId, items] of byLink) {
+    const candidates = getFailoverLinks({
+      links: order.shop.links.filter(({ channel }: any) => channel),
+      currentLinkId: linkId,
+      usedLinkIds,
+      depth: order.shop.failoverDepth ?? 0,
+    });
+
+    let nextLink: any = null;
+    for (const link of candidates) {
+      if (await applyDynamicWhereClause({ query }, link.id, orderId)) {
+        nextLink = link;
+        break;
+      }
+    }
+    if (!nextLink) continue;
+
+    const ids = items.map(({ id }: { id: string }) => id);
+    await query.CartItem.updateMany({
+      data: ids.map((id: string) => ({
+        where: { id },
+        data: { status: "CANCELLED", error: "" },
+      })),
+    });
+    await resolveCartItemErrors({ query, cartItemIds: ids });
+
+    await query.CartItem.createMany({
+      data: items.map(({ id, link, ...item }: any) => ({
+        ...item,
+        channel: { connect: { id: nextLink.channel.id } },
+        link: { connect: { id: nextLink.id } },
+        order: { connect: { id: orderId } },
+        ...(order.user && { user: { connect: { id: order.user.id } } }),
+      })),
+    });
+
+    usedLinkIds.push(nextLink.id);
+    channelIds.add(nextLink.channel.id);
+  }
+
+  return { channelIds: [...channelIds] };
+}
@@ -0,0 +1,171 @@
+export const LINK_FILTER_TYPES = [
+  "countryIn",
+  "totalPriceGreaterThan",
+  "skuPrefix",
+  "tagContains",
+] as const;
+
+export type LinkFilterType = (typeof LINK_FILTER_TYPES)[number];
+
+export type LinkFilter =
+  | { type: "countryIn"; value: string[] }
+  | { type: "totalPriceGreaterThan"; value: number }
+  | { type: "skuPrefix"; value: string }
+  | { type: "tagContains"; value: string };
+
+export const LINK_FILTER_LABELS: Record<LinkFilterType, string> = {
+  countryIn: "Country is one of",
+  totalPriceGreaterThan: "Total price greater than",
+  skuPrefix: "Any SKU starts with",
+  tagContains: "Has tag",
+};
+
+const TAG_SEPARATOR = ", ";
+
+/**
+ * Stores an order's tags as one comma separated list, whether the shop sent
+ * them as a list or as text, so tag filters can match whole tags.
+ */
+export function formatOrderTags(tags: unknown) {
+  const list = Array.isArray(tags) ? tags : typeof tags === "string" ? tags.split(",") : [];
+  return list
+    .map((tag) => String(tag).trim())
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+// Older links were saved with `{}` before filters were a rule list
+export function normalizeLinkFilters(filters: unknown): unknown[] {
+  if (Array.isArray(filters)) return filters;
+  if (filters && typeof filters === "object" && Object.keys(filters).length > 0) {
+    return [filters];
+  }
+  return [];
+}
+
+function validateLinkFilter(filter: any, index: number): string | null {
+  const position = `Filter ${index + 1}`;
+
+  if (!filter || typeof filter !== "object") {
+    return `${position} must be an object`;
+  }
+
+  switch (filter.type) {
+    case "countryIn":
+      if (
+        !Array.isArray(filter.value) ||
+        filter.value.length === 0 ||
+        filter.value.some((code: unknown) => typeof code !== "string" || !code.trim())
+      ) {
+        return `${position} (countryIn) needs a non-empty list of country codes`;
+      }
+      return null;
+    case "totalPriceGreaterThan":
+      if (typeof filter.value !== "number" || !Number.isFinite(filter.value)) {
+        return `${position} (totalPriceGreaterThan) needs a numeric value`;
+      }
+      return null;
+    case "skuPrefix":
+    case "tagContains":
+      if (typeof filter.value !== "string" || !filter.value.trim()) {
+        return `${position} (${filter.type}) needs a non-empty text value`;
+      }
+      if (filter.type === "tagContains" && filter.value.includes(",")) {
+        return `${position} (tagContains) matches a single tag, without commas`;
+      }
+      return null;
+    default:
+      return `${position} has unknown type "${filter.type}". Expected one of: ${LINK_FILTER_TYPES.join(", ")}`;
+  }
+}
+
+export function validateLinkFilters(filters: unknown): string[] {
+  return normalizeLinkFilters(filters)
+    .map((filter, index) => validateLinkFilter(filter, index))
+    .filter((error): error is string => !!error);
+}
+
+function compileLinkFilter(filter: LinkFilter): Record<string, any> {
+  switch (filter.type) {
+    case "countryIn":
+      return {
+        OR: filter.value.map((code) => ({
+          country: { equals: code.trim(), mode: "insensitive" },
+        })),
+      };
+    case "totalPriceGreaterThan":
+      return { totalPrice: { gt: filter.value } };
+    case "skuPrefix":
+      return {
+        lineItems: {
+          some: { sku: { startsWith: filter.value.trim(), mode: "insensitive" } },
+        },
+      };
+    case "tagContains": {
+      // A whole tag anywhere in the list, so "sale" doesn't match "wholesale"
+      const tag = filter.value.trim();
+      return {
+        OR: [
+          { tags: { equals: tag, mode: "insensitive" } },
+          { tags: { startsWith: `${tag}${TAG_SEPARATOR}`, mode: "insensitive" } },
+          { tags: { endsWith: `${TAG_SEPARATOR}${tag}`, mode: "insensitive" } },
+          { tags: { contains: `${TAG_SEPARATOR}${tag}${TAG_SEPARATOR}`, mode: "insensitive" } },
+        ],
+      };
+    }
+  }
+}
+
+/**
+ * Compiles a link's filter rules and custom where into a single OrderWhereInput.
+ * All rules must match. A link without rules matches every order.
+ */
+export function buildLinkWhere({
+  filters,
+  customWhere,
+}: {
+  filters: unknown;
+  customWhere?: unknown;
+}): Record<string, any> {
+  const errors = validateLinkFilters(filters);
+  if (errors.length > 0) {
+    throw new Error(`Invalid link filters: ${errors.join("; ")}`);
+  }
+
+  const clauses = (normalizeLinkFilters(filters) as LinkFilter[]).map(compileLinkFilter);
+
+  if (
+    customWhere &&
+    typeof customWhere === "object" &&
+    !Array.isArray(customWhere) &&
+    Object.keys(customWhere).length > 0
+  ) {
+    clauses.push(customWhere as Record<string, any>);
+  }
+
+  return clauses.length > 0 ? { AND: clauses } : {};
+}
+
+// The order when it matches the link's filters, otherwise null
+export async function applyDynamicWhereClause(context: any, linkId: string, orderId: string) {
+  const link = await context.query.Link.findOne({
+    where: { id: linkId },
+    query: "id dynamicWhereClause",
+  });
+
+  if (!link || !link.dynamicWhereClause) {
+    return null;
+  }
+
+  const whereClause = {
+    AND: [link.dynamicWhereClause, { id: { equals: orderId } }],
+  };
+
+  const [matchedOrder] = await context.query.Order.findMany({
+    where: whereClause,
+    take: 1,
+    query: "id",
+  });
+
+  return matchedOrder || null;
+}
@@ -0,0 +1,363 @@
+import { getChannelProduct } from "../utils/channelProviderAdapter";
+import { canTransitionOrderStatus } from "./orderStatus";
+import {
+  describeMarginImpact,
+  getPriceChange,
+  getPriceTolerance,
+  isWithinPriceTolerance,
+  parsePrice,
+  priceChangeError,
+} from "./priceChanges";
+import { recordProcessingError, resolveCartItemErrors } from "./processingErrors";
+
+// What's needed from each channel item a match (or one of its alternatives) outputs
+export const MATCH_OUTPUT_QUERY = `
+  id
+  quantity
+  productId
+  variantId
+  price
+  channel {
+    id
+    name
+    domain
+    accessToken
+    shippingEstimate
+    priceToleranceType
+    priceTolerance
+    platform {
+      id
+      getProductFunction
+    }
+  }
+  user {
+    id
+  }
+`;
+
+export interface OutputSet {
+  alternative: { id: string; priority: number } | null;
+  output: any[];
+}
+
+export interface OutputProduct {
+  output: any;
+  productResult: any;
+}
+
+/**
+ * A match's output sets in the order they're tried: its own output, then its
+ * alternatives by priority.
+ */
+export function getOutputSets(match: {
+  output: any[];
+  alternatives?: Array<{ id: string; priority: number | null; output: any[] }> | null;
+}): OutputSet[] {
+  const alternatives = [...(match.alternatives || [])]
+    .filter(({ output }) => output.length > 0)
+    .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+
+  return [
+    { alternative: null, output: match.output },
+    ...alternatives.map(({ id, priority, output }) => ({
+      alternative: { id, priority: priority ?? 0 },
+      output,
+    })),
+  ];
+}
+
+/**
+ * Whether a channel product can fill the quantity. The channel's
+ * availableForSale decides when it reports one, otherwise the product's
+ * inventory has to cover the quantity when it's known.
+ */
+export function isProductInStock(product: any, quantity: number) {
+  if (!product) return false;
+  if (typeof product.availableForSale === "boolean") return product.availableForSale;
+  if (typeof product.inventory === "number") return product.inventory >= quantity;
+  return true;
+}
+
+export async function getOutputProducts(outputs: any[]): Promise<OutputProduct[]> {
+  const products = [];
+  for (const output of outputs) {
+    const productResult = await getChannelProduct({
+      platform: {
+        ...output.channel.platform,
+        domain: output.channel.domain,
+        accessToken: output.channel.accessToken,
+        ownerId: output.channel.id,
+      },
+      productId: output.productId,
+      variantId: output.variantId,
+    });
+    products.push({ output, productResult });
+  }
+  return products;
+}
+
+/**
+ * Returns the first of the output sets whose products are all in stock, with
+ * those products, or null when none are. A set whose products can't be
+ * fetched counts as unavailable.
+ */
+export async function findAvailableOutputSet(sets: OutputSet[], multiplier: number) {
+  for (const set of sets) {
+    try {
+      const products = await getOutputProducts(set.output);
+      const inStock = products.every(({ output, productResult }) =>
+        isProductInStock(productResult.product, (output.quantity || 0) * multiplier)
+      );
+      if (inStock) return { set, products };
+    } catch (error: any) {
+      console.warn(`Match output unavailable: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates the cart items for one of a match's output sets, scaled by the
+ * multiplier, and records which match and alternative they came from. Price
+ * changes within tolerance update the channel item's price; larger ones flag
+ * the cart item and are returned so the order can be held.
+ */
+export async function createOutputCartItems({
+  query,
+  orderId,
+  match,
+  multiplier,
+  set,
+  products,
+}: {
+  query: any;
+  orderId: string;
+  match: any;
+  multiplier: number;
+  set: OutputSet;
+  products: OutputProduct[];
+}) {
+  const cartItems = [];
+  const overTolerance: string[] = [];
+  let costBefore = 0;
+  let costAfter = 0;
+
+  for (const { output, productResult } of products) {
+    const { id, channel, productId, variantId, quantity, price: matchPrice, user } = output;
+    const product = productResult.product;
+
+    const priceChange = getPriceChange(matchPrice, product.price);
+    const withinTolerance =
+      !!priceChange &&
+      isWithinPriceTolerance(matchPrice, product.price, getPriceTolerance(match, channel));
+
+    // Store price as text (no parsing needed)
+    const priceValue = String(product.price || "");
+
+    costBefore += (parsePrice(matchPrice) || 0) * quantity * multiplier;
+    costAfter += (parsePrice(priceValue) || 0) * quantity * multiplier;
+
+    // Accepted changes become the match's price so they aren't flagged again
+    if (withinTolerance) {
+      await query.ChannelItem.updateOne({
+        where: { id },
+        data: { price: priceValue },
+      });
+    }
+
+    const cartItem = await query.CartItem.createOne({
+      data: {
+        price: priceValue,
+        productId,
+        variantId,
+        // Per-unit matches are scaled up to the ordered quantity
+        quantity: quantity * multiplier,
+        image: product.image,
+        name: product.title,
+        order: { connect: { id: orderId } },
+        channel: { connect: { id: channel.id } },
+        match: { connect: { id: match.id } },
+        ...(set.alternative && {
+          matchAlternative: { connect: { id: set.alternative.id } },
+        }),
+        ...(priceChange && !withinTolerance && {
+          error: priceChangeError(priceChange),
+        }),
+        user: { connect: { id: user.id } },
+      },
+    });
+    cartItems.push(cartItem);
+
+    if (priceChange && !withinTolerance) {
+      overTolerance.push(priceChange);
+      await recordProcessingError({
+        query,
+        code: "PRICE_CHANGE",
+        severity: "warning",
+        message: priceChange,
+        source: "getProductFunction",
+        rawResponse: productResult,
+        orderId,
+        cartItemId: cartItem.id,
+      });
+    }
+  }
+
+  return { cartItems, overTolerance, costBefore, costAfter };
+}
+
+/**
+ * Holds an order whose cart has price increases over tolerance until someone
+ * approves them, with the change to the shop's margin as the reason. Returns
+ * whether the order was held.
+ */
+export async function holdForPriceChanges({
+  query,
+  orderId,
+  overTolerance,
+  costBefore,
+  costAfter,
+}: {
+  query: any;
+  orderId: string;
+  overTolerance: string[];
+  costBefore: number;
+  costAfter: number;
+}) {
+  if (overTolerance.length === 0) return false;
+
+  const order = await query.Order.findOne({
+    where: { id: orderId },
+    query: "id status lineItems { price quantity }",
+  });
+  if (!order || !canTransitionOrderStatus(order.status, "ON_HOLD")) return false;
+
+  const revenue = order.lineItems.reduce(
+    (total: number, { price, quantity }: any) => total + (price || 0) * (quantity || 0),
+    0
+  );
+
+  await query.Order.updateOne({
+    where: { id: orderId },
+    data: {
+      status: "ON_HOLD",
+      statusReason: `${overTolerance.length} price ${
+        overTolerance.length === 1 ? "change is" : "changes are"
+      } over tolerance. ${describeMarginImpact({ revenue, costBefore, costAfter })}`,
+    },
+  });
+
+  return true;
+}
+
+const FALLBACK_CART_ITEM_QUERY = `
+  id
+  productId
+  variantId
+  quantity
+  matchAlternative {
+    id
+  }
+  match {
+    id
+    priceToleranceType
+    priceTolerance
+    output {
+      ${MATCH_OUTPUT_QUERY}
+    }
+    alternatives {
+      id
+      priority
+      output {
+        ${MATCH_OUTPUT_QUERY}
+      }
+    }
+  }
+`;
+
+/**
+ * Moves the cart items of a failed channel purchase to the next alternative
+ * of the match they came from that's in stock. The match's unpurchased cart
+ * items on the order are cancelled and new ones created from the alternative.
+ * Matches without a later alternative, or with some of their cart items
+ * already purchased, are left as they are. Returns the channels to place the
+ * new cart items at, and whether the order was held for their prices instead.
+ */
+export async function fallBackToMatchAlternatives({
+  query,
+  orderId,
+  cartItemIds,
+}: {
+  query: any;
+  orderId: string;
+  cartItemIds: string[];
+}) {
+  const failedItems = await query.CartItem.findMany({
+    where: { id: { in: cartItemIds } },
+    query: FALLBACK_CART_ITEM_QUERY,
+  });
+
+  const channelIds = new Set<string>();
+  const overTolerance: string[] = [];
+  let costBefore = 0;
+  let costAfter = 0;
+  const handled = new Set<string>();
+
+  for (const item of failedItems) {
+    if (!item.match) continue;
+
+    const alternativeId = item.matchAlternative?.id || null;
+    const key = `${item.match.id}:${alternativeId}`;
+    if (handled.has(key)) continue;
+    handled.add(key);
+
+    const siblings = await query.CartItem.findMany({
+      where: {
+        order: { id: { equals: orderId } },
+        match: { id: { equals: item.match.id } },
+        matchAlternative: alternativeId ? { id: { equals: alternativeId } } : null,
+        status: { not: { equals: "CANCELLED" } },
+      },
+      query: "id purchaseId url",
+    });
+    if (siblings.some(({ purchaseId, url }: any) => purchaseId || url)) continue;
+
+    const sets = getOutputSets(item.match);
+    const current = sets.findIndex((set) => (set.alternative?.id || null) === alternativeId);
+    if (current === -1) continue;
+
+    const output = sets[current].output.find(
+      ({ productId, variantId }: any) => productId === item.productId && variantId === item.variantId
+    );
+    const multiplier = output?.quantity ? Math.max(1, Math.round(item.quantity / output.quantity)) : 1;
+
+    const available = await findAvailableOutputSet(sets.slice(current + 1), multiplier);
+    if (!available) continue;
+
+    await query.CartItem.updateMany({
+      data: siblings.map(({ id }: { id: string }) => ({
+        where: { id },
+        data: { status: "CANCELLED", error: "" },
+      })),
+    });
+    await resolveCartItemErrors({ query, cartItemIds: siblings.map(({ id }: { id: string }) => id) });
+
+    const created = await createOutputCartItems({
+      query,
+      orderId,
+      match: item.match,
+      multiplier,
+      set: available.set,
+      products: available.products,
+    });
+
+    for (const { output } of available.products) channelIds.add(output.channel.id);
+    costBefore += created.costBefore;
+    costAfter += created.costAfter;
+    overTolerance.push(...created.overTolerance);
+  }
+
+  const held = await holdForPriceChanges({ query, orderId, overTolerance, costBefore, costAfter });
+
+  return { channelIds: [...channelIds], held };
+}
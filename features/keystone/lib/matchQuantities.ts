@@ -0,0 +1,63 @@
+export const MATCH_TYPES = ["per_unit", "fixed"] as const;
+
+export type MatchType = (typeof MATCH_TYPES)[number];
+
+interface QuantityItem {
+  productId: string | null;
+  variantId: string | null;
+  quantity: number | null;
+}
+
+interface QuantityMatch {
+  matchType?: string | null;
+  input: QuantityItem[];
+}
+
+/**
+ * How many times a match's outputs are needed to fill the given line items, or
+ * null when the match doesn't fit them.
+ *
+ * Fixed matches are bundles and only fit the exact quantities they were made
+ * for. Per-unit matches fit any whole multiple of their input quantities, as
+ * long as every line item is scaled by the same amount.
+ */
+export function getMatchMultiplier(match: QuantityMatch, lineItems: QuantityItem[]) {
+  if (match.input.length !== lineItems.length) return null;
+
+  let multiplier: number | null = null;
+
+  for (const input of match.input) {
+    const lineItem = lineItems.find(
+      (item) => item.productId === input.productId && item.variantId === input.variantId
+    );
+    if (!lineItem || !lineItem.quantity || !input.quantity) return null;
+
+    const ratio =
+      match.matchType === "per_unit"
+        ? lineItem.quantity / input.quantity
+        : Number(lineItem.quantity === input.quantity);
+
+    if (!Number.isInteger(ratio) || ratio < 1) return null;
+    if (multiplier !== null && multiplier !== ratio) return null;
+    multiplier = ratio;
+  }
+
+  return multiplier;
+}
+
+// Every match that fits the line items, with its multiplier
+export function getFittingMatches<T extends QuantityMatch>(matches: T[], lineItems: QuantityItem[]) {
+  return matches
+    .map((match) => ({ match, multiplier: getMatchMultiplier(match, lineItems) }))
+    .filter((candidate): candidate is { match: T; multiplier: number } => candidate.multiplier !== null);
+}
+
+/**
+ * Picks the match to use for the given line items along with its multiplier.
+ * A fixed bundle made for the exact quantities wins over a per-unit match.
+ */
+export function findMatchForLineItems<T extends QuantityMatch>(matches: T[], lineItems: QuantityItem[]) {
+  const fitting = getFittingMatches(matches, lineItems);
+
+  return fitting.find(({ match }) => match.matchType !== "per_unit") || fitting[0] || null;
+}
@@ -0,0 +1,26 @@
+/**
+ * Limits a Match lookup to matches that can fire for an order from the given
+ * shop: matches whose shop items all belong to that shop, plus matches marked
+ * isGlobal. Product ids are only unique within a shop (cloned stores share
+ * them), so without this a match made for one shop would fire on another.
+ * Orders without a shop are not scoped.
+ */
+export function getMatchScopeWhere(shopId?: string | null) {
+  if (!shopId) return {};
+
+  return {
+    OR: [
+      { isGlobal: { equals: true } },
+      { input: { every: { shop: { id: { equals: shopId } } } } },
+    ],
+  };
+}
+
+/**
+ * The shop a list of ShopItemWhereInput filters belongs to, when they all name
+ * the same one. Used by the getMatch queries, whose inputs come from one order.
+ */
+export function getInputShopId(inputs: Array<{ shop?: { id?: { equals?: string | null } } | null }>) {
+  const shopIds = new Set(inputs.map((input) => input.shop?.id?.equals).filter(Boolean));
+  return shopIds.size === 1 ? String([...shopIds][0]) : null;
+}
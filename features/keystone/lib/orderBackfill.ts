@@ -0,0 +1,227 @@
+import { searchShopOrders } from "../utils/shopProviderAdapter";
+import { enqueueJob } from "./jobQueue";
+import { buildShopOrderCreateData } from "./shopOrders";
+
+export const BACKFILL_RUN_STATUSES = ["queued", "running", "completed", "failed"] as const;
+
+// How often each shop with backfill enabled is checked for missed orders
+export const BACKFILL_INTERVAL_MS =
+  Number(process.env.ORDER_BACKFILL_INTERVAL_MINUTES || 15) * 60 * 1000;
+
+// Bounds a single run so one large shop can't hold a worker indefinitely
+const MAX_PAGES = Number(process.env.ORDER_BACKFILL_MAX_PAGES || 20);
+
+// A queued or running run older than this is assumed to have been abandoned
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+export interface BackfillReport {
+  pagesFetched: number;
+  ordersScanned: number;
+  ordersImported: number;
+  ordersSkipped: number;
+  truncated: boolean;
+  errors: Array<{ orderId: string; error: string }>;
+}
+
+// Adapters that can't filter by createdAtMin still return the date of each order
+export function isBeforeCutoff(order: { createdAt?: string | null }, cutoff: Date) {
+  if (!order.createdAt) return false;
+  const createdAt = new Date(order.createdAt).getTime();
+  return !Number.isNaN(createdAt) && createdAt < cutoff.getTime();
+}
+
+// Orders the shop already closed, cancelled or fulfilled would be placed a second time
+export function isClosedShopOrder(order: { closed?: boolean | null; fulfillmentStatus?: string | null }) {
+  return Boolean(order.closed) || order.fulfillmentStatus?.toUpperCase() === "FULFILLED";
+}
+
+export function isBackfillDue(
+  lastRun: { status: string; createdAt: string | Date } | null | undefined,
+  now = Date.now()
+) {
+  if (!lastRun) return true;
+
+  const age = now - new Date(lastRun.createdAt).getTime();
+  if (lastRun.status === "queued" || lastRun.status === "running") {
+    return age >= STALE_RUN_MS;
+  }
+  return age >= BACKFILL_INTERVAL_MS;
+}
+
+/**
+ * Queues a BACKFILL_ORDERS job for every shop with backfill enabled whose last
+ * run is older than BACKFILL_INTERVAL_MS. Called from the job worker.
+ */
+export async function scheduleOrderBackfills(context: any) {
+  const shops = await context.query.Shop.findMany({
+    where: { backfillEnabled: { equals: true } },
+    query: "id backfillRuns(orderBy: { createdAt: desc }, take: 1) { status createdAt }",
+  });
+
+  let scheduled = 0;
+  for (const shop of shops) {
+    if (!isBackfillDue(shop.backfillRuns[0])) continue;
+
+    const run = await context.query.BackfillRun.createOne({
+      data: { shop: { connect: { id: shop.id } } },
+      query: "id",
+    });
+    await enqueueJob({
+      context,
+      type: "BACKFILL_ORDERS",
+      payload: { runId: run.id, shopId: shop.id },
+    });
+    scheduled++;
+  }
+
+  return scheduled;
+}
+
+/**
+ * Pages through the shop's recent orders with its searchOrdersFunction and
+ * imports the open ones Openship doesn't have, the same way orders are imported
+ * from the SearchOrders screen. Progress is recorded on the BackfillRun.
+ */
+export async function backfillShopOrders({ context, runId }: { context: any; runId: string }) {
+  const run = await context.query.BackfillRun.findOne({
+    where: { id: runId },
+    query: `
+      id
+      shop {
+        id
+        domain
+        accessToken
+        metadata
+        backfillLookbackHours
+        user {
+          id
+        }
+        platform {
+          id
+          name
+          searchOrdersFunction
+          appKey
+          appSecret
+        }
+      }
+    `,
+  });
+
+  if (!run?.shop) {
+    throw new Error(`Backfill run ${runId} has no shop`);
+  }
+
+  const { shop } = run;
+  const since = new Date(Date.now() - (shop.backfillLookbackHours || 24) * 60 * 60 * 1000);
+  const report: BackfillReport = {
+    pagesFetched: 0,
+    ordersScanned: 0,
+    ordersImported: 0,
+    ordersSkipped: 0,
+    truncated: false,
+    errors: [],
+  };
+
+  await context.query.BackfillRun.updateOne({
+    where: { id: runId },
+    data: { status: "running", since, startedAt: new Date(), error: "" },
+  });
+
+  try {
+    if (!shop.platform?.searchOrdersFunction) {
+      throw new Error("Search orders function not configured.");
+    }
+
+    let after: string | undefined;
+
+    while (true) {
+      if (report.pagesFetched >= MAX_PAGES) {
+        report.truncated = true;
+        break;
+      }
+
+      const result = await searchShopOrders({
+        platform: {
+          ...shop.platform,
+          domain: shop.domain,
+          accessToken: shop.accessToken,
+          ownerId: shop.id,
+          ...shop.metadata,
+        },
+        searchEntry: "",
+        after,
+        createdAtMin: since.toISOString(),
+      });
+      report.pagesFetched++;
+
+      const orders = result?.orders || [];
+      let reachedCutoff = false;
+
+      for (const order of orders) {
+        if (isBeforeCutoff(order, since)) {
+          reachedCutoff = true;
+          continue;
+        }
+
+        report.ordersScanned++;
+        const orderId = String(order.orderId ?? order.id ?? "");
+
+        if (isClosedShopOrder(order)) {
+          report.ordersSkipped++;
+          continue;
+        }
+
+        const [existing] = await context.query.Order.findMany({
+          where: {
+            shop: { id: { equals: shop.id } },
+            orderId: { equals: orderId },
+          },
+          take: 1,
+          query: "id",
+        });
+
+        if (existing) {
+          report.ordersSkipped++;
+          continue;
+        }
+
+        try {
+          await context.query.Order.createOne({
+            data: {
+              ...buildShopOrderCreateData({ ...order, orderId, shop: { id: shop.id } }),
+              ...(shop.user && { user: { connect: { id: shop.user.id } } }),
+            },
+            query: "id",
+          });
+          report.ordersImported++;
+        } catch (error: any) {
+          // One bad order shouldn't stop the rest from being imported
+          report.errors.push({ orderId, error: error?.message || "Unknown error" });
+        }
+      }
+
+      after = result?.pageInfo?.endCursor || undefined;
+      if (reachedCutoff || orders.length === 0 || !result?.pageInfo?.hasNextPage || !after) {
+        break;
+      }
+    }
+
+    await context.query.BackfillRun.updateOne({
+      where: { id: runId },
+      data: { status: "completed", finishedAt: new Date(), ...report },
+    });
+
+    return report;
+  } catch (error: any) {
+    await context.query.BackfillRun.updateOne({
+      where: { id: runId },
+      data: {
+        status: "failed",
+        finishedAt: new Date(),
+        error: error?.message || "Unknown error",
+        ...report,
+      },
+    });
+    throw error;
+  }
+}
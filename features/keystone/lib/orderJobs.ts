@@ -0,0 +1,380 @@
+import { placeMultipleOrders } from "./placeMultipleOrders";
+import { backfillShopOrders } from "./orderBackfill";
+import { holdOrderIfNeeded } from "./holdRules";
+import { recordProcessingError } from "./processingErrors";
+import { applyDynamicWhereClause } from "./linkFilters";
+import { isDistributedLinkMode, routeToDistributedLink } from "./linkDistribution";
+import {
+  pickCheapest,
+  priceLinkCandidates,
+  saveRoutingDecision,
+  toDecisionGroup,
+} from "./cheapestRouting";
+import { getMatches } from "../extendGraphqlSchema/mutations/addMatchToCart";
+import {
+  claimJob,
+  enqueueJob,
+  hasActiveJob,
+  runClaimedJob,
+  type JobHandler,
+  type JobType,
+} from "./jobQueue";
+
+async function linkOrder({ job, context }: { job: any; context: any }) {
+  const orderId = job.payload.orderId;
+
+  const order = await context.query.Order.findOne({
+    where: { id: orderId },
+    query: `
+      id
+      processOrder
+      user {
+        id
+      }
+      shop {
+        id
+        linkMode
+        links {
+          id
+          rank
+          channel {
+            id
+            name
+            domain
+            accessToken
+            shippingEstimate
+            platform {
+              id
+              getProductFunction
+            }
+          }
+        }
+      }
+      lineItems {
+        id
+        name
+        price
+        lineItemId
+        quantity
+        image
+        productId
+        variantId
+        sku
+      }
+      cartItemsCount
+    `,
+  });
+
+  if (!order) {
+    throw new Error(`Order ${orderId} not found`);
+  }
+
+  // A previous attempt already created the cart items, only placement is left
+  if (order.cartItemsCount === 0) {
+    const links = [...(order.shop?.links || [])].sort((a: any, b: any) => a.rank - b.rank);
+    let matchedLinks: any[] = [];
+    // Channel prices for the line items, when they were fetched to compare links
+    const linkPrices = new Map<string, string[]>();
+
+    // Failover starts at the first matching link too and moves down the ranks when a purchase fails
+    if (order.shop.linkMode === 'sequential' || order.shop.linkMode === 'failover') {
+      for (const link of links) {
+        const matchedOrder = await applyDynamicWhereClause(context, link.id, order.id);
+        if (matchedOrder) {
+          matchedLinks.push(link);
+          break;
+        }
+      }
+    } else if (order.shop.linkMode === 'simultaneous') {
+      for (const link of links) {
+        const matchedOrder = await applyDynamicWhereClause(context, link.id, order.id);
+        if (matchedOrder) {
+          matchedLinks.push(link);
+        }
+      }
+    } else if (order.shop.linkMode === 'cheapest') {
+      const eligible = [];
+      for (const link of links) {
+        const matchedOrder = await applyDynamicWhereClause(context, link.id, order.id);
+        if (matchedOrder) {
+          eligible.push(link);
+        }
+      }
+
+      if (eligible.length > 0) {
+        const candidates = await priceLinkCandidates({ links: eligible, lineItems: order.lineItems });
+        const cheapest = pickCheapest(candidates);
+
+        // Links are still tried by rank when no channel could price the order
+        matchedLinks.push(cheapest?.link || eligible[0]);
+        if (cheapest) {
+          linkPrices.set(cheapest.link.id, cheapest.prices);
+        }
+
+        await saveRoutingDecision({
+          query: context.query,
+          orderId: order.id,
+          groups: [
+            toDecisionGroup(
+              order.lineItems.map(({ id }: any) => id),
+              candidates,
+              cheapest
+            ),
+          ],
+        });
+      }
+    } else if (isDistributedLinkMode(order.shop.linkMode)) {
+      const eligible = [];
+      for (const link of links) {
+        const matchedOrder = await applyDynamicWhereClause(context, link.id, order.id);
+        if (matchedOrder) {
+          eligible.push(link);
+        }
+      }
+
+      // Counted as it's picked, so a retried attempt counts the order again
+      const linkId = await routeToDistributedLink({
+        context,
+        linkIds: eligible.map(({ id }) => id),
+        linkMode: order.shop.linkMode,
+      });
+      const link = eligible.find(({ id }) => id === linkId);
+      if (link) {
+        matchedLinks.push(link);
+      }
+    }
+
+    if (matchedLinks.length === 0) {
+      await context.query.Order.updateOne({
+        where: { id: order.id },
+        data: {
+          error: "No matching link found for this order",
+        },
+      });
+      await recordProcessingError({
+        query: context.query,
+        code: "LINK_ERROR",
+        message: "No matching link found for this order",
+        orderId: order.id,
+      });
+      return { linked: false };
+    }
+
+    for (const link of matchedLinks) {
+      const prices = linkPrices.get(link.id);
+      await context.query.CartItem.createMany({
+        data: order.lineItems.map(({ id, ...c }: any, index: number) => ({
+          ...c,
+          ...(prices && { price: prices[index] }),
+          channel: { connect: { id: link.channel.id } },
+          link: { connect: { id: link.id } },
+          order: { connect: { id: order.id } },
+          user: { connect: { id: order.user?.id } },
+        })),
+      });
+    }
+  }
+
+  if (order.processOrder) {
+    await enqueuePlaceOrder({ context, orderId: order.id });
+  }
+
+  return { linked: true };
+}
+
+async function matchOrder({ job, context }: { job: any; context: any }) {
+  const orderId = job.payload.orderId;
+
+  const order = await context.query.Order.findOne({
+    where: { id: orderId },
+    query: `id processOrder cartItemsCount`,
+  });
+
+  if (!order) {
+    throw new Error(`Order ${orderId} not found`);
+  }
+
+  if (order.cartItemsCount === 0) {
+    await getMatches({ orderId, context });
+  }
+
+  const matchedOrder = await context.query.Order.findOne({
+    where: { id: orderId },
+    query: `id error cartItemsCount`,
+  });
+
+  if (matchedOrder?.error) {
+    await context.query.Order.updateOne({
+      where: { id: orderId },
+      data: {
+        status: "PENDING",
+        statusReason: "Order could not be matched",
+      },
+    });
+    return { matched: false, error: matchedOrder.error };
+  }
+
+  if (order.processOrder) {
+    await enqueuePlaceOrder({ context, orderId });
+  }
+
+  return { matched: true, cartItems: matchedOrder?.cartItemsCount || 0 };
+}
+
+async function placeOrder({ job, context }: { job: any; context: any }) {
+  const order = await context.query.Order.findOne({
+    where: { id: job.payload.orderId },
+    query: 'id status',
+  });
+
+  if (!order || order.status === 'CANCELLED' || order.status === 'ON_HOLD') {
+    return { processed: 0, skipped: order ? order.status.toLowerCase() : 'missing' };
+  }
+
+  // Checked right before purchasing so a held order never reaches a channel
+  const holdReasons = await holdOrderIfNeeded({ context, orderId: order.id });
+  if (holdReasons.length > 0) {
+    return { processed: 0, held: holdReasons };
+  }
+
+  // Retries only place the channels whose call failed last time
+  const { processed, failed } = await placeMultipleOrders({
+    ids: [job.payload.orderId],
+    query: context.query,
+    ...(job.payload.channelIds && { channelIds: job.payload.channelIds }),
+  });
+
+  // Calls that threw or timed out are retried with backoff. They ask the
+  // channel for the purchase by idempotency key before buying again.
+  const transient = failed.filter(({ transient }) => transient);
+  if (transient.length > 0) {
+    await context.query.Job.updateOne({
+      where: { id: job.id },
+      data: {
+        payload: {
+          ...job.payload,
+          channelIds: [...new Set(transient.map(({ channelId }) => channelId))],
+        },
+      },
+    });
+    throw new Error(
+      `${transient.length} channel ${transient.length === 1 ? "purchase" : "purchases"} failed: ${transient
+        .map(({ message }) => message)
+        .join("; ")}`
+    );
+  }
+
+  return { processed: processed.length, failed: failed.length };
+}
+
+async function backfillOrders({ job, context }: { job: any; context: any }) {
+  return backfillShopOrders({ context, runId: job.payload.runId });
+}
+
+export const orderJobHandlers: Record<JobType, JobHandler> = {
+  LINK_ORDER: linkOrder,
+  MATCH_ORDER: matchOrder,
+  PLACE_ORDER: placeOrder,
+  BACKFILL_ORDERS: backfillOrders,
+};
+
+/**
+ * Claims and runs a single job. Returns null when the job is not runnable
+ * right now (already locked by another worker, scheduled later or finished).
+ */
+export async function processJob(context: any, jobId?: string) {
+  const job = await claimJob(context, jobId);
+  if (!job) {
+    return null;
+  }
+
+  return runClaimedJob({ job, context, handlers: orderJobHandlers });
+}
+
+/**
+ * Drains runnable jobs until the queue is empty or the limit is reached.
+ */
+export async function runPendingJobs(context: any, { limit = 25 }: { limit?: number } = {}) {
+  let processed = 0;
+  while (processed < limit) {
+    const result = await processJob(context);
+    if (!result) break;
+    processed++;
+  }
+  return processed;
+}
+
+/**
+ * Persists the job first, then starts it in the background so the request
+ * hook or mutation that queued it isn't held up. If this process dies before
+ * the job finishes, a worker picks it up once the lock expires.
+ */
+export async function enqueueAndRun({
+  context,
+  type,
+  orderId,
+}: {
+  context: any;
+  type: JobType;
+  orderId: string;
+}) {
+  const job = await enqueueJob({ context, type, orderId });
+
+  processJob(context, job.id).catch((error) => {
+    // Left queued for a worker to pick up
+    console.error(`Error running job ${job.id} (${type}):`, error);
+  });
+
+  return job;
+}
+
+/**
+ * Queues placement unless the order already has a placement job waiting or
+ * running, which happens when a link or match job is retried after queueing it.
+ * The worker runs it, since link and match jobs queue it while they still hold
+ * their own claim and a slow purchase could outlast that.
+ */
+export async function enqueuePlaceOrder({ context, orderId }: { context: any; orderId: string }) {
+  if (await hasActiveJob({ context, type: "PLACE_ORDER", orderId })) {
+    return null;
+  }
+
+  return enqueueJob({ context, type: "PLACE_ORDER", orderId });
+}
+
+/**
+ * Decides which step a newly created order starts at and queues it.
+ */
+export async function enqueueOrderJobs({ orderId, context }: { orderId: string; context: any }) {
+  const order = await context.query.Order.findOne({
+    where: { id: orderId },
+    query: `
+      id
+      linkOrder
+      matchOrder
+      processOrder
+      cartItemsCount
+      shop {
+        linksCount
+      }
+    `,
+  });
+
+  if (!order) {
+    return null;
+  }
+
+  if (order.linkOrder && order.shop?.linksCount > 0) {
+    return enqueueAndRun({ context, type: "LINK_ORDER", orderId });
+  }
+
+  if (order.matchOrder) {
+    return enqueueAndRun({ context, type: "MATCH_ORDER", orderId });
+  }
+
+  if (order.cartItemsCount > 0 && order.processOrder) {
+    return enqueuePlaceOrder({ context, orderId });
+  }
+
+  return null;
+}
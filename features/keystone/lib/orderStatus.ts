@@ -0,0 +1,57 @@
+export const ORDER_STATUSES = [
+  "PENDING",
+  "INPROCESS",
+  "ON_HOLD",
+  "PARTIALLY_ROUTED",
+  "AWAITING",
+  "BACKORDERED",
+  "PARTIALLY_FULFILLED",
+  "COMPLETE",
+  "CANCELLED",
+] as const;
+
+export type OrderStatus = (typeof ORDER_STATUSES)[number];
+
+export const ORDER_STATUS_LABELS: Record<OrderStatus, string> = {
+  PENDING: "Pending",
+  INPROCESS: "In Process",
+  ON_HOLD: "On Hold",
+  PARTIALLY_ROUTED: "Partially Routed",
+  AWAITING: "Awaiting",
+  BACKORDERED: "Backordered",
+  PARTIALLY_FULFILLED: "Partially Fulfilled",
+  COMPLETE: "Complete",
+  CANCELLED: "Cancelled",
+};
+
+/**
+ * Statuses an order may move to from each status. COMPLETE and CANCELLED are
+ * final. AWAITING can fall back to PENDING when a re-placement leaves cart
+ * items unpurchased. ON_HOLD orders are released to PENDING or rejected.
+ * PARTIALLY_ROUTED orders have line items that no match covered and move on
+ * once those are handled by hand. Placement that leaves line items flagged
+ * moves an order to PARTIALLY_ROUTED from any status it can place from, so a
+ * re-placed AWAITING or BACKORDERED order can move back there too.
+ */
+export const ORDER_STATUS_TRANSITIONS: Record<OrderStatus, readonly OrderStatus[]> = {
+  PENDING: ["INPROCESS", "ON_HOLD", "PARTIALLY_ROUTED", "AWAITING", "BACKORDERED", "CANCELLED"],
+  INPROCESS: ["PENDING", "ON_HOLD", "PARTIALLY_ROUTED", "AWAITING", "BACKORDERED", "CANCELLED"],
+  ON_HOLD: ["PENDING", "CANCELLED"],
+  PARTIALLY_ROUTED: ["PENDING", "INPROCESS", "ON_HOLD", "AWAITING", "CANCELLED"],
+  AWAITING: ["PENDING", "PARTIALLY_ROUTED", "BACKORDERED", "PARTIALLY_FULFILLED", "COMPLETE", "CANCELLED"],
+  BACKORDERED: ["PENDING", "INPROCESS", "PARTIALLY_ROUTED", "AWAITING", "CANCELLED"],
+  PARTIALLY_FULFILLED: ["COMPLETE", "CANCELLED"],
+  COMPLETE: [],
+  CANCELLED: [],
+};
+
+export function isOrderStatus(value: unknown): value is OrderStatus {
+  return ORDER_STATUSES.includes(value as OrderStatus);
+}
+
+// Staying in the same status is always allowed and isn't a transition
+export function canTransitionOrderStatus(from: unknown, to: unknown) {
+  if (from === to) return true;
+  if (!isOrderStatus(from) || !isOrderStatus(to)) return false;
+  return ORDER_STATUS_TRANSITIONS[from].includes(to);
+}
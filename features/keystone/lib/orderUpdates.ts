@@ -0,0 +1,252 @@
+import { hasActiveJob } from "./jobQueue";
+import { enqueueOrderJobs } from "./orderJobs";
+import { recordProcessingError } from "./processingErrors";
+
+// Order fields a shop's updateOrderWebhookHandler may change
+export const UPDATABLE_ORDER_FIELDS = [
+  "orderName",
+  "email",
+  "firstName",
+  "lastName",
+  "streetAddress1",
+  "streetAddress2",
+  "city",
+  "state",
+  "zip",
+  "country",
+  "phone",
+  "currency",
+  "totalPrice",
+  "subTotalPrice",
+  "totalDiscounts",
+  "totalTax",
+  "tags",
+] as const;
+
+const UPDATABLE_LINE_ITEM_FIELDS = [
+  "name",
+  "price",
+  "quantity",
+  "productId",
+  "variantId",
+  "sku",
+] as const;
+
+export interface ShopOrderUpdate {
+  orderId: string;
+  lineItems?: Array<{
+    lineItemId: string;
+    name?: string;
+    image?: string | null;
+    price?: number;
+    quantity: number;
+    productId?: string;
+    variantId?: string;
+    sku?: string;
+  }>;
+  [field: string]: any;
+}
+
+interface ExistingOrder {
+  [field: string]: any;
+  lineItems: Array<{ id: string; lineItemId: string | null; [field: string]: any }>;
+}
+
+function isSameValue(current: any, next: any) {
+  if (typeof current === "number" || typeof next === "number") {
+    return Number(current) === Number(next);
+  }
+  return (current ?? "") === (next ?? "");
+}
+
+/**
+ * Works out what an order update from the shop changes. Fields the update
+ * leaves out are kept. Line items are matched by lineItemId; ones missing from
+ * the update or with a quantity of 0 were removed at the shop.
+ */
+export function diffShopOrderUpdate(order: ExistingOrder, update: ShopOrderUpdate) {
+  const orderData: Record<string, any> = {};
+  const changes: string[] = [];
+
+  for (const field of UPDATABLE_ORDER_FIELDS) {
+    if (update[field] === undefined || isSameValue(order[field], update[field])) continue;
+    orderData[field] = update[field];
+    changes.push(field);
+  }
+
+  const lineItems = {
+    create: [] as any[],
+    update: [] as Array<{ id: string; data: Record<string, any> }>,
+    delete: [] as string[],
+  };
+
+  if (update.lineItems) {
+    const incoming = new Map(
+      update.lineItems
+        .filter((item) => item.lineItemId && item.quantity > 0)
+        .map((item) => [String(item.lineItemId), item])
+    );
+
+    for (const lineItem of order.lineItems) {
+      const next = lineItem.lineItemId ? incoming.get(lineItem.lineItemId) : undefined;
+
+      if (!next) {
+        lineItems.delete.push(lineItem.id);
+        changes.push(`removed ${lineItem.name}`);
+        continue;
+      }
+      incoming.delete(String(lineItem.lineItemId));
+
+      const data: Record<string, any> = {};
+      for (const field of UPDATABLE_LINE_ITEM_FIELDS) {
+        if (next[field] !== undefined && !isSameValue(lineItem[field], next[field])) {
+          data[field] = next[field];
+        }
+      }
+      if (Object.keys(data).length > 0) {
+        lineItems.update.push({ id: lineItem.id, data });
+        changes.push(
+          data.quantity !== undefined
+            ? `${lineItem.name} quantity ${lineItem.quantity} → ${data.quantity}`
+            : `changed ${lineItem.name}`
+        );
+      }
+    }
+
+    for (const item of incoming.values()) {
+      lineItems.create.push({
+        name: item.name,
+        image: item.image,
+        price: item.price,
+        quantity: item.quantity,
+        productId: item.productId,
+        variantId: item.variantId,
+        sku: item.sku || "",
+        lineItemId: String(item.lineItemId),
+      });
+      changes.push(`added ${item.name}`);
+    }
+  }
+
+  const lineItemsChanged =
+    lineItems.create.length + lineItems.update.length + lineItems.delete.length > 0;
+
+  return { orderData, lineItems, lineItemsChanged, changes };
+}
+
+/**
+ * Applies an order update from the shop to the Order and its LineItems.
+ *
+ * Orders that already have purchased cart items, or are being placed right
+ * now, are flagged with an error describing the edit, since the channel
+ * purchase no longer matches. Their LineItems are left as they are, so
+ * tracking is still pushed to the shop by the lineItemIds that were bought.
+ * When nothing has been purchased yet and the line items changed, the cart
+ * is rebuilt by running linking and matching again.
+ */
+export async function applyShopOrderUpdate({
+  context,
+  orderId,
+  update,
+}: {
+  context: any;
+  orderId: string;
+  update: ShopOrderUpdate;
+}) {
+  const order = await context.query.Order.findOne({
+    where: { id: orderId },
+    query: `
+      id
+      status
+      linkOrder
+      matchOrder
+      ${UPDATABLE_ORDER_FIELDS.join("\n")}
+      lineItems {
+        id
+        lineItemId
+        ${UPDATABLE_LINE_ITEM_FIELDS.join("\n")}
+      }
+      cartItems {
+        id
+        status
+        purchaseId
+      }
+    `,
+  });
+
+  if (!order) {
+    throw new Error(`Order ${orderId} not found`);
+  }
+
+  const { orderData, lineItems, lineItemsChanged, changes } = diffShopOrderUpdate(order, update);
+
+  if (changes.length === 0) {
+    return { changes, flagged: false, rerouted: false };
+  }
+
+  const purchased = order.cartItems.some(
+    (item: any) => item.purchaseId && item.status !== "CANCELLED"
+  );
+  // A placement job may be buying the current cart items
+  const placing = await hasActiveJob({ context, type: "PLACE_ORDER", orderId: order.id });
+  const flagged = purchased || placing;
+  const isFinal = order.status === "COMPLETE" || order.status === "CANCELLED";
+  const rerouted =
+    !flagged && !isFinal && lineItemsChanged && (order.linkOrder || order.matchOrder);
+  const when = purchased ? "after it was purchased" : "while it was being placed";
+
+  await context.query.Order.updateOne({
+    where: { id: order.id },
+    data: {
+      ...orderData,
+      ...(flagged && {
+        error: `Order was edited at the shop ${when} (${changes.join(", ")}). Check the channel purchases before they ship.`,
+      }),
+    },
+  });
+
+  if (flagged) {
+    await recordProcessingError({
+      query: context.query,
+      code: "ORDER_EDITED",
+      severity: "warning",
+      message: `Order was edited at the shop ${when}: ${changes.join(", ")}`,
+      source: "updateOrderWebhookHandler",
+      rawResponse: update,
+      orderId: order.id,
+    });
+
+    return { changes, flagged, rerouted };
+  }
+
+  if (lineItems.update.length > 0) {
+    await context.query.LineItem.updateMany({
+      data: lineItems.update.map(({ id, data }) => ({ where: { id }, data })),
+    });
+  }
+  if (lineItems.delete.length > 0) {
+    await context.query.LineItem.deleteMany({
+      where: lineItems.delete.map((id) => ({ id })),
+    });
+  }
+  if (lineItems.create.length > 0) {
+    await context.query.LineItem.createMany({
+      data: lineItems.create.map((data) => ({
+        ...data,
+        order: { connect: { id: order.id } },
+      })),
+    });
+  }
+
+  if (rerouted) {
+    // The cart was built from the old line items and nothing has been bought from it
+    if (order.cartItems.length > 0) {
+      await context.query.CartItem.deleteMany({
+        where: order.cartItems.map(({ id }: { id: string }) => ({ id })),
+      });
+    }
+    await enqueueOrderJobs({ orderId: order.id, context });
+  }
+
+  return { changes, flagged, rerouted };
+}
@@ -0,0 +1,84 @@
+export const UNMATCHED_LINE_ITEM_ERROR =
+  "MATCH_ERROR: No match covers this line item. Add it to the cart by hand, then dismiss this error.";
+
+// Line items flagged by partial routing that nobody has handled yet
+export function unroutedLineItemsWhere(orderId: string) {
+  return {
+    order: { id: { equals: orderId } },
+    error: { startsWith: "MATCH_ERROR" },
+  };
+}
+
+/**
+ * Records the outcome of matching an order whose shop allows partial routing.
+ * Matched line items have their flag cleared, unmatched ones are flagged so
+ * they can be handled from the order page, and the order moves to
+ * PARTIALLY_ROUTED if any were flagged. The matched cart items can be placed
+ * right away.
+ */
+export async function flagUnmatchedLineItems({
+  context,
+  orderId,
+  lineItems,
+}: {
+  context: any;
+  orderId: string;
+  lineItems: Array<{ id: string; matched: boolean }>;
+}) {
+  await context.query.LineItem.updateMany({
+    data: lineItems.map(({ id, matched }) => ({
+      where: { id },
+      data: { error: matched ? "" : UNMATCHED_LINE_ITEM_ERROR },
+    })),
+  });
+
+  const unmatched = lineItems.filter(({ matched }) => !matched).length;
+  if (unmatched === 0) return;
+
+  await context.query.Order.updateOne({
+    where: { id: orderId },
+    data: {
+      status: "PARTIALLY_ROUTED",
+      statusReason: `${unmatched} of ${lineItems.length} line items have no match and need to be routed by hand`,
+    },
+  });
+}
+
+/**
+ * Moves a PARTIALLY_ROUTED order on once none of its line items are flagged:
+ * to AWAITING when everything in the cart was purchased, otherwise back to
+ * PENDING so the rest of the cart can be placed.
+ */
+export async function settlePartiallyRoutedOrder({ context, orderId }: { context: any; orderId: string }) {
+  const order = await context.query.Order.findOne({
+    where: { id: orderId },
+    query: "id status",
+  });
+
+  if (order?.status !== "PARTIALLY_ROUTED") return;
+
+  const unrouted = await context.query.LineItem.count({ where: unroutedLineItemsWhere(orderId) });
+  if (unrouted > 0) return;
+
+  const activeCartItems = {
+    order: { id: { equals: orderId } },
+    status: { not: { equals: "CANCELLED" } },
+  };
+  const [unpurchased, purchased] = await Promise.all([
+    context.query.CartItem.count({
+      where: { ...activeCartItems, purchaseId: { equals: "" }, url: { equals: "" } },
+    }),
+    context.query.CartItem.count({
+      where: { ...activeCartItems, purchaseId: { not: { equals: "" } } },
+    }),
+  ]);
+
+  const awaiting = unpurchased === 0 && purchased > 0;
+
+  await context.query.Order.updateOne({
+    where: { id: orderId },
+    data: awaiting
+      ? { status: "AWAITING", statusReason: "Every line item was routed and purchased" }
+      : { status: "PENDING", statusReason: "Every line item is routed, the cart is ready to place" },
+  });
+}
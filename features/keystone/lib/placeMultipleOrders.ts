@@ -1,5 +1,13 @@
-import { createChannelPurchase } from "../utils/channelProviderAdapter";
+import crypto from "crypto";
+import {
+  createChannelPurchase,
+  findChannelPurchase,
+} from "../utils/channelProviderAdapter";
 import { addCartToPlatformOrder } from "../utils/shopProviderAdapter";
+import { failOverToNextLink } from "./linkFailover";
+import { fallBackToMatchAlternatives } from "./matchCartItems";
+import { unroutedLineItemsWhere } from "./partialRouting";
+import { recordProcessingError } from "./processingErrors";
 
 async function updateCartItems({
   query,
@@ -31,8 +39,100 @@ async function updateCartItems({
   return update;
 }
 
-export async function placeMultipleOrders({ ids, query }: { ids: string[]; query: any }) {
+async function recordPlacementErrors({
+  query,
+  orderId,
+  cartItems,
+  message,
+  rawResponse,
+}: {
+  query: any;
+  orderId: string;
+  cartItems: Array<{ id: string }>;
+  message: string;
+  rawResponse: unknown;
+}) {
+  for (const { id } of cartItems) {
+    await recordProcessingError({
+      query,
+      code: "ORDER_PLACEMENT_ERROR",
+      message,
+      source: "createPurchaseFunction",
+      rawResponse,
+      orderId,
+      cartItemId: id,
+    });
+  }
+}
+
+// When the oldest of the cart items was created, undefined if none say
+function getEarliestCreatedAt(cartItems: Array<{ createdAt?: string | null }>) {
+  const times = cartItems.flatMap(({ createdAt }) => (createdAt ? [new Date(createdAt).getTime()] : []));
+  return times.length > 0 ? new Date(Math.min(...times)).toISOString() : undefined;
+}
+
+/**
+ * Returns the idempotency key for this (order, channel) purchase, generating and
+ * persisting one on every cart item in the group the first time it is placed.
+ */
+async function getPurchaseIdempotencyKey({
+  query,
+  orderId,
+  channelId,
+  cartItems,
+}: {
+  query: any;
+  orderId: string;
+  channelId: string;
+  cartItems: Array<{ id: string; idempotencyKey?: string | null }>;
+}) {
+  const existingKey = cartItems.find((item) => item.idempotencyKey)?.idempotencyKey;
+  const idempotencyKey =
+    existingKey || `openship-${orderId}-${channelId}-${crypto.randomUUID()}`;
+
+  const missing = cartItems.filter((item) => item.idempotencyKey !== idempotencyKey);
+  if (missing.length > 0) {
+    await query.CartItem.updateMany({
+      data: missing.map(({ id }) => ({
+        where: { id },
+        data: { idempotencyKey },
+      })),
+    });
+  }
+
+  return { idempotencyKey, isRetry: !!existingKey };
+}
+
+export interface FailedPlacement {
+  orderId: string;
+  channelId: string;
+  cartItemIds: string[];
+  message: string;
+  // A thrown or timed out call, worth retrying; anything else the channel answered
+  transient: boolean;
+}
+
+/**
+ * Places a purchase at each channel for the unpurchased cart items of the
+ * given orders. `channelIds` limits placement to those channels' cart items,
+ * which is how failed channel groups are retried. When a channel reports a
+ * purchase failed, cart items from a match with alternatives fall through to
+ * the next one, and cart items from a link move to the next ranked link in
+ * failover mode. A call that throws may still have bought the items, so they
+ * stay failed instead. Returns the orders processed and the channel groups
+ * that failed.
+ */
+export async function placeMultipleOrders({
+  ids,
+  query,
+  channelIds,
+}: {
+  ids: string[];
+  query: any;
+  channelIds?: string[];
+}): Promise<{ processed: any[]; failed: FailedPlacement[] }> {
   const processed = [];
+  const failed: FailedPlacement[] = [];
   for (const orderId of ids) {
     const {
       firstName,
@@ -49,6 +149,7 @@ export async function placeMultipleOrders({ ids, query }: { ids: string[]; query
       shop,
       orderId: shopOrderId,
       orderName,
+      status,
     } = await query.Order.findOne({
       where: {
         id: orderId,
@@ -73,19 +174,38 @@ export async function placeMultipleOrders({ ids, query }: { ids: string[]; query
         }
         orderId
         orderName
+        status
         user {
           email
         }
       `,
     });
 
+    // Held orders are placed once they're released on the approvals screen
+    if (status === "ON_HOLD" || status === "CANCELLED") continue;
+
+    const fallbackChannelIds = new Set<string>();
+    let heldForPriceChanges = false;
+
+    // Tries the failed cart items' match alternatives or next links, placed once this order's channels are done
+    const fallBack = async (cartItems: Array<{ id: string }>) => {
+      const cartItemIds = cartItems.map(({ id }) => id);
+      const fallback = await fallBackToMatchAlternatives({ query, orderId, cartItemIds });
+      const failover = await failOverToNextLink({ query, orderId, cartItemIds });
+      [...fallback.channelIds, ...failover.channelIds].forEach((id) => fallbackChannelIds.add(id));
+      heldForPriceChanges = fallback.held;
+    };
+
     const cartChannels = await query.Channel.findMany({
+      ...(channelIds && { where: { id: { in: channelIds } } }),
       query: `
+      id
       domain
       accessToken
       cartItems(
         where: {
           order: { id: { equals: "${orderId}" }}
+          status: { not: { equals: "CANCELLED" } }
           purchaseId: { equals: "" }
           url: { equals: "" }
         }
@@ -97,21 +217,29 @@ export async function placeMultipleOrders({ ids, query }: { ids: string[]; query
         name
         quantity
         price
+        idempotencyKey
+        createdAt
       } 
       platform {
         createPurchaseFunction
+        findPurchaseFunction
       }
       metadata
       `,
     });
 
     for (const {
+      id: channelId,
       domain,
       accessToken,
       cartItems,
       platform,
       metadata,
     } of cartChannels.filter((channel: any) => channel.cartItems.length > 0)) {
+      // Read again before each purchase, a running job keeps going while the order is cancelled or held
+      const current = await query.Order.findOne({ where: { id: orderId }, query: "status" });
+      if (current?.status === "CANCELLED" || current?.status === "ON_HOLD") break;
+
       const body = {
         domain,
         accessToken,
@@ -138,36 +266,82 @@ export async function placeMultipleOrders({ ids, query }: { ids: string[]; query
       const platformConfig = {
         domain,
         accessToken,
+        ownerId: channelId,
         createPurchaseFunction: platform.createPurchaseFunction,
+        findPurchaseFunction: platform.findPurchaseFunction,
         ...metadata,
       };
 
+      const fail = (message: string, transient: boolean) => {
+        if (failed.some((group) => group.orderId === orderId && group.channelId === channelId)) return;
+        failed.push({
+          orderId,
+          channelId,
+          cartItemIds: cartItems.map(({ id }: { id: string }) => id),
+          message,
+          transient,
+        });
+      };
+
       try {
-        const orderPlacementRes = await createChannelPurchase({
-          platform: platformConfig,
+        const { idempotencyKey, isRetry } = await getPurchaseIdempotencyKey({
+          query,
+          orderId,
+          channelId,
           cartItems,
-          shipping: {
-            firstName,
-            lastName,
-            address1: streetAddress1,
-            address2: streetAddress2,
-            city,
-            province: state,
-            zip,
-            country,
-            phone,
-            email: user.email,
-            currency,
-                },
-          notes: "",
         });
 
+        // A previous attempt may have reached the channel before failing,
+        // so ask it for that purchase before placing a new one.
+        const existingPurchase =
+          isRetry && platform.findPurchaseFunction
+            ? (
+                await findChannelPurchase({
+                  platform: platformConfig,
+                  idempotencyKey,
+                  // No attempt can predate the cart items it was placing
+                  since: getEarliestCreatedAt(cartItems),
+                })
+              ).purchase
+            : null;
+
+        const orderPlacementRes = existingPurchase?.purchaseId
+          ? existingPurchase
+          : await createChannelPurchase({
+              platform: platformConfig,
+              idempotencyKey,
+              cartItems,
+              shipping: {
+                firstName,
+                lastName,
+                address1: streetAddress1,
+                address2: streetAddress2,
+                city,
+                province: state,
+                zip,
+                country,
+                phone,
+                email: user.email,
+                currency,
+              },
+              notes: "",
+            });
+
         if (orderPlacementRes.error) {
           await updateCartItems({
             cartItems,
             error: `ORDER_PLACEMENT_ERROR: ${orderPlacementRes.error}`,
             query,
           });
+          await recordPlacementErrors({
+            query,
+            orderId,
+            cartItems,
+            message: orderPlacementRes.error,
+            rawResponse: orderPlacementRes,
+          });
+          fail(orderPlacementRes.error, false);
+          await fallBack(cartItems);
         }
 
         if (orderPlacementRes.purchaseId) {
@@ -177,31 +351,75 @@ export async function placeMultipleOrders({ ids, query }: { ids: string[]; query
             purchaseId: orderPlacementRes.purchaseId,
             query,
           });
+        } else if (!orderPlacementRes.error) {
+          // Nothing to track the purchase by, so it's treated as failed
+          const message = "No purchase ID was returned";
+          await updateCartItems({
+            cartItems,
+            error: `ORDER_PLACEMENT_ERROR: ${message}`,
+            query,
+          });
+          await recordPlacementErrors({
+            query,
+            orderId,
+            cartItems,
+            message,
+            rawResponse: orderPlacementRes,
+          });
+          fail(message, false);
+          await fallBack(cartItems);
         }
       } catch (error: any) {
+        const message = error.message || "Error on order placement. Order may have been placed.";
         await updateCartItems({
           cartItems,
-          error: `ORDER_PLACEMENT_ERROR: ${error.message || "Error on order placement. Order may have been placed."}`,
+          error: `ORDER_PLACEMENT_ERROR: ${message}`,
+          query,
+        });
+        await recordPlacementErrors({
           query,
+          orderId,
+          cartItems,
+          message,
+          rawResponse: { message },
         });
+        fail(message, true);
+        // The purchase may exist at the channel, so the items stay failed and
+        // the next attempt asks the channel for it by idempotency key first
       }
 
+      // The alternatives' prices need approval before anything else is placed
+      if (heldForPriceChanges) break;
+
       const cartCount = await query.CartItem.count({
         where: {
           order: {
             id: { equals: orderId },
           },
+          status: { not: { equals: "CANCELLED" } },
           url: { equals: "" },
           purchaseId: { equals: "" },
         },
       });
 
       if (cartCount === 0) {
+        // Line items flagged by partial routing still have to be handled by hand
+        const unroutedCount = await query.LineItem.count({
+          where: unroutedLineItemsWhere(orderId),
+        });
+
         const updatedOrder = await query.Order.updateOne({
           where: { id: orderId },
-          data: {
-            status: "AWAITING",
-          },
+          data:
+            unroutedCount > 0
+              ? {
+                  status: "PARTIALLY_ROUTED",
+                  statusReason: `Matched items were purchased, ${unroutedCount} line ${unroutedCount === 1 ? "item needs" : "items need"} to be routed by hand`,
+                }
+              : {
+                  status: "AWAITING",
+                  statusReason: "Every cart item was purchased",
+                },
           query: `
             id
             orderId
@@ -250,6 +468,7 @@ export async function placeMultipleOrders({ ids, query }: { ids: string[]; query
           where: { id: orderId },
           data: {
             status: "PENDING",
+            statusReason: "Some cart items could not be purchased",
           },
           query: `
             orderId
@@ -271,6 +490,16 @@ export async function placeMultipleOrders({ ids, query }: { ids: string[]; query
         processed.push(updatedOrder);
       }
     }
+
+    if (fallbackChannelIds.size > 0 && !heldForPriceChanges) {
+      const fallback = await placeMultipleOrders({
+        ids: [orderId],
+        query,
+        channelIds: [...fallbackChannelIds],
+      });
+      processed.push(...fallback.processed);
+      failed.push(...fallback.failed);
+    }
   }
-  return processed;
+  return { processed, failed };
 }
\ No newline at end of file
@@ -0,0 +1,101 @@
+export const PRICE_TOLERANCE_TYPES = ["absolute", "percent"] as const;
+
+export type PriceToleranceType = (typeof PRICE_TOLERANCE_TYPES)[number];
+
+export interface PriceTolerance {
+  priceToleranceType?: string | null;
+  priceTolerance?: number | null;
+}
+
+// Prices are stored as text and may carry a currency symbol or thousands separators
+export function parsePrice(value: unknown) {
+  if (value === null || value === undefined || value === "") return null;
+  const digits = String(value).replace(/[^0-9.-]/g, "");
+  if (!/[0-9]/.test(digits)) return null;
+
+  const price = Number(digits);
+  return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Describes how a channel's current price differs from the price saved on a
+ * match or cart item, or returns null when it hasn't changed. Prices are
+ * compared as numbers so "10.0" and "10.00" are the same price, and only fall
+ * back to comparing text when one of them isn't a number.
+ */
+export function getPriceChange(savedPrice: unknown, currentPrice: unknown) {
+  const saved = String(savedPrice || "");
+  const current = String(currentPrice || "");
+  const savedNumber = parsePrice(saved);
+  const currentNumber = parsePrice(current);
+
+  const unchanged =
+    savedNumber !== null && currentNumber !== null ? savedNumber === currentNumber : saved === current;
+
+  return unchanged ? null : `Price changed: ${saved} → ${current}`;
+}
+
+export function priceChangeError(change: string) {
+  return `PRICE_CHANGE: ${change}. Verify before placing order.`;
+}
+
+/**
+ * The tolerance that applies to a match's output: the match's own when it has
+ * one, otherwise its channel's.
+ */
+export function getPriceTolerance(
+  match: PriceTolerance | null | undefined,
+  channel: PriceTolerance | null | undefined
+): PriceTolerance | null {
+  if (match?.priceToleranceType) return match;
+  if (channel?.priceToleranceType) return channel;
+  return null;
+}
+
+/**
+ * Whether a price change can be accepted without anyone approving it. Price
+ * drops always can. An increase can when it's no more than the tolerance,
+ * either an absolute amount or a percent of the saved price. Without a
+ * tolerance, or when either price isn't a number, every change needs approval.
+ */
+export function isWithinPriceTolerance(
+  savedPrice: unknown,
+  currentPrice: unknown,
+  tolerance: PriceTolerance | null | undefined
+) {
+  const saved = parsePrice(savedPrice);
+  const current = parsePrice(currentPrice);
+
+  if (!tolerance?.priceToleranceType || saved === null || current === null) return false;
+  if (current <= saved) return true;
+
+  const ceiling = Math.max(tolerance.priceTolerance || 0, 0);
+  const increase = current - saved;
+
+  return tolerance.priceToleranceType === "percent"
+    ? saved > 0 && (increase / saved) * 100 <= ceiling
+    : increase <= ceiling;
+}
+
+const formatAmount = (amount: number) => amount.toFixed(2);
+
+/**
+ * Explains what price increases over tolerance do to the shop's margin on an
+ * order: what the shop charged for its line items against what the channel
+ * purchases cost before and after the change.
+ */
+export function describeMarginImpact({
+  revenue,
+  costBefore,
+  costAfter,
+}: {
+  revenue: number;
+  costBefore: number;
+  costAfter: number;
+}) {
+  const marginBefore = revenue - costBefore;
+  const marginAfter = revenue - costAfter;
+  const percent = (margin: number) => (revenue > 0 ? ` (${((margin / revenue) * 100).toFixed(1)}%)` : "");
+
+  return `Shop margin ${formatAmount(marginBefore)}${percent(marginBefore)} → ${formatAmount(marginAfter)}${percent(marginAfter)}`;
+}
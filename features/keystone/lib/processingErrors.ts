@@ -0,0 +1,183 @@
+export const PROCESSING_ERROR_CODES = [
+  "LINK_ERROR",
+  "MATCH_ERROR",
+  "PRICE_CHANGE",
+  "ORDER_PLACEMENT_ERROR",
+  "CANCEL_PURCHASE_ERROR",
+  "ORDER_EDITED",
+] as const;
+
+export type ProcessingErrorCode = (typeof PROCESSING_ERROR_CODES)[number];
+
+export const PROCESSING_ERROR_LABELS: Record<ProcessingErrorCode, string> = {
+  LINK_ERROR: "Link Error",
+  MATCH_ERROR: "Match Error",
+  PRICE_CHANGE: "Price Change",
+  ORDER_PLACEMENT_ERROR: "Order Placement Error",
+  CANCEL_PURCHASE_ERROR: "Cancel Purchase Error",
+  ORDER_EDITED: "Edited After Purchase",
+};
+
+export const PROCESSING_ERROR_SEVERITIES = ["warning", "error"] as const;
+
+export type ProcessingErrorSeverity = (typeof PROCESSING_ERROR_SEVERITIES)[number];
+
+// Adapter responses are stored as JSON, so anything that isn't plain data is dropped
+function toJson(value: unknown) {
+  if (value === undefined) return null;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Records an error hit while processing an order or one of its cart items.
+ * Each attempt gets its own record, numbered by how many errors with the same
+ * code the order or cart item already has. Takes a Keystone `context.query`
+ * so it can be called from placeMultipleOrders as well.
+ */
+export async function recordProcessingError({
+  query,
+  code,
+  message,
+  severity = "error",
+  source,
+  rawResponse,
+  orderId,
+  cartItemId,
+}: {
+  query: any;
+  code: ProcessingErrorCode;
+  message: string;
+  severity?: ProcessingErrorSeverity;
+  source?: string;
+  rawResponse?: unknown;
+  orderId?: string | null;
+  cartItemId?: string | null;
+}) {
+  const target = cartItemId
+    ? { cartItem: { id: { equals: cartItemId } } }
+    : { order: { id: { equals: orderId } }, cartItem: null };
+
+  const previousAttempts = await query.ProcessingError.count({
+    where: { ...target, code: { equals: code } },
+  });
+
+  return query.ProcessingError.createOne({
+    data: {
+      code,
+      message,
+      severity,
+      source: source || "",
+      rawResponse: toJson(rawResponse),
+      attempt: previousAttempts + 1,
+      ...(orderId && { order: { connect: { id: orderId } } }),
+      ...(cartItemId && { cartItem: { connect: { id: cartItemId } } }),
+    },
+    query: "id attempt",
+  });
+}
+
+/**
+ * Marks the unresolved errors of the given cart items as resolved, for when
+ * they're retried or replaced. A new error is recorded if that fails too.
+ */
+export async function resolveCartItemErrors({ query, cartItemIds }: { query: any; cartItemIds: string[] }) {
+  if (cartItemIds.length === 0) return;
+
+  const previousErrors = await query.ProcessingError.findMany({
+    where: {
+      cartItem: { id: { in: cartItemIds } },
+      resolved: { equals: false },
+    },
+    query: "id",
+  });
+  if (previousErrors.length === 0) return;
+
+  const resolvedAt = new Date().toISOString();
+  await query.ProcessingError.updateMany({
+    data: previousErrors.map(({ id }: { id: string }) => ({
+      where: { id },
+      data: { resolved: true, resolvedAt },
+    })),
+  });
+}
+
+/**
+ * Marks the unresolved errors of the given orders as resolved, optionally
+ * only those with one code. Order.error and CartItem.error are cleared once
+ * nothing unresolved is left on them. Returns how many errors were resolved.
+ */
+export async function resolveOrderProcessingErrors({
+  context,
+  orderIds,
+  code,
+}: {
+  context: any;
+  orderIds: string[];
+  code?: string | null;
+}) {
+  if (orderIds.length === 0) return 0;
+
+  const errors = await context.query.ProcessingError.findMany({
+    where: {
+      order: { id: { in: orderIds } },
+      resolved: { equals: false },
+      ...(code && { code: { equals: code } }),
+    },
+    query: "id order { id } cartItem { id }",
+  });
+
+  if (errors.length === 0) return 0;
+
+  const resolvedAt = new Date().toISOString();
+  await context.query.ProcessingError.updateMany({
+    data: errors.map(({ id }: { id: string }) => ({
+      where: { id },
+      data: { resolved: true, resolvedAt },
+    })),
+  });
+
+  const affectedOrderIds = [
+    ...new Set(errors.filter((error: any) => !error.cartItem).map((error: any) => error.order.id)),
+  ] as string[];
+  const affectedCartItemIds = [
+    ...new Set(errors.filter((error: any) => error.cartItem).map((error: any) => error.cartItem.id)),
+  ] as string[];
+
+  const remaining = await context.query.ProcessingError.findMany({
+    where: {
+      resolved: { equals: false },
+      OR: [
+        { order: { id: { in: affectedOrderIds } }, cartItem: null },
+        { cartItem: { id: { in: affectedCartItemIds } } },
+      ],
+    },
+    query: "order { id } cartItem { id }",
+  });
+
+  const ordersWithErrors = new Set(
+    remaining.filter((error: any) => !error.cartItem).map((error: any) => error.order?.id)
+  );
+  const cartItemsWithErrors = new Set(
+    remaining.filter((error: any) => error.cartItem).map((error: any) => error.cartItem.id)
+  );
+
+  const clearedOrderIds = affectedOrderIds.filter((id) => !ordersWithErrors.has(id));
+  const clearedCartItemIds = affectedCartItemIds.filter((id) => !cartItemsWithErrors.has(id));
+
+  if (clearedOrderIds.length > 0) {
+    await context.query.Order.updateMany({
+      data: clearedOrderIds.map((id) => ({ where: { id }, data: { error: "" } })),
+    });
+  }
+  if (clearedCartItemIds.length > 0) {
+    await context.query.CartItem.updateMany({
+      data: clearedCartItemIds.map((id) => ({ where: { id }, data: { error: "" } })),
+    });
+  }
+
+  return errors.length;
+}
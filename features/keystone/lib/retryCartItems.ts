@@ -0,0 +1,168 @@
+import { getChannelProduct } from "../utils/channelProviderAdapter";
+import { placeMultipleOrders } from "./placeMultipleOrders";
+import { getPriceChange, isWithinPriceTolerance, priceChangeError } from "./priceChanges";
+import { recordProcessingError, resolveCartItemErrors } from "./processingErrors";
+
+// Cart items that were tried and failed, as opposed to ones never placed
+export function failedCartItemsWhere(orderId: string) {
+  return {
+    order: { id: { equals: orderId } },
+    status: { not: { equals: "CANCELLED" } },
+    purchaseId: { equals: "" },
+    url: { equals: "" },
+    error: { not: { equals: "" } },
+  };
+}
+
+/**
+ * The channels whose failed cart items can be placed again. A channel is held
+ * back when any of its items couldn't be re-checked or changed price beyond the
+ * channel's tolerance, since its items are purchased together.
+ */
+export function getRetryChannelIds(
+  cartItems: Array<{ id: string; channel: { id: string } | null }>,
+  heldBackCartItemIds: string[]
+) {
+  const channelIds = new Set(cartItems.flatMap(({ channel }) => (channel ? [channel.id] : [])));
+
+  for (const { id, channel } of cartItems) {
+    if (channel && heldBackCartItemIds.includes(id)) channelIds.delete(channel.id);
+  }
+
+  return [...channelIds];
+}
+
+/**
+ * Retries the failed channel purchases of an order without touching the rest
+ * of it. The failed cart items have their prices checked again with the
+ * channel's getProductFunction, then their errors are cleared and placement
+ * runs again for their channels only. Each failed check and placement is
+ * recorded as a new attempt.
+ */
+export async function retryFailedCartItems({ query, orderId }: { query: any; orderId: string }) {
+  const cartItems = await query.CartItem.findMany({
+    where: failedCartItemsWhere(orderId),
+    query: `
+      id
+      price
+      productId
+      variantId
+      channel {
+        id
+        domain
+        accessToken
+        priceToleranceType
+        priceTolerance
+        platform {
+          id
+          getProductFunction
+        }
+      }
+    `,
+  });
+
+  if (cartItems.length === 0) {
+    return { retried: 0, placed: 0, skipped: 0 };
+  }
+
+  const heldBack: string[] = [];
+
+  const holdBack = async ({
+    id,
+    error,
+    message,
+    severity,
+    rawResponse,
+  }: {
+    id: string;
+    error: string;
+    message: string;
+    severity: "warning" | "error";
+    rawResponse: unknown;
+  }) => {
+    heldBack.push(id);
+    await resolveCartItemErrors({ query, cartItemIds: [id] });
+    await query.CartItem.updateOne({ where: { id }, data: { error } });
+    await recordProcessingError({
+      query,
+      code: "PRICE_CHANGE",
+      severity,
+      message,
+      source: "getProductFunction",
+      rawResponse,
+      orderId,
+      cartItemId: id,
+    });
+  };
+
+  for (const { id, price, productId, variantId, channel } of cartItems) {
+    if (!channel) {
+      heldBack.push(id);
+      continue;
+    }
+
+    try {
+      const productResult = await getChannelProduct({
+        platform: {
+          ...channel.platform,
+          domain: channel.domain,
+          accessToken: channel.accessToken,
+          ownerId: channel.id,
+        },
+        productId,
+        variantId,
+      });
+
+      const priceChange = getPriceChange(price, productResult.product?.price);
+
+      if (priceChange) {
+        await query.CartItem.updateOne({
+          where: { id },
+          data: { price: String(productResult.product.price || "") },
+        });
+      }
+
+      // Cart items aren't tied to a match anymore, so only the channel's tolerance applies
+      if (priceChange && !isWithinPriceTolerance(price, productResult.product.price, channel)) {
+        await holdBack({
+          id,
+          error: priceChangeError(priceChange),
+          message: priceChange,
+          severity: "warning",
+          rawResponse: productResult,
+        });
+      }
+    } catch (error: any) {
+      const message = `Could not check the price again: ${error.message}`;
+      await holdBack({
+        id,
+        error: `PRICE_CHANGE: ${message}`,
+        message,
+        severity: "error",
+        rawResponse: { message: error.message },
+      });
+    }
+  }
+
+  const channelIds = getRetryChannelIds(cartItems, heldBack);
+  const retried = cartItems
+    .filter(({ channel }: any) => channel && channelIds.includes(channel.id))
+    .map(({ id }: { id: string }) => id);
+
+  if (retried.length > 0) {
+    await resolveCartItemErrors({ query, cartItemIds: retried });
+    await query.CartItem.updateMany({
+      data: retried.map((id: string) => ({ where: { id }, data: { error: "" } })),
+    });
+    await placeMultipleOrders({ ids: [orderId], query, channelIds });
+  }
+
+  const placed = await query.CartItem.count({
+    where: {
+      id: { in: retried },
+      purchaseId: { not: { equals: "" } },
+    },
+  });
+
+  return { retried: retried.length, placed, skipped: cartItems.length - retried.length };
+}
@@ -0,0 +1,152 @@
+import crypto from "crypto";
+
+/**
+ * Envelope encryption for credentials stored in the database. Every value gets
+ * its own random data key which is itself encrypted with the key from
+ * OPENSHIP_ENCRYPTION_KEY. Keys being rotated out go in
+ * OPENSHIP_ENCRYPTION_PREVIOUS_KEYS (comma separated) until
+ * `bun run secrets:reencrypt` has moved every value to the current key.
+ *
+ * Stored format: enc:v1:<keyId>:<wrappedKey>:<iv>:<tag>:<ciphertext>
+ */
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+
+// Fields on a shop/channel platform object that hold encrypted credentials
+export const SECRET_PLATFORM_FIELDS = [
+  "accessToken",
+  "refreshToken",
+  "appSecret",
+  "webhookSecret",
+] as const;
+
+interface EncryptionKey {
+  id: string;
+  key: Buffer;
+}
+
+// Keys that aren't exactly 32 bytes (e.g. passphrases) are stretched with SHA-256
+function toEncryptionKey(secret: string): EncryptionKey {
+  const raw = /^[0-9a-f]{64}$/i.test(secret)
+    ? Buffer.from(secret, "hex")
+    : Buffer.from(secret, "base64").length === 32
+      ? Buffer.from(secret, "base64")
+      : crypto.createHash("sha256").update(secret).digest();
+
+  return {
+    id: crypto.createHash("sha256").update(raw).digest("hex").slice(0, 8),
+    key: raw,
+  };
+}
+
+function getCurrentKey(): EncryptionKey | null {
+  const secret = process.env.OPENSHIP_ENCRYPTION_KEY?.trim();
+  return secret ? toEncryptionKey(secret) : null;
+}
+
+function getKeys(): EncryptionKey[] {
+  const previous = (process.env.OPENSHIP_ENCRYPTION_PREVIOUS_KEYS || "")
+    .split(",")
+    .map((secret) => secret.trim())
+    .filter(Boolean)
+    .map(toEncryptionKey);
+  const current = getCurrentKey();
+  return current ? [current, ...previous] : previous;
+}
+
+function seal(key: Buffer, plaintext: Buffer) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key: Buffer, iv: Buffer, tag: Buffer, ciphertext: Buffer) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+export function isEncryptedSecret(value: unknown): value is string {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+// Id of the key a stored value was encrypted with, null for plaintext
+export function getSecretKeyId(value: unknown): string | null {
+  if (!isEncryptedSecret(value)) return null;
+  return value.slice(PREFIX.length).split(":")[0] || null;
+}
+
+export function encryptSecret(value: string): string {
+  if (!value || isEncryptedSecret(value)) return value;
+
+  const current = getCurrentKey();
+  if (!current) {
+    throw new Error("OPENSHIP_ENCRYPTION_KEY must be set to store credentials");
+  }
+
+  // The data key is wrapped with the current key, the value with the data key
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(current.key, dataKey);
+  const sealed = seal(dataKey, Buffer.from(value, "utf8"));
+
+  return (
+    PREFIX +
+    [
+      current.id,
+      Buffer.concat([wrapped.iv, wrapped.tag, wrapped.ciphertext]).toString("base64"),
+      sealed.iv.toString("base64"),
+      sealed.tag.toString("base64"),
+      sealed.ciphertext.toString("base64"),
+    ].join(":")
+  );
+}
+
+/**
+ * Plaintext values written before encryption was enabled are returned as they
+ * are so existing shops keep working until they're re-encrypted.
+ */
+export function decryptSecret(value: string | null | undefined): string {
+  if (!value) return "";
+  if (!isEncryptedSecret(value)) return value;
+
+  const [keyId, wrappedKey, iv, tag, ciphertext] = value.slice(PREFIX.length).split(":");
+  const key = getKeys().find(({ id }) => id === keyId);
+  if (!key) {
+    throw new Error(`No encryption key available for secret encrypted with key ${keyId}`);
+  }
+
+  const wrapped = Buffer.from(wrappedKey, "base64");
+  const dataKey = open(key.key, wrapped.subarray(0, 12), wrapped.subarray(12, 28), wrapped.subarray(28));
+
+  return open(
+    dataKey,
+    Buffer.from(iv, "base64"),
+    Buffer.from(tag, "base64"),
+    Buffer.from(ciphertext, "base64")
+  ).toString("utf8");
+}
+
+// True for plaintext values and values encrypted with a key other than the current one
+export function needsReencryption(value: string | null | undefined): boolean {
+  if (!value) return false;
+  const current = getCurrentKey();
+  return !!current && getSecretKeyId(value) !== current.id;
+}
+
+/**
+ * Returns a copy of an adapter `platform` object with its credentials decrypted.
+ * Executors call this right before handing the platform to an adapter function.
+ */
+export function decryptPlatformCredentials<T extends Record<string, any>>(platform: T): T {
+  if (!platform) return platform;
+
+  const decrypted: Record<string, any> = { ...platform };
+  for (const field of SECRET_PLATFORM_FIELDS) {
+    if (typeof decrypted[field] === "string") {
+      decrypted[field] = decryptSecret(decrypted[field]);
+    }
+  }
+  return decrypted as T;
+}
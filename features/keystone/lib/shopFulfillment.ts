@@ -0,0 +1,101 @@
+interface FulfillmentLineItem {
+  lineItemId: string | null;
+  productId: string | null;
+  variantId: string | null;
+  quantity: number | null;
+}
+
+interface FulfillmentCartItem {
+  id: string;
+  quantity: number | null;
+  lineItemId: string | null;
+  match?: {
+    id: string;
+    input: Array<{ productId: string | null; variantId: string | null }>;
+  } | null;
+  trackingItems: Array<{ quantity: number | null; trackingDetail?: { id: string } | null }>;
+}
+
+/**
+ * Shop units shipped per lineItemId, counting the tracking items that pass
+ * `include`. Linked cart items are in shop units already. Matched cart items
+ * are in channel units, so a match's line items count as shipped by the share
+ * of its cart items that shipped, taking the least shipped one since a
+ * bundle isn't fulfilled until all its parts are. That share of each input
+ * line item's quantity also covers per-unit matches, whose cart items were
+ * scaled by the same multiplier.
+ */
+function getShippedShopUnits(
+  lineItems: FulfillmentLineItem[],
+  cartItems: FulfillmentCartItem[],
+  include: (trackingItem: FulfillmentCartItem["trackingItems"][number]) => boolean
+) {
+  const shipped = new Map<string, number>();
+  const add = (lineItemId: string, quantity: number) =>
+    shipped.set(lineItemId, (shipped.get(lineItemId) || 0) + quantity);
+  const shippedOf = (cartItem: FulfillmentCartItem) =>
+    cartItem.trackingItems
+      .filter(include)
+      .reduce((total, { quantity }) => total + (quantity || 0), 0);
+
+  const matches = new Map<string, { match: NonNullable<FulfillmentCartItem["match"]>; share: number }>();
+
+  for (const cartItem of cartItems) {
+    if (cartItem.lineItemId) {
+      add(cartItem.lineItemId, shippedOf(cartItem));
+    } else if (cartItem.match && cartItem.quantity) {
+      const share = Math.min(shippedOf(cartItem) / cartItem.quantity, 1);
+      const current = matches.get(cartItem.match.id);
+      matches.set(cartItem.match.id, {
+        match: cartItem.match,
+        share: current ? Math.min(current.share, share) : share,
+      });
+    }
+  }
+
+  for (const { match, share } of matches.values()) {
+    for (const input of match.input) {
+      const lineItem = lineItems.find(
+        (item) => item.productId === input.productId && item.variantId === input.variantId
+      );
+      if (lineItem?.lineItemId && lineItem.quantity) {
+        add(lineItem.lineItemId, Math.floor(share * lineItem.quantity));
+      }
+    }
+  }
+
+  // A line item can't ship more than was ordered, whatever the channels sent
+  for (const { lineItemId, quantity } of lineItems) {
+    if (lineItemId && shipped.has(lineItemId)) {
+      shipped.set(lineItemId, Math.min(shipped.get(lineItemId)!, quantity || 0));
+    }
+  }
+
+  return shipped;
+}
+
+/**
+ * The shop line items and quantities a tracking detail fulfills, for pushing
+ * to the shop. Each line item appears once, and gets the shop units shipped
+ * with this tracking detail on top of what earlier ones already fulfilled.
+ */
+export function getShopFulfillmentItems({
+  lineItems,
+  cartItems,
+  trackingDetailId,
+}: {
+  lineItems: FulfillmentLineItem[];
+  cartItems: FulfillmentCartItem[];
+  trackingDetailId: string;
+}) {
+  const before = getShippedShopUnits(
+    lineItems,
+    cartItems,
+    ({ trackingDetail }) => trackingDetail?.id !== trackingDetailId
+  );
+  const after = getShippedShopUnits(lineItems, cartItems, () => true);
+
+  return [...after]
+    .map(([lineItemId, quantity]) => ({ lineItemId, quantity: quantity - (before.get(lineItemId) || 0) }))
+    .filter(({ quantity }) => quantity > 0);
+}
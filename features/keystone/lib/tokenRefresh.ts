@@ -0,0 +1,179 @@
+import { decryptSecret } from "./secrets";
+
+export type TokenOwnerListKey = "Shop" | "Channel";
+
+type AdapterCall = (options: {
+  platform: any;
+  functionName: string;
+  args: any;
+}) => Promise<any>;
+
+export interface RefreshedTokens {
+  accessToken: string;
+  refreshToken?: string;
+  tokenExpiresAt?: string | Date;
+  // Seconds, as returned by most OAuth token endpoints
+  expiresIn?: number;
+}
+
+// Refresh this long before the stored expiry so a call doesn't race it
+export const TOKEN_REFRESH_BUFFER_MS = 5 * 60 * 1000;
+
+// Functions that run before there is a token to refresh or don't use it
+const SKIPPED_FUNCTIONS = new Set([
+  "refreshTokenFunction",
+  "oAuthFunction",
+  "oAuthCallbackFunction",
+  "verifyWebhookFunction",
+]);
+
+// One refresh per Shop/Channel at a time, concurrent calls share its result
+const pendingRefreshes = new Map<string, Promise<any>>();
+
+export function isTokenExpiring(
+  tokenExpiresAt: string | Date | null | undefined,
+  now = Date.now()
+) {
+  if (!tokenExpiresAt) return false;
+  const expiresAt = new Date(tokenExpiresAt).getTime();
+  return !Number.isNaN(expiresAt) && expiresAt - now <= TOKEN_REFRESH_BUFFER_MS;
+}
+
+/**
+ * Adapters surface auth failures differently (HTTP status on the error or its
+ * response, or only in the message), so the error and its causes are checked.
+ */
+export function isUnauthorizedError(error: any): boolean {
+  for (let current = error; current; current = current.cause) {
+    const status = current.status ?? current.statusCode ?? current.response?.status;
+    if (status === 401) return true;
+    if (/\b401\b|unauthori[sz]ed|INVALID_SESSION_ID/i.test(current.message || "")) {
+      return true;
+    }
+  }
+  return false;
+}
+
+export function getTokenExpiresAt(tokens: RefreshedTokens, now = Date.now()) {
+  if (tokens.tokenExpiresAt) return new Date(tokens.tokenExpiresAt);
+  if (tokens.expiresIn) return new Date(now + tokens.expiresIn * 1000);
+  return null;
+}
+
+// The Shop or Channel the caller built the platform object from, if its platform can refresh tokens
+async function findTokenOwner(listKey: TokenOwnerListKey, ownerId: string | undefined) {
+  if (!ownerId) return null;
+
+  // Imported here since the executors are loaded while the Keystone config is being built
+  const { keystoneContext } = await import("../context");
+
+  const owner = await keystoneContext.sudo().query[listKey].findOne({
+    where: { id: ownerId },
+    query: "id refreshToken tokenExpiresAt platform { appKey appSecret refreshTokenFunction }",
+  });
+
+  return owner?.platform?.refreshTokenFunction ? owner : null;
+}
+
+// Resolves to the new access token
+async function refreshTokens(
+  listKey: TokenOwnerListKey,
+  owner: any,
+  platform: any,
+  call: AdapterCall
+): Promise<string> {
+  const key = `${listKey}:${owner.id}`;
+
+  if (!pendingRefreshes.has(key)) {
+    const refresh = (async () => {
+      // Only the refresh function gets the refresh credentials
+      const tokens: RefreshedTokens = await call({
+        platform: {
+          ...platform,
+          appKey: platform.appKey || owner.platform.appKey,
+          appSecret: platform.appSecret || decryptSecret(owner.platform.appSecret),
+          refreshToken: decryptSecret(owner.refreshToken),
+          refreshTokenFunction: owner.platform.refreshTokenFunction,
+        },
+        functionName: "refreshTokenFunction",
+        args: {},
+      });
+
+      if (!tokens?.accessToken) {
+        throw new Error(`refreshTokenFunction returned no access token for ${listKey} ${owner.id}`);
+      }
+
+      const { keystoneContext } = await import("../context");
+
+      try {
+        await keystoneContext.sudo().query[listKey].updateOne({
+          where: { id: owner.id },
+          data: {
+            accessToken: tokens.accessToken,
+            ...(tokens.refreshToken && { refreshToken: tokens.refreshToken }),
+            tokenExpiresAt: getTokenExpiresAt(tokens),
+          },
+        });
+      } catch (error) {
+        // The new token still works for this call even if it couldn't be stored
+        console.error(`Failed to store refreshed tokens for ${listKey} ${owner.id}:`, error);
+      }
+
+      return tokens.accessToken;
+    })();
+
+    pendingRefreshes.set(key, refresh);
+    refresh.then(
+      () => pendingRefreshes.delete(key),
+      () => pendingRefreshes.delete(key)
+    );
+  }
+
+  return pendingRefreshes.get(key)!;
+}
+
+/**
+ * Runs an adapter function for a Shop or Channel whose platform has a
+ * refreshTokenFunction. Callers set `ownerId` on the platform object to the
+ * Shop or Channel it was built from; it isn't passed on to the adapter. The
+ * token is refreshed first when it's about to expire, and once more followed
+ * by a single retry when the call fails with a 401. Refreshed tokens are saved
+ * back to the Shop or Channel.
+ */
+export async function callWithTokenRefresh({
+  listKey,
+  platform: { ownerId, ...platform },
+  functionName,
+  args,
+  call,
+}: {
+  listKey: TokenOwnerListKey;
+  platform: any;
+  functionName: string;
+  args: any;
+  call: AdapterCall;
+}) {
+  if (SKIPPED_FUNCTIONS.has(functionName)) {
+    return call({ platform, functionName, args });
+  }
+
+  const owner = await findTokenOwner(listKey, ownerId);
+  if (!owner?.refreshToken) {
+    return call({ platform, functionName, args });
+  }
+
+  let current = platform;
+
+  if (isTokenExpiring(owner.tokenExpiresAt)) {
+    current = { ...platform, accessToken: await refreshTokens(listKey, owner, platform, call) };
+  }
+
+  try {
+    return await call({ platform: current, functionName, args });
+  } catch (error) {
+    if (!isUnauthorizedError(error)) throw error;
+
+    current = { ...platform, accessToken: await refreshTokens(listKey, owner, platform, call) };
+    return call({ platform: current, functionName, args });
+  }
+}
@@ -0,0 +1,536 @@
+import {
+  handleShopCancelWebhook,
+  handleShopOrderUpdateWebhook,
+  handleShopOrderWebhook,
+} from "../../integrations/shop/lib/executor";
+import {
+  handleChannelCancelWebhook,
+  handleChannelTrackingWebhook,
+} from "../../integrations/channel/lib/executor";
+import { cancelOrderPurchases } from "./cancelOrderPurchases";
+import { applyShopOrderUpdate } from "./orderUpdates";
+import { canTransitionOrderStatus } from "./orderStatus";
+import { recordProcessingError } from "./processingErrors";
+
+export const WEBHOOK_SOURCES = ["shop", "channel"] as const;
+
+// Handler routes under app/api/handlers, by the source they belong to
+export const WEBHOOK_ROUTES = {
+  shop: ["create-order", "update-order", "cancel-order"],
+  channel: ["create-tracking", "cancel-purchase"],
+} as const;
+
+export const WEBHOOK_DELIVERY_STATUSES = [
+  "received",
+  "processing",
+  "succeeded",
+  "failed",
+] as const;
+
+export type WebhookSource = (typeof WEBHOOK_SOURCES)[number];
+export type WebhookRoute = (typeof WEBHOOK_ROUTES)[WebhookSource][number];
+
+// A delivery still processing after this long was cut off, by a crash or a restart
+export const STALE_PROCESSING_MS = 15 * 60 * 1000;
+
+/**
+ * Deliveries that didn't succeed can be replayed. One that's processing is
+ * left alone until it has been at it for longer than any handler takes.
+ */
+export function canReplayWebhookDelivery(
+  delivery: { status?: string | null; updatedAt?: string | Date | null },
+  now = Date.now()
+) {
+  if (delivery.status === "succeeded") return false;
+  if (delivery.status !== "processing") return true;
+
+  const startedAt = delivery.updatedAt ? new Date(delivery.updatedAt).getTime() : NaN;
+  return !Number.isNaN(startedAt) && now - startedAt >= STALE_PROCESSING_MS;
+}
+
+// Request headers that identify a browser session rather than the delivery
+const OMITTED_HEADERS = new Set(["authorization", "cookie"]);
+
+interface ProcessedDelivery {
+  orderId?: string;
+  trackingDetailId?: string;
+  // The delivery repeated one that was already processed
+  duplicate?: boolean;
+}
+
+type DeliveryProcessor = (args: {
+  context: any;
+  ownerId: string;
+  body: any;
+  headers: Record<string, string>;
+}) => Promise<ProcessedDelivery>;
+
+// Helper function to remove empty values (matching Dasher's removeEmpty)
+function removeEmpty(obj: any): any {
+  if (!obj || typeof obj !== "object") return obj;
+
+  const cleaned: any = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (value !== null && value !== undefined && value !== "") {
+      cleaned[key] = value;
+    }
+  }
+  return cleaned;
+}
+
+async function findShop(context: any, shopId: string, handlerField: string) {
+  const shop = await context.query.Shop.findOne({
+    where: { id: shopId },
+    query: `id domain accessToken user { id } platform { id name ${handlerField} appKey appSecret }`,
+  });
+
+  if (!shop) {
+    throw new Error(`Shop not found: ${shopId}`);
+  }
+
+  return shop;
+}
+
+async function findChannel(context: any, channelId: string, handlerField: string) {
+  const channel = await context.query.Channel.findOne({
+    where: { id: channelId },
+    query: `id domain accessToken user { id } platform { id name ${handlerField} appKey appSecret }`,
+  });
+
+  if (!channel) {
+    throw new Error(`Channel not found: ${channelId}`);
+  }
+
+  return channel;
+}
+
+// Orders are unique per shop by the shop's own order id
+async function findShopOrder(context: any, shopId: string, orderId: string) {
+  const [order] = await context.query.Order.findMany({
+    where: {
+      shop: { id: { equals: shopId } },
+      orderId: { equals: orderId },
+    },
+    take: 1,
+    query: "id",
+  });
+  return order || null;
+}
+
+function toPlatform(owner: any) {
+  return {
+    ...owner.platform,
+    domain: owner.domain,
+    accessToken: owner.accessToken,
+    ownerId: owner.id,
+  };
+}
+
+const createOrder: DeliveryProcessor = async ({ context, ownerId, body, headers }) => {
+  const shop = await findShop(context, ownerId, "createOrderWebhookHandler");
+
+  const orderData = await handleShopOrderWebhook({
+    platform: toPlatform(shop),
+    event: body,
+    headers,
+  });
+
+  const orderId = orderData.orderId?.toString();
+
+  // Shops redeliver webhooks they didn't see acknowledged, the order is only created once
+  const existing = orderId && (await findShopOrder(context, shop.id, orderId));
+  if (existing) {
+    return { orderId: existing.id, duplicate: true };
+  }
+
+  try {
+    // Linking, matching and placement are queued as jobs by the Order hooks
+    const createdOrder = await context.query.Order.createOne({
+      data: removeEmpty({
+        ...orderData,
+        shop: { connect: { id: shop.id } },
+        user: { connect: { id: shop.user.id } },
+      }),
+      query: "id",
+    });
+
+    return { orderId: createdOrder.id };
+  } catch (error) {
+    // A concurrent delivery of the same webhook created it first
+    const created = orderId && (await findShopOrder(context, shop.id, orderId));
+    if (created) {
+      return { orderId: created.id, duplicate: true };
+    }
+    throw error;
+  }
+};
+
+const updateOrder: DeliveryProcessor = async ({ context, ownerId, body, headers }) => {
+  const shop = await findShop(context, ownerId, "updateOrderWebhookHandler");
+
+  if (!shop.platform?.updateOrderWebhookHandler) {
+    throw new Error(`${shop.platform?.name || "This platform"} does not handle order updates`);
+  }
+
+  const update = await handleShopOrderUpdateWebhook({
+    platform: toPlatform(shop),
+    event: body,
+    headers,
+  });
+
+  const orderId = update.orderId?.toString();
+  const foundOrder = orderId && (await findShopOrder(context, shop.id, orderId));
+
+  // Failing here keeps the delivery around to replay once the order exists
+  if (!foundOrder) {
+    throw new Error(`Order not found for orderId: ${orderId} in shop: ${shop.id}`);
+  }
+
+  await applyShopOrderUpdate({ context, orderId: foundOrder.id, update });
+
+  return { orderId: foundOrder.id };
+};
+
+const cancelOrder: DeliveryProcessor = async ({ context, ownerId, body, headers }) => {
+  const shop = await findShop(context, ownerId, "cancelOrderWebhookHandler");
+
+  const { order } = await handleShopCancelWebhook({
+    platform: toPlatform(shop),
+    event: body,
+    headers,
+  });
+
+  const orderId = order?.id?.toString();
+  const foundOrder = orderId && (await findShopOrder(context, shop.id, orderId));
+
+  // Failing here keeps the delivery around to replay once the order exists
+  if (!foundOrder) {
+    throw new Error(`Order not found for orderId: ${orderId} in shop: ${shop.id}`);
+  }
+
+  // Cancel locally and at every channel the order was purchased from
+  await cancelOrderPurchases({
+    orderId: foundOrder.id,
+    context,
+    reason: order.cancelReason ? `Cancelled at shop: ${order.cancelReason}` : "Cancelled at shop",
+  });
+
+  return { orderId: foundOrder.id };
+};
+
+const createTracking: DeliveryProcessor = async ({ context, ownerId, body, headers }) => {
+  const channel = await findChannel(context, ownerId, "createTrackingWebhookHandler");
+
+  const trackingData = await handleChannelTrackingWebhook({
+    platform: toPlatform(channel),
+    event: body,
+    headers,
+  });
+
+  const { purchaseId, trackingNumber, trackingCompany, lineItems } =
+    trackingData.fulfillment || trackingData;
+
+  const cartItems = await context.query.CartItem.findMany({
+    where: { purchaseId: { equals: purchaseId } },
+    query: `
+      id
+      quantity
+      variantId
+      trackingItems {
+        quantity
+      }
+      order {
+        id
+      }
+    `,
+  });
+
+  if (cartItems.length === 0) {
+    throw new Error(`No cart items found for purchaseId: ${purchaseId}`);
+  }
+
+  const orderId = cartItems[0].order?.id;
+
+  // Redelivered fulfillment webhooks should not record the same shipment twice
+  const [existing] = await context.query.TrackingDetail.findMany({
+    where: {
+      purchaseId: { equals: purchaseId },
+      trackingNumber: { equals: trackingNumber },
+    },
+    take: 1,
+    query: "id",
+  });
+
+  if (existing) {
+    return { orderId, trackingDetailId: existing.id, duplicate: true };
+  }
+
+  const shippedItems = allocateShippedQuantities(cartItems, lineItems);
+
+  if (shippedItems.length === 0) {
+    throw new Error(`No unshipped cart items match this fulfillment for purchaseId: ${purchaseId}`);
+  }
+
+  const trackingDetail = await context.query.TrackingDetail.createOne({
+    data: {
+      trackingNumber,
+      trackingCompany,
+      purchaseId,
+      cartItems: {
+        connect: shippedItems.map(({ cartItemId }) => ({ id: cartItemId })),
+      },
+      items: {
+        create: shippedItems.map(({ cartItemId, quantity }) => ({
+          cartItem: { connect: { id: cartItemId } },
+          quantity,
+        })),
+      },
+    },
+    query: "id",
+  });
+
+  return { orderId, trackingDetailId: trackingDetail.id };
+};
+
+const cancelPurchase: DeliveryProcessor = async ({ context, ownerId, body, headers }) => {
+  const channel = await findChannel(context, ownerId, "cancelPurchaseWebhookHandler");
+
+  const purchaseId = await handleChannelCancelWebhook({
+    platform: toPlatform(channel),
+    event: body,
+    headers,
+  });
+
+  const cartItems = await context.query.CartItem.findMany({
+    where: { purchaseId: { equals: purchaseId } },
+    query: "id order { id }",
+  });
+
+  if (cartItems.length === 0) {
+    throw new Error(`No cart items found for purchaseId: ${purchaseId}`);
+  }
+
+  await context.query.CartItem.updateMany({
+    data: cartItems.map((item: { id: string }) => ({
+      where: { id: item.id },
+      data: { status: "CANCELLED" },
+    })),
+  });
+
+  // Orders whose cart items are now all cancelled are cancelled as well
+  const orderIds: string[] = [
+    ...new Set<string>(cartItems.map((item: any) => item.order?.id).filter(Boolean)),
+  ];
+
+  for (const orderId of orderIds) {
+    const allCartItemsInOrder = await context.query.CartItem.findMany({
+      where: { order: { id: { equals: orderId } } },
+      query: "id status",
+    });
+
+    if (!allCartItemsInOrder.every((item: { status: string }) => item.status === "CANCELLED")) {
+      continue;
+    }
+
+    const order = await context.query.Order.findOne({
+      where: { id: orderId },
+      query: "id status",
+    });
+
+    // A finished order stays as it is, the cancellation is flagged on it instead
+    if (!canTransitionOrderStatus(order?.status, "CANCELLED")) {
+      await recordProcessingError({
+        query: context.query,
+        code: "CANCEL_PURCHASE_ERROR",
+        message: `Channel cancelled the order's purchases but a ${order?.status} order can't be cancelled`,
+        source: "cancelPurchaseWebhookHandler",
+        rawResponse: body,
+        orderId,
+      });
+      continue;
+    }
+
+    await context.query.Order.updateOne({
+      where: { id: orderId },
+      data: { status: "CANCELLED" },
+    });
+  }
+
+  return { orderId: orderIds[0] };
+};
+
+const PROCESSORS: Record<WebhookRoute, DeliveryProcessor> = {
+  "create-order": createOrder,
+  "update-order": updateOrder,
+  "cancel-order": cancelOrder,
+  "create-tracking": createTracking,
+  "cancel-purchase": cancelPurchase,
+};
+
+interface ShippableCartItem {
+  id: string;
+  quantity: number | null;
+  variantId: string | null;
+  trackingItems?: Array<{ quantity: number | null }>;
+}
+
+/**
+ * Works out how many units of each cart item this fulfillment shipped.
+ * Line items are matched to cart items by variant. When the channel doesn't
+ * report line items, every unit not yet shipped is assumed to be in the box.
+ */
+export function allocateShippedQuantities(
+  cartItems: ShippableCartItem[],
+  lineItems?: Array<{ variantId?: string | number | null; quantity?: number }>
+) {
+  const unshipped = new Map<string, number>(
+    cartItems.map((cartItem) => [
+      cartItem.id,
+      Math.max(
+        (cartItem.quantity || 0) -
+          (cartItem.trackingItems || []).reduce((total, item) => total + (item.quantity || 0), 0),
+        0
+      ),
+    ])
+  );
+
+  const shipped = new Map<string, number>();
+
+  if (!lineItems?.length) {
+    for (const [cartItemId, quantity] of unshipped) {
+      if (quantity > 0) shipped.set(cartItemId, quantity);
+    }
+  } else {
+    for (const lineItem of lineItems) {
+      let quantity = lineItem.quantity || 0;
+      const matching = cartItems.filter(
+        (cartItem) => lineItem.variantId != null && String(cartItem.variantId) === String(lineItem.variantId)
+      );
+
+      for (const cartItem of matching) {
+        if (quantity <= 0) break;
+        const allocated = Math.min(quantity, unshipped.get(cartItem.id) || 0);
+        if (allocated > 0) {
+          unshipped.set(cartItem.id, (unshipped.get(cartItem.id) || 0) - allocated);
+          shipped.set(cartItem.id, (shipped.get(cartItem.id) || 0) + allocated);
+          quantity -= allocated;
+        }
+      }
+    }
+  }
+
+  return [...shipped.entries()].map(([cartItemId, quantity]) => ({ cartItemId, quantity }));
+}
+
+export function getStoredHeaders(headers: Record<string, string>) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !OMITTED_HEADERS.has(name.toLowerCase()))
+  );
+}
+
+/**
+ * Stores a verified delivery before it's processed so it can be replayed if
+ * processing fails. Expects a sudo context.
+ */
+export async function recordWebhookDelivery({
+  context,
+  source,
+  id,
+  route,
+  rawBody,
+  headers,
+}: {
+  context: any;
+  source: WebhookSource;
+  id: string;
+  route: WebhookRoute;
+  rawBody: string;
+  headers: Record<string, string>;
+}) {
+  return context.query.WebhookDelivery.createOne({
+    data: {
+      source,
+      route,
+      rawBody,
+      headers: getStoredHeaders(headers),
+      ...(source === "shop"
+        ? { shop: { connect: { id } } }
+        : { channel: { connect: { id } } }),
+    },
+    query: "id",
+  });
+}
+
+/**
+ * Runs a stored delivery through the handler for its route and records the
+ * outcome on it. Used for new deliveries and for replays from the dashboard.
+ * Expects a sudo context.
+ */
+export async function processWebhookDelivery({
+  context,
+  deliveryId,
+}: {
+  context: any;
+  deliveryId: string;
+}): Promise<{ success: boolean; error?: string } & ProcessedDelivery> {
+  const delivery = await context.query.WebhookDelivery.findOne({
+    where: { id: deliveryId },
+    query: "id source route rawBody headers attempts shop { id } channel { id }",
+  });
+
+  if (!delivery) {
+    throw new Error(`Webhook delivery ${deliveryId} not found`);
+  }
+
+  await context.query.WebhookDelivery.updateOne({
+    where: { id: delivery.id },
+    data: { status: "processing", attempts: (delivery.attempts || 0) + 1 },
+  });
+
+  try {
+    const processor = PROCESSORS[delivery.route as WebhookRoute];
+    const ownerId = delivery.source === "shop" ? delivery.shop?.id : delivery.channel?.id;
+
+    if (!processor) {
+      throw new Error(`No handler for webhook route ${delivery.route}`);
+    }
+    if (!ownerId) {
+      throw new Error(`The ${delivery.source} this delivery was sent to no longer exists`);
+    }
+
+    const result = await processor({
+      context,
+      ownerId,
+      body: JSON.parse(delivery.rawBody),
+      headers: delivery.headers || {},
+    });
+
+    await context.query.WebhookDelivery.updateOne({
+      where: { id: delivery.id },
+      data: {
+        status: "succeeded",
+        error: "",
+        processedAt: new Date().toISOString(),
+        ...(result.orderId && { order: { connect: { id: result.orderId } } }),
+        ...(result.trackingDetailId && {
+          trackingDetail: { connect: { id: result.trackingDetailId } },
+        }),
+      },
+    });
+
+    return { success: true, ...result };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : "Unknown error";
+
+    await context.query.WebhookDelivery.updateOne({
+      where: { id: delivery.id },
+      data: {
+        status: "failed",
+        error: message,
+        processedAt: new Date().toISOString(),
+      },
+    });
+
+    return { success: false, error: message };
+  }
+}
@@ -11,6 +11,7 @@ import { list } from "@keystone-6/core";
 import { isSignedIn, rules, permissions } from "../access";
 import { trackingFields } from "./trackingFields";
 import { generateApiKeyTokenSync, hashApiKeySync } from "../lib/crypto-utils";
+import { auditLogAfterOperation } from "../lib/auditLog";
 
 // Define available API key scopes (using underscore format like OpenFront)
 export const API_KEY_SCOPES = {
@@ -97,6 +98,8 @@ export const ApiKey = list({
         };
       },
     },
+    // Usage statistics are updated on every authenticated request
+    afterOperation: auditLogAfterOperation("ApiKey", { ignore: ["lastUsedAt", "usageCount"] }),
   },
   fields: {
     name: text({
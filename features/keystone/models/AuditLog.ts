@@ -0,0 +1,66 @@
+import { list } from "@keystone-6/core";
+import { json, relationship, select, text } from "@keystone-6/core/fields";
+
+import { permissions } from "../access";
+import { trackingFields } from "./trackingFields";
+import { AUDITED_LISTS, AUDIT_OPERATIONS } from "../lib/auditLog";
+
+// Entries are written by list hooks through a sudo context and can't be changed
+export const AuditLog = list({
+  access: {
+    operation: {
+      create: () => false,
+      query: permissions.canManageRoles,
+      update: () => false,
+      delete: () => false,
+    },
+  },
+  ui: {
+    hideCreate: true,
+    hideDelete: true,
+    listView: {
+      initialColumns: ["listKey", "operation", "itemId", "user", "ipAddress", "createdAt"],
+      initialSort: { field: "createdAt", direction: "DESC" },
+    },
+    itemView: {
+      defaultFieldMode: "read",
+    },
+    description: "Who changed shops, channels, links, matches, API keys, roles and users",
+  },
+  fields: {
+    listKey: select({
+      options: AUDITED_LISTS.map((value) => ({ label: value, value })),
+      validation: { isRequired: true },
+      isIndexed: true,
+    }),
+    itemId: text({
+      isIndexed: true,
+    }),
+    operation: select({
+      options: AUDIT_OPERATIONS.map((value) => ({ label: value, value })),
+      validation: { isRequired: true },
+      isIndexed: true,
+    }),
+    changes: json({
+      ui: {
+        description: "Before and after values of each changed field. Secrets are redacted",
+      },
+    }),
+
+    // Actor
+    user: relationship({
+      ref: "User.auditLogs",
+      ui: {
+        description: "Signed in user, or the owner of the API key used",
+      },
+    }),
+    apiKeyId: text({
+      ui: {
+        description: "Set when the change was made with an API key",
+      },
+    }),
+    ipAddress: text(),
+
+    ...trackingFields,
+  },
+});
@@ -0,0 +1,69 @@
+import { list } from "@keystone-6/core";
+import {
+  checkbox,
+  integer,
+  json,
+  relationship,
+  select,
+  text,
+  timestamp,
+} from "@keystone-6/core/fields";
+
+import { isSignedIn, permissions, rules } from "../access";
+import { trackingFields } from "./trackingFields";
+import { BACKFILL_RUN_STATUSES } from "../lib/orderBackfill";
+
+// Runs are queued by the job worker and filled in by the BACKFILL_ORDERS job
+export const BackfillRun = list({
+  access: {
+    operation: {
+      create: () => false,
+      query: isSignedIn,
+      update: () => false,
+      delete: permissions.canManageShops,
+    },
+    filter: {
+      query: rules.canReadBackfillRuns,
+    },
+  },
+  ui: {
+    hideCreate: true,
+    listView: {
+      initialColumns: ["shop", "status", "ordersImported", "ordersSkipped", "createdAt"],
+      initialSort: { field: "createdAt", direction: "DESC" },
+    },
+    itemView: {
+      defaultFieldMode: "read",
+    },
+    description: "Scheduled searches of a shop's recent orders for ones its webhooks missed",
+  },
+  fields: {
+    shop: relationship({
+      ref: "Shop.backfillRuns",
+    }),
+    status: select({
+      options: BACKFILL_RUN_STATUSES.map((value) => ({ label: value, value })),
+      defaultValue: "queued",
+      validation: { isRequired: true },
+      isIndexed: true,
+    }),
+    since: timestamp(),
+    startedAt: timestamp(),
+    finishedAt: timestamp(),
+
+    pagesFetched: integer({ defaultValue: 0 }),
+    ordersScanned: integer({ defaultValue: 0 }),
+    ordersImported: integer({ defaultValue: 0 }),
+    ordersSkipped: integer({ defaultValue: 0 }),
+    // Set when the run stopped at ORDER_BACKFILL_MAX_PAGES with pages left
+    truncated: checkbox({ defaultValue: false }),
+    errors: json({
+      defaultValue: [],
+    }),
+    error: text({
+      ui: { displayMode: "textarea" },
+    }),
+
+    ...trackingFields,
+  },
+});
@@ -1,6 +1,7 @@
 import { list } from '@keystone-6/core'
 import { allOperations } from '@keystone-6/core/access'
-import { float, integer, relationship, text, timestamp } from '@keystone-6/core/fields'
+import { float, integer, relationship, text, timestamp, virtual } from '@keystone-6/core/fields'
+import { graphql } from '@keystone-6/core'
 
 import { isSignedIn, permissions, rules } from '../access'
 import { trackingFields } from './trackingFields'
@@ -61,6 +62,13 @@ export const CartItem = list({
       },
     }),
     purchaseId: text(),
+    idempotencyKey: text({
+      isIndexed: true,
+      ui: {
+        description: 'Shared by every cart item placed in the same channel purchase',
+        itemView: { fieldMode: 'read' },
+      },
+    }),
     status: text({ defaultValue: 'PENDING' }),
     
     // Relationships
@@ -82,6 +90,59 @@ export const CartItem = list({
       ref: 'TrackingDetail.cartItems',
       many: true,
     }),
+    trackingItems: relationship({
+      ref: 'TrackingItem.cartItem',
+      many: true,
+      ui: {
+        createView: { fieldMode: 'hidden' },
+        itemView: { fieldMode: 'read' },
+      },
+    }),
+    match: relationship({
+      ref: 'Match.cartItems',
+      ui: {
+        description: 'The match this cart item was created from',
+        itemView: { fieldMode: 'read' },
+      },
+    }),
+    link: relationship({
+      ref: 'Link.cartItems',
+      ui: {
+        description: 'The link this cart item was created from',
+        itemView: { fieldMode: 'read' },
+      },
+    }),
+    matchAlternative: relationship({
+      ref: 'MatchAlternative.cartItems',
+      ui: {
+        description: "The match alternative used, empty when it's the match's own output",
+        itemView: { fieldMode: 'read' },
+      },
+    }),
+    processingErrors: relationship({
+      ref: 'ProcessingError.cartItem',
+      many: true,
+      ui: {
+        createView: { fieldMode: 'hidden' },
+        itemView: { fieldMode: 'read' },
+      },
+    }),
+    shippedQuantity: virtual({
+      field: graphql.field({
+        type: graphql.Int,
+        async resolve(item, args, context) {
+          const trackingItems = await context.query.TrackingItem.findMany({
+            where: { cartItem: { id: { equals: item.id } } },
+            query: 'quantity',
+          })
+          return trackingItems.reduce((total: number, { quantity }: any) => total + (quantity || 0), 0)
+        },
+      }),
+      ui: {
+        itemView: { fieldMode: 'read' },
+        listView: { fieldMode: 'hidden' },
+      },
+    }),
     user: relationship({
       ref: 'User.cartItems',
     }),
@@ -1,10 +1,12 @@
 import { list } from "@keystone-6/core";
 import { allOperations } from "@keystone-6/core/access";
-import { json, relationship, text, timestamp, virtual } from "@keystone-6/core/fields";
+import { float, json, relationship, select, text, timestamp, virtual } from "@keystone-6/core/fields";
 import { graphql } from "@keystone-6/core";
 
 import { isSignedIn, permissions, rules } from "../access";
 import { trackingFields } from "./trackingFields";
+import { auditLogAfterOperation } from "../lib/auditLog";
+import { encryptedText } from "../fields/encryptedText";
 import { getBaseUrl } from '../../dashboard/lib/getBaseUrl';
 import { executeChannelAdapterFunction } from '../utils/channelProviderAdapter';
 
@@ -22,6 +24,9 @@ export const Channel = list({
       delete: rules.canManageChannels,
     },
   },
+  hooks: {
+    afterOperation: auditLogAfterOperation("Channel"),
+  },
   ui: {
     listView: {
       initialColumns: ["name", "domain", "platform"],
@@ -32,14 +37,9 @@ export const Channel = list({
       validation: { isRequired: true },
     }),
     domain: text(),
-    accessToken: text({
-      ui: {
-        displayMode: "textarea",
-      },
-    }),
-    refreshToken: text({
+    accessToken: encryptedText(),
+    refreshToken: encryptedText({
       ui: {
-        displayMode: "textarea",
         description: "Long-lived OAuth refresh token (30 days)",
       },
     }),
@@ -48,10 +48,40 @@ export const Channel = list({
         description: "When the current access token expires",
       },
     }),
+    webhookSecret: encryptedText({
+      ui: {
+        description:
+          "Verifies the signature of incoming webhooks. The platform's app secret is used when empty",
+      },
+    }),
     metadata: json({
       defaultValue: {},
     }),
 
+    // Price increases within tolerance are accepted when orders are matched
+    priceToleranceType: select({
+      options: [
+        { label: "Absolute amount", value: "absolute" },
+        { label: "Percent", value: "percent" },
+      ],
+      ui: {
+        description:
+          "How much a product's price may rise before orders are held for approval. Leave empty to hold on any price change",
+      },
+    }),
+    priceTolerance: float({
+      defaultValue: 0,
+      ui: {
+        description: "The largest accepted increase, as an amount or a percent of the saved price",
+      },
+    }),
+    shippingEstimate: float({
+      defaultValue: 0,
+      ui: {
+        description: "Added once per order to this channel's prices when comparing channels by landed cost",
+      },
+    }),
+
     // Relationships
     platform: relationship({
       ref: "ChannelPlatform.channels",
@@ -83,6 +113,14 @@ export const Channel = list({
       ref: "CartItem.channel",
       many: true,
     }),
+    webhookDeliveries: relationship({
+      ref: "WebhookDelivery.channel",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
 
     // Virtual field for webhooks with proper base URL
     webhooks: virtual({
@@ -120,6 +158,7 @@ export const Channel = list({
             const platformConfig: any = {
               domain: item.domain,
               accessToken: item.accessToken,
+              ownerId: item.id,
               getWebhooksFunction: channelWithPlatform.platform.getWebhooksFunction,
               ...(item.metadata || {}),
             };
@@ -131,6 +131,7 @@ export const ChannelItem = list({
       },
     }),
     matches: relationship({ ref: "Match.output", many: true }),
+    matchAlternatives: relationship({ ref: "MatchAlternative.output", many: true }),
     channel: relationship({ ref: "Channel.channelItems" }),
     user: relationship({
       ref: "User.channelItems",
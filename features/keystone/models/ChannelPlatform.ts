@@ -2,6 +2,7 @@ import { graphql, group, list } from "@keystone-6/core";
 import { relationship, text, virtual } from "@keystone-6/core/fields";
 import { isSignedIn, rules, permissions } from "../access";
 import { trackingFields } from "./trackingFields";
+import { encryptedText } from "../fields/encryptedText";
 
 export const ChannelPlatform = list({
   access: {
@@ -25,7 +26,7 @@ export const ChannelPlatform = list({
         "Adding these fields will enable this platform to be installed as an app by users.",
       fields: {
         appKey: text(),
-        appSecret: text(),
+        appSecret: encryptedText(),
         callbackUrl: virtual({
           field: graphql.field({
             type: graphql.String,
@@ -68,6 +69,17 @@ export const ChannelPlatform = list({
         searchProductsFunction: text({ validation: { isRequired: true } }),
         getProductFunction: text({ validation: { isRequired: true } }),
         createPurchaseFunction: text({ validation: { isRequired: true } }),
+        findPurchaseFunction: text({
+          ui: {
+            description:
+              "Looks up an existing purchase by idempotency key so retries don't place duplicates",
+          },
+        }),
+        cancelPurchaseFunction: text({
+          ui: {
+            description: "Cancels a placed purchase when its order is cancelled",
+          },
+        }),
         createWebhookFunction: text({ validation: { isRequired: true } }),
         oAuthFunction: text({
           validation: { isRequired: true },
@@ -81,6 +93,18 @@ export const ChannelPlatform = list({
             description: "Function to handle OAuth callback for this platform",
           },
         }),
+        refreshTokenFunction: text({
+          ui: {
+            description:
+              "Exchanges the refresh token for a new access token when it expires or is rejected",
+          },
+        }),
+        verifyWebhookFunction: text({
+          ui: {
+            description:
+              "Checks the signature of incoming webhooks. Deliveries are rejected when it's empty",
+          },
+        }),
         createTrackingWebhookHandler: text({ validation: { isRequired: true } }),
         cancelPurchaseWebhookHandler: text({ validation: { isRequired: true } }),
         getWebhooksFunction: text({ validation: { isRequired: true } }),
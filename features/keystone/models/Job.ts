@@ -0,0 +1,105 @@
+import { list } from "@keystone-6/core";
+import {
+  integer,
+  json,
+  relationship,
+  select,
+  text,
+  timestamp,
+} from "@keystone-6/core/fields";
+
+import { isSignedIn, permissions, rules } from "../access";
+import { trackingFields } from "./trackingFields";
+import { JOB_STATUSES, JOB_TYPES } from "../lib/jobQueue";
+
+export const Job = list({
+  access: {
+    operation: {
+      create: permissions.canManageOrders,
+      query: isSignedIn,
+      update: permissions.canManageOrders,
+      delete: permissions.canManageOrders,
+    },
+    filter: {
+      query: rules.canReadJobs,
+      update: rules.canManageJobs,
+      delete: rules.canManageJobs,
+    },
+  },
+  ui: {
+    listView: {
+      initialColumns: ["type", "status", "attempts", "runAt", "order"],
+      initialSort: { field: "createdAt", direction: "DESC" },
+    },
+    description: "Persisted background work for order linking, matching and placement",
+  },
+  fields: {
+    type: select({
+      options: JOB_TYPES.map((value) => ({ label: value, value })),
+      validation: { isRequired: true },
+    }),
+    status: select({
+      options: JOB_STATUSES.map((value) => ({ label: value, value })),
+      defaultValue: "queued",
+      validation: { isRequired: true },
+      isIndexed: true,
+      ui: {
+        description: "Set a failed job back to queued to run it again",
+      },
+    }),
+    payload: json({
+      defaultValue: {},
+    }),
+    result: json({
+      ui: {
+        itemView: { fieldMode: "read" },
+      },
+    }),
+
+    // Retry bookkeeping
+    attempts: integer({
+      defaultValue: 0,
+      validation: { isRequired: true },
+    }),
+    maxAttempts: integer({
+      defaultValue: 5,
+      validation: { isRequired: true },
+    }),
+    runAt: timestamp({
+      defaultValue: { kind: "now" },
+      validation: { isRequired: true },
+      isIndexed: true,
+      ui: {
+        description: "The job will not be picked up before this time",
+      },
+    }),
+    lastError: text({
+      ui: {
+        displayMode: "textarea",
+        itemView: { fieldMode: "read" },
+      },
+    }),
+
+    // Worker lock
+    lockedAt: timestamp({
+      ui: { itemView: { fieldMode: "read" } },
+    }),
+    lockedBy: text({
+      ui: { itemView: { fieldMode: "read" } },
+    }),
+    completedAt: timestamp({
+      ui: { itemView: { fieldMode: "read" } },
+    }),
+
+    // Relationships
+    order: relationship({
+      ref: "Order.jobs",
+      ui: {
+        displayMode: "cards",
+        cardFields: ["orderId", "orderName", "status"],
+      },
+    }),
+
+    ...trackingFields,
+  },
+});
@@ -4,6 +4,7 @@ import { float, integer, relationship, text, timestamp } from '@keystone-6/core/
 
 import { isSignedIn, permissions, rules } from '../access'
 import { trackingFields } from "./trackingFields";
+import { settlePartiallyRoutedOrder } from "../lib/partialRouting";
 
 export const LineItem = list({
   access: {
@@ -32,6 +33,16 @@ export const LineItem = list({
         return resolvedData
       },
     },
+    // Handling the last flagged line item lets a partially routed order move on
+    afterOperation: async ({ operation, item, originalItem, context }) => {
+      const wasFlagged = !!originalItem?.error
+      const isFlagged = operation !== 'delete' && !!item?.error
+      const orderId = (item || originalItem)?.orderId
+
+      if (wasFlagged && !isFlagged && orderId) {
+        await settlePartiallyRoutedOrder({ context, orderId: String(orderId) })
+      }
+    },
   },
   ui: {
     listView: {
@@ -52,6 +63,12 @@ export const LineItem = list({
     variantId: text(),
     sku: text(),
     lineItemId: text(),
+    // Set when partial routing found no match for this line item
+    error: text({
+      ui: {
+        displayMode: 'textarea',
+      },
+    }),
     
     // Relationships
     order: relationship({
@@ -11,6 +11,58 @@ import { graphql } from "@keystone-6/core";
 
 import { isSignedIn, permissions, rules } from "../access";
 import { trackingFields } from "./trackingFields";
+import { buildLinkWhere, validateLinkFilters } from "../lib/linkFilters";
+import { auditLogAfterOperation } from "../lib/auditLog";
+
+async function validateLinkWhere({ resolvedData, item, context, addValidationError }: any) {
+  const filters = resolvedData.filters !== undefined ? resolvedData.filters : item?.filters;
+  const customWhere =
+    resolvedData.customWhere !== undefined ? resolvedData.customWhere : item?.customWhere;
+
+  const errors = validateLinkFilters(filters);
+  if (errors.length > 0) {
+    errors.forEach((error) => addValidationError(error));
+    return;
+  }
+
+  if (customWhere && (typeof customWhere !== "object" || Array.isArray(customWhere))) {
+    addValidationError("Custom where must be an OrderWhereInput object");
+    return;
+  }
+
+  // Run the compiled clause once so an invalid customWhere is caught on save, not while linking
+  try {
+    await context.sudo().query.Order.count({
+      where: buildLinkWhere({ filters, customWhere }),
+    });
+  } catch (error: any) {
+    addValidationError(`Custom where is not a valid OrderWhereInput: ${error.message}`);
+  }
+}
+
+/**
+ * Starts the shop's routed counts over when a link is added or a weight
+ * changes. The split is worked out from the counts, so keeping the old ones
+ * would send every order to the new or reweighted link until it caught up.
+ */
+async function resetRoutedCounts({ operation, item, originalItem, context }: any) {
+  const weightChanged = operation === "update" && item.weight !== originalItem?.weight;
+  if ((operation !== "create" && !weightChanged) || !item?.shopId) return;
+
+  const sudo = context.sudo();
+  const counted = await sudo.query.Link.findMany({
+    where: { shop: { id: { equals: item.shopId } }, routedCount: { gt: 0 } },
+    query: "id",
+  });
+  if (counted.length === 0) return;
+
+  await sudo.query.Link.updateMany({
+    data: counted.map(({ id }: { id: string }) => ({ where: { id }, data: { routedCount: 0 } })),
+  });
+}
+
+// Counting a routed order isn't a change anyone made
+const auditLink = auditLogAfterOperation("Link", { ignore: ["routedCount"] });
 
 export const Link = list({
   access: {
@@ -27,6 +79,10 @@ export const Link = list({
     },
   },
   hooks: {
+    validate: {
+      create: validateLinkWhere,
+      update: validateLinkWhere,
+    },
     resolveInput: {
       create: ({ operation, resolvedData, context }) => {
         // Auto-assign user if not provided
@@ -54,6 +110,10 @@ export const Link = list({
         resolvedData.rank = nextRank;
       }
     },
+    afterOperation: async (args) => {
+      await resetRoutedCounts(args);
+      await auditLink(args);
+    },
   },
   ui: {
     listView: {
@@ -68,27 +128,53 @@ export const Link = list({
         description: "Processing order - lower numbers processed first",
       },
     }),
+    weight: integer({
+      defaultValue: 1,
+      validation: { isRequired: true, min: 0 },
+      ui: {
+        description: "Share of orders in weighted mode, relative to the shop's other links. 0 pauses the link",
+      },
+    }),
+    routedCount: integer({
+      defaultValue: 0,
+      validation: { isRequired: true },
+      ui: {
+        description:
+          "Orders routed through this link in weighted and round robin modes since the shop's links or weights last changed",
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
 
     // Filter configuration
     filters: json({
       defaultValue: [],
       ui: {
-        description: "Order filtering rules",
+        description:
+          'Order filtering rules, all must match. e.g. [{ "type": "countryIn", "value": ["US", "CA"] }, { "type": "totalPriceGreaterThan", "value": 50 }, { "type": "skuPrefix", "value": "ABC-" }, { "type": "tagContains", "value": "wholesale" }]. Tag rules match whole tags, and only Shopify orders have tags',
       },
     }),
     customWhere: json({
       defaultValue: {},
       ui: {
-        description: "Custom where clause for order filtering",
+        description: "Additional OrderWhereInput combined with the filters",
       },
     }),
 
-    // Virtual field for dynamic where clause
+    // Order where clause compiled from filters and customWhere
     dynamicWhereClause: virtual({
       field: graphql.field({
-        type: graphql.String,
-        resolve() {
-          return "Generated where clause based on filters";
+        type: graphql.JSON,
+        resolve(item: any) {
+          try {
+            return buildLinkWhere({
+              filters: item.filters,
+              customWhere: item.customWhere,
+            });
+          } catch (error) {
+            // Invalid legacy filters never match rather than matching everything
+            return null;
+          }
         },
       }),
       ui: {
@@ -112,6 +198,14 @@ export const Link = list({
         cardFields: ["name", "domain"],
       },
     }),
+    cartItems: relationship({
+      ref: "CartItem.link",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
     user: relationship({
       ref: "User.links",
     }),
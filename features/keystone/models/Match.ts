@@ -1,10 +1,11 @@
 import { list } from "@keystone-6/core";
 import { allOperations } from "@keystone-6/core/access";
-import { relationship, timestamp, virtual } from "@keystone-6/core/fields";
+import { checkbox, float, relationship, select, timestamp, virtual } from "@keystone-6/core/fields";
 import { graphql } from "@keystone-6/core";
 
 import { isSignedIn, permissions, rules } from "../access";
 import { trackingFields } from "./trackingFields";
+import { auditLogAfterOperation } from "../lib/auditLog";
 
 export const Match = list({
   access: {
@@ -189,10 +190,11 @@ export const Match = list({
 
       return resolvedData;
     },
+    afterOperation: auditLogAfterOperation("Match"),
   },
   ui: {
     listView: {
-      initialColumns: ["input", "output", "user"],
+      initialColumns: ["input", "output", "isGlobal", "user"],
     },
   },
   fields: {
@@ -265,6 +267,40 @@ export const Match = list({
       },
     }),
 
+    matchType: select({
+      options: [
+        { label: "Per unit", value: "per_unit" },
+        { label: "Fixed bundle", value: "fixed" },
+      ],
+      defaultValue: "per_unit",
+      ui: {
+        description:
+          "Per unit matches scale their channel quantities by the ordered quantity (1x maps to 1x, so 3x maps to 3x). Fixed bundles only apply to the exact quantities they list, like a 3-pack mapping to 1 case.",
+      },
+    }),
+    isGlobal: checkbox({
+      defaultValue: false,
+      ui: {
+        description:
+          "Apply this match to orders from any shop. By default a match only fires for orders from the shop its products belong to.",
+      },
+    }),
+    priceToleranceType: select({
+      options: [
+        { label: "Absolute amount", value: "absolute" },
+        { label: "Percent", value: "percent" },
+      ],
+      ui: {
+        description: "Overrides the price tolerance of the output channels. Leave empty to use theirs",
+      },
+    }),
+    priceTolerance: float({
+      defaultValue: 0,
+      ui: {
+        description: "The largest accepted increase, as an amount or a percent of the saved price",
+      },
+    }),
+
     // Relationships - Many-to-many between ShopItems and ChannelItems
     input: relationship({
       ref: "ShopItem.matches",
@@ -284,6 +320,26 @@ export const Match = list({
         inlineConnect: true,
       },
     }),
+    alternatives: relationship({
+      ref: "MatchAlternative.match",
+      many: true,
+      ui: {
+        displayMode: "cards",
+        cardFields: ["priority", "output"],
+        inlineCreate: { fields: ["priority", "output"] },
+        inlineEdit: { fields: ["priority", "output"] },
+        inlineConnect: false,
+        linkToItem: true,
+      },
+    }),
+    cartItems: relationship({
+      ref: "CartItem.match",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
     user: relationship({
       ref: "User.matches",
     }),
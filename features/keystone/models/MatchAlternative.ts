@@ -0,0 +1,62 @@
+import { list } from "@keystone-6/core";
+import { integer, relationship } from "@keystone-6/core/fields";
+
+import { isSignedIn, permissions, rules } from "../access";
+import { trackingFields } from "./trackingFields";
+
+// Used in priority order when a match's own output is out of stock or its purchase fails
+export const MatchAlternative = list({
+  access: {
+    operation: {
+      create: permissions.canCreateMatches,
+      query: isSignedIn,
+      update: isSignedIn,
+      delete: permissions.canManageMatches,
+    },
+    filter: {
+      query: rules.canReadMatchAlternatives,
+      update: rules.canManageMatchAlternatives,
+      delete: rules.canManageMatchAlternatives,
+    },
+  },
+  ui: {
+    listView: {
+      initialColumns: ["match", "priority", "output"],
+      initialSort: { field: "priority", direction: "ASC" },
+    },
+    description: "Fallback outputs for a match, like the same product from a second supplier",
+  },
+  fields: {
+    priority: integer({
+      defaultValue: 1,
+      validation: { isRequired: true },
+      ui: {
+        description: "Alternatives with a lower priority are tried first",
+      },
+    }),
+
+    // Relationships
+    match: relationship({
+      ref: "Match.alternatives",
+    }),
+    output: relationship({
+      ref: "ChannelItem.matchAlternatives",
+      many: true,
+      ui: {
+        displayMode: "cards",
+        cardFields: ["productId", "variantId", "quantity", "price"],
+        inlineConnect: true,
+      },
+    }),
+    cartItems: relationship({
+      ref: "CartItem.matchAlternative",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
+
+    ...trackingFields,
+  },
+});
@@ -6,36 +6,29 @@ import {
   integer,
   json,
   relationship,
+  select,
   text,
   timestamp,
 } from "@keystone-6/core/fields";
 
 import { isSignedIn, permissions, rules } from "../access";
 import { trackingFields } from "./trackingFields";
-import { placeMultipleOrders } from "../lib/placeMultipleOrders";
-import { getMatches } from "../extendGraphqlSchema/mutations/addMatchToCart";
-
-async function applyDynamicWhereClause(context: any, linkId: string, orderId: string) {
-  const link = await context.query.Link.findOne({
-    where: { id: linkId },
-    query: 'id dynamicWhereClause',
-  });
+import { enqueueOrderJobs } from "../lib/orderJobs";
+import { formatOrderTags } from "../lib/linkFilters";
+import {
+  ORDER_STATUSES,
+  ORDER_STATUS_LABELS,
+  canTransitionOrderStatus,
+} from "../lib/orderStatus";
 
-  if (!link || !link.dynamicWhereClause) {
-    return null;
+function getActor(session: any) {
+  if (!session?.itemId) {
+    return { actorType: "system" };
   }
-
-  const whereClause = {
-    ...link.dynamicWhereClause,
-    id: { equals: orderId },
+  return {
+    actorType: session.apiKeyScopes ? "apiKey" : "user",
+    user: { connect: { id: session.itemId } },
   };
-
-  const matchedOrder = await context.query.Order.findOne({
-    where: whereClause,
-    query: 'id',
-  });
-
-  return matchedOrder;
 }
 
 export const Order = list({
@@ -64,141 +57,70 @@ export const Order = list({
         }
         return resolvedData;
       },
+      update: ({ resolvedData }) => {
+        // A reason only describes the change it was sent with
+        if (resolvedData.status && resolvedData.statusReason === undefined) {
+          return { ...resolvedData, statusReason: "" };
+        }
+        return resolvedData;
+      },
     },
-    afterOperation: async ({ operation, item, context }: any) => {
-      if (operation === "create") {
-        const sudoContext = context.sudo();
+    validate: {
+      create: async ({ resolvedData, context, addValidationError }) => {
+        const shopId = resolvedData.shop?.connect?.id;
+        if (!shopId || !resolvedData.orderId) return;
 
-        const order = await sudoContext.query.Order.findOne({
-          where: { id: item.id },
-          query: `
-            id
-            user {
-              id
-            }
-            shop {
-              id
-              name
-              linkMode
-              links {
-                id
-                rank
-                channel {
-                  id
-                  name
-                }
-              }
-            }
-            lineItems {
-              name
-              price
-              lineItemId
-              quantity
-              image
-              productId
-              variantId
-              sku
-            }
-            cartItemsCount
-          `,
+        // Checked here so a duplicate gets a readable error instead of a constraint violation
+        const existing = await context.sudo().db.Order.count({
+          where: {
+            shop: { id: { equals: shopId } },
+            orderId: { equals: resolvedData.orderId },
+          },
         });
+        if (existing > 0) {
+          addValidationError(`Order ${resolvedData.orderId} already exists for this shop`);
+        }
+      },
+      update: async ({ resolvedData, item, addValidationError }) => {
+        if (
+          resolvedData.status &&
+          !canTransitionOrderStatus(item.status, resolvedData.status)
+        ) {
+          addValidationError(
+            `Order status cannot change from ${item.status} to ${resolvedData.status}`
+          );
+        }
+      },
+    },
+    afterOperation: async ({ operation, item, originalItem, resolvedData, context }: any) => {
+      if (operation === "create" || operation === "update") {
+        const fromStatus = operation === "create" ? null : originalItem.status;
 
-        if (item.linkOrder && order.shop?.links.length > 0) {
-          const links = order.shop.links.sort((a: any, b: any) => a.rank - b.rank);
-          let matchedLinks: any[] = [];
-
-          if (order.shop.linkMode === 'sequential') {
-            for (const link of links) {
-              const matchedOrder = await applyDynamicWhereClause(sudoContext, link.id, order.id);
-              if (matchedOrder) {
-                matchedLinks.push(link);
-                break;
-              }
-            }
-          } else if (order.shop.linkMode === 'simultaneous') {
-            for (const link of links) {
-              const matchedOrder = await applyDynamicWhereClause(sudoContext, link.id, order.id);
-              if (matchedOrder) {
-                matchedLinks.push(link);
-              }
-            }
-          }
-
-          if (matchedLinks.length > 0) {
-            for (const link of matchedLinks) {
-              await sudoContext.query.CartItem.createMany({
-                data: order.lineItems.map((c: any) => ({
-                  ...c,
-                  channel: { connect: { id: link.channel.id } },
-                  order: { connect: { id: item.id } },
-                  user: { connect: { id: order.user?.id } },
-                })),
-              });
-            }
-
-            if (item.processOrder) {
-              await placeMultipleOrders({
-                ids: [item.id],
-                query: sudoContext.query,
-              });
-            }
-          } else {
-            await sudoContext.query.Order.updateOne({
-              where: { id: item.id },
-              data: {
-                error: "No matching link found for this order",
-              },
-            });
-          }
-        } else if (item.matchOrder) {
-          if (item.matchOrder) {
-            try {
-              const cartItemsFromMatch = await getMatches({
-                orderId: item.id,
-                context: sudoContext,
-              });
-
-              const order = await sudoContext.query.Order.findOne({
-                where: { id: item.id },
-                query: `id error`,
-              });
-              if (order?.error) {
-                const updatedOrder = await sudoContext.query.Order.updateOne({
-                  where: { id: item.id },
-                  data: {
-                    status: "PENDING",
-                  },
-                });
-              } else {
-                if (item.processOrder) {
-                  const processedOrder = await placeMultipleOrders({
-                    ids: [item.id],
-                    query: sudoContext.query,
-                  });
-                }
-              }
-            } catch (matchError) {
-              // Handle match errors gracefully - don't break order creation
-              console.error('Error during match processing:', matchError);
-              await sudoContext.query.Order.updateOne({
-                where: { id: item.id },
-                data: {
-                  error: `Match processing failed: ${matchError instanceof Error ? matchError.message : 'Unknown error'}`,
-                  status: "PENDING",
-                },
-              });
-            }
-          }
-        } else if (order.cartItemsCount > 0 && item.processOrder) {
-          // Process the order if there are cart items and processOrder is true
-          const processedOrder = await placeMultipleOrders({
-            ids: [item.id],
-            query: sudoContext.query,
+        if (fromStatus !== item.status) {
+          await context.sudo().query.OrderEvent.createOne({
+            data: {
+              order: { connect: { id: item.id } },
+              fromStatus,
+              toStatus: item.status,
+              reason: resolvedData?.statusReason || "",
+              ...getActor(context.session),
+            },
           });
         }
       }
+
+      if (operation === "create") {
+        // Linking, matching and placement run as persisted jobs so a restart
+        // mid-placement never loses the order
+        await enqueueOrderJobs({ orderId: item.id, context: context.sudo() });
+      }
     },
   },
+  db: {
+    // Shops number their orders independently, so orderId only has to be unique within a shop
+    extendPrismaSchema: (schema) =>
+      schema.replace(/\n\}\s*$/, "\n  @@unique([shopId, orderId])\n}"),
+  },
   ui: {
     listView: {
       initialColumns: ["orderId", "orderName", "email", "totalPrice", "shop"],
@@ -206,8 +128,9 @@ export const Order = list({
   },
   fields: {
     // Order identifiers
+    // Unique per shop, see db.extendPrismaSchema above
     orderId: text({
-      isIndexed: "unique",
+      isIndexed: true,
       validation: { isRequired: true },
     }),
     orderName: text(),
@@ -237,7 +160,31 @@ export const Order = list({
     processOrder: checkbox({ defaultValue: true }),
 
     // Status tracking
-    status: text({ defaultValue: "PENDING" }),
+    status: select({
+      type: "enum",
+      options: ORDER_STATUSES.map((value) => ({
+        label: ORDER_STATUS_LABELS[value],
+        value,
+      })),
+      defaultValue: "PENDING",
+      validation: { isRequired: true },
+      isIndexed: true,
+      ui: {
+        description: "Only allowed transitions are accepted. Every change is recorded in the order's events",
+      },
+    }),
+    statusReason: text({
+      ui: {
+        description: "Why the order moved to its current status",
+      },
+    }),
+    holdReleasedAt: timestamp({
+      ui: {
+        description: "When the order was released from a hold. Released orders skip hold rules",
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
     error: text({
       ui: {
         displayMode: "textarea",
@@ -245,7 +192,23 @@ export const Order = list({
     }),
 
     // Metadata
+    tags: text({
+      ui: {
+        description:
+          "Comma separated tags from the shop, used by link filters. Only Shopify orders have tags, OpenFront orders don't",
+      },
+      hooks: {
+        resolveInput: ({ resolvedData }) =>
+          resolvedData.tags === undefined ? undefined : formatOrderTags(resolvedData.tags),
+      },
+    }),
     orderMetadata: json(),
+    routingDecision: json({
+      ui: {
+        description: "The landed cost of each channel compared when the order was routed to the cheapest one",
+        itemView: { fieldMode: "read" },
+      },
+    }),
 
     // Relationships
     shop: relationship({
@@ -274,6 +237,38 @@ export const Order = list({
     user: relationship({
       ref: "User.orders",
     }),
+    events: relationship({
+      ref: "OrderEvent.order",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
+    jobs: relationship({
+      ref: "Job.order",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
+    webhookDeliveries: relationship({
+      ref: "WebhookDelivery.order",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
+    processingErrors: relationship({
+      ref: "ProcessingError.order",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
 
     ...trackingFields,
   },
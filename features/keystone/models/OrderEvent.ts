@@ -0,0 +1,76 @@
+import { list } from "@keystone-6/core";
+import { relationship, select, text } from "@keystone-6/core/fields";
+
+import { isSignedIn, permissions, rules } from "../access";
+import { trackingFields } from "./trackingFields";
+import { ORDER_STATUSES, ORDER_STATUS_LABELS } from "../lib/orderStatus";
+
+const statusOptions = ORDER_STATUSES.map((value) => ({
+  label: ORDER_STATUS_LABELS[value],
+  value,
+}));
+
+// Events are written by the Order hooks and are never edited afterwards
+export const OrderEvent = list({
+  access: {
+    operation: {
+      create: permissions.canManageOrders,
+      query: isSignedIn,
+      update: () => false,
+      delete: permissions.canManageOrders,
+    },
+    filter: {
+      query: rules.canReadOrderEvents,
+    },
+  },
+  ui: {
+    listView: {
+      initialColumns: ["order", "fromStatus", "toStatus", "actorType", "user", "createdAt"],
+      initialSort: { field: "createdAt", direction: "DESC" },
+    },
+    description: "Status history of orders",
+  },
+  fields: {
+    fromStatus: select({
+      options: statusOptions,
+      ui: {
+        description: "Empty when the order was created",
+      },
+    }),
+    toStatus: select({
+      options: statusOptions,
+      validation: { isRequired: true },
+    }),
+    reason: text({
+      ui: {
+        displayMode: "textarea",
+      },
+    }),
+    actorType: select({
+      options: [
+        { label: "User", value: "user" },
+        { label: "API Key", value: "apiKey" },
+        { label: "System", value: "system" },
+      ],
+      defaultValue: "system",
+      validation: { isRequired: true },
+    }),
+
+    // Relationships
+    order: relationship({
+      ref: "Order.events",
+      ui: {
+        displayMode: "cards",
+        cardFields: ["orderId", "orderName", "status"],
+      },
+    }),
+    user: relationship({
+      ref: "User.orderEvents",
+      ui: {
+        description: "Who made the change. Empty for webhooks and background jobs",
+      },
+    }),
+
+    ...trackingFields,
+  },
+});
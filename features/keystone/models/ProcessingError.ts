@@ -0,0 +1,92 @@
+import { list } from "@keystone-6/core";
+import {
+  checkbox,
+  integer,
+  json,
+  relationship,
+  select,
+  text,
+  timestamp,
+} from "@keystone-6/core/fields";
+
+import { isSignedIn, permissions, rules } from "../access";
+import { trackingFields } from "./trackingFields";
+import {
+  PROCESSING_ERROR_CODES,
+  PROCESSING_ERROR_LABELS,
+  PROCESSING_ERROR_SEVERITIES,
+} from "../lib/processingErrors";
+
+// Errors are recorded while orders are linked, matched, placed and cancelled
+export const ProcessingError = list({
+  access: {
+    operation: {
+      create: isSignedIn,
+      query: isSignedIn,
+      update: permissions.canProcessOrders,
+      delete: permissions.canManageOrders,
+    },
+    filter: {
+      query: rules.canReadProcessingErrors,
+      update: rules.canManageProcessingErrors,
+      delete: rules.canManageProcessingErrors,
+    },
+  },
+  ui: {
+    listView: {
+      initialColumns: ["code", "severity", "message", "order", "attempt", "resolved", "createdAt"],
+      initialSort: { field: "createdAt", direction: "DESC" },
+    },
+    description: "Errors hit while processing orders, one record per attempt",
+  },
+  fields: {
+    code: select({
+      options: PROCESSING_ERROR_CODES.map((value) => ({
+        label: PROCESSING_ERROR_LABELS[value],
+        value,
+      })),
+      validation: { isRequired: true },
+      isIndexed: true,
+    }),
+    severity: select({
+      options: PROCESSING_ERROR_SEVERITIES.map((value) => ({ label: value, value })),
+      defaultValue: "error",
+      validation: { isRequired: true },
+    }),
+    message: text({
+      ui: {
+        displayMode: "textarea",
+      },
+    }),
+    source: text({
+      ui: {
+        description: "Adapter function that produced the error, like createPurchaseFunction",
+      },
+    }),
+    rawResponse: json({
+      ui: {
+        description: "What the adapter returned or threw",
+      },
+    }),
+    attempt: integer({
+      defaultValue: 1,
+      ui: {
+        description: "How many times the order or cart item has hit this code",
+      },
+    }),
+    resolved: checkbox({
+      defaultValue: false,
+    }),
+    resolvedAt: timestamp(),
+
+    // Relationships
+    order: relationship({
+      ref: "Order.processingErrors",
+    }),
+    cartItem: relationship({
+      ref: "CartItem.processingErrors",
+    }),
+
+    ...trackingFields,
+  },
+});
@@ -2,6 +2,7 @@ import { relationship, text } from "@keystone-6/core/fields";
 import { list } from "@keystone-6/core";
 import { isSignedIn, permissions } from "../access";
 import { permissionFields } from "./fields";
+import { auditLogAfterOperation } from "../lib/auditLog";
 
 export const Role = list({
   /*
@@ -22,6 +23,9 @@ export const Role = list({
       delete: permissions.canManageRoles,
     },
   },
+  hooks: {
+    afterOperation: auditLogAfterOperation("Role"),
+  },
   ui: {
     hideCreate: (args: any) => !permissions.canManageRoles({ session: args.session, context: args.context, listKey: 'Role', operation: 'create' }),
     hideDelete: (args: any) => !permissions.canManageRoles({ session: args.session, context: args.context, listKey: 'Role', operation: 'delete' }),
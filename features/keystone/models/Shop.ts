@@ -1,6 +1,8 @@
 import { list } from "@keystone-6/core";
 import { allOperations } from "@keystone-6/core/access";
 import {
+  checkbox,
+  integer,
   json,
   relationship,
   select,
@@ -12,8 +14,16 @@ import { graphql } from "@keystone-6/core";
 
 import { isSignedIn, permissions, rules } from "../access";
 import { trackingFields } from "./trackingFields";
+import { auditLogAfterOperation } from "../lib/auditLog";
+import { encryptedText } from "../fields/encryptedText";
 import { getBaseUrl } from '../../dashboard/lib/getBaseUrl';
 import { executeShopAdapterFunction } from '../utils/shopProviderAdapter';
+import { validateHoldRules } from "../lib/holdRules";
+
+function validateShopHoldRules({ resolvedData, addValidationError }: any) {
+  if (resolvedData.holdRules === undefined) return;
+  validateHoldRules(resolvedData.holdRules).forEach((error) => addValidationError(error));
+}
 
 export const Shop = list({
   access: {
@@ -29,6 +39,13 @@ export const Shop = list({
       delete: rules.canManageShops,
     },
   },
+  hooks: {
+    validate: {
+      create: validateShopHoldRules,
+      update: validateShopHoldRules,
+    },
+    afterOperation: auditLogAfterOperation("Shop"),
+  },
   ui: {
     listView: {
       initialColumns: ["name", "domain", "platform", "linkMode"],
@@ -39,14 +56,9 @@ export const Shop = list({
       validation: { isRequired: true },
     }),
     domain: text(),
-    accessToken: text({
-      ui: {
-        displayMode: "textarea",
-      },
-    }),
-    refreshToken: text({
+    accessToken: encryptedText(),
+    refreshToken: encryptedText({
       ui: {
-        displayMode: "textarea",
         description: "Long-lived OAuth refresh token (30 days)",
       },
     }),
@@ -55,17 +67,67 @@ export const Shop = list({
         description: "When the current access token expires",
       },
     }),
+    webhookSecret: encryptedText({
+      ui: {
+        description:
+          "Verifies the signature of incoming webhooks. The platform's app secret is used when empty",
+      },
+    }),
     linkMode: select({
       options: [
         { label: "Sequential", value: "sequential" },
         { label: "Simultaneous", value: "simultaneous" },
+        { label: "Cheapest", value: "cheapest" },
+        { label: "Failover", value: "failover" },
+        { label: "Weighted", value: "weighted" },
+        { label: "Round Robin", value: "round_robin" },
       ],
       defaultValue: "sequential",
     }),
+    failoverDepth: integer({
+      defaultValue: 2,
+      validation: { isRequired: true, min: 0 },
+      ui: {
+        description:
+          "In failover mode, how many more links are tried, by rank, after a channel purchase fails",
+      },
+    }),
+    partialRouting: checkbox({
+      defaultValue: false,
+      ui: {
+        description:
+          "When only some line items of an order match, place the matched ones and flag the rest for manual handling instead of stopping the whole order",
+      },
+    }),
     metadata: json({
       defaultValue: {},
     }),
 
+    // Orders matching any rule wait on the approvals screen before they're placed
+    holdRules: json({
+      defaultValue: [],
+      ui: {
+        description:
+          'Manual approval rules, any match holds the order. e.g. [{ "type": "totalPriceGreaterThan", "value": 500 }, { "type": "firstTimeCustomer" }, { "type": "countryNotIn", "value": ["US", "CA"] }, { "type": "poBox" }]',
+      },
+    }),
+
+    // Order backfill
+    backfillEnabled: checkbox({
+      defaultValue: false,
+      ui: {
+        description:
+          "Periodically search this shop for recent orders its webhooks missed and import them",
+      },
+    }),
+    backfillLookbackHours: integer({
+      defaultValue: 24,
+      validation: { isRequired: true, min: 1 },
+      ui: {
+        description: "How far back each backfill run searches for orders",
+      },
+    }),
+
     // Relationships
     platform: relationship({
       ref: "ShopPlatform.shops",
@@ -97,6 +159,22 @@ export const Shop = list({
       ref: "ShopItem.shop",
       many: true,
     }),
+    webhookDeliveries: relationship({
+      ref: "WebhookDelivery.shop",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
+    backfillRuns: relationship({
+      ref: "BackfillRun.shop",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
 
     // Virtual field for webhooks with proper base URL
     webhooks: virtual({
@@ -110,6 +188,11 @@ export const Shop = list({
                 topic: "ORDER_CREATED",
                 description: "When an order is created on this shop, Openship will create the order to be fulfilled.",
               },
+              {
+                callbackUrl: `/api/handlers/shop/update-order/${item.id}`,
+                topic: "ORDER_UPDATED",
+                description: "When an order is edited on this shop, Openship will update its address and line items",
+              },
               {
                 callbackUrl: `/api/handlers/shop/cancel-order/${item.id}`,
                 topic: "ORDER_CANCELLED",
@@ -139,6 +222,7 @@ export const Shop = list({
             const platformConfig = {
               domain: item.domain,
               accessToken: item.accessToken,
+              ownerId: item.id,
               getWebhooksFunction: shopWithPlatform.platform.getWebhooksFunction,
               ...(item.metadata || {}),
             };
@@ -165,6 +249,11 @@ export const Shop = list({
                   topic: "ORDER_CREATED",
                   description: "When an order is created on this shop, Openship will create the order to be fulfilled.",
                 },
+                {
+                  callbackUrl: `/api/handlers/shop/update-order/${item.id}`,
+                  topic: "ORDER_UPDATED",
+                  description: "When an order is edited on this shop, Openship will update its address and line items",
+                },
                 {
                   callbackUrl: `/api/handlers/shop/cancel-order/${item.id}`,
                   topic: "ORDER_CANCELLED",
@@ -2,6 +2,7 @@ import { list, group, graphql } from "@keystone-6/core";
 import { relationship, text, virtual, json } from "@keystone-6/core/fields";
 import { isSignedIn, rules, permissions } from "../access";
 import { trackingFields } from "./trackingFields";
+import { encryptedText } from "../fields/encryptedText";
 
 export const ShopPlatform = list({
   access: {
@@ -25,7 +26,7 @@ export const ShopPlatform = list({
         "Adding these fields will enable this platform to be installed as an app by users",
       fields: {
         appKey: text(),
-        appSecret: text(),
+        appSecret: encryptedText(),
         callbackUrl: virtual({
           field: graphql.field({
             type: graphql.String,
@@ -81,7 +82,25 @@ export const ShopPlatform = list({
             description: "Function to handle OAuth callback for this platform",
           },
         }),
+        refreshTokenFunction: text({
+          ui: {
+            description:
+              "Exchanges the refresh token for a new access token when it expires or is rejected",
+          },
+        }),
+        verifyWebhookFunction: text({
+          ui: {
+            description:
+              "Checks the signature of incoming webhooks. Deliveries are rejected when it's empty",
+          },
+        }),
         createOrderWebhookHandler: text({ validation: { isRequired: true } }),
+        updateOrderWebhookHandler: text({
+          ui: {
+            description:
+              "Turns order edits made at the shop into updates for the Openship order",
+          },
+        }),
         cancelOrderWebhookHandler: text({ validation: { isRequired: true } }),
         addTrackingFunction: text({ validation: { isRequired: true } }),
         orderLinkFunction: text({
@@ -3,8 +3,63 @@ import { allOperations } from "@keystone-6/core/access";
 import { relationship, text, timestamp } from "@keystone-6/core/fields";
 
 import { isSignedIn, permissions, rules } from "../access";
+import { getShopFulfillmentItems } from "../lib/shopFulfillment";
 import { trackingFields } from "./trackingFields";
 
+/**
+ * Moves an awaiting order to PARTIALLY_FULFILLED once some units have shipped,
+ * and to COMPLETE once every unit of every active cart item has shipped.
+ */
+async function updateOrderFulfillmentStatus(context: any, orderId: string) {
+  const foundOrder = await context.query.Order.findOne({
+    where: { id: orderId },
+    query: `
+      id
+      status
+      cartItems(where: { status: { not: { equals: "CANCELLED" } } }) {
+        id
+        quantity
+        trackingDetailsCount
+        trackingItems {
+          quantity
+        }
+      }
+    `,
+  });
+
+  if (!foundOrder || !["AWAITING", "PARTIALLY_FULFILLED"].includes(foundOrder.status)) {
+    return;
+  }
+
+  const shipped = foundOrder.cartItems.map((cartItem: any) => {
+    // Tracking recorded before shipped quantities existed covers the whole cart item
+    if (cartItem.trackingItems.length === 0) {
+      return cartItem.trackingDetailsCount > 0 ? cartItem.quantity || 0 : 0;
+    }
+    return cartItem.trackingItems.reduce(
+      (total: number, { quantity }: any) => total + (quantity || 0),
+      0
+    );
+  });
+
+  const isComplete = foundOrder.cartItems.every(
+    (cartItem: any, index: number) => shipped[index] >= (cartItem.quantity || 0)
+  );
+  const hasShipped = shipped.some((quantity: number) => quantity > 0);
+
+  const status = isComplete ? "COMPLETE" : hasShipped ? "PARTIALLY_FULFILLED" : foundOrder.status;
+
+  if (status !== foundOrder.status) {
+    await context.query.Order.updateOne({
+      where: { id: foundOrder.id },
+      data: {
+        status,
+        statusReason: isComplete ? "Every item has shipped" : "Some items have shipped",
+      },
+    });
+  }
+}
+
 export const TrackingDetail = list({
   access: {
     operation: {
@@ -52,6 +107,30 @@ export const TrackingDetail = list({
                 orderName
                 orderId
                 status
+                lineItems {
+                  lineItemId
+                  productId
+                  variantId
+                  quantity
+                }
+                cartItems(where: { status: { not: { equals: "CANCELLED" } } }) {
+                  id
+                  quantity
+                  lineItemId
+                  match {
+                    id
+                    input {
+                      productId
+                      variantId
+                    }
+                  }
+                  trackingItems {
+                    quantity
+                    trackingDetail {
+                      id
+                    }
+                  }
+                }
                 shop {
                   id
                   domain
@@ -73,22 +152,33 @@ export const TrackingDetail = list({
         
         const firstCartItem = foundTracking.cartItems[0];
         const order = firstCartItem.order;
+        // The stored token is encrypted, adapters get the decrypted one on the platform
+        const { accessToken, ...shop } = order.shop || {};
         
         // Execute shop platform addTracking function
         if (order.shop?.platform?.addTrackingFunction) {
           try {
             // Use the executor pattern
             const { addShopTracking } = await import('../../integrations/shop/lib/executor');
+
+            // Only push the shop line items and quantities this shipment contains, in shop units
+            const lineItems = getShopFulfillmentItems({
+              lineItems: order.lineItems,
+              cartItems: order.cartItems,
+              trackingDetailId: foundTracking.id,
+            });
             
             await addShopTracking({
               platform: {
                 ...order.shop.platform,
                 domain: order.shop.domain,
-                accessToken: order.shop.accessToken,
+                accessToken,
+                ownerId: order.shop.id,
               },
-              order: order,
+              order: { ...order, shop },
               trackingCompany: foundTracking.trackingCompany,
               trackingNumber: foundTracking.trackingNumber,
+              lineItems: lineItems.length ? lineItems : undefined,
             });
           } catch (error) {
             console.error('Error calling addTracking:', error);
@@ -96,36 +186,7 @@ export const TrackingDetail = list({
           }
         }
         
-        // Check if all cart items for this order have tracking
-        const foundOrder = await sudoContext.query.Order.findOne({
-          where: { id: order.id },
-          query: `
-            id
-            orderName
-            status
-            cartItems(
-              where: {
-                AND: [
-                  { trackingDetails: { none: {} } },
-                  { status: { not: { equals: "CANCELLED" } } }
-                ]
-              }
-            ) {
-              id
-              status
-            }
-          `,
-        });
-        
-        // If no untracked items remain, update order status to COMPLETE
-        if (foundOrder && foundOrder.cartItems.length === 0 && foundOrder.status === "AWAITING") {
-          await sudoContext.query.Order.updateOne({
-            where: { id: foundOrder.id },
-            data: {
-              status: "COMPLETE",
-            },
-          });
-        }
+        await updateOrderFulfillmentStatus(sudoContext, order.id);
       }
     },
   },
@@ -145,6 +206,13 @@ export const TrackingDetail = list({
     purchaseId: text(),
 
     // Relationships
+    items: relationship({
+      ref: "TrackingItem.trackingDetail",
+      many: true,
+      ui: {
+        description: "Units of each cart item shipped under this tracking number",
+      },
+    }),
     cartItems: relationship({
       ref: "CartItem.trackingDetails",
       many: true,
@@ -156,6 +224,14 @@ export const TrackingDetail = list({
     user: relationship({
       ref: "User.trackingDetails",
     }),
+    webhookDeliveries: relationship({
+      ref: "WebhookDelivery.trackingDetail",
+      many: true,
+      ui: {
+        createView: { fieldMode: "hidden" },
+        itemView: { fieldMode: "read" },
+      },
+    }),
 
     ...trackingFields,
   },
@@ -0,0 +1,51 @@
+import { list } from "@keystone-6/core";
+import { integer, relationship } from "@keystone-6/core/fields";
+
+import { isSignedIn, permissions, rules } from "../access";
+import { trackingFields } from "./trackingFields";
+
+export const TrackingItem = list({
+  access: {
+    operation: {
+      create: isSignedIn,
+      query: isSignedIn,
+      update: isSignedIn,
+      delete: permissions.canManageOrders,
+    },
+    filter: {
+      query: rules.canReadTrackingItems,
+      update: rules.canManageTrackingItems,
+      delete: rules.canManageTrackingItems,
+    },
+  },
+  ui: {
+    listView: {
+      initialColumns: ["trackingDetail", "cartItem", "quantity"],
+    },
+    description: "Units of a cart item shipped under one tracking number",
+  },
+  fields: {
+    quantity: integer({
+      defaultValue: 0,
+      validation: { isRequired: true, min: 0 },
+    }),
+
+    // Relationships
+    trackingDetail: relationship({
+      ref: "TrackingDetail.items",
+      ui: {
+        displayMode: "cards",
+        cardFields: ["trackingCompany", "trackingNumber"],
+      },
+    }),
+    cartItem: relationship({
+      ref: "CartItem.trackingItems",
+      ui: {
+        displayMode: "cards",
+        cardFields: ["name", "quantity"],
+      },
+    }),
+
+    ...trackingFields,
+  },
+});
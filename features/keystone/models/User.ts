@@ -16,6 +16,7 @@ import {
   fieldRules,
 } from "../access";
 import { trackingFields } from "./trackingFields";
+import { auditLogAfterOperation } from "../lib/auditLog";
 
 export const User = list({
   access: {
@@ -35,6 +36,9 @@ export const User = list({
       delete: itemRules.canDeleteUser,
     },
   },
+  hooks: {
+    afterOperation: auditLogAfterOperation("User"),
+  },
   ui: {
     hideCreate: (args: any) => !permissions.canManageUsers({ session: args.session, context: args.context, listKey: 'User', operation: 'create' }),
     hideDelete: (args: any) => !permissions.canManageUsers({ session: args.session, context: args.context, listKey: 'User', operation: 'delete' }),
@@ -102,6 +106,14 @@ export const User = list({
       ref: "Order.user",
       many: true,
     }),
+    orderEvents: relationship({
+      ref: "OrderEvent.user",
+      many: true,
+    }),
+    auditLogs: relationship({
+      ref: "AuditLog.user",
+      many: true,
+    }),
     lineItems: relationship({
       ref: "LineItem.user",
       many: true,
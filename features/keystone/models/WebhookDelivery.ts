@@ -0,0 +1,94 @@
+import { list } from "@keystone-6/core";
+import {
+  integer,
+  json,
+  relationship,
+  select,
+  text,
+  timestamp,
+} from "@keystone-6/core/fields";
+
+import { isSignedIn, permissions, rules } from "../access";
+import { trackingFields } from "./trackingFields";
+import {
+  WEBHOOK_DELIVERY_STATUSES,
+  WEBHOOK_ROUTES,
+  WEBHOOK_SOURCES,
+} from "../lib/webhookDeliveries";
+
+// Deliveries are written by the handler routes through a sudo context and
+// re-run with the replayWebhookDelivery mutation
+export const WebhookDelivery = list({
+  access: {
+    operation: {
+      create: () => false,
+      query: isSignedIn,
+      update: () => false,
+      delete: permissions.canManageWebhooks,
+    },
+    filter: {
+      query: rules.canReadWebhookDeliveries,
+    },
+  },
+  ui: {
+    hideCreate: true,
+    listView: {
+      initialColumns: ["route", "status", "shop", "channel", "attempts", "createdAt"],
+      initialSort: { field: "createdAt", direction: "DESC" },
+    },
+    itemView: {
+      defaultFieldMode: "read",
+    },
+    description: "Webhooks received from shops and channels and how processing them went",
+  },
+  fields: {
+    source: select({
+      options: WEBHOOK_SOURCES.map((value) => ({ label: value, value })),
+      validation: { isRequired: true },
+    }),
+    route: select({
+      options: Object.values(WEBHOOK_ROUTES)
+        .flat()
+        .map((value) => ({ label: value, value })),
+      validation: { isRequired: true },
+    }),
+    status: select({
+      options: WEBHOOK_DELIVERY_STATUSES.map((value) => ({ label: value, value })),
+      defaultValue: "received",
+      validation: { isRequired: true },
+      isIndexed: true,
+    }),
+    rawBody: text({
+      ui: { displayMode: "textarea" },
+    }),
+    headers: json({
+      defaultValue: {},
+    }),
+    error: text({
+      ui: { displayMode: "textarea" },
+    }),
+    attempts: integer({
+      defaultValue: 0,
+      validation: { isRequired: true },
+    }),
+    processedAt: timestamp(),
+
+    // Where the delivery came from
+    shop: relationship({
+      ref: "Shop.webhookDeliveries",
+    }),
+    channel: relationship({
+      ref: "Channel.webhookDeliveries",
+    }),
+
+    // What processing it produced
+    order: relationship({
+      ref: "Order.webhookDeliveries",
+    }),
+    trackingDetail: relationship({
+      ref: "TrackingDetail.webhookDeliveries",
+    }),
+
+    ...trackingFields,
+  },
+});
@@ -2,7 +2,9 @@ import { User } from "./User";
 import { ApiKey } from "./ApiKey";
 import { Role } from "./Role";
 import { Order } from "./Order";
+import { OrderEvent } from "./OrderEvent";
 import { TrackingDetail } from "./TrackingDetail";
+import { TrackingItem } from "./TrackingItem";
 import { LineItem } from "./LineItem";
 import { CartItem } from "./CartItem";
 import { Channel } from "./Channel";
@@ -10,9 +12,15 @@ import { ChannelItem } from "./ChannelItem";
 import { Shop } from "./Shop";
 import { ShopItem } from "./ShopItem";
 import { Match } from "./Match";
+import { MatchAlternative } from "./MatchAlternative";
 import { Link } from "./Link";
 import { ShopPlatform } from "./ShopPlatform";
 import { ChannelPlatform } from "./ChannelPlatform";
+import { Job } from "./Job";
+import { AuditLog } from "./AuditLog";
+import { WebhookDelivery } from "./WebhookDelivery";
+import { BackfillRun } from "./BackfillRun";
+import { ProcessingError } from "./ProcessingError";
 // Add other imports here if needed
 
 // Export individual models for direct import
@@ -25,13 +33,21 @@ export {
   Shop,
   Channel,
   Order,
+  OrderEvent,
+  ProcessingError,
   LineItem,
   CartItem,
   ShopItem,
   ChannelItem,
   Match,
+  MatchAlternative,
   Link,
-  TrackingDetail
+  TrackingDetail,
+  TrackingItem,
+  Job,
+  AuditLog,
+  WebhookDelivery,
+  BackfillRun
 };
 
 // Also export as models object for compatibility
@@ -48,6 +64,8 @@ export const models = {
 
   // Order Management Models
   Order,
+  OrderEvent,
+  ProcessingError,
   LineItem,
   CartItem,
 
@@ -55,9 +73,21 @@ export const models = {
   ShopItem,
   ChannelItem,
   Match,
+  MatchAlternative,
 
   // Linking & Tracking Models
   Link,
   TrackingDetail,
+  TrackingItem,
+
+  // Background Processing Models
+  Job,
+  BackfillRun,
+
+  // Audit Models
+  AuditLog,
+
+  // Webhook Models
+  WebhookDelivery,
   // Add other models here as needed
 };
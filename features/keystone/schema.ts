@@ -7,13 +7,21 @@ import {
   Shop,
   Channel,
   Order,
+  OrderEvent,
+  ProcessingError,
   LineItem,
   CartItem,
   ShopItem,
   ChannelItem,
   Match,
+  MatchAlternative,
   Link,
-  TrackingDetail
+  TrackingDetail,
+  TrackingItem,
+  Job,
+  AuditLog,
+  WebhookDelivery,
+  BackfillRun
 } from './models'
 
 export const lists = {
@@ -30,6 +38,8 @@ export const lists = {
   
   // Order Management Models
   Order,
+  OrderEvent,
+  ProcessingError,
   LineItem,
   CartItem,
   
@@ -37,8 +47,20 @@ export const lists = {
   ShopItem,
   ChannelItem,
   Match,
+  MatchAlternative,
   
   // Linking & Tracking Models
   Link,
   TrackingDetail,
+  TrackingItem,
+
+  // Background Processing Models
+  Job,
+  BackfillRun,
+
+  // Audit Models
+  AuditLog,
+
+  // Webhook Models
+  WebhookDelivery,
 }
\ No newline at end of file
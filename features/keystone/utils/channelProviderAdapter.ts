@@ -1,8 +1,14 @@
+import { decryptPlatformCredentials } from '../lib/secrets';
+import { callWithTokenRefresh } from '../lib/tokenRefresh';
+
 interface Platform {
   [key: string]: any;
   searchProductsFunction: string;
   getProductFunction: string;
   createPurchaseFunction: string;
+  findPurchaseFunction?: string;
+  cancelPurchaseFunction?: string;
+  refreshTokenFunction?: string;
   createWebhookFunction: string;
   deleteWebhookFunction: string;
   getWebhooksFunction: string;
@@ -12,7 +18,7 @@ interface Platform {
   cancelPurchaseWebhookHandler: string;
 }
 
-export async function executeChannelAdapterFunction({
+async function callChannelAdapterFunction({
   platform,
   functionName,
   args,
@@ -31,7 +37,9 @@ export async function executeChannelAdapterFunction({
     });
 
     if (!response.ok) {
-      throw new Error(`HTTP request failed: ${response.statusText}`);
+      throw Object.assign(new Error(`HTTP request failed: ${response.statusText}`), {
+        status: response.status,
+      });
     }
     return response.json();
   }
@@ -52,10 +60,30 @@ export async function executeChannelAdapterFunction({
   } catch (error: any) {
     throw new Error(
       `Error executing ${functionName} for platform ${functionPath}: ${error.message}`,
+      { cause: error },
     );
   }
 }
 
+export async function executeChannelAdapterFunction({
+  platform,
+  functionName,
+  args,
+}: {
+  platform: Platform;
+  functionName: string;
+  args: any;
+}) {
+  return callWithTokenRefresh({
+    listKey: 'Channel',
+    // Credentials are stored encrypted and only decrypted for the adapter call
+    platform: decryptPlatformCredentials(platform),
+    functionName,
+    args,
+    call: callChannelAdapterFunction,
+  });
+}
+
 // Helper functions for common channel operations
 export async function searchChannelProducts({
   platform,
@@ -94,16 +122,50 @@ export async function createChannelPurchase({
   cartItems,
   shipping,
   notes,
+  idempotencyKey,
 }: {
   platform: Platform;
   cartItems: any[];
   shipping: any;
   notes: string;
+  idempotencyKey?: string;
 }) {
   return executeChannelAdapterFunction({
     platform,
     functionName: 'createPurchaseFunction',
-    args: { cartItems, shipping, notes },
+    args: { cartItems, shipping, notes, idempotencyKey },
+  });
+}
+
+export async function findChannelPurchase({
+  platform,
+  idempotencyKey,
+  since,
+}: {
+  platform: Platform;
+  idempotencyKey: string;
+  since?: string;
+}) {
+  return executeChannelAdapterFunction({
+    platform,
+    functionName: 'findPurchaseFunction',
+    args: { idempotencyKey, since },
+  });
+}
+
+export async function cancelChannelPurchase({
+  platform,
+  purchaseId,
+  reason,
+}: {
+  platform: Platform;
+  purchaseId: string;
+  reason?: string;
+}) {
+  return executeChannelAdapterFunction({
+    platform,
+    functionName: 'cancelPurchaseFunction',
+    args: { purchaseId, reason },
   });
 }
 
@@ -1,4 +1,7 @@
-export async function executeShopAdapterFunction({ platform, functionName, args }: any) {
+import { decryptPlatformCredentials } from "../lib/secrets";
+import { callWithTokenRefresh } from "../lib/tokenRefresh";
+
+async function callShopAdapterFunction({ platform, functionName, args }: any) {
   const functionPath = platform[functionName];
 
   if (functionPath.startsWith("http")) {
@@ -9,7 +12,9 @@ export async function executeShopAdapterFunction({ platform, functionName, args
     });
 
     if (!response.ok) {
-      throw new Error(`HTTP request failed: ${response.statusText}`);
+      throw Object.assign(new Error(`HTTP request failed: ${response.statusText}`), {
+        status: response.status,
+      });
     }
     
     const result = await response.json();
@@ -32,11 +37,23 @@ export async function executeShopAdapterFunction({ platform, functionName, args
     return result;
   } catch (error) {
     throw new Error(
-      `Error executing ${functionName} for platform ${functionPath}: ${(error as any)?.message || 'Unknown error'}`
+      `Error executing ${functionName} for platform ${functionPath}: ${(error as any)?.message || 'Unknown error'}`,
+      { cause: error }
     );
   }
 }
 
+export async function executeShopAdapterFunction({ platform, functionName, args }: any) {
+  return callWithTokenRefresh({
+    listKey: "Shop",
+    // Credentials are stored encrypted and only decrypted for the adapter call
+    platform: decryptPlatformCredentials(platform),
+    functionName,
+    args,
+    call: callShopAdapterFunction,
+  });
+}
+
 // Helper functions for common shop operations
 export async function searchShopProducts({ platform, searchEntry, after }: any) {
   return executeShopAdapterFunction({
@@ -54,11 +71,11 @@ export async function getShopProduct({ platform, productId, variantId }: any) {
   });
 }
 
-export async function searchShopOrders({ platform, searchEntry, after }: any) {
+export async function searchShopOrders({ platform, searchEntry, after, createdAtMin }: any) {
   return executeShopAdapterFunction({
     platform,
     functionName: "searchOrdersFunction",
-    args: { searchEntry, after },
+    args: { searchEntry, after, createdAtMin },
   });
 }
 
@@ -126,6 +143,14 @@ export async function handleShopOrderWebhook({ platform, event, headers }: any)
   });
 }
 
+export async function handleShopOrderUpdateWebhook({ platform, event, headers }: any) {
+  return executeShopAdapterFunction({
+    platform,
+    functionName: "updateOrderWebhookHandler",
+    args: { event, headers },
+  });
+}
+
 export async function handleShopCancelWebhook({ platform, event, headers }: any) {
   return executeShopAdapterFunction({
     platform,
@@ -127,6 +127,7 @@ const viewMappings = {
   [`@keystone-6/core/fields/types/image/views`]: `image`,
   [`@keystone-6/core/fields/types/virtual/views`]: `virtual`,
   [`@keystone-6/fields-document/views`]: `document`,
+  [`./features/dashboard/views/encryptedText`]: `encryptedText`,
 };
 
 export function areArraysEqual(a: any[], b: any[]): boolean {
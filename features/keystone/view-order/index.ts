@@ -16,6 +16,7 @@ export const VIEW_ORDER = [
   "checkbox",
   "json",
   "select",
+  "encryptedText",
   "virtual",
   "float",
   "integer"
@@ -41,6 +41,8 @@ export async function createChannelPlatform(data: CreateChannelPlatformInput) {
         createWebhookFunction: 'openfront',
         oAuthFunction: 'openfront',
         oAuthCallbackFunction: 'openfront',
+        refreshTokenFunction: 'openfront',
+        verifyWebhookFunction: 'openfront',
         createOrderWebhookHandler: 'openfront',
         cancelOrderWebhookHandler: 'openfront',
         addTrackingFunction: 'openfront',
@@ -49,6 +51,8 @@ export async function createChannelPlatform(data: CreateChannelPlatformInput) {
         getWebhooksFunction: 'openfront',
         deleteWebhookFunction: 'openfront',
         createPurchaseFunction: 'openfront',
+        findPurchaseFunction: 'openfront',
+        cancelPurchaseFunction: 'openfront',
         
       }
     }
@@ -82,7 +82,7 @@ export async function createChannelLink(channelId: string, shopId: string, filte
       data: {
         shop: { connect: { id: shopId } },
         channel: { connect: { id: channelId } },
-        filters: filters || {}
+        filters: filters || []
       }
     });
     
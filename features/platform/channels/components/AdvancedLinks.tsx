@@ -16,13 +16,6 @@ import {
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import {
-  Select,
-  SelectTrigger,
-  SelectContent,
-  SelectItem,
-  SelectValue,
-} from "@/components/ui/select";
 import {
   DropdownMenu,
   DropdownMenuContent,
@@ -37,17 +30,11 @@ import {
   PopoverContent,
   PopoverTrigger,
 } from "@/components/ui/popover";
-import { Input } from "@/components/ui/input";
-import { Label } from "@/components/ui/label";
 import { useToast } from "@/components/ui/use-toast";
 import { ReactSortable } from "react-sortablejs";
 import { cn } from "@/lib/utils";
-
-interface LinkFilter {
-  field: string;
-  type: string;
-  value: string;
-}
+import type { LinkFilter } from "@/features/keystone/lib/linkFilters";
+import { LinkFilterEditor } from "../../shops/components/LinkFilterEditor";
 
 interface Link {
   id: string;
@@ -145,7 +132,7 @@ export const CreateLinkButton = ({ channelId, refetch }: {
             data: {
               shop: { connect: { id: shopId } },
               channel: { connect: { id: channelId } },
-              filters: {},
+              filters: [],
               rank: 1
             }
           }
@@ -218,75 +205,6 @@ export const CreateLinkButton = ({ channelId, refetch }: {
   );
 };
 
-// Filter Editor Component
-const FilterEditor = ({ filters, onChange }: {
-  filters: LinkFilter[];
-  onChange: (filters: LinkFilter[]) => void;
-}) => {
-  const addFilter = () => {
-    onChange([...filters, { field: "", type: "equals", value: "" }]);
-  };
-
-  const updateFilter = (index: number, field: keyof LinkFilter, value: string) => {
-    const newFilters = [...filters];
-    newFilters[index] = { ...newFilters[index], [field]: value };
-    onChange(newFilters);
-  };
-
-  const removeFilter = (index: number) => {
-    onChange(filters.filter((_, i) => i !== index));
-  };
-
-  return (
-    <div className="space-y-2">
-      <div className="flex items-center justify-between">
-        <Label className="text-sm font-medium">Filters</Label>
-        <Button size="sm" variant="outline" onClick={addFilter}>
-          <Plus className="h-3 w-3 mr-1" />
-          Add Filter
-        </Button>
-      </div>
-      {filters.map((filter, index) => (
-        <div key={index} className="flex gap-2 items-center">
-          <Input
-            placeholder="Field"
-            value={filter.field}
-            onChange={(e) => updateFilter(index, "field", e.target.value)}
-            className="flex-1"
-          />
-          <Select
-            value={filter.type}
-            onValueChange={(value) => updateFilter(index, "type", value)}
-          >
-            <SelectTrigger className="w-32">
-              <SelectValue />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="equals">Equals</SelectItem>
-              <SelectItem value="contains">Contains</SelectItem>
-              <SelectItem value="startsWith">Starts With</SelectItem>
-              <SelectItem value="endsWith">Ends With</SelectItem>
-            </SelectContent>
-          </Select>
-          <Input
-            placeholder="Value"
-            value={filter.value}
-            onChange={(e) => updateFilter(index, "value", e.target.value)}
-            className="flex-1"
-          />
-          <Button
-            size="sm"
-            variant="outline"
-            onClick={() => removeFilter(index)}
-          >
-            <X className="h-3 w-3" />
-          </Button>
-        </div>
-      ))}
-    </div>
-  );
-};
-
 // Individual Link Item Component
 const LinkItem = ({ link, linkMode = "sequential", isSelected, onSelect, onUpdate, onDelete }: {
   link: SortableLink;
@@ -646,11 +564,12 @@ export const AdvancedLinks = ({ channelId }: { channelId: string }) => {
                 Orders matching these filters will be processed by this shop
               </p>
             </div>
-            <FilterEditor 
-              filters={selectedLink.filters || []} 
-              onChange={(newFilters) => {
-                handleUpdateLink(selectedLink.id, { filters: newFilters });
-              }}
+            <LinkFilterEditor
+              linkId={selectedLink.id}
+              filters={selectedLink.filters}
+              onSave={(newFilters) =>
+                handleUpdateLink(selectedLink.id, { filters: newFilters })
+              }
             />
           </div>
         </div>
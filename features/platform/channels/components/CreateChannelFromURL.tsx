@@ -200,9 +200,13 @@ export function CreateChannelFromURL({ onChannelCreated, searchParams }: CreateC
             searchProductsFunction: adapterSlug,
             getProductFunction: adapterSlug,
             createPurchaseFunction: adapterSlug,
+            findPurchaseFunction: adapterSlug,
+            cancelPurchaseFunction: adapterSlug,
             createWebhookFunction: adapterSlug,
             oAuthFunction: adapterSlug,
             oAuthCallbackFunction: adapterSlug,
+            refreshTokenFunction: adapterSlug,
+            verifyWebhookFunction: adapterSlug,
             createTrackingWebhookHandler: adapterSlug,
             cancelPurchaseWebhookHandler: adapterSlug,
             getWebhooksFunction: adapterSlug,
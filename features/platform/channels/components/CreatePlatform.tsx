@@ -92,6 +92,8 @@ export function CreatePlatform({ trigger }: { trigger: React.ReactNode }) {
   const keysToUpdateCustom = [
     "name",
     "createPurchaseFunction",
+    "findPurchaseFunction",
+    "cancelPurchaseFunction",
     "getWebhooksFunction",
     "deleteWebhookFunction",
     "createWebhookFunction",
@@ -101,6 +103,8 @@ export function CreatePlatform({ trigger }: { trigger: React.ReactNode }) {
     "createTrackingWebhookHandler",
     "oAuthFunction",
     "oAuthCallbackFunction",
+    "refreshTokenFunction",
+    "verifyWebhookFunction",
     "appKey",
     "appSecret",
   ];
@@ -145,6 +149,7 @@ export function CreatePlatform({ trigger }: { trigger: React.ReactNode }) {
           createTrackingWebhookHandler: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/channel/webhook-create-tracking' } },
           oAuthFunction: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/channel/oauth' } },
           oAuthCallbackFunction: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/channel/oauth-callback' } },
+          verifyWebhookFunction: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/channel/verify-webhook' } },
         };
       } else {
         // Use template slug for other platforms (shopify, etc.)
@@ -153,6 +158,8 @@ export function CreatePlatform({ trigger }: { trigger: React.ReactNode }) {
         
         functionValues = {
           createPurchaseFunction: templateValue,
+          findPurchaseFunction: templateValue,
+          cancelPurchaseFunction: templateValue,
           getWebhooksFunction: templateValue,
           deleteWebhookFunction: templateValue,
           createWebhookFunction: templateValue,
@@ -163,6 +170,9 @@ export function CreatePlatform({ trigger }: { trigger: React.ReactNode }) {
           // Leave OAuth functions empty for Shopify since users likely don't have app keys yet
           oAuthFunction: value === 'shopify' ? emptyValue : templateValue,
           oAuthCallbackFunction: value === 'shopify' ? emptyValue : templateValue,
+          // Shopify's offline tokens don't expire
+          refreshTokenFunction: value === 'shopify' ? emptyValue : templateValue,
+          verifyWebhookFunction: templateValue,
         };
       }
       
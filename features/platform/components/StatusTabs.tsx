@@ -10,8 +10,11 @@ import { cn } from "@/lib/utils";
 const statusDotConfig = {
   PENDING: "bg-blue-500 dark:bg-blue-400 outline-3 -outline-offset-1 outline-blue-100 dark:outline-blue-900/50",
   INPROCESS: "bg-yellow-500 dark:bg-yellow-400 outline-3 -outline-offset-1 outline-yellow-100 dark:outline-yellow-900/50",
+  ON_HOLD: "bg-amber-500 dark:bg-amber-400 outline-3 -outline-offset-1 outline-amber-100 dark:outline-amber-900/50",
+  PARTIALLY_ROUTED: "bg-indigo-500 dark:bg-indigo-400 outline-3 -outline-offset-1 outline-indigo-100 dark:outline-indigo-900/50",
   AWAITING: "bg-purple-500 dark:bg-purple-400 outline-3 -outline-offset-1 outline-purple-100 dark:outline-purple-900/50",
   BACKORDERED: "bg-orange-500 dark:bg-orange-400 outline-3 -outline-offset-1 outline-orange-100 dark:outline-orange-900/50",
+  PARTIALLY_FULFILLED: "bg-teal-500 dark:bg-teal-400 outline-3 -outline-offset-1 outline-teal-100 dark:outline-teal-900/50",
   CANCELLED: "bg-red-500 dark:bg-red-400 outline-3 -outline-offset-1 outline-red-100 dark:outline-red-900/50",
   COMPLETE: "bg-green-500 dark:bg-green-400 outline-3 -outline-offset-1 outline-green-100 dark:outline-green-900/50",
 } as const;
@@ -6,6 +6,8 @@ import {
   LucideIcon,
   ArrowRightLeft,
   Key,
+  History,
+  Webhook,
 } from 'lucide-react';
 
 export interface PlatformNavItem {
@@ -52,6 +54,20 @@ export const platformNavItems: PlatformNavItem[] = [
     description: 'Manage secure API keys for programmatic access to Openship.',
     icon: Key,
   },
+  {
+    title: 'Audit Log',
+    href: '/platform/audit-logs',
+    color: 'zinc',
+    description: 'Review who changed shops, channels, links, matches, API keys, roles and users.',
+    icon: History,
+  },
+  {
+    title: 'Webhook Deliveries',
+    href: '/platform/webhook-deliveries',
+    color: 'sky',
+    description: 'Review webhooks received from shops and channels and replay failed deliveries.',
+    icon: Webhook,
+  },
 ];
 
 // Helper function to get platform nav items with full paths
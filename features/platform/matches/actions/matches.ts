@@ -22,6 +22,8 @@ export async function getMatches(
   orderBy: Array<Record<string, string>> = [{ createdAt: 'desc' }],
   selectedFields: string = `
     id
+    matchType
+    isGlobal
     outputPriceChanged
     inventoryNeedsToBeSynced {
       syncEligible
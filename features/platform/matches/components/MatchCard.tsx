@@ -61,6 +61,8 @@ interface InventorySync {
 
 interface Match {
   id: string;
+  matchType?: string;
+  isGlobal?: boolean;
   outputPriceChanged?: string;
   inventoryNeedsToBeSynced?: InventorySync;
   input?: MatchItem[];
@@ -148,6 +150,18 @@ const MatchHeader: React.FC<{
           </button>
         </CollapsibleTrigger>
         <div className="flex gap-2 items-center flex-shrink-0">
+          {match.matchType === 'fixed' && (
+            <Badge variant="outline" className="uppercase tracking-wide text-xs" title="Only applies to the exact quantities listed">
+              Bundle
+            </Badge>
+          )}
+
+          {match.isGlobal && (
+            <Badge variant="outline" className="uppercase tracking-wide text-xs" title="Applies to orders from every shop">
+              Global
+            </Badge>
+          )}
+
           {inventoryNeedsToBeSynced?.syncEligible && (
             <InventorySyncButton
               syncEligible={true}
@@ -0,0 +1,112 @@
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { keystoneClient } from "@/features/dashboard/lib/keystoneClient";
+
+/**
+ * Whether the signed-in user can release or reject held orders
+ */
+export async function getCanProcessOrders() {
+  const query = `
+    query CanProcessOrders {
+      authenticatedItem {
+        ... on User {
+          role {
+            canProcessOrders
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await keystoneClient(query);
+  return !!response.data?.authenticatedItem?.role?.canProcessOrders;
+}
+
+/**
+ * Get orders waiting for approval, oldest first
+ */
+export async function getHeldOrders(page: number = 1, pageSize: number = 50) {
+  const query = `
+    query GetHeldOrders($take: Int!, $skip: Int!) {
+      items: orders(
+        where: { status: { equals: ON_HOLD } }
+        take: $take
+        skip: $skip
+        orderBy: [{ createdAt: asc }]
+      ) {
+        id orderId orderName email firstName lastName streetAddress1 city state country
+        currency totalPrice statusReason createdAt shop { id name }
+      }
+      count: ordersCount(where: { status: { equals: ON_HOLD } })
+    }
+  `;
+
+  const response = await keystoneClient(query, {
+    take: pageSize,
+    skip: (page - 1) * pageSize,
+  });
+
+  if (response.success) {
+    return {
+      success: true,
+      data: {
+        items: response.data.items || [],
+        count: response.data.count || 0,
+      },
+    };
+  } else {
+    console.error('Error fetching held orders:', response.error);
+    return {
+      success: false,
+      error: response.error || 'Failed to fetch held orders',
+      data: { items: [], count: 0 },
+    };
+  }
+}
+
+/**
+ * Release held orders so they're placed
+ */
+export async function releaseHeldOrders(ids: string[]) {
+  const mutation = `
+    mutation ReleaseHeldOrders($ids: [ID!]!) {
+      releaseHeldOrders(ids: $ids) {
+        processed
+        errors
+      }
+    }
+  `;
+
+  const response = await keystoneClient(mutation, { ids });
+
+  if (response.success) {
+    revalidatePath('/dashboard/platform/orders');
+    revalidatePath('/dashboard/platform/orders/approvals');
+    return { success: true, data: response.data.releaseHeldOrders };
+  }
+  return { success: false, error: response.error || 'Failed to release orders' };
+}
+
+/**
+ * Reject held orders, cancelling them
+ */
+export async function rejectHeldOrders(ids: string[], reason?: string) {
+  const mutation = `
+    mutation RejectHeldOrders($ids: [ID!]!, $reason: String) {
+      rejectHeldOrders(ids: $ids, reason: $reason) {
+        processed
+        errors
+      }
+    }
+  `;
+
+  const response = await keystoneClient(mutation, { ids, reason: reason || null });
+
+  if (response.success) {
+    revalidatePath('/dashboard/platform/orders');
+    revalidatePath('/dashboard/platform/orders/approvals');
+    return { success: true, data: response.data.rejectHeldOrders };
+  }
+  return { success: false, error: response.error || 'Failed to reject orders' };
+}
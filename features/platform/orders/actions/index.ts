@@ -19,7 +19,7 @@ export async function getOrders(
   skip: number = 0,
   orderBy: Array<Record<string, string>> = [{ createdAt: 'desc' }],
   selectedFields: string = `
-    id orderId orderName email firstName lastName streetAddress1 streetAddress2 city state zip country phone currency totalPrice subTotalPrice totalDiscounts totalTax status error createdAt updatedAt user { id name email } shop { id name domain accessToken } lineItems { id name image price quantity productId variantId sku lineItemId } cartItems { id name image price quantity productId variantId sku purchaseId url error channel { id name } }
+    id orderId orderName email firstName lastName streetAddress1 streetAddress2 city state zip country phone currency totalPrice subTotalPrice totalDiscounts totalTax status error createdAt updatedAt user { id name email } shop { id name domain accessToken } lineItems { id name image price quantity productId variantId sku lineItemId error } cartItems { id name image price quantity productId variantId sku purchaseId url error status channel { id name } matchAlternative { id priority } } events(orderBy: { createdAt: asc }) { id fromStatus toStatus reason actorType createdAt user { id name email } }
   `
 ) {
   const query = `
@@ -64,7 +64,8 @@ export async function getFilteredOrders(
   search?: string,
   page: number = 1,
   pageSize: number = 10,
-  sort?: string
+  sort?: string,
+  errorCode?: string
 ) {
   // Build where clause
   const where: Record<string, any> = {};
@@ -73,6 +74,13 @@ export async function getFilteredOrders(
   if (status && status !== 'all') {
     where.status = { equals: status };
   }
+
+  // Orders with an unresolved processing error of this code
+  if (errorCode) {
+    where.processingErrors = {
+      some: { code: { equals: errorCode }, resolved: { equals: false } },
+    };
+  }
   
   // Search filtering (adjust fields as needed)
   if (search?.trim()) {
@@ -116,7 +124,7 @@ export async function getOrder(id: string) {
   const query = `
     query GetOrder($id: ID!) {
       order(where: { id: $id }) {
-        id orderId orderName email firstName lastName streetAddress1 streetAddress2 city state zip country phone currency totalPrice subTotalPrice totalDiscounts totalTax status error createdAt updatedAt user { id name email } shop { id name domain accessToken } lineItems { id name image price quantity productId variantId sku lineItemId } cartItems { id name image price quantity productId variantId sku purchaseId url error channel { id name } }
+        id orderId orderName email firstName lastName streetAddress1 streetAddress2 city state zip country phone currency totalPrice subTotalPrice totalDiscounts totalTax status error createdAt updatedAt user { id name email } shop { id name domain accessToken } lineItems { id name image price quantity productId variantId sku lineItemId error } cartItems { id name image price quantity productId variantId sku purchaseId url error status channel { id name } matchAlternative { id priority } } events(orderBy: { createdAt: asc }) { id fromStatus toStatus reason actorType createdAt user { id name email } }
       }
     }
   `;
@@ -150,10 +158,10 @@ export async function getOrder(id: string) {
  * Get order status counts for StatusTabs
  */
 export async function getOrderStatusCounts() {
-  const statusKeys = ["PENDING","INPROCESS","AWAITING","BACKORDERED","CANCELLED","COMPLETE"];
+  const statusKeys = ["PENDING","INPROCESS","ON_HOLD","PARTIALLY_ROUTED","AWAITING","BACKORDERED","PARTIALLY_FULFILLED","CANCELLED","COMPLETE"];
   
   const statusQueries = statusKeys.map(status => 
-    `${status}: ordersCount(where: { status: { equals: "${status}" } })`
+    `${status}: ordersCount(where: { status: { equals: ${status} } })`
   ).join('\n      ');
   
   const query = `
@@ -199,7 +207,7 @@ export async function getOrderStatusCounts() {
 /**
  * Update order status
  */
-export async function updateOrderStatus(id: string, status: string) {
+export async function updateOrderStatus(id: string, status: string, reason?: string) {
   const mutation = `
     mutation UpdateOrderStatus($id: ID!, $data: OrderUpdateInput!) {
       updateOrder(where: { id: $id }, data: $data) {
@@ -211,7 +219,7 @@ export async function updateOrderStatus(id: string, status: string) {
 
   const response = await keystoneClient(mutation, {
     id,
-    data: { status },
+    data: { status, statusReason: reason || "" },
   });
 
   if (response.success) {
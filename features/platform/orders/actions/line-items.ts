@@ -50,6 +50,32 @@ export async function deleteLineItem(id: string) {
   return response;
 }
 
+/**
+ * Clear line item error
+ */
+export async function clearLineItemError(id: string) {
+  const query = `
+    mutation UpdateLineItem($where: LineItemWhereUniqueInput!, $data: LineItemUpdateInput!) {
+      updateLineItem(where: $where, data: $data) {
+        id
+        error
+        updatedAt
+      }
+    }
+  `;
+  
+  const response = await keystoneClient(query, { 
+    where: { id }, 
+    data: { error: "" } 
+  });
+  
+  if (response.success) {
+    revalidatePath(`/dashboard/platform/orders`);
+  }
+  
+  return response;
+}
+
 /**
  * Update line item data
  */
@@ -144,6 +144,30 @@ export async function placeOrders(ids: string[]) {
   return response;
 }
 
+/**
+ * Retry the failed channel purchases of orders
+ */
+export async function retryCartItems(orderIds: string[]) {
+  const mutation = `
+    mutation RetryCartItems($orderIds: [ID!]!) {
+      retryCartItems(orderIds: $orderIds) {
+        retried
+        placed
+        skipped
+        errors
+      }
+    }
+  `;
+
+  const response = await keystoneClient(mutation, { orderIds });
+
+  if (response.success) {
+    revalidatePath(`/dashboard/platform/orders`);
+    return { success: true, data: response.data.retryCartItems };
+  }
+  return { success: false, error: response.error || 'Failed to retry cart items' };
+}
+
 /**
  * Delete order
  */
@@ -0,0 +1,55 @@
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { keystoneClient } from "@/features/dashboard/lib/keystoneClient";
+import { PROCESSING_ERROR_CODES } from "@/features/keystone/lib/processingErrors";
+
+/**
+ * Get the number of orders with unresolved errors for each error code
+ */
+export async function getProcessingErrorCounts() {
+  const counts = PROCESSING_ERROR_CODES.map(
+    (code) => `${code}: ordersCount(where: { processingErrors: { some: { code: { equals: "${code}" }, resolved: { equals: false } } } })`
+  ).join('\n');
+
+  const query = `
+    query GetProcessingErrorCounts {
+      ${counts}
+    }
+  `;
+
+  const response = await keystoneClient(query);
+
+  if (response.success) {
+    return { success: true, data: response.data as Record<string, number> };
+  } else {
+    console.error('Error fetching processing error counts:', response.error);
+    return {
+      success: false,
+      error: response.error || 'Failed to fetch processing error counts',
+      data: {} as Record<string, number>,
+    };
+  }
+}
+
+/**
+ * Resolve the unresolved errors of orders, optionally only those with one code
+ */
+export async function resolveProcessingErrors(orderIds: string[], code?: string) {
+  const mutation = `
+    mutation ResolveProcessingErrors($orderIds: [ID!]!, $code: String) {
+      resolveProcessingErrors(orderIds: $orderIds, code: $code) {
+        resolved
+        orders
+      }
+    }
+  `;
+
+  const response = await keystoneClient(mutation, { orderIds, code: code || null });
+
+  if (response.success) {
+    revalidatePath('/dashboard/platform/orders');
+    return { success: true, data: response.data.resolveProcessingErrors };
+  }
+  return { success: false, error: response.error || 'Failed to resolve errors' };
+}
@@ -71,6 +71,7 @@ import {
 } from "lucide-react";
 import Link from "next/link";
 import { ProductDetailsCollapsible } from "./ProductDetailsCollapsible";
+import { OrderTimeline } from "./OrderTimeline";
 import { ChannelSearchAccordion } from './ChannelSearchAccordion';
 import { ArrowRight } from "lucide-react";
 import { EditItemDrawerClientWrapper } from "@/features/platform/components/EditItemDrawerClientWrapper";
@@ -334,6 +335,7 @@ export const OrderDetailsComponent = ({
                   thumbnail: item.image,
                   formattedUnitPrice: formatPrice(item.price, order.currency || '$'),
                   formattedTotal: calculateTotal(item.price, item.quantity, order.currency || '$'),
+                  error: item.error,
                   variantData: {
                     sku: item.sku,
                     productId: item.productId,
@@ -357,6 +359,8 @@ export const OrderDetailsComponent = ({
                   purchaseId: item.purchaseId,
                   url: item.url,
                   error: item.error,
+                  status: item.status,
+                  alternativePriority: item.matchAlternative?.priority,
                   channel: item.channel,
                   variantData: {
                     sku: item.sku,
@@ -365,6 +369,7 @@ export const OrderDetailsComponent = ({
                   }
                 }))}
               />
+              <OrderTimeline events={order.events || []} />
               <ChannelSearchAccordion
                 channels={channels}
                 onAddItem={handleAddToCart}
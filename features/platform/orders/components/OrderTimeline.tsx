@@ -0,0 +1,78 @@
+"use client";
+
+import React, { useState } from "react";
+import {
+  Collapsible,
+  CollapsibleTrigger,
+  CollapsibleContent,
+} from "@/components/ui/collapsible";
+import { ChevronsUpDown, ArrowRight } from "lucide-react";
+import { StatusBadge } from "./StatusBadge";
+import { OrderEvent } from "../lib/types";
+
+interface OrderTimelineProps {
+  events: OrderEvent[];
+  defaultOpen?: boolean;
+}
+
+const getActorLabel = (event: OrderEvent) => {
+  if (event.actorType === "system" || !event.user) return "System";
+  const name = event.user.name || event.user.email;
+  return event.actorType === "apiKey" ? `${name} (API key)` : name;
+};
+
+export const OrderTimeline = ({ events, defaultOpen = false }: OrderTimelineProps) => {
+  const [isOpen, setIsOpen] = useState(defaultOpen);
+
+  const triggerClassName =
+    "flex items-center rounded-sm shadow-sm uppercase tracking-wide border max-w-fit gap-2 text-nowrap pl-2.5 pr-1 py-[3px] text-sm font-medium text-zinc-500 bg-white border-zinc-200 hover:bg-zinc-100 hover:text-zinc-700 focus:z-10 focus:ring-2 focus:ring-zinc-700 focus:text-zinc-700 dark:bg-zinc-950 dark:border-zinc-800 dark:text-zinc-300 dark:hover:text-white dark:hover:bg-zinc-700 dark:focus:ring-zinc-500 dark:focus:text-white";
+
+  return (
+    <Collapsible
+      open={isOpen}
+      onOpenChange={setIsOpen}
+      className="flex flex-col gap-2 py-3 px-4 md:px-6 border-b"
+    >
+      <CollapsibleTrigger asChild>
+        <button type="button" className={triggerClassName}>
+          {events.length} Status Change{events.length !== 1 && "s"}
+          <ChevronsUpDown className="h-4 w-4" />
+        </button>
+      </CollapsibleTrigger>
+      <CollapsibleContent>
+        {events.length === 0 ? (
+          <p className="text-xs text-muted-foreground">No status changes recorded</p>
+        ) : (
+          <ol className="relative border-l ml-1.5 space-y-4 py-1">
+            {events.map((event) => (
+              <li key={event.id} className="ml-4">
+                <span className="absolute -left-[5px] mt-1.5 h-2.5 w-2.5 rounded-full border bg-background" />
+                <div className="flex flex-wrap items-center gap-2">
+                  {event.fromStatus && (
+                    <>
+                      <StatusBadge status={event.fromStatus as any} />
+                      <ArrowRight className="h-3 w-3 text-muted-foreground" />
+                    </>
+                  )}
+                  <StatusBadge status={event.toStatus as any} />
+                </div>
+                <p className="mt-1 text-xs text-muted-foreground">
+                  {new Date(event.createdAt).toLocaleString("en-US", {
+                    year: "numeric",
+                    month: "short",
+                    day: "numeric",
+                    hour: "numeric",
+                    minute: "2-digit",
+                  })}
+                  <span className="mx-1.5">‧</span>
+                  {getActorLabel(event)}
+                </p>
+                {event.reason && <p className="mt-0.5 text-sm">{event.reason}</p>}
+              </li>
+            ))}
+          </ol>
+        )}
+      </CollapsibleContent>
+    </Collapsible>
+  );
+};
@@ -37,7 +37,7 @@ import {
   PopoverContent,
   PopoverTrigger,
 } from "@/components/ui/popover";
-import { updateLineItemQuantity, deleteLineItem } from "../actions/line-items";
+import { updateLineItemQuantity, deleteLineItem, clearLineItemError } from "../actions/line-items";
 import {
   updateCartItemQuantity,
   deleteCartItem,
@@ -61,6 +61,8 @@ interface LineItem {
   purchaseId?: string;
   url?: string;
   error?: string;
+  status?: string;
+  alternativePriority?: number;
   channel?: {
     id: string;
     name: string;
@@ -169,11 +171,13 @@ export const ProductDetailsCollapsible = ({
   };
 
   const handleClearError = async (item: LineItem) => {
-    if (!isCartItem || !item.error) return;
+    if (!item.error) return;
 
     setLoading((prev) => ({ ...prev, [item.id]: true }));
     try {
-      const response = await clearCartItemError(item.id);
+      const response = isCartItem
+        ? await clearCartItemError(item.id)
+        : await clearLineItemError(item.id);
 
       if (response.error) {
         throw new Error(response.error);
@@ -301,6 +305,11 @@ export const ProductDetailsCollapsible = ({
                           {item.variantData.productId} | {item.variantData.variantId}
                         </>
                       )}
+                      {/* Cart items placed with a match alternative, or replaced by one */}
+                      {item.alternativePriority !== undefined && item.alternativePriority !== null && (
+                        <> | Alternative {item.alternativePriority}</>
+                      )}
+                      {item.status === "CANCELLED" && <> | Cancelled</>}
                     </div>
 
                     {/* Error display removed - now shown in tooltip */}
@@ -398,8 +407,8 @@ export const ProductDetailsCollapsible = ({
                         </div>
                       )}
 
-                      {/* Error warning button for cart items with errors */}
-                    {isCartItem && item.error && (() => {
+                      {/* Error warning button for items with errors, line items are flagged by partial routing */}
+                    {item.error && (() => {
                       const errorInfo = parseErrorString(item.error);
                       const priceDetails = extractPriceChangeDetails(item.error);
                       
@@ -9,6 +9,14 @@ const statusConfig = {
     label: "In Process", 
     dotClass: "bg-yellow-500 dark:bg-yellow-400 outline-3 -outline-offset-1 outline-yellow-100 dark:outline-yellow-900/50"
   },
+  ON_HOLD: {
+    label: "On Hold",
+    dotClass: "bg-amber-500 dark:bg-amber-400 outline-3 -outline-offset-1 outline-amber-100 dark:outline-amber-900/50"
+  },
+  PARTIALLY_ROUTED: {
+    label: "Partially Routed",
+    dotClass: "bg-indigo-500 dark:bg-indigo-400 outline-3 -outline-offset-1 outline-indigo-100 dark:outline-indigo-900/50"
+  },
   AWAITING: {
     label: "Awaiting",
     dotClass: "bg-purple-500 dark:bg-purple-400 outline-3 -outline-offset-1 outline-purple-100 dark:outline-purple-900/50"
@@ -17,6 +25,10 @@ const statusConfig = {
     label: "Backordered",
     dotClass: "bg-orange-500 dark:bg-orange-400 outline-3 -outline-offset-1 outline-orange-100 dark:outline-orange-900/50"
   },
+  PARTIALLY_FULFILLED: {
+    label: "Partially Fulfilled",
+    dotClass: "bg-teal-500 dark:bg-teal-400 outline-3 -outline-offset-1 outline-teal-100 dark:outline-teal-900/50"
+  },
   CANCELLED: {
     label: "Cancelled",
     dotClass: "bg-red-500 dark:bg-red-400 outline-3 -outline-offset-1 outline-red-100 dark:outline-red-900/50"
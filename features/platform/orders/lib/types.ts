@@ -34,6 +34,21 @@ export interface Order {
   };
   lineItems?: LineItem[];
   cartItems?: CartItem[];
+  events?: OrderEvent[];
+}
+
+export interface OrderEvent {
+  id: string;
+  fromStatus?: string | null;
+  toStatus: string;
+  reason?: string;
+  actorType: "user" | "apiKey" | "system";
+  createdAt: string;
+  user?: {
+    id: string;
+    name?: string;
+    email: string;
+  } | null;
 }
 
 export interface LineItem {
@@ -0,0 +1,35 @@
+/**
+ * OrderApprovalsPage - Server Component
+ * Lists orders held by their shop's hold rules for release or rejection
+ */
+
+import { OrderApprovalsPageClient } from './OrderApprovalsPageClient'
+import { getCanProcessOrders, getHeldOrders } from '../actions/approvals'
+
+interface PageProps {
+  searchParams: Promise<{ [key: string]: string | string[] | undefined }>;
+}
+
+export async function OrderApprovalsPage({ searchParams }: PageProps) {
+  const resolvedSearchParams = await searchParams;
+
+  const currentPage = parseInt(resolvedSearchParams.page?.toString() || '1', 10) || 1
+  const pageSize = parseInt(resolvedSearchParams.pageSize?.toString() || '50', 10)
+
+  const canProcessOrders = await getCanProcessOrders()
+  const response = canProcessOrders
+    ? await getHeldOrders(currentPage, pageSize)
+    : { success: true, data: { items: [], count: 0 } }
+
+  return (
+    <OrderApprovalsPageClient
+      canProcessOrders={canProcessOrders}
+      initialData={response.data}
+      initialError={response.success ? null : (response as any).error || 'Failed to fetch held orders'}
+      currentPage={currentPage}
+      pageSize={pageSize}
+    />
+  )
+}
+
+export default OrderApprovalsPage
@@ -0,0 +1,275 @@
+/**
+ * OrderApprovalsPageClient - Client Component
+ * Releases or rejects held orders in bulk
+ */
+
+'use client'
+
+import React, { useState } from 'react'
+import Link from 'next/link'
+import { useRouter } from 'next/navigation'
+import { Triangle, Square, Circle, Check, X } from 'lucide-react'
+import { toast } from 'sonner'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from '@/components/ui/alert-dialog'
+import { Button } from '@/components/ui/button'
+import { Checkbox } from '@/components/ui/checkbox'
+import { EmptyState } from '@/components/ui/empty-state'
+import { Textarea } from '@/components/ui/textarea'
+import { PageContainer } from '../../../dashboard/components/PageContainer'
+import { Pagination } from '../../../dashboard/components/Pagination'
+import { useDashboard } from '../../../dashboard/context/DashboardProvider'
+import { releaseHeldOrders, rejectHeldOrders } from '../actions/approvals'
+
+interface HeldOrder {
+  id: string
+  orderId: string
+  orderName: string
+  email: string
+  firstName: string
+  lastName: string
+  streetAddress1: string
+  city: string
+  state: string
+  country: string
+  currency: string
+  totalPrice: number | null
+  statusReason: string
+  createdAt: string
+  shop: { id: string; name: string } | null
+}
+
+interface OrderApprovalsPageClientProps {
+  canProcessOrders: boolean
+  initialData: { items: HeldOrder[], count: number }
+  initialError: string | null
+  currentPage: number
+  pageSize: number
+}
+
+export function OrderApprovalsPageClient({
+  canProcessOrders,
+  initialData,
+  initialError,
+  currentPage,
+  pageSize,
+}: OrderApprovalsPageClientProps) {
+  const router = useRouter()
+  const { basePath } = useDashboard()
+  const [selectedItems, setSelectedItems] = useState(new Set<string>())
+  const [rejectReason, setRejectReason] = useState('')
+  const [pendingAction, setPendingAction] = useState<'release' | 'reject' | null>(null)
+
+  const allSelected =
+    initialData.items.length > 0 && initialData.items.every((order) => selectedItems.has(order.id))
+
+  const handleSelectItem = (id: string, checked: boolean) => {
+    setSelectedItems(prev => {
+      const newSelectedItems = new Set(prev)
+      if (checked) {
+        newSelectedItems.add(id)
+      } else {
+        newSelectedItems.delete(id)
+      }
+      return newSelectedItems
+    })
+  }
+
+  const handleSelectAll = (checked: boolean) => {
+    setSelectedItems(checked ? new Set(initialData.items.map((order) => order.id)) : new Set())
+  }
+
+  const handleDecision = async (action: 'release' | 'reject') => {
+    const ids = Array.from(selectedItems)
+    if (ids.length === 0) return
+
+    setPendingAction(action)
+    const response = action === 'release'
+      ? await releaseHeldOrders(ids)
+      : await rejectHeldOrders(ids, rejectReason.trim())
+    setPendingAction(null)
+
+    if (!response.success) {
+      toast.error(response.error)
+      return
+    }
+
+    const { processed, errors } = response.data
+    if (processed > 0) {
+      toast.success(`${action === 'release' ? 'Released' : 'Rejected'} ${processed} ${processed === 1 ? 'order' : 'orders'}`)
+    }
+    errors.forEach((error: string) => toast.error(error))
+
+    setSelectedItems(new Set())
+    setRejectReason('')
+    router.refresh()
+  }
+
+  const breadcrumbs = [
+    { type: 'link' as const, label: 'Dashboard', href: basePath },
+    { type: 'page' as const, label: 'Platform' },
+    { type: 'link' as const, label: 'Orders', href: `${basePath}/platform/orders` },
+    { type: 'page' as const, label: 'Approvals' }
+  ]
+
+  const header = (
+    <div>
+      <h1 className="text-2xl font-semibold text-gray-900 dark:text-gray-50">
+        Approvals
+      </h1>
+      <p className="text-muted-foreground">
+        Orders held by their shop&apos;s hold rules. Released orders are placed, rejected orders are cancelled
+      </p>
+    </div>
+  )
+
+  if (!canProcessOrders) {
+    return (
+      <PageContainer title="Approvals" header={header} breadcrumbs={breadcrumbs}>
+        <div className="px-4 md:px-6">
+          <Alert variant="destructive">
+            <AlertDescription>
+              You need the Process Orders permission to approve held orders.
+            </AlertDescription>
+          </Alert>
+        </div>
+      </PageContainer>
+    )
+  }
+
+  return (
+    <PageContainer title="Approvals" header={header} breadcrumbs={breadcrumbs}>
+      {initialError ? (
+        <div className="px-4 md:px-6">
+          <Alert variant="destructive">
+            <AlertDescription>
+              Failed to load held orders: {initialError}
+            </AlertDescription>
+          </Alert>
+        </div>
+      ) : initialData.count === 0 ? (
+        <div className="px-4 md:px-6">
+          <EmptyState
+            title="No Held Orders"
+            description="Orders matching a shop's hold rules will wait here for approval."
+            icons={[Triangle, Square, Circle]}
+          />
+        </div>
+      ) : (
+        <>
+          <div className="flex flex-wrap items-center justify-between gap-3 px-4 md:px-6 py-2 border-y">
+            <label className="flex items-center gap-3 text-sm text-muted-foreground">
+              <Checkbox
+                checked={allSelected}
+                onCheckedChange={(checked) => handleSelectAll(!!checked)}
+              />
+              {selectedItems.size > 0 ? `${selectedItems.size} selected` : 'Select all'}
+            </label>
+            <div className="flex items-center gap-2">
+              <Button
+                size="sm"
+                onClick={() => handleDecision('release')}
+                disabled={selectedItems.size === 0 || !!pendingAction}
+              >
+                <Check className="size-3.5" />
+                {pendingAction === 'release' ? 'Releasing...' : 'Release'}
+              </Button>
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button
+                    size="sm"
+                    variant="destructive"
+                    disabled={selectedItems.size === 0 || !!pendingAction}
+                  >
+                    <X className="size-3.5" />
+                    {pendingAction === 'reject' ? 'Rejecting...' : 'Reject'}
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>Reject Orders</AlertDialogTitle>
+                    <AlertDialogDescription>
+                      {selectedItems.size} {selectedItems.size === 1 ? 'order' : 'orders'} will be cancelled
+                      and never placed.
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <Textarea
+                    value={rejectReason}
+                    onChange={(e) => setRejectReason(e.target.value)}
+                    placeholder="Reason (optional)"
+                  />
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>Cancel</AlertDialogCancel>
+                    <AlertDialogAction onClick={() => handleDecision('reject')}>
+                      Reject
+                    </AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+            </div>
+          </div>
+
+          <div>
+            {initialData.items.map((order) => (
+              <div key={order.id} className="flex items-start gap-3 px-4 md:px-6 py-3 border-b">
+                <Checkbox
+                  className="mt-0.5"
+                  checked={selectedItems.has(order.id)}
+                  onCheckedChange={(checked) => handleSelectItem(order.id, !!checked)}
+                />
+                <div className="min-w-0 flex-1 space-y-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Link
+                      href={`${basePath}/platform/orders/${order.id}`}
+                      className="font-medium text-sm underline"
+                    >
+                      {order.orderName || order.orderId}
+                    </Link>
+                    <span className="text-sm text-muted-foreground">
+                      {order.shop?.name}
+                    </span>
+                    {order.totalPrice !== null && (
+                      <span className="text-sm">
+                        {order.totalPrice.toFixed(2)} {order.currency}
+                      </span>
+                    )}
+                  </div>
+                  <div className="text-xs text-muted-foreground">
+                    {[order.firstName, order.lastName].filter(Boolean).join(' ')}
+                    {order.email && ` · ${order.email}`}
+                    {` · ${[order.streetAddress1, order.city, order.state, order.country].filter(Boolean).join(', ')}`}
+                    {` · Created ${new Date(order.createdAt).toLocaleString()}`}
+                  </div>
+                  {order.statusReason && (
+                    <p className="text-xs text-amber-700 dark:text-amber-400 break-words">
+                      {order.statusReason}
+                    </p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="px-4 md:px-6 py-4">
+            <Pagination
+              currentPage={currentPage}
+              total={initialData.count}
+              pageSize={pageSize}
+              list={{ singular: 'order', plural: 'orders' }}
+            />
+          </div>
+        </>
+      )}
+    </PageContainer>
+  )
+}
@@ -9,6 +9,7 @@ import { notFound } from 'next/navigation'
 import { OrderListPageClient } from './OrderListPageClient'
 import { getFilteredOrders, getOrderStatusCounts, getChannels } from '../actions'
 import { getShops } from '../../shops/actions/shops'
+import { getProcessingErrorCounts } from '../actions/processing-errors'
 
 interface PageProps {
   searchParams: Promise<{ [key: string]: string | string[] | undefined }>;
@@ -55,17 +56,22 @@ export async function OrderListPage({ searchParams }: PageProps) {
   // Extract sort parameter
   const sortBy = searchParamsObj.sortBy?.toString()
 
+  // Extract processing error code filter
+  const errorCode = searchParamsObj.errorCode?.toString() || ''
+
   // Use dedicated Orders actions - fetch orders, channels, and shops in parallel
-  const [response, channelsData, shopsResponse] = await Promise.all([
+  const [response, channelsData, shopsResponse, errorCountsResponse] = await Promise.all([
     getFilteredOrders(
       status === 'all' ? undefined : status,
       searchString || undefined,
       currentPage,
       pageSize,
-      sortBy
+      sortBy,
+      errorCode || undefined
     ),
     getChannels(),
-    getShops()
+    getShops(),
+    getProcessingErrorCounts()
   ])
 
   let fetchedData: { items: any[], count: number } = { items: [], count: 0 }
@@ -90,7 +96,7 @@ export async function OrderListPage({ searchParams }: PageProps) {
   // Get status counts using dedicated action
   const statusCountsResponse = await getOrderStatusCounts()
   
-  let statusCounts = {"PENDING":0,"all":0,"INPROCESS":0,"AWAITING":0,"BACKORDERED":0,"CANCELLED":0,"COMPLETE":0}
+  let statusCounts = {"PENDING":0,"all":0,"INPROCESS":0,"ON_HOLD":0,"PARTIALLY_ROUTED":0,"AWAITING":0,"BACKORDERED":0,"PARTIALLY_FULFILLED":0,"CANCELLED":0,"COMPLETE":0}
 
   if (statusCountsResponse.success) {
     statusCounts = { ...statusCounts, ...statusCountsResponse.data }
@@ -104,9 +110,11 @@ export async function OrderListPage({ searchParams }: PageProps) {
       initialSearchParams={{
         page: currentPage,
         pageSize,
-        search: searchString
+        search: searchString,
+        errorCode
       }}
       statusCounts={statusCounts}
+      errorCounts={errorCountsResponse.data}
       channels={channelsData || []}
       shops={shopsResponse?.success ? shopsResponse.data?.items || [] : []}
     />
@@ -7,6 +7,7 @@
 
 import React, { useState, useCallback } from 'react'
 import { useRouter } from 'next/navigation'
+import Link from 'next/link'
 import { 
   SearchX,
   Triangle,
@@ -15,7 +16,8 @@ import {
   Search,
   CirclePlus,
   ChevronDown,
-  Plus
+  Plus,
+  AlertTriangle
 } from 'lucide-react'
 import { Alert, AlertDescription } from '@/components/ui/alert'
 import { EmptyState } from '@/components/ui/empty-state'
@@ -25,6 +27,7 @@ import {
   DropdownMenuTrigger,
   DropdownMenuContent,
   DropdownMenuItem,
+  DropdownMenuSeparator,
 } from "@/components/ui/dropdown-menu"
 import { Drawer, DrawerContent, DrawerHeader, DrawerTitle } from '@/components/ui/drawer'
 import { PageContainer } from '../../../dashboard/components/PageContainer'
@@ -38,7 +41,9 @@ import { FilterList } from '../../../dashboard/components/FilterList'
 import { useDashboard } from '../../../dashboard/context/DashboardProvider'
 import { useSelectedFields } from '../../../dashboard/hooks/useSelectedFields'
 import { useSort } from '../../../dashboard/hooks/useSort'
-import { placeOrders, addToCart, matchOrder, addMatchToCart, deleteOrder, deleteOrders } from '../actions/orders'
+import { placeOrders, addToCart, matchOrder, addMatchToCart, deleteOrder, deleteOrders, retryCartItems } from '../actions/orders'
+import { resolveProcessingErrors } from '../actions/processing-errors'
+import { PROCESSING_ERROR_CODES, PROCESSING_ERROR_LABELS } from '@/features/keystone/lib/processingErrors'
 import { toast } from "sonner"
 import { SearchOrders } from '../../shops/components/SearchOrders'
 import { OrderDetailsDialog } from '../../shops/components/OrderDetailsDialog'
@@ -51,16 +56,21 @@ interface OrderListPageClientProps {
     page: number
     pageSize: number  
     search: string
+    errorCode: string
   }
   statusCounts: {
     PENDING: number
     all: number
     INPROCESS: number
+    ON_HOLD: number
+    PARTIALLY_ROUTED: number
     AWAITING: number
     BACKORDERED: number
+    PARTIALLY_FULFILLED: number
     CANCELLED: number
     COMPLETE: number
   } | null
+  errorCounts: Record<string, number>
   channels: any[]
   shops: any[]
 }
@@ -71,6 +81,7 @@ export function OrderListPageClient({
   initialError, 
   initialSearchParams,
   statusCounts,
+  errorCounts,
   channels,
   shops
 }: OrderListPageClientProps) {
@@ -82,6 +93,8 @@ export function OrderListPageClient({
   const [isCreateOrderDialogOpen, setIsCreateOrderDialogOpen] = useState(false)
   const [selectedOrder, setSelectedOrder] = useState<any>(null)
   const [isDeleteLoading, setIsDeleteLoading] = useState(false)
+  const [isResolveLoading, setIsResolveLoading] = useState(false)
+  const [isRetryLoading, setIsRetryLoading] = useState(false)
 
   const handleSelectItem = (id: string, checked: boolean) => {
     setSelectedItems(prev => {
@@ -149,6 +162,7 @@ export function OrderListPageClient({
   const currentPage = initialSearchParams.page
   const pageSize = initialSearchParams.pageSize
   const searchString = initialSearchParams.search
+  const errorCode = initialSearchParams.errorCode
 
   // Handle page change - simplified since FilterBar handles search/filters
   const handlePageChange = useCallback((newPage: number) => {
@@ -182,6 +196,20 @@ export function OrderListPageClient({
     router.refresh()
   }
 
+  const handleErrorCodeChange = (code: string | null) => {
+    const params = new URLSearchParams(window.location.search)
+
+    if (code) {
+      params.set('errorCode', code)
+    } else {
+      params.delete('errorCode')
+    }
+    params.delete('page')
+
+    const newUrl = params.toString() ? `?${params.toString()}` : window.location.pathname
+    router.push(newUrl)
+  }
+
   const handleResetFilters = () => {
     const params = new URLSearchParams()
     router.push(window.location.pathname)
@@ -238,6 +266,97 @@ export function OrderListPageClient({
     }
   }
 
+  const handleResolveErrors = async () => {
+    const orderIds = Array.from(selectedItems)
+    if (orderIds.length === 0) return
+
+    setIsResolveLoading(true)
+    try {
+      const response = await resolveProcessingErrors(orderIds, errorCode || undefined)
+
+      if (response.success) {
+        const { resolved, orders } = response.data
+        toast.success(`Resolved ${resolved} ${resolved === 1 ? 'error' : 'errors'} on ${orders} ${orders === 1 ? 'order' : 'orders'}`)
+        setSelectedItems(new Set())
+        router.refresh()
+      } else {
+        toast.error(response.error || 'Failed to resolve errors')
+      }
+    } catch (error) {
+      console.error('Resolve errors failed:', error)
+      toast.error(error instanceof Error ? error.message : 'An unexpected error occurred')
+    } finally {
+      setIsResolveLoading(false)
+    }
+  }
+
+  const handleRetryCartItems = async () => {
+    const orderIds = Array.from(selectedItems)
+    if (orderIds.length === 0) return
+
+    setIsRetryLoading(true)
+    try {
+      const response = await retryCartItems(orderIds)
+
+      if (response.success) {
+        const { retried, placed, skipped, errors } = response.data
+        if (retried === 0 && skipped === 0) {
+          toast.info('No failed cart items to retry')
+        } else {
+          toast.success(`Placed ${placed} of ${retried} retried cart ${retried === 1 ? 'item' : 'items'}`, {
+            description: skipped > 0 ? `${skipped} held back for a price check` : undefined,
+          })
+        }
+        errors.forEach((error: string) => toast.error(error))
+        setSelectedItems(new Set())
+        router.refresh()
+      } else {
+        toast.error(response.error || 'Failed to retry cart items')
+      }
+    } catch (error) {
+      console.error('Retry cart items failed:', error)
+      toast.error(error instanceof Error ? error.message : 'An unexpected error occurred')
+    } finally {
+      setIsRetryLoading(false)
+    }
+  }
+
+  const totalErrorCount = Object.values(errorCounts || {}).reduce((sum, count) => sum + count, 0)
+
+  const ErrorCodeDropdown = () => (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant={errorCode ? 'secondary' : 'outline'} size="sm">
+          <AlertTriangle className="h-4 w-4" />
+          {errorCode
+            ? PROCESSING_ERROR_LABELS[errorCode as keyof typeof PROCESSING_ERROR_LABELS] || errorCode
+            : `${totalErrorCount} with errors`}
+          <ChevronDown className="-me-1 opacity-60" size={16} aria-hidden="true" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {PROCESSING_ERROR_CODES.map((code) => (
+          <DropdownMenuItem
+            key={code}
+            onClick={() => handleErrorCodeChange(code)}
+            className="flex justify-between gap-4"
+          >
+            {PROCESSING_ERROR_LABELS[code]}
+            <span className="text-muted-foreground">{errorCounts?.[code] || 0}</span>
+          </DropdownMenuItem>
+        ))}
+        {errorCode && (
+          <>
+            <DropdownMenuSeparator />
+            <DropdownMenuItem onClick={() => handleErrorCodeChange(null)}>
+              Show all orders
+            </DropdownMenuItem>
+          </>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+
   const CreateOrderDropdown = () => (
     <DropdownMenu>
       <DropdownMenuTrigger asChild>
@@ -289,18 +408,30 @@ export function OrderListPageClient({
   ]
 
   const header = (
-    <div>
-      <h1 className="text-2xl font-semibold text-gray-900 dark:text-gray-50">
-        Orders
-      </h1>
-      <p className="text-muted-foreground">
-        Create and manage orders
-      </p>
+    <div className="flex flex-wrap items-start justify-between gap-4">
+      <div>
+        <h1 className="text-2xl font-semibold text-gray-900 dark:text-gray-50">
+          Orders
+        </h1>
+        <p className="text-muted-foreground">
+          Create and manage orders
+        </p>
+      </div>
+      <div className="flex items-center gap-2">
+        {!!statusCounts?.ON_HOLD && (
+          <Button asChild variant="outline" size="sm">
+            <Link href={`${basePath}/platform/orders/approvals`}>
+              {statusCounts.ON_HOLD} awaiting approval
+            </Link>
+          </Button>
+        )}
+        {(totalErrorCount > 0 || !!errorCode) && <ErrorCodeDropdown />}
+      </div>
     </div>
   )
 
   // Check if we have any active filters (search or actual filters)
-  const hasFilters = !!searchString
+  const hasFilters = !!searchString || !!errorCode
   const isFiltered = hasFilters
   const isEmpty = data?.count === 0 && !isFiltered
 
@@ -325,6 +456,14 @@ export function OrderListPageClient({
                                 "label": "In Process",
                                 "color": "blue"
                       },
+                      "ON_HOLD": {
+                                "label": "On Hold",
+                                "color": "amber"
+                      },
+                      "PARTIALLY_ROUTED": {
+                                "label": "Partially Routed",
+                                "color": "indigo"
+                      },
                       "AWAITING": {
                                 "label": "Awaiting",
                                 "color": "purple"
@@ -333,6 +472,10 @@ export function OrderListPageClient({
                                 "label": "Backordered",
                                 "color": "orange"
                       },
+                      "PARTIALLY_FULFILLED": {
+                                "label": "Partially Fulfilled",
+                                "color": "teal"
+                      },
                       "CANCELLED": {
                                 "label": "Cancelled",
                                 "color": "red"
@@ -395,16 +538,40 @@ export function OrderListPageClient({
                 onDelete={handleDeleteOrders}
                 isDeleteLoading={isDeleteLoading}
                 renderActions={(selectedItems) => (
-                  <Button
-                    onClick={() => setIsProcessOrdersDialogOpen(true)}
-                    variant="default"
-                    className="font-semibold rounded-md gap-3"
-                  >
-                    <span className="truncate uppercase tracking-wide">
-                      Process {selectedItems.size}{" "}
-                      {selectedItems.size === 1 ? 'Order' : 'Orders'}
-                    </span>
-                  </Button>
+                  <>
+                    <Button
+                      onClick={handleRetryCartItems}
+                      variant="outline"
+                      className="font-semibold rounded-md gap-3"
+                      disabled={isRetryLoading}
+                    >
+                      <span className="truncate uppercase tracking-wide">
+                        {isRetryLoading ? 'Retrying...' : 'Retry Failed'}
+                      </span>
+                    </Button>
+                    {totalErrorCount > 0 && (
+                      <Button
+                        onClick={handleResolveErrors}
+                        variant="outline"
+                        className="font-semibold rounded-md gap-3"
+                        disabled={isResolveLoading}
+                      >
+                        <span className="truncate uppercase tracking-wide">
+                          {isResolveLoading ? 'Resolving...' : 'Resolve Errors'}
+                        </span>
+                      </Button>
+                    )}
+                    <Button
+                      onClick={() => setIsProcessOrdersDialogOpen(true)}
+                      variant="default"
+                      className="font-semibold rounded-md gap-3"
+                    >
+                      <span className="truncate uppercase tracking-wide">
+                        Process {selectedItems.size}{" "}
+                        {selectedItems.size === 1 ? 'Order' : 'Orders'}
+                      </span>
+                    </Button>
+                  </>
                 )}
               />
             </div>
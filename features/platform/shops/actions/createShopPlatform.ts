@@ -41,7 +41,10 @@ export async function createShopPlatform(data: CreateShopPlatformInput) {
         createWebhookFunction: 'openfront',
         oAuthFunction: 'openfront',
         oAuthCallbackFunction: 'openfront',
+        refreshTokenFunction: 'openfront',
+        verifyWebhookFunction: 'openfront',
         createOrderWebhookHandler: 'openfront',
+        updateOrderWebhookHandler: 'openfront',
         cancelOrderWebhookHandler: 'openfront',
         addTrackingFunction: 'openfront',
         orderLinkFunction: 'openfront',
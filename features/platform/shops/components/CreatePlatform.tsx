@@ -163,7 +163,10 @@ export function CreatePlatform({ trigger }: { trigger: React.ReactNode }) {
     "addCartToPlatformOrderFunction",
     "oAuthFunction",
     "oAuthCallbackFunction",
+    "refreshTokenFunction",
+    "verifyWebhookFunction",
     "cancelOrderWebhookHandler",
+    "updateOrderWebhookHandler",
     "createOrderWebhookHandler",
     "appKey",
     "appSecret",
@@ -211,7 +214,9 @@ export function CreatePlatform({ trigger }: { trigger: React.ReactNode }) {
           addCartToPlatformOrderFunction: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/shop/add-cart-to-order' } },
           oAuthFunction: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/shop/oauth' } },
           oAuthCallbackFunction: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/shop/oauth-callback' } },
+          verifyWebhookFunction: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/shop/verify-webhook' } },
           cancelOrderWebhookHandler: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/shop/webhook-cancel-order' } },
+          updateOrderWebhookHandler: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/shop/webhook-update-order' } },
           createOrderWebhookHandler: { kind: 'create' as const, inner: { kind: 'value' as const, value: 'http://localhost:3000/api/demo/shop/webhook-create-order' } },
         };
       } else {
@@ -233,7 +238,11 @@ export function CreatePlatform({ trigger }: { trigger: React.ReactNode }) {
           // Leave OAuth functions empty for Shopify since users likely don't have app keys yet
           oAuthFunction: value === 'shopify' ? emptyValue : templateValue,
           oAuthCallbackFunction: value === 'shopify' ? emptyValue : templateValue,
+          // Shopify's offline tokens don't expire
+          refreshTokenFunction: value === 'shopify' ? emptyValue : templateValue,
+          verifyWebhookFunction: templateValue,
           cancelOrderWebhookHandler: templateValue,
+          updateOrderWebhookHandler: templateValue,
           createOrderWebhookHandler: templateValue,
         };
       }
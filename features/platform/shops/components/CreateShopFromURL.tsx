@@ -187,7 +187,10 @@ export function CreateShopFromURL({ onShopCreated, searchParams }: CreateShopFro
             createWebhookFunction: adapterSlug,
             oAuthFunction: adapterSlug,
             oAuthCallbackFunction: adapterSlug,
+            refreshTokenFunction: adapterSlug,
+            verifyWebhookFunction: adapterSlug,
             createOrderWebhookHandler: adapterSlug,
+            updateOrderWebhookHandler: adapterSlug,
             cancelOrderWebhookHandler: adapterSlug,
             addTrackingFunction: adapterSlug,
             orderLinkFunction: adapterSlug,
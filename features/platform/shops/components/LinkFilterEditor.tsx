@@ -0,0 +1,247 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { Eye, Plus, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectTrigger,
+  SelectContent,
+  SelectItem,
+  SelectValue,
+} from "@/components/ui/select";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  LINK_FILTER_LABELS,
+  LINK_FILTER_TYPES,
+  normalizeLinkFilters,
+  type LinkFilter,
+  type LinkFilterType,
+} from "@/features/keystone/lib/linkFilters";
+
+interface DraftFilter {
+  type: LinkFilterType;
+  value: string;
+}
+
+interface PreviewOrder {
+  id: string;
+  orderName: string;
+  country: string;
+  totalPrice: number;
+  createdAt: string;
+}
+
+interface Preview {
+  scanned: number;
+  matched: number;
+  orders: PreviewOrder[];
+}
+
+const placeholders: Record<LinkFilterType, string> = {
+  countryIn: "US, CA",
+  totalPriceGreaterThan: "50",
+  skuPrefix: "ABC-",
+  tagContains: "wholesale",
+};
+
+const toDraft = (filters: unknown): DraftFilter[] =>
+  normalizeLinkFilters(filters).map((filter: any) => ({
+    type: LINK_FILTER_TYPES.includes(filter?.type) ? filter.type : "countryIn",
+    value: Array.isArray(filter?.value) ? filter.value.join(", ") : String(filter?.value ?? ""),
+  }));
+
+const toFilters = (draft: DraftFilter[]): LinkFilter[] =>
+  draft.map(({ type, value }) => {
+    switch (type) {
+      case "countryIn":
+        return {
+          type,
+          value: value.split(",").map((code) => code.trim()).filter(Boolean),
+        };
+      case "totalPriceGreaterThan":
+        return { type, value: value.trim() === "" ? NaN : Number(value) };
+      default:
+        return { type, value };
+    }
+  });
+
+// Typed link filter rules with a dry run against the shop's recent orders
+export const LinkFilterEditor = ({ linkId, filters, onSave }: {
+  linkId: string;
+  filters: unknown;
+  onSave: (filters: LinkFilter[]) => Promise<void>;
+}) => {
+  const [draft, setDraft] = useState<DraftFilter[]>(() => toDraft(filters));
+  const [isSaving, setIsSaving] = useState(false);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [preview, setPreview] = useState<Preview | null>(null);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    setDraft(toDraft(filters));
+    setPreview(null);
+  }, [linkId, filters]);
+
+  const updateFilter = (index: number, data: Partial<DraftFilter>) => {
+    setDraft(draft.map((filter, i) => (i === index ? { ...filter, ...data } : filter)));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(toFilters(draft));
+      toast({
+        title: "Filters Saved",
+        description: "Link filters have been updated",
+      });
+    } catch (error: any) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to save filters",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    setIsPreviewing(true);
+    try {
+      const response = await fetch('/api/graphql', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          query: `
+            query PreviewLinkOrders($linkId: ID!, $filters: JSON) {
+              previewLinkOrders(linkId: $linkId, filters: $filters) {
+                scanned
+                matched
+                orders {
+                  id
+                  orderName
+                  country
+                  totalPrice
+                  createdAt
+                }
+              }
+            }
+          `,
+          variables: {
+            linkId,
+            filters: toFilters(draft),
+          }
+        })
+      });
+
+      const result = await response.json();
+      if (result.errors) {
+        throw new Error(result.errors[0].message);
+      }
+
+      setPreview(result.data.previewLinkOrders);
+    } catch (error: any) {
+      setPreview(null);
+      toast({
+        title: "Error",
+        description: error.message || "Failed to preview filters",
+        variant: "destructive",
+      });
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <Label className="text-sm font-medium">Filters</Label>
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => setDraft([...draft, { type: "countryIn", value: "" }])}
+        >
+          <Plus className="h-3 w-3 mr-1" />
+          Add Filter
+        </Button>
+      </div>
+      {draft.length === 0 && (
+        <p className="text-xs text-muted-foreground">
+          No filters. This link matches every order.
+        </p>
+      )}
+      {draft.map((filter, index) => (
+        <div key={index} className="flex gap-2 items-center">
+          <Select
+            value={filter.type}
+            onValueChange={(value) => updateFilter(index, { type: value as LinkFilterType })}
+          >
+            <SelectTrigger className="w-56">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {LINK_FILTER_TYPES.map((type) => (
+                <SelectItem key={type} value={type}>
+                  {LINK_FILTER_LABELS[type]}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Input
+            placeholder={placeholders[filter.type]}
+            type={filter.type === "totalPriceGreaterThan" ? "number" : "text"}
+            value={filter.value}
+            onChange={(e) => updateFilter(index, { value: e.target.value })}
+            className="flex-1"
+          />
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => setDraft(draft.filter((_, i) => i !== index))}
+          >
+            <X className="h-3 w-3" />
+          </Button>
+        </div>
+      ))}
+      <div className="flex justify-end gap-2 pt-1">
+        <Button size="sm" variant="outline" onClick={handlePreview} disabled={isPreviewing}>
+          <Eye className="h-3 w-3 mr-1" />
+          {isPreviewing ? "Checking..." : "Preview"}
+        </Button>
+        <Button size="sm" onClick={handleSave} disabled={isSaving}>
+          {isSaving ? "Saving..." : "Save Filters"}
+        </Button>
+      </div>
+      {preview && (
+        <div className="border rounded-md p-3 space-y-2">
+          <p className="text-xs text-muted-foreground">
+            {preview.matched} of the last {preview.scanned} orders would have been caught by this link
+          </p>
+          {preview.orders.map((order) => (
+            <div key={order.id} className="flex items-center justify-between text-xs">
+              <span className="font-medium">{order.orderName || order.id}</span>
+              <div className="flex items-center gap-2">
+                {order.country && (
+                  <Badge variant="outline" className="text-[10px]">
+                    {order.country}
+                  </Badge>
+                )}
+                <span className="text-muted-foreground">
+                  {order.totalPrice ?? "-"} · {new Date(order.createdAt).toLocaleDateString()}
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LinkFilterEditor;
@@ -16,13 +16,7 @@ import {
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import {
-  Select,
-  SelectTrigger,
-  SelectContent,
-  SelectItem,
-  SelectValue,
-} from "@/components/ui/select";
+import { Input } from "@/components/ui/input";
 import {
   DropdownMenu,
   DropdownMenuContent,
@@ -37,17 +31,12 @@ import {
   PopoverContent,
   PopoverTrigger,
 } from "@/components/ui/popover";
-import { Input } from "@/components/ui/input";
-import { Label } from "@/components/ui/label";
 import { useToast } from "@/components/ui/use-toast";
 import { ReactSortable } from "react-sortablejs";
 import { cn } from "@/lib/utils";
-
-interface LinkFilter {
-  field: string;
-  type: string;
-  value: string;
-}
+import type { LinkFilter } from "@/features/keystone/lib/linkFilters";
+import { getLinkSplit, isDistributedLinkMode } from "@/features/keystone/lib/linkDistribution";
+import { LinkFilterEditor } from "./LinkFilterEditor";
 
 interface Link {
   id: string;
@@ -57,6 +46,8 @@ interface Link {
   };
   filters: LinkFilter[];
   rank?: number;
+  weight?: number;
+  routedCount?: number;
   createdAt: string;
 }
 
@@ -145,7 +136,7 @@ export const CreateLinkButton = ({ shopId, refetch }: {
             data: {
               shop: { connect: { id: shopId } },
               channel: { connect: { id: channelId } },
-              filters: {},
+              filters: [],
               rank: 1
             }
           }
@@ -218,87 +209,44 @@ export const CreateLinkButton = ({ shopId, refetch }: {
   );
 };
 
-// Filter Editor Component
-const FilterEditor = ({ filters, onChange }: {
-  filters: LinkFilter[];
-  onChange: (filters: LinkFilter[]) => void;
-}) => {
-  const addFilter = () => {
-    onChange([...filters, { field: "", type: "equals", value: "" }]);
-  };
-
-  const updateFilter = (index: number, field: keyof LinkFilter, value: string) => {
-    const newFilters = [...filters];
-    newFilters[index] = { ...newFilters[index], [field]: value };
-    onChange(newFilters);
-  };
-
-  const removeFilter = (index: number) => {
-    onChange(filters.filter((_, i) => i !== index));
-  };
-
-  return (
-    <div className="space-y-2">
-      <div className="flex items-center justify-between">
-        <Label className="text-sm font-medium">Filters</Label>
-        <Button size="sm" variant="outline" onClick={addFilter}>
-          <Plus className="h-3 w-3 mr-1" />
-          Add Filter
-        </Button>
-      </div>
-      {filters.map((filter, index) => (
-        <div key={index} className="flex gap-2 items-center">
-          <Input
-            placeholder="Field"
-            value={filter.field}
-            onChange={(e) => updateFilter(index, "field", e.target.value)}
-            className="flex-1"
-          />
-          <Select
-            value={filter.type}
-            onValueChange={(value) => updateFilter(index, "type", value)}
-          >
-            <SelectTrigger className="w-32">
-              <SelectValue />
-            </SelectTrigger>
-            <SelectContent>
-              <SelectItem value="equals">Equals</SelectItem>
-              <SelectItem value="contains">Contains</SelectItem>
-              <SelectItem value="startsWith">Starts With</SelectItem>
-              <SelectItem value="endsWith">Ends With</SelectItem>
-            </SelectContent>
-          </Select>
-          <Input
-            placeholder="Value"
-            value={filter.value}
-            onChange={(e) => updateFilter(index, "value", e.target.value)}
-            className="flex-1"
-          />
-          <Button
-            size="sm"
-            variant="outline"
-            onClick={() => removeFilter(index)}
-          >
-            <X className="h-3 w-3" />
-          </Button>
-        </div>
-      ))}
-    </div>
-  );
-};
-
 // Individual Link Item Component
-const LinkItem = ({ link, linkMode = "sequential", isSelected, onSelect, onUpdate, onDelete }: {
+const LinkItem = ({ link, linkMode = "sequential", split, isSelected, onSelect, onUpdate, onDelete }: {
   link: SortableLink;
   linkMode?: string;
+  split?: { target: number; achieved: number; routed: number };
   isSelected: boolean;
   onSelect: () => void;
   onUpdate: (id: string, data: any) => void;
   onDelete: (id: string) => void;
 }) => {
   const [isDeleting, setIsDeleting] = useState(false);
+  const [weight, setWeight] = useState(String(link.weight ?? 1));
   const { toast } = useToast();
 
+  useEffect(() => {
+    setWeight(String(link.weight ?? 1));
+  }, [link.weight]);
+
+  const handleWeightSave = async () => {
+    const value = Number(weight);
+    if (!Number.isInteger(value) || value < 0) {
+      setWeight(String(link.weight ?? 1));
+      return;
+    }
+    if (value === (link.weight ?? 1)) return;
+
+    try {
+      await onUpdate(link.id, { weight: value });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: "Failed to update link weight",
+        variant: "destructive",
+      });
+      setWeight(String(link.weight ?? 1));
+    }
+  };
+
   const handleDelete = async () => {
     setIsDeleting(true);
     try {
@@ -326,16 +274,36 @@ const LinkItem = ({ link, linkMode = "sequential", isSelected, onSelect, onUpdat
           variant="outline"
           className="py-1 px-2 text-xs font-medium"
         >
-          {linkMode === "sequential" ? link.rank || 1 : "1"}
+          {linkMode === "sequential" || linkMode === "failover" ? link.rank || 1 : "1"}
         </Badge>
         <div className="flex-1">
           <div className="font-medium">{link.channel.name}</div>
           <div className="text-xs text-muted-foreground">
             {link.filters?.length || 0} filter{(link.filters?.length || 0) !== 1 && "s"}
+            {split && (
+              <>
+                {" · "}Target {split.target}% · Achieved {split.achieved}% ({split.routed} order
+                {split.routed !== 1 && "s"})
+              </>
+            )}
           </div>
         </div>
       </div>
       <div className="flex items-center gap-2">
+        {linkMode === "weighted" && (
+          <Input
+            type="number"
+            min={0}
+            step={1}
+            value={weight}
+            onChange={(e) => setWeight(e.target.value)}
+            onBlur={handleWeightSave}
+            onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+            className="h-6 w-16 px-2 text-xs"
+            aria-label="Weight"
+            title="Weight"
+          />
+        )}
         <Button
           variant="outline"
           size="sm"
@@ -386,11 +354,20 @@ export const Links = ({ shopId }: { shopId: string }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [isUpdating, setIsUpdating] = useState(false);
-  const [linkMode] = useState("sequential"); // Could be made dynamic
+  const [linkMode, setLinkMode] = useState("sequential");
   const { toast } = useToast();
 
   const hasOrderChanged = !areOrdersEqual(initialLinks, links);
 
+  // Weighted and round robin modes report each link's share of orders against its target
+  const splits = useMemo(
+    () =>
+      isDistributedLinkMode(linkMode)
+        ? new Map(getLinkSplit(links, linkMode).map(({ link, ...split }) => [link.id, split]))
+        : null,
+    [links, linkMode]
+  );
+
   const loadLinks = async () => {
     try {
       setLoading(true);
@@ -401,8 +378,11 @@ export const Links = ({ shopId }: { shopId: string }) => {
         },
         body: JSON.stringify({
           query: `
-            query GetLinks {
-              links {
+            query GetLinks($shopId: ID!) {
+              shop(where: { id: $shopId }) {
+                linkMode
+              }
+              links(where: { shop: { id: { equals: $shopId } } }) {
                 id
                 channel {
                   id
@@ -410,10 +390,13 @@ export const Links = ({ shopId }: { shopId: string }) => {
                 }
                 filters
                 rank
+                weight
+                routedCount
                 createdAt
               }
             }
-          `
+          `,
+          variables: { shopId }
         })
       });
       
@@ -430,6 +413,7 @@ export const Links = ({ shopId }: { shopId: string }) => {
         });
         setLinks(sortedLinks);
         setInitialLinks(sortedLinks);
+        setLinkMode(data.data.shop?.linkMode || "sequential");
       } else {
         setError('No links data received');
       }
@@ -620,6 +604,7 @@ export const Links = ({ shopId }: { shopId: string }) => {
               key={link.id}
               link={link}
               linkMode={linkMode}
+              split={splits?.get(link.id)}
               isSelected={selectedLinkId === link.id}
               onSelect={() => setSelectedLinkId(link.id)}
               onUpdate={handleUpdateLink}
@@ -646,11 +631,12 @@ export const Links = ({ shopId }: { shopId: string }) => {
                 Orders matching these filters will be processed by this channel
               </p>
             </div>
-            <FilterEditor 
-              filters={selectedLink.filters || []} 
-              onChange={(newFilters) => {
-                handleUpdateLink(selectedLink.id, { filters: newFilters });
-              }}
+            <LinkFilterEditor
+              linkId={selectedLink.id}
+              filters={selectedLink.filters}
+              onSave={(newFilters) =>
+                handleUpdateLink(selectedLink.id, { filters: newFilters })
+              }
             />
           </div>
         </div>
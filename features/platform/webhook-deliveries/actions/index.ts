@@ -0,0 +1,120 @@
+'use server';
+
+import { revalidatePath } from 'next/cache';
+import { keystoneClient } from "../../../dashboard/lib/keystoneClient";
+
+const STATUS_KEYS = ["failed", "processing", "received", "succeeded"];
+
+const DELIVERY_FIELDS = `
+  id source route status error attempts processedAt createdAt
+  shop { id name } channel { id name }
+  order { id orderId orderName } trackingDetail { id trackingNumber trackingCompany }
+`;
+
+/**
+ * Get webhook deliveries, newest first
+ */
+export async function getWebhookDeliveries(
+  status?: string,
+  page: number = 1,
+  pageSize: number = 50
+) {
+  const where: Record<string, any> = {};
+
+  if (status && status !== 'all') {
+    where.status = { equals: status };
+  }
+
+  const query = `
+    query GetWebhookDeliveries($where: WebhookDeliveryWhereInput, $take: Int!, $skip: Int!) {
+      items: webhookDeliveries(where: $where, take: $take, skip: $skip, orderBy: [{ createdAt: desc }]) {
+        ${DELIVERY_FIELDS}
+      }
+      count: webhookDeliveriesCount(where: $where)
+    }
+  `;
+
+  const response = await keystoneClient(query, {
+    where,
+    take: pageSize,
+    skip: (page - 1) * pageSize,
+  });
+
+  if (response.success) {
+    return {
+      success: true,
+      data: {
+        items: response.data.items || [],
+        count: response.data.count || 0,
+      },
+    };
+  } else {
+    console.error('Error fetching webhook deliveries:', response.error);
+    return {
+      success: false,
+      error: response.error || 'Failed to fetch webhook deliveries',
+      data: { items: [], count: 0 },
+    };
+  }
+}
+
+/**
+ * Get webhook delivery status counts for StatusTabs
+ */
+export async function getWebhookDeliveryStatusCounts() {
+  const statusQueries = STATUS_KEYS.map(status =>
+    `${status}: webhookDeliveriesCount(where: { status: { equals: "${status}" } })`
+  ).join('\n      ');
+
+  const query = `
+    query GetWebhookDeliveryStatusCounts {
+      ${statusQueries}
+      all: webhookDeliveriesCount
+    }
+  `;
+
+  const response = await keystoneClient(query);
+
+  const counts: Record<string, number> = { all: response.data?.all || 0 };
+  STATUS_KEYS.forEach(status => {
+    counts[status] = response.data?.[status] || 0;
+  });
+
+  if (!response.success) {
+    console.error('Error fetching webhook delivery status counts:', response.error);
+  }
+
+  return { success: response.success, data: counts };
+}
+
+/**
+ * Re-run a failed delivery through its handler
+ */
+export async function replayWebhookDelivery(id: string) {
+  const mutation = `
+    mutation ReplayWebhookDelivery($id: ID!) {
+      replayWebhookDelivery(id: $id) {
+        ${DELIVERY_FIELDS}
+      }
+    }
+  `;
+
+  const response = await keystoneClient(mutation, { id });
+
+  if (response.success) {
+    revalidatePath('/dashboard/platform/webhook-deliveries');
+    revalidatePath('/dashboard/platform/orders');
+
+    return {
+      success: true,
+      data: response.data.replayWebhookDelivery,
+    };
+  } else {
+    console.error('Error replaying webhook delivery:', response.error);
+    return {
+      success: false,
+      error: response.error || 'Failed to replay webhook delivery',
+      data: null,
+    };
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * WebhookDeliveryListPageClient - Client Component for the Webhook Deliveries platform page
+ * Lists deliveries by status and replays failed or stuck ones through their handler
+ */
+
+'use client'
+
+import React, { useState } from 'react'
+import Link from 'next/link'
+import { Triangle, Square, Circle, RotateCcw } from 'lucide-react'
+import { toast } from 'sonner'
+import { Alert, AlertDescription } from '@/components/ui/alert'
+import { Badge } from '@/components/ui/badge'
+import { Button } from '@/components/ui/button'
+import { EmptyState } from '@/components/ui/empty-state'
+import { PageBreadcrumbs } from '@/features/dashboard/components/PageBreadcrumbs'
+import { Pagination } from '@/features/dashboard/components/Pagination'
+import { StatusTabs } from '../../components/StatusTabs'
+import { replayWebhookDelivery } from '../actions'
+
+interface WebhookDelivery {
+  id: string
+  source: 'shop' | 'channel'
+  route: string
+  status: string
+  error: string
+  attempts: number
+  processedAt: string | null
+  createdAt: string
+  shop: { id: string; name: string } | null
+  channel: { id: string; name: string } | null
+  order: { id: string; orderId: string; orderName: string } | null
+  trackingDetail: { id: string; trackingNumber: string; trackingCompany: string } | null
+}
+
+interface WebhookDeliveryListPageClientProps {
+  initialData: { items: WebhookDelivery[], count: number }
+  initialError: string | null
+  currentPage: number
+  pageSize: number
+  statusCounts: Record<string, number> & { all: number }
+}
+
+const STATUS_CONFIG = {
+  failed: { label: 'Failed', color: 'red' },
+  processing: { label: 'Processing', color: 'yellow' },
+  received: { label: 'Received', color: 'blue' },
+  succeeded: { label: 'Succeeded', color: 'green' },
+} as const
+
+function DeliveryRow({ delivery }: { delivery: WebhookDelivery }) {
+  const [isReplaying, setIsReplaying] = useState(false)
+  const owner = delivery.source === 'shop' ? delivery.shop : delivery.channel
+  const status = STATUS_CONFIG[delivery.status as keyof typeof STATUS_CONFIG]
+
+  const handleReplay = async () => {
+    setIsReplaying(true)
+    const response = await replayWebhookDelivery(delivery.id)
+    setIsReplaying(false)
+
+    if (!response.success) {
+      toast.error(response.error)
+    } else if (response.data?.status === 'failed') {
+      toast.error(`Replay failed: ${response.data.error}`)
+    } else {
+      toast.success('Webhook delivery replayed')
+    }
+  }
+
+  return (
+    <div className="flex items-start justify-between gap-4 px-4 md:px-6 py-3 border-b">
+      <div className="min-w-0 space-y-1">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="font-medium text-sm">{delivery.route}</span>
+          <Badge color={status?.color || 'zinc'}>{status?.label || delivery.status}</Badge>
+          <span className="text-sm text-muted-foreground">
+            {owner?.name || `Deleted ${delivery.source}`}
+          </span>
+        </div>
+        <div className="text-xs text-muted-foreground">
+          Received {new Date(delivery.createdAt).toLocaleString()}
+          {delivery.attempts > 0 && ` · ${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`}
+          {delivery.order && (
+            <>
+              {' · '}
+              <Link href={`/dashboard/platform/orders/${delivery.order.id}`} className="underline">
+                {delivery.order.orderName || delivery.order.orderId}
+              </Link>
+            </>
+          )}
+          {delivery.trackingDetail && ` · ${delivery.trackingDetail.trackingCompany} ${delivery.trackingDetail.trackingNumber}`}
+        </div>
+        {delivery.error && (
+          <p className="text-xs text-red-600 dark:text-red-400 break-words">{delivery.error}</p>
+        )}
+      </div>
+      {/* Processing ones may have been cut off, the replay is refused while they're still running */}
+      {(delivery.status === 'failed' || delivery.status === 'processing') && (
+        <Button variant="outline" size="sm" onClick={handleReplay} disabled={isReplaying}>
+          <RotateCcw className="size-3.5" />
+          {isReplaying ? 'Replaying...' : 'Replay'}
+        </Button>
+      )}
+    </div>
+  )
+}
+
+export function WebhookDeliveryListPageClient({
+  initialData,
+  initialError,
+  currentPage,
+  pageSize,
+  statusCounts,
+}: WebhookDeliveryListPageClientProps) {
+  return (
+    <section
+      aria-label="Webhook deliveries overview"
+      className="overflow-hidden flex flex-col"
+    >
+      <PageBreadcrumbs
+        items={[
+          {
+            type: "link",
+            label: "Dashboard",
+            href: "/",
+          },
+          {
+            type: "page",
+            label: "Platform",
+          },
+          {
+            type: "page",
+            label: "Webhook Deliveries",
+          },
+        ]}
+      />
+
+      <div className="flex flex-col flex-1 min-h-0">
+        <div className="px-4 md:px-6 pt-4 md:pt-6 pb-4">
+          <h1 className="text-2xl font-semibold text-gray-900 dark:text-gray-50">
+            Webhook Deliveries
+          </h1>
+          <p className="text-muted-foreground">
+            <span>Webhooks received from shops and channels. Replay failed deliveries once the problem is fixed</span>
+          </p>
+        </div>
+
+        <div className="border-b">
+          <StatusTabs
+            statusCounts={statusCounts}
+            statusConfig={STATUS_CONFIG}
+            entityName="Deliveries"
+          />
+        </div>
+
+        {initialError ? (
+          <div className="px-4 md:px-6 pt-4">
+            <Alert variant="destructive">
+              <AlertDescription>
+                Failed to load webhook deliveries: {initialError}
+              </AlertDescription>
+            </Alert>
+          </div>
+        ) : initialData.count === 0 ? (
+          <div className="px-4 md:px-6">
+            <EmptyState
+              title="No Webhook Deliveries"
+              description="Order, cancellation and tracking webhooks from your shops and channels will show up here."
+              icons={[Triangle, Square, Circle]}
+            />
+          </div>
+        ) : (
+          <>
+            <div>
+              {initialData.items.map((delivery) => (
+                <DeliveryRow key={delivery.id} delivery={delivery} />
+              ))}
+            </div>
+            <div className="px-4 md:px-6 py-4">
+              <Pagination
+                currentPage={currentPage}
+                total={initialData.count}
+                pageSize={pageSize}
+                list={{ singular: 'delivery', plural: 'deliveries' }}
+              />
+            </div>
+          </>
+        )}
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,49 @@
+/**
+ * WebhookDeliveryListPage - Server Component
+ * Lists received webhooks so failed ones can be replayed
+ */
+
+import { WebhookDeliveryListPageClient } from '../components/WebhookDeliveryListPageClient'
+import { getWebhookDeliveries, getWebhookDeliveryStatusCounts } from '../actions'
+
+interface PageProps {
+  searchParams: Promise<{ [key: string]: string | string[] | undefined }>;
+}
+
+export async function WebhookDeliveryListPage({ searchParams }: PageProps) {
+  const resolvedSearchParams = await searchParams;
+
+  const currentPage = parseInt(resolvedSearchParams.page?.toString() || '1', 10) || 1
+  const pageSize = parseInt(resolvedSearchParams.pageSize?.toString() || '50', 10)
+
+  // Same status filter param as the other StatusTabs pages
+  const statusFilter = resolvedSearchParams['!status_matches']
+  let status = 'all'
+  if (statusFilter) {
+    try {
+      const parsed = JSON.parse(decodeURIComponent(statusFilter.toString()))
+      if (Array.isArray(parsed) && parsed.length > 0) {
+        status = typeof parsed[0] === 'string' ? parsed[0] : parsed[0].value
+      }
+    } catch (e) {
+      // Invalid JSON, ignore
+    }
+  }
+
+  const [response, statusCountsResponse] = await Promise.all([
+    getWebhookDeliveries(status, currentPage, pageSize),
+    getWebhookDeliveryStatusCounts(),
+  ])
+
+  return (
+    <WebhookDeliveryListPageClient
+      initialData={response.data}
+      initialError={response.success ? null : response.error || 'Failed to fetch webhook deliveries'}
+      currentPage={currentPage}
+      pageSize={pageSize}
+      statusCounts={statusCountsResponse.data as Record<string, number> & { all: number }}
+    />
+  )
+}
+
+export default WebhookDeliveryListPage
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "Job" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "payload" JSONB DEFAULT '{}',
+    "result" JSONB,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "runAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT NOT NULL DEFAULT '',
+    "lockedAt" TIMESTAMP(3),
+    "lockedBy" TEXT NOT NULL DEFAULT '',
+    "completedAt" TIMESTAMP(3),
+    "order" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Job_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Job_status_idx" ON "Job"("status");
+
+-- CreateIndex
+CREATE INDEX "Job_runAt_idx" ON "Job"("runAt");
+
+-- CreateIndex
+CREATE INDEX "Job_order_idx" ON "Job"("order");
+
+-- AddForeignKey
+ALTER TABLE "Job" ADD CONSTRAINT "Job_order_fkey" FOREIGN KEY ("order") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
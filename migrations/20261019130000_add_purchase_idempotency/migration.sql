@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "ChannelPlatform" ADD COLUMN     "findPurchaseFunction" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "CartItem" ADD COLUMN     "idempotencyKey" TEXT NOT NULL DEFAULT '';
+
+-- CreateIndex
+CREATE INDEX "CartItem_idempotencyKey_idx" ON "CartItem"("idempotencyKey");
+
+-- Built-in adapters ship a lookup alongside their purchase function
+UPDATE "ChannelPlatform" SET "findPurchaseFunction" = "createPurchaseFunction"
+WHERE "createPurchaseFunction" IN ('shopify', 'openfront', 'salesforce');
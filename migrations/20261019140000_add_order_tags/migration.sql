@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "tags" TEXT NOT NULL DEFAULT '';
+
+-- Links created before filters were a rule list stored an empty object
+UPDATE "Link" SET "filters" = '[]'::jsonb WHERE "filters" = '{}'::jsonb;
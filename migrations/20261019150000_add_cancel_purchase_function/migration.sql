@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ChannelPlatform" ADD COLUMN     "cancelPurchaseFunction" TEXT NOT NULL DEFAULT '';
+
+-- Built-in adapters ship a cancel function alongside their purchase function
+UPDATE "ChannelPlatform" SET "cancelPurchaseFunction" = "createPurchaseFunction"
+WHERE "createPurchaseFunction" IN ('shopify', 'openfront', 'salesforce');
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "TrackingItem" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "trackingDetail" TEXT,
+    "cartItem" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TrackingItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TrackingItem_trackingDetail_idx" ON "TrackingItem"("trackingDetail");
+
+-- CreateIndex
+CREATE INDEX "TrackingItem_cartItem_idx" ON "TrackingItem"("cartItem");
+
+-- AddForeignKey
+ALTER TABLE "TrackingItem" ADD CONSTRAINT "TrackingItem_trackingDetail_fkey" FOREIGN KEY ("trackingDetail") REFERENCES "TrackingDetail"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TrackingItem" ADD CONSTRAINT "TrackingItem_cartItem_fkey" FOREIGN KEY ("cartItem") REFERENCES "CartItem"("id") ON DELETE SET NULL ON UPDATE CASCADE;
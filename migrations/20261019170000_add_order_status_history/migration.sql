@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "OrderStatusType" AS ENUM ('PENDING', 'INPROCESS', 'AWAITING', 'BACKORDERED', 'PARTIALLY_FULFILLED', 'COMPLETE', 'CANCELLED');
+
+-- Free text statuses outside the state machine fall back to PENDING
+UPDATE "Order" SET "status" = 'PENDING' WHERE "status" IS NULL OR "status" NOT IN ('PENDING', 'INPROCESS', 'AWAITING', 'BACKORDERED', 'PARTIALLY_FULFILLED', 'COMPLETE', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "Order" ALTER COLUMN "status" DROP DEFAULT,
+ALTER COLUMN "status" SET DATA TYPE "OrderStatusType" USING ("status"::"OrderStatusType"),
+ALTER COLUMN "status" SET DEFAULT 'PENDING',
+ADD COLUMN     "statusReason" TEXT NOT NULL DEFAULT '';
+
+-- CreateTable
+CREATE TABLE "OrderEvent" (
+    "id" TEXT NOT NULL,
+    "fromStatus" TEXT,
+    "toStatus" TEXT NOT NULL,
+    "reason" TEXT NOT NULL DEFAULT '',
+    "actorType" TEXT NOT NULL DEFAULT 'system',
+    "order" TEXT,
+    "user" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Order_status_idx" ON "Order"("status");
+
+-- CreateIndex
+CREATE INDEX "OrderEvent_order_idx" ON "OrderEvent"("order");
+
+-- CreateIndex
+CREATE INDEX "OrderEvent_user_idx" ON "OrderEvent"("user");
+
+-- AddForeignKey
+ALTER TABLE "OrderEvent" ADD CONSTRAINT "OrderEvent_order_fkey" FOREIGN KEY ("order") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderEvent" ADD CONSTRAINT "OrderEvent_user_fkey" FOREIGN KEY ("user") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
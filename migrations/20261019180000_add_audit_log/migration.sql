@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" TEXT NOT NULL,
+    "listKey" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL DEFAULT '',
+    "operation" TEXT NOT NULL,
+    "changes" JSONB,
+    "user" TEXT,
+    "apiKeyId" TEXT NOT NULL DEFAULT '',
+    "ipAddress" TEXT NOT NULL DEFAULT '',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_listKey_idx" ON "AuditLog"("listKey");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_itemId_idx" ON "AuditLog"("itemId");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_operation_idx" ON "AuditLog"("operation");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_user_idx" ON "AuditLog"("user");
+
+-- AddForeignKey
+ALTER TABLE "AuditLog" ADD CONSTRAINT "AuditLog_user_fkey" FOREIGN KEY ("user") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
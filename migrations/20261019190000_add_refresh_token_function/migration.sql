@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "ShopPlatform" ADD COLUMN     "refreshTokenFunction" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "ChannelPlatform" ADD COLUMN     "refreshTokenFunction" TEXT NOT NULL DEFAULT '';
+
+-- Built-in adapters whose access tokens expire ship a refresh function
+UPDATE "ShopPlatform" SET "refreshTokenFunction" = "oAuthCallbackFunction"
+WHERE "oAuthCallbackFunction" IN ('openfront', 'salesforce');
+
+UPDATE "ChannelPlatform" SET "refreshTokenFunction" = "oAuthCallbackFunction"
+WHERE "oAuthCallbackFunction" IN ('openfront', 'salesforce');
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "ShopPlatform" ADD COLUMN     "verifyWebhookFunction" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "ChannelPlatform" ADD COLUMN     "verifyWebhookFunction" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN     "webhookSecret" TEXT NOT NULL DEFAULT '';
+
+-- AlterTable
+ALTER TABLE "Channel" ADD COLUMN     "webhookSecret" TEXT NOT NULL DEFAULT '';
+
+-- Built-in adapters verify the webhooks they handle
+UPDATE "ShopPlatform" SET "verifyWebhookFunction" = "createOrderWebhookHandler"
+WHERE "createOrderWebhookHandler" IN ('shopify', 'openfront', 'salesforce');
+
+UPDATE "ChannelPlatform" SET "verifyWebhookFunction" = "createTrackingWebhookHandler"
+WHERE "createTrackingWebhookHandler" IN ('shopify', 'openfront', 'salesforce');
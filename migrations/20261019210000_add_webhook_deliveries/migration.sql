@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "WebhookDelivery" (
+    "id" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "route" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'received',
+    "rawBody" TEXT NOT NULL DEFAULT '',
+    "headers" JSONB DEFAULT '{}',
+    "error" TEXT NOT NULL DEFAULT '',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "processedAt" TIMESTAMP(3),
+    "shop" TEXT,
+    "channel" TEXT,
+    "order" TEXT,
+    "trackingDetail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WebhookDelivery_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_status_idx" ON "WebhookDelivery"("status");
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_shop_idx" ON "WebhookDelivery"("shop");
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_channel_idx" ON "WebhookDelivery"("channel");
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_order_idx" ON "WebhookDelivery"("order");
+
+-- CreateIndex
+CREATE INDEX "WebhookDelivery_trackingDetail_idx" ON "WebhookDelivery"("trackingDetail");
+
+-- AddForeignKey
+ALTER TABLE "WebhookDelivery" ADD CONSTRAINT "WebhookDelivery_shop_fkey" FOREIGN KEY ("shop") REFERENCES "Shop"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WebhookDelivery" ADD CONSTRAINT "WebhookDelivery_channel_fkey" FOREIGN KEY ("channel") REFERENCES "Channel"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WebhookDelivery" ADD CONSTRAINT "WebhookDelivery_order_fkey" FOREIGN KEY ("order") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "WebhookDelivery" ADD CONSTRAINT "WebhookDelivery_trackingDetail_fkey" FOREIGN KEY ("trackingDetail") REFERENCES "TrackingDetail"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "Order_orderId_key";
+
+-- CreateIndex
+CREATE INDEX "Order_orderId_idx" ON "Order"("orderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Order_shop_orderId_key" ON "Order"("shop", "orderId");
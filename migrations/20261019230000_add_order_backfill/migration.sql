@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN     "backfillEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "backfillLookbackHours" INTEGER NOT NULL DEFAULT 24;
+
+-- CreateTable
+CREATE TABLE "BackfillRun" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "since" TIMESTAMP(3),
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "pagesFetched" INTEGER DEFAULT 0,
+    "ordersScanned" INTEGER DEFAULT 0,
+    "ordersImported" INTEGER DEFAULT 0,
+    "ordersSkipped" INTEGER DEFAULT 0,
+    "truncated" BOOLEAN NOT NULL DEFAULT false,
+    "errors" JSONB DEFAULT '[]',
+    "error" TEXT NOT NULL DEFAULT '',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BackfillRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BackfillRun_shop_idx" ON "BackfillRun"("shop");
+
+-- CreateIndex
+CREATE INDEX "BackfillRun_status_idx" ON "BackfillRun"("status");
+
+-- AddForeignKey
+ALTER TABLE "BackfillRun" ADD CONSTRAINT "BackfillRun_shop_fkey" FOREIGN KEY ("shop") REFERENCES "Shop"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ShopPlatform" ADD COLUMN     "updateOrderWebhookHandler" TEXT NOT NULL DEFAULT '';
+
+-- Built-in adapters that handle order edits
+UPDATE "ShopPlatform" SET "updateOrderWebhookHandler" = "createOrderWebhookHandler"
+WHERE "createOrderWebhookHandler" IN ('shopify', 'openfront');
@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "OrderStatusType" ADD VALUE 'ON_HOLD';
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN     "holdRules" JSONB DEFAULT '[]';
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "holdReleasedAt" TIMESTAMP(3);
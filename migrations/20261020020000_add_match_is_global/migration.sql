@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN     "isGlobal" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN     "matchType" TEXT DEFAULT 'fixed';
+
+-- Existing matches keep their exact-quantity behavior, new ones default to per unit
+ALTER TABLE "Match" ALTER COLUMN "matchType" SET DEFAULT 'per_unit';
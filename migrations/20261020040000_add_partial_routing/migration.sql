@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "OrderStatusType" ADD VALUE 'PARTIALLY_ROUTED';
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN     "partialRouting" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "LineItem" ADD COLUMN     "error" TEXT NOT NULL DEFAULT '';
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "ProcessingError" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "severity" TEXT NOT NULL DEFAULT 'error',
+    "message" TEXT NOT NULL DEFAULT '',
+    "source" TEXT NOT NULL DEFAULT '',
+    "rawResponse" JSONB,
+    "attempt" INTEGER DEFAULT 1,
+    "resolved" BOOLEAN NOT NULL DEFAULT false,
+    "resolvedAt" TIMESTAMP(3),
+    "order" TEXT,
+    "cartItem" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProcessingError_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ProcessingError_code_idx" ON "ProcessingError"("code");
+
+-- CreateIndex
+CREATE INDEX "ProcessingError_order_idx" ON "ProcessingError"("order");
+
+-- CreateIndex
+CREATE INDEX "ProcessingError_cartItem_idx" ON "ProcessingError"("cartItem");
+
+-- AddForeignKey
+ALTER TABLE "ProcessingError" ADD CONSTRAINT "ProcessingError_order_fkey" FOREIGN KEY ("order") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProcessingError" ADD CONSTRAINT "ProcessingError_cartItem_fkey" FOREIGN KEY ("cartItem") REFERENCES "CartItem"("id") ON DELETE SET NULL ON UPDATE CASCADE;
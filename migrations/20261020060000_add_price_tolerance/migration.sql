@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Channel" ADD COLUMN     "priceTolerance" DOUBLE PRECISION DEFAULT 0,
+ADD COLUMN     "priceToleranceType" TEXT;
+
+-- AlterTable
+ALTER TABLE "Match" ADD COLUMN     "priceTolerance" DOUBLE PRECISION DEFAULT 0,
+ADD COLUMN     "priceToleranceType" TEXT;
@@ -0,0 +1,50 @@
+-- AlterTable
+ALTER TABLE "CartItem" ADD COLUMN     "match" TEXT,
+ADD COLUMN     "matchAlternative" TEXT;
+
+-- CreateTable
+CREATE TABLE "MatchAlternative" (
+    "id" TEXT NOT NULL,
+    "priority" INTEGER NOT NULL DEFAULT 1,
+    "match" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MatchAlternative_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_ChannelItem_matchAlternatives" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "CartItem_match_idx" ON "CartItem"("match");
+
+-- CreateIndex
+CREATE INDEX "CartItem_matchAlternative_idx" ON "CartItem"("matchAlternative");
+
+-- CreateIndex
+CREATE INDEX "MatchAlternative_match_idx" ON "MatchAlternative"("match");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "_ChannelItem_matchAlternatives_AB_unique" ON "_ChannelItem_matchAlternatives"("A", "B");
+
+-- CreateIndex
+CREATE INDEX "_ChannelItem_matchAlternatives_B_index" ON "_ChannelItem_matchAlternatives"("B");
+
+-- AddForeignKey
+ALTER TABLE "CartItem" ADD CONSTRAINT "CartItem_match_fkey" FOREIGN KEY ("match") REFERENCES "Match"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CartItem" ADD CONSTRAINT "CartItem_matchAlternative_fkey" FOREIGN KEY ("matchAlternative") REFERENCES "MatchAlternative"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MatchAlternative" ADD CONSTRAINT "MatchAlternative_match_fkey" FOREIGN KEY ("match") REFERENCES "Match"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_ChannelItem_matchAlternatives" ADD CONSTRAINT "_ChannelItem_matchAlternatives_A_fkey" FOREIGN KEY ("A") REFERENCES "ChannelItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_ChannelItem_matchAlternatives" ADD CONSTRAINT "_ChannelItem_matchAlternatives_B_fkey" FOREIGN KEY ("B") REFERENCES "MatchAlternative"("id") ON DELETE CASCADE ON UPDATE CASCADE;
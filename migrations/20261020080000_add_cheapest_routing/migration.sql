@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Channel" ADD COLUMN     "shippingEstimate" DOUBLE PRECISION DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "routingDecision" JSONB;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "CartItem" ADD COLUMN     "link" TEXT;
+
+-- AlterTable
+ALTER TABLE "Shop" ADD COLUMN     "failoverDepth" INTEGER NOT NULL DEFAULT 2;
+
+-- CreateIndex
+CREATE INDEX "CartItem_link_idx" ON "CartItem"("link");
+
+-- AddForeignKey
+ALTER TABLE "CartItem" ADD CONSTRAINT "CartItem_link_fkey" FOREIGN KEY ("link") REFERENCES "Link"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Link" ADD COLUMN     "routedCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "weight" INTEGER NOT NULL DEFAULT 1;
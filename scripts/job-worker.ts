@@ -0,0 +1,61 @@
+import { keystoneContext } from '../features/keystone/context';
+import { runPendingJobs } from '../features/keystone/lib/orderJobs';
+import { scheduleOrderBackfills } from '../features/keystone/lib/orderBackfill';
+import { workerId } from '../features/keystone/lib/jobQueue';
+
+const pollIntervalMs = Number(process.env.JOB_WORKER_POLL_MS || 5000);
+const batchSize = Number(process.env.JOB_WORKER_BATCH_SIZE || 25);
+// Shops due for an order backfill are looked up at most this often
+const backfillCheckMs = 60 * 1000;
+
+let stopping = false;
+
+function sleep(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function main() {
+  console.log(`Job worker ${workerId} started (polling every ${pollIntervalMs}ms)`);
+  const context = keystoneContext.sudo();
+  let lastBackfillCheck = 0;
+
+  while (!stopping) {
+    if (Date.now() - lastBackfillCheck >= backfillCheckMs) {
+      lastBackfillCheck = Date.now();
+      try {
+        const scheduled = await scheduleOrderBackfills(context);
+        if (scheduled > 0) console.log(`Scheduled ${scheduled} order backfill(s)`);
+      } catch (error) {
+        console.error('Backfill scheduling error:', error instanceof Error ? error.message : error);
+      }
+    }
+
+    try {
+      const processed = await runPendingJobs(context, { limit: batchSize });
+      if (processed > 0) {
+        console.log(`Processed ${processed} job(s)`);
+        // More work may be waiting, check again straight away
+        if (processed === batchSize) continue;
+      }
+    } catch (error) {
+      console.error('Job worker error:', error instanceof Error ? error.message : error);
+    }
+
+    await sleep(pollIntervalMs);
+  }
+
+  console.log(`Job worker ${workerId} stopped`);
+  process.exit(0);
+}
+
+for (const signal of ['SIGINT', 'SIGTERM'] as const) {
+  process.on(signal, () => {
+    console.log(`Received ${signal}, finishing current batch...`);
+    stopping = true;
+  });
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
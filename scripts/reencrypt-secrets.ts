@@ -0,0 +1,55 @@
+import { keystoneContext } from '../features/keystone/context';
+import { decryptSecret, needsReencryption } from '../features/keystone/lib/secrets';
+
+// Lists and fields stored with the encryptedText field type
+const ENCRYPTED_FIELDS = {
+  Shop: ['accessToken', 'refreshToken', 'webhookSecret'],
+  Channel: ['accessToken', 'refreshToken', 'webhookSecret'],
+  ShopPlatform: ['appSecret'],
+  ChannelPlatform: ['appSecret'],
+} as const;
+
+/**
+ * Re-encrypts every stored credential with OPENSHIP_ENCRYPTION_KEY. Run after
+ * rotating the key (with the old key in OPENSHIP_ENCRYPTION_PREVIOUS_KEYS) or
+ * once after enabling encryption to encrypt existing plaintext values.
+ */
+async function main() {
+  if (!process.env.OPENSHIP_ENCRYPTION_KEY) {
+    throw new Error('OPENSHIP_ENCRYPTION_KEY must be set');
+  }
+
+  const context = keystoneContext.sudo();
+  let total = 0;
+
+  for (const [listKey, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+    const items = await context.db[listKey].findMany({});
+    let updated = 0;
+
+    for (const item of items) {
+      const data: Record<string, string> = {};
+      for (const field of fields) {
+        if (needsReencryption(item[field])) {
+          // The field encrypts the plaintext with the current key on write
+          data[field] = decryptSecret(item[field]);
+        }
+      }
+
+      if (Object.keys(data).length === 0) continue;
+
+      await context.db[listKey].updateOne({ where: { id: String(item.id) }, data });
+      updated++;
+    }
+
+    console.log(`${listKey}: re-encrypted ${updated} of ${items.length} item(s)`);
+    total += updated;
+  }
+
+  console.log(`Done, ${total} item(s) updated`);
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});